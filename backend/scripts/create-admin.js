@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Create the first super-admin account
+ *
+ *   npm run create-admin -- --username <name> [--name "Full Name"] [--email <email>] [--force]
+ *
+ * The password is read from ADMIN_PASSWORD or asked for. Refuses when an active super-admin
+ * already exists; --force then recovers an account instead (re-enables it, makes it a
+ * super-admin and sets the new password).
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const roleService = require('../src/services/roleService');
+const adminAccountService = require('../src/services/adminAccountService');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    if (key === 'force') {
+      args.force = true;
+    } else {
+      args[key] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+// Ask without echoing what is typed
+const askHidden = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = (text) => {
+    if (text.includes(question)) rl.output.write(text);
+  };
+  rl.question(question, (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  });
+});
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const username = (args.username || process.env.ADMIN_USERNAME || '').trim();
+  if (!username) {
+    throw new Error('Pass --username (or set ADMIN_USERNAME)');
+  }
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Set ADMIN_PASSWORD when not running in a terminal');
+    }
+    password = await askHidden('Password: ');
+    if (password !== await askHidden('Repeat password: ')) {
+      throw new Error('Passwords do not match');
+    }
+  }
+  if (password.length < 8) {
+    throw new Error('Admin passwords must be at least 8 characters');
+  }
+
+  await connectDB();
+  await roleService.init();
+
+  const admin = await adminAccountService.bootstrap({
+    username,
+    name: args.name,
+    email: args.email || process.env.ADMIN_EMAIL,
+    password
+  }, { force: Boolean(args.force) });
+
+  console.log(`Super-admin "${admin.username}" is ready. Sign in through the admin login.`);
+};
+
+main()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error(`Could not create the admin: ${error.message}`);
+    await mongoose.connection.close();
+    process.exitCode = 1;
+  });
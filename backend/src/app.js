@@ -13,31 +13,49 @@ const adminRoutes = require('./routes/admin');
 const employeeRoutes = require('./routes/employee');
 const uploadRoutes = require('./routes/upload');
 const notificationRoutes = require('./routes/notifications');
+const pushMockRoutes = require('./routes/pushMock');
 
 // Import database connection
 const connectDB = require('./config/database');
+const roleService = require('./services/roleService');
 
 // Import escalation job
 const escalationJob = require('./jobs/escalationJob');
 // Import cleanup job
 const cleanupJob = require('./jobs/cleanupJob');
+// Import notification digest job
+const digestJob = require('./jobs/digestJob');
+// Import announcement job
+const announcementJob = require('./jobs/announcementJob');
 
 // Initialize Express app
 const app = express();
 
-// Connect to database
-connectDB();
+// Connect to database, then create the built-in roles if missing and load role permissions
+connectDB()
+  .then(() => roleService.init())
+  .catch(error => console.error('Error initialising roles:', error));
 
 // Start auto-escalation cron job
 if (process.env.NODE_ENV !== 'test') {
   escalationJob.start();
 }
 
-// Start cleanup cron job (deletes resolved issues after 5 days)
+// Start cleanup cron job (archives issues past their retention period)
 if (process.env.NODE_ENV !== 'test') {
   cleanupJob.start();
 }
 
+// Start notification digest cron jobs (daily and weekly digest emails)
+if (process.env.NODE_ENV !== 'test') {
+  digestJob.start();
+}
+
+// Start announcement cron job (sends scheduled announcements, hides expired ones)
+if (process.env.NODE_ENV !== 'test') {
+  announcementJob.start();
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -124,12 +142,48 @@ if (enableRateLimit) {
     legacyHeaders: false,
   });
   app.use('/api/auth/send-otp', otpLimiter);
+  app.use('/api/auth/phone/send-otp', otpLimiter);
+
+  // Admin passwords and two-factor codes get few guesses per IP; failed admin attempts are also audited
+  const adminLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: {
+      success: false,
+      message: 'Too many admin login attempts, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+  app.use('/api/auth/admin-login', adminLoginLimiter);
+  app.use('/api/auth/2fa/verify', adminLoginLimiter);
 }
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+if (enableRateLimit) {
+  // OTP guesses per account rather than per IP, so rotating IPs does not buy more guesses;
+  // mounted after body parsing because the key is the Aadhaar number, mobile or email
+  const verifyOtpLimiter = rateLimit({
+    windowMs: parseInt(process.env.OTP_VERIFY_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // default: 15 minutes
+    max: parseInt(process.env.OTP_VERIFY_RATE_LIMIT_MAX, 10) || 10, // default: 10 attempts per window per identifier
+    keyGenerator: (req) => {
+      const { aadhaarNumber, mobile, email } = req.body || {};
+      const identifier = aadhaarNumber || mobile || (email && String(email).toLowerCase());
+      return identifier ? `otp-verify:${identifier}` : `otp-verify-ip:${req.ip}`;
+    },
+    message: {
+      success: false,
+      message: 'Too many OTP attempts for this account, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+  app.use('/api/auth/verify-otp', verifyOtpLimiter);
+}
+
 // Serve static files from uploads directory
 app.use('/uploads', express.static('uploads'));
 
@@ -151,6 +205,11 @@ app.use('/api/employee', employeeRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notifications', notificationRoutes);
 
+// Mock push service for local testing (set PUSH_MOCK_URL to http://localhost:5000/api/push-mock)
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/push-mock', pushMockRoutes);
+}
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -0,0 +1,92 @@
+const adminAccountService = require('../services/adminAccountService');
+const auditService = require('../services/auditService');
+
+const handleAdminAccountError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class AdminAccountController {
+  async getAdmins(req, res) {
+    try {
+      const admins = await adminAccountService.list();
+      res.json({ success: true, data: { admins } });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Get admins', 'Server error getting admin accounts');
+    }
+  }
+
+  async createAdmin(req, res) {
+    try {
+      const admin = await adminAccountService.create(req.body, req.user, req);
+      res.status(201).json({
+        success: true,
+        message: `Admin "${admin.username}" created; they must change the password at first sign-in`,
+        data: { admin: admin.getProfile() }
+      });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Create admin', 'Server error creating admin account');
+    }
+  }
+
+  // Enable or disable an admin account
+  async setAdminStatus(req, res) {
+    try {
+      const admin = await adminAccountService.setActive(req.params.adminId, req.body.isActive, req.user, req);
+      res.json({
+        success: true,
+        message: `Admin "${admin.username}" ${admin.isActive ? 'enabled' : 'disabled'}`,
+        data: { admin: admin.getProfile() }
+      });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Set admin status', 'Server error updating admin account');
+    }
+  }
+
+  // The new password is only shown in this response
+  async resetAdminPassword(req, res) {
+    try {
+      const { admin, password } = await adminAccountService.resetPassword(
+        req.params.adminId,
+        req.body.password,
+        req.user,
+        req
+      );
+      res.json({
+        success: true,
+        message: `Password of "${admin.username}" reset; they must change it at their next sign-in`,
+        data: { admin: admin.getProfile(), password }
+      });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Reset admin password', 'Server error resetting admin password');
+    }
+  }
+
+  // For an admin who lost their authenticator and recovery codes
+  async resetAdminTwoFactor(req, res) {
+    try {
+      const admin = await adminAccountService.resetTwoFactor(req.params.adminId, req.user, req);
+      res.json({
+        success: true,
+        message: `Two-factor authentication reset for "${admin.username}"; they can set it up again`
+      });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Reset admin two-factor', 'Server error resetting two-factor authentication');
+    }
+  }
+
+  async getAuditLog(req, res) {
+    try {
+      const { actor, action, from, to, page, limit } = req.query;
+      const result = await auditService.list({ actor, action, from, to, page, limit });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      handleAdminAccountError(res, error, 'Get audit log', 'Server error getting audit log');
+    }
+  }
+}
+
+module.exports = new AdminAccountController();
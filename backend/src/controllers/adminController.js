@@ -3,6 +3,23 @@ const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
 const notificationService = require('../services/notificationService');
+const workflowService = require('../services/workflowService');
+const assignmentService = require('../services/assignmentService');
+const zoneService = require('../services/zoneService');
+const teamService = require('../services/teamService');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+
+// Base location from a request body, or null when it is missing or not a valid coordinate pair
+const parseBaseLocation = (value) => {
+  if (!value) return null;
+  const latitude = parseFloat(value.latitude);
+  const longitude = parseFloat(value.longitude);
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude, address: value.address || undefined };
+};
 
 class AdminController {
   // Get admin dashboard statistics
@@ -300,7 +317,7 @@ class AdminController {
   async assignIssue(req, res) {
     try {
       const { id } = req.params;
-      const { assignedTo, reason } = req.body;
+      const { assignedTo, reason, strategy } = req.body;
 
       const issue = await Issue.findById(id);
       if (!issue) {
@@ -327,14 +344,14 @@ class AdminController {
               { employeeId: assignedToValue },
               { _id: assignedToValue }
             ],
-            role: { $in: ['field-staff', 'supervisor', 'commissioner', 'employee'] },
+            role: { $in: roleService.employeeRoles() },
             isActive: true
           };
         } else {
           // Otherwise, only search by employeeId
           query = {
             employeeId: assignedToValue,
-            role: { $in: ['field-staff', 'supervisor', 'commissioner', 'employee'] },
+            role: { $in: roleService.employeeRoles() },
             isActive: true
           };
         }
@@ -345,76 +362,34 @@ class AdminController {
           return res.status(404).json({ success: false, message: `Employee with ID "${assignedToValue}" not found` });
         }
         // Verify the user is an active employee
-        const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-        if (!employeeRoles.includes(assignedUser.role) || !assignedUser.isActive) {
+        if (!roleService.isEmployeeRole(assignedUser.role) || !assignedUser.isActive) {
           return res.status(400).json({ 
             success: false, 
             message: 'Selected user is not an active employee' 
           });
         }
       } else {
-        // Auto-assign: Assign to ALL employees in the department (not a specific employee)
-        // This allows all employees in that department to see and resolve the issue
-        const issueCategory = issue.category;
-
-        // Find all active employees with matching department
-        const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-        const departmentEmployees = await User.find({
-          role: { $in: employeeRoles },
-          isActive: true,
-          $or: [
-            { departments: { $in: [issueCategory, 'All'] } },
-            { department: { $in: [issueCategory, 'All'] } }
-          ]
-        });
+        // Auto-assign: the assignment engine picks an employee with the requested (or default) strategy.
+        // The broadcast strategy offers the issue to every field employee in the department instead.
+        const decision = await assignmentService.assignIssue(issue, { strategy, actor: req.user });
 
-        if (departmentEmployees.length === 0) {
+        if (!decision.chosen && decision.broadcastTo.length === 0) {
           return res.status(400).json({ 
             success: false, 
             message: 'No active employees found for this department. Please assign manually.' 
           });
         }
 
-        // Don't assign to a specific user - assign to the department
-        // Set assignedRole to 'field-staff' to indicate it's assigned to field staff level
-        const assignedRole = 'field-staff';
-        
-        // Update issue: set assignedRole, but keep status as 'reported'
-        // Status must remain 'reported' until employee accepts it
-        // This way all employees in the department can see it
-        issue.assignedRole = assignedRole;
-        issue.assignedBy = req.user._id;
-        issue.assignedAt = new Date();
-        // Status stays 'reported' - only employee acceptance can change it to 'in-progress'
-        if (issue.status === 'reported' || !issue.status) {
-          issue.status = 'reported';
-        }
-        
-        // Calculate escalation deadline based on priority and role
-        if (issue.priority) {
-          const deadline = issue.calculateEscalationDeadline(issue.priority, assignedRole);
-          issue.escalationDeadline = deadline;
-        }
-        
-        await issue.save();
-
-        // Notify ONLY field-staff employees (not supervisors or commissioners yet)
-        // Supervisors and commissioners will be notified when issue escalates
-        const fieldStaffOnly = departmentEmployees.filter(emp => 
-          emp.role === 'field-staff' || emp.role === 'employee'
-        );
-        const notificationPromises = fieldStaffOnly.map(emp => 
-          notificationService.notifyIssueAssignment(issue, emp, req.user)
-        );
-        await Promise.all(notificationPromises);
-
         res.json({
           success: true,
-          message: `Issue assigned to field-staff. ${fieldStaffOnly.length} field-staff notified.`,
+          message: decision.chosen
+            ? `Issue assigned to ${decision.chosen.name}. ${decision.reason}`
+            : `Issue assigned to field-staff. ${decision.broadcastTo.length} field-staff notified.`,
           data: { 
             issue,
-            assignedToDepartment: issueCategory,
-            employeesNotified: fieldStaffOnly.length
+            assignedToDepartment: issue.category,
+            employeesNotified: decision.chosen ? 1 : decision.broadcastTo.length,
+            assignment: issue.assignmentDecision
           }
         });
         
@@ -422,15 +397,18 @@ class AdminController {
       }
 
       // Manual assignment: assign to specific user
-      // Determine assigned role based on user's role
-      let assignedRole = null;
-      if (assignedUser.role === 'field-staff' || assignedUser.role === 'employee') {
-        assignedRole = 'field-staff';
-      } else if (assignedUser.role === 'supervisor') {
-        assignedRole = 'supervisor';
-      } else if (assignedUser.role === 'commissioner') {
-        assignedRole = 'commissioner';
-      }
+      // Determine assigned role based on user's role; custom employee roles work at field level
+      const assignedRole = roleService.levelOf(assignedUser.role);
+
+      // Replace any earlier engine decision so the explanation matches the current assignee
+      issue.assignmentDecision = {
+        strategy: 'manual',
+        chosen: assignedUser._id,
+        reason: reason || 'Assigned by an admin',
+        candidates: [],
+        decidedBy: req.user._id,
+        decidedAt: new Date()
+      };
 
       // Assign the issue
       await issue.assign(assignedUser._id, req.user._id, assignedRole);
@@ -451,6 +429,9 @@ class AdminController {
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Assign issue error:', error);
       res.status(500).json({
         success: false,
@@ -460,29 +441,12 @@ class AdminController {
     }
   }
 
-  // Update issue status
+  // Update issue status (only transitions the workflow allows admins to make by hand)
   async updateIssueStatus(req, res) {
     try {
       const { id } = req.params;
       const { status, reason } = req.body;
 
-      // Admin CANNOT resolve issues - only employees can resolve
-      if (status === 'resolved') {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin cannot resolve issues. Only assigned employees can resolve issues.'
-        });
-      }
-
-      // STRICT RULE: Admin CANNOT set status to 'in-progress'
-      // Only employee acceptance can change status from 'reported' to 'in-progress'
-      if (status === 'in-progress') {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin cannot set issue status to in-progress. Only employees can accept issues to change status to in-progress.'
-        });
-      }
-
       const issue = await Issue.findById(id);
       if (!issue) {
         return res.status(404).json({
@@ -491,15 +455,8 @@ class AdminController {
         });
       }
 
-      const oldStatus = issue.status;
-      
-      // For non-resolved and non-in-progress status updates, proceed normally
-      issue.status = status;
-
-      await issue.save();
-
-      // Notify about status change
-      await notificationService.notifyIssueStatusChange(issue, oldStatus, status, req.user);
+      // Resolving and accepting stay with employees; escalation has its own endpoint
+      await workflowService.transitionToStatus(issue, status, req.user, { reason });
 
       res.json({
         success: true,
@@ -507,6 +464,12 @@ class AdminController {
         data: { issue }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
       console.error('Update issue status error:', error);
       res.status(500).json({
         success: false,
@@ -577,10 +540,35 @@ class AdminController {
         });
       }
 
+      if (role && !(await roleService.roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role: ${role}`
+        });
+      }
+
+      // Admin accounts (and making someone an admin) go through the admin account endpoints
+      if (User.ADMIN_ROLES.includes(user.role) || User.ADMIN_ROLES.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin accounts are managed under /admin/admins'
+        });
+      }
+
+      // Nobody hands out a role with more access than their own
+      if (role) {
+        await roleService.assertCanAssign(req.user, role);
+      }
+
       if (isActive !== undefined) user.isActive = isActive;
       if (role) user.role = role;
 
+      const deactivated = user.isModified('isActive') && !user.isActive;
       await user.save();
+      // Signed-in devices are logged out straight away
+      if (deactivated) {
+        await sessionService.revokeAll(user._id, 'deactivated');
+      }
 
       res.json({
         success: true,
@@ -588,6 +576,9 @@ class AdminController {
         data: { user: user.getProfile() }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Update user status error:', error);
       res.status(500).json({
         success: false,
@@ -637,57 +628,10 @@ class AdminController {
     }
   }
 
-  // Send system announcement
-  async sendAnnouncement(req, res) {
-    try {
-      const { title, message, targetUsers = 'all', priority = 'medium' } = req.body;
-
-      let users;
-      if (targetUsers === 'all') {
-        users = await User.find({ isActive: true });
-      } else if (targetUsers === 'citizens') {
-        users = await User.find({ role: 'citizen', isActive: true });
-      } else if (targetUsers === 'admins') {
-        users = await User.find({ role: 'admin', isActive: true });
-      }
-
-      // Create notifications for all target users
-      const notifications = users.map(user => ({
-        user: user._id,
-        type: 'system_announcement',
-        title,
-        message,
-        priority,
-        data: {
-          metadata: {
-            announcement: true
-          }
-        }
-      }));
-
-      await Notification.insertMany(notifications);
-
-      res.json({
-        success: true,
-        message: 'Announcement sent successfully',
-        data: {
-          recipients: users.length
-        }
-      });
-    } catch (error) {
-      console.error('Send announcement error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error sending announcement',
-        error: error.message
-      });
-    }
-  }
-
   // Create employee (Field Staff, Supervisor, or Commissioner)
   async createEmployee(req, res) {
     try {
-      const { name, employeeId, password, role, departments, email, mobile } = req.body;
+      const { name, employeeId, password, role, departments, email, mobile, baseLocation, zones } = req.body;
 
       // Validate required fields
       if (!name || !employeeId || !password || !role) {
@@ -697,14 +641,16 @@ class AdminController {
         });
       }
 
-      // Validate role
+      // Validate role: a built-in employee role or a custom role that works on issues
       const validRoles = ['field-staff', 'supervisor', 'commissioner'];
-      if (!validRoles.includes(role)) {
+      if (!validRoles.includes(role) && !(await roleService.isCustomRole(role) && roleService.isEmployeeRole(role))) {
         return res.status(400).json({
           success: false,
-          message: `Role must be one of: ${validRoles.join(', ')}`
+          message: `Role must be one of: ${validRoles.join(', ')}, or a custom role with the issue.work permission`
         });
       }
+      // Nobody hands out a role with more access than their own
+      await roleService.assertCanAssign(req.user, role);
 
       // Validate departments
       const validDepartments = [
@@ -777,6 +723,14 @@ class AdminController {
       if (mobile && mobile.trim()) {
         employeeData.mobile = mobile.trim();
       }
+      // Used by the nearest-employee assignment strategy
+      if (parseBaseLocation(baseLocation)) {
+        employeeData.baseLocation = parseBaseLocation(baseLocation);
+      }
+      // Zones the employee covers (none = the whole city)
+      if (zones) {
+        employeeData.zones = await zoneService.resolveZoneIds(zones);
+      }
 
       const employee = new User(employeeData);
       await employee.save();
@@ -789,6 +743,9 @@ class AdminController {
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Create employee error:', error);
       console.error('Error details:', {
         name: error.name,
@@ -830,7 +787,7 @@ class AdminController {
       const { page = 1, limit = 20, role, department, search } = req.query;
 
       const filter = {
-        role: { $in: ['field-staff', 'supervisor', 'commissioner', 'employee'] },
+        role: { $in: roleService.employeeRoles() },
         isActive: true
       };
 
@@ -854,16 +811,23 @@ class AdminController {
 
       const employees = await User.find(filter)
         .select('-password -otp')
+        .populate('zones', 'name code type')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit));
 
       const total = await User.countDocuments(filter);
 
+      // Resolution quality: how many of each employee's resolutions were reopened by citizens
+      const qualityStats = await Issue.getQualityStats(employees.map(employee => employee._id));
+
       res.json({
         success: true,
         data: {
-          employees,
+          employees: employees.map(employee => ({
+            ...employee.toObject(),
+            qualityStats: qualityStats.get(employee._id.toString())
+          })),
           pagination: {
             currentPage: parseInt(page),
             totalPages: Math.ceil(total / parseInt(limit)),
@@ -886,7 +850,7 @@ class AdminController {
   async updateEmployee(req, res) {
     try {
       const { employeeId } = req.params;
-      const { name, role, departments, isActive, email, mobile } = req.body;
+      const { name, role, departments, isActive, email, mobile, baseLocation, zones } = req.body;
 
       const employee = await User.findOne({ employeeId });
       if (!employee) {
@@ -899,9 +863,14 @@ class AdminController {
       if (name) employee.name = name;
       if (role) {
         const validRoles = ['field-staff', 'supervisor', 'commissioner'];
-        if (validRoles.includes(role)) {
-          employee.role = role;
+        if (!validRoles.includes(role) && !(await roleService.isCustomRole(role) && roleService.isEmployeeRole(role))) {
+          return res.status(400).json({
+            success: false,
+            message: `Role must be one of: ${validRoles.join(', ')}, or a custom role with the issue.work permission`
+          });
         }
+        await roleService.assertCanAssign(req.user, role);
+        employee.role = role;
       }
       if (departments) {
         const validDepartments = [
@@ -926,8 +895,20 @@ class AdminController {
       if (isActive !== undefined) employee.isActive = isActive;
       if (email) employee.email = email;
       if (mobile) employee.mobile = mobile;
+      // null clears the base location
+      if (baseLocation !== undefined) employee.baseLocation = parseBaseLocation(baseLocation);
+      // An empty list makes the employee cover the whole city again
+      if (zones !== undefined) employee.zones = await zoneService.resolveZoneIds(zones);
 
+      const roleChanged = employee.isModified('role');
+      const deactivated = employee.isModified('isActive') && !employee.isActive;
       await employee.save();
+      if (deactivated) {
+        await sessionService.revokeAll(employee._id, 'deactivated');
+      }
+      if (roleChanged) {
+        await teamService.releaseInvalidLinks(employee);
+      }
 
       res.json({
         success: true,
@@ -937,6 +918,9 @@ class AdminController {
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Update employee error:', error);
       res.status(500).json({
         success: false,
@@ -961,6 +945,7 @@ class AdminController {
 
       employee.isActive = false;
       await employee.save();
+      await sessionService.revokeAll(employee._id, 'deactivated');
 
       res.json({
         success: true,
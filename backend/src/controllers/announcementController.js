@@ -0,0 +1,95 @@
+const announcementService = require('../services/announcementService');
+
+const handleAnnouncementError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors || {}).map(err => err.message).join(', ');
+    return res.status(400).json({ success: false, message: `Validation error: ${validationErrors}` });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+// `target`, or the older `targetUsers` ('all', 'citizens', 'admins', ...) of POST /admin/announcement
+const targetFrom = (body) => body.target || { type: body.targetUsers || 'all' };
+
+class AnnouncementController {
+  // Send an announcement now, or schedule it for `scheduledAt`
+  async createAnnouncement(req, res) {
+    try {
+      const { title, message, priority, channels, scheduledAt, expiresAt } = req.body;
+      const announcement = await announcementService.create({
+        title,
+        message,
+        priority,
+        target: targetFrom(req.body),
+        channels,
+        scheduledAt,
+        expiresAt
+      }, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: announcement.status === 'scheduled' ? 'Announcement scheduled' : 'Announcement is being sent',
+        data: {
+          announcement,
+          recipients: announcement.recipients
+        }
+      });
+    } catch (error) {
+      handleAnnouncementError(res, error, 'Send announcement', 'Server error sending announcement');
+    }
+  }
+
+  // Sent and scheduled announcements with read and delivery counts
+  async getAnnouncements(req, res) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+      const data = await announcementService.list({ status, page: parseInt(page), limit: parseInt(limit) });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      handleAnnouncementError(res, error, 'Get announcements', 'Server error getting announcements');
+    }
+  }
+
+  async getAnnouncement(req, res) {
+    try {
+      const announcement = await announcementService.get(req.params.id);
+
+      res.json({ success: true, data: { announcement } });
+    } catch (error) {
+      handleAnnouncementError(res, error, 'Get announcement', 'Server error getting announcement');
+    }
+  }
+
+  // How many users a target would reach, before sending
+  async previewAudience(req, res) {
+    try {
+      const data = await announcementService.countAudience(targetFrom(req.body));
+
+      res.json({ success: true, data });
+    } catch (error) {
+      handleAnnouncementError(res, error, 'Preview announcement audience', 'Server error counting the audience');
+    }
+  }
+
+  // Cancel a scheduled announcement or withdraw a sent one
+  async cancelAnnouncement(req, res) {
+    try {
+      const announcement = await announcementService.cancel(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        message: announcement.status === 'withdrawn' ? 'Announcement withdrawn' : 'Announcement cancelled',
+        data: { announcement }
+      });
+    } catch (error) {
+      handleAnnouncementError(res, error, 'Cancel announcement', 'Server error cancelling announcement');
+    }
+  }
+}
+
+module.exports = new AnnouncementController();
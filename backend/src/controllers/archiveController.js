@@ -0,0 +1,211 @@
+const RetentionPolicy = require('../models/RetentionPolicy');
+const archiveService = require('../services/archiveService');
+const cleanupService = require('../services/cleanupService');
+const cleanupJob = require('../jobs/cleanupJob');
+const { REOPEN_WINDOW_DAYS } = require('../services/workflowService');
+
+class ArchiveController {
+  // List the retention period in effect per status, with how many issues the next run would archive
+  async getRetentionPolicies(req, res) {
+    try {
+      const [policies, stats] = await Promise.all([
+        archiveService.getEffectivePolicies(),
+        cleanupService.getCleanupStats()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          policies,
+          defaults: archiveService.DEFAULT_RETENTION_DAYS,
+          eligible: stats
+        }
+      });
+    } catch (error) {
+      console.error('Get retention policies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting retention policies',
+        error: error.message
+      });
+    }
+  }
+
+  // Create or update the retention policy for a status
+  async upsertRetentionPolicy(req, res) {
+    try {
+      const { status } = req.params;
+      const { days, isActive } = req.body;
+
+      // Archived issues cannot be reopened, so resolved ones stay live for the whole reopen window
+      if (status === 'resolved' && days !== undefined && Number(days) < REOPEN_WINDOW_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Resolved issues must be kept for at least ${REOPEN_WINDOW_DAYS} days so reporters can reopen them`
+        });
+      }
+
+      let policy = await RetentionPolicy.findOne({ status });
+      if (!policy) {
+        policy = new RetentionPolicy({ status, createdBy: req.user._id });
+      }
+
+      if (days !== undefined) policy.days = Number(days);
+      if (isActive !== undefined) policy.isActive = Boolean(isActive);
+      policy.updatedBy = req.user._id;
+
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: 'Retention policy saved successfully',
+        data: { policy }
+      });
+    } catch (error) {
+      console.error('Save retention policy error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors || {}).map(err => err.message).join(', ');
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${validationErrors}`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error saving retention policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a stored policy; the status falls back to the built-in default
+  async deleteRetentionPolicy(req, res) {
+    try {
+      const result = await RetentionPolicy.deleteOne({ status: req.params.status });
+
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Retention policy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Retention policy removed; the default applies again'
+      });
+    } catch (error) {
+      console.error('Delete retention policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error deleting retention policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Run the retention job now
+  async runArchive(req, res) {
+    try {
+      const result = await cleanupJob.runNow();
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result
+      });
+    } catch (error) {
+      console.error('Run archive error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error archiving issues',
+        error: error.message
+      });
+    }
+  }
+
+  // Search archived issues
+  async searchArchive(req, res) {
+    try {
+      const { page = 1, limit = 20, search, category, status, reason, reportedBy, from, to } = req.query;
+
+      const { items, total } = await archiveService.search(
+        { search, category, status, reason, reportedBy, from, to },
+        parseInt(page),
+        parseInt(limit)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          issues: items,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Search archive error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error searching archived issues',
+        error: error.message
+      });
+    }
+  }
+
+  // Get an archived issue with its comments and notifications
+  async getArchivedIssue(req, res) {
+    try {
+      const archived = await archiveService.getArchivedIssue(req.params.id);
+      if (!archived) {
+        return res.status(404).json({
+          success: false,
+          message: 'Archived issue not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { archived }
+      });
+    } catch (error) {
+      console.error('Get archived issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting archived issue',
+        error: error.message
+      });
+    }
+  }
+
+  // Move an archived issue back into the live collections
+  async restoreArchivedIssue(req, res) {
+    try {
+      const issue = await archiveService.restoreIssue(req.params.id);
+      console.log(`Issue ${issue._id} restored from archive by admin ${req.user._id}`);
+
+      res.json({
+        success: true,
+        message: 'Issue restored successfully',
+        data: { issue }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Restore archived issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error restoring issue',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ArchiveController();
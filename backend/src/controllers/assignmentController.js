@@ -0,0 +1,102 @@
+const Issue = require('../models/Issue');
+const assignmentService = require('../services/assignmentService');
+
+class AssignmentController {
+  // List the assignment strategies and which one is used by default
+  async getStrategies(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          strategies: assignmentService.listStrategies(),
+          defaultStrategy: assignmentService.DEFAULT_STRATEGY
+        }
+      });
+    } catch (error) {
+      console.error('Get assignment strategies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting assignment strategies',
+        error: error.message
+      });
+    }
+  }
+
+  // Explain why an issue is assigned the way it is
+  async getIssueAssignment(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id)
+        .select('title category status assignedTo assignedRole assignedAt assignmentDecision')
+        .populate('assignedTo', 'name employeeId role')
+        .populate('assignmentDecision.chosen', 'name employeeId role')
+        .populate('assignmentDecision.decidedBy', 'name email role');
+
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          issueId: issue._id,
+          assignedTo: issue.assignedTo,
+          assignedRole: issue.assignedRole,
+          assignedAt: issue.assignedAt,
+          // Null for issues assigned before the engine recorded its decisions
+          decision: issue.assignmentDecision && issue.assignmentDecision.decidedAt ? issue.assignmentDecision : null
+        }
+      });
+    } catch (error) {
+      console.error('Get issue assignment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting issue assignment',
+        error: error.message
+      });
+    }
+  }
+
+  // Who a strategy would pick for an issue right now, without assigning it
+  async previewAssignment(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id);
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      const decision = await assignmentService.decide(
+        issue,
+        req.query.strategy || assignmentService.DEFAULT_STRATEGY
+      );
+
+      res.json({
+        success: true,
+        data: {
+          strategy: decision.strategy,
+          chosen: decision.chosen ? decision.chosen.getProfile() : null,
+          reason: decision.reason,
+          broadcastTo: decision.broadcastTo.length,
+          candidates: assignmentService.summarizeCandidates(decision.candidates)
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Preview assignment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error previewing assignment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AssignmentController();
@@ -1,7 +1,107 @@
 const User = require('../models/User');
-const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const smsService = require('../services/smsService');
+const otpService = require('../services/otpService');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+const adminAccountService = require('../services/adminAccountService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const preferenceService = require('../services/preferenceService');
+const templateService = require('../services/templateService');
+
+// Only for local testing without an SMS gateway: include the OTP in send-otp responses.
+// Never honoured in production.
+const ECHO_OTP = process.env.OTP_DEV_ECHO === 'true' && process.env.NODE_ENV !== 'production';
+
+// Cooldown and lockout errors carry how long to wait
+const sendOtpError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+  });
+};
+
+// Password step passed for an account with two-factor on: ask for the code instead of signing in
+const sendTwoFactorChallenge = (res, user, kind) => res.json({
+  success: true,
+  message: 'Enter the code from your authenticator app',
+  data: {
+    twoFactorRequired: true,
+    challengeToken: twoFactorService.createChallenge(user, kind)
+  }
+});
+
+// Sign an admin in once every factor has been checked
+const completeAdminLogin = async (req, res, adminUser) => {
+  adminUser.lastLoginAt = new Date();
+  await adminUser.save();
+
+  const { token, refreshToken, session } = await sessionService.startSession(adminUser._id, req);
+  await auditService.record({ actor: adminUser, action: 'admin.login', session: session._id }, req);
+
+  res.json({
+    success: true,
+    message: adminUser.mustChangePassword
+      ? 'Admin login successful. Please change your password.'
+      : 'Admin login successful',
+    data: {
+      user: adminUser.getProfile(),
+      permissions: await roleService.getPermissions(adminUser.role),
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Sign an employee in once every factor has been checked
+const completeEmployeeLogin = async (req, res, user) => {
+  user.lastLogin = new Date();
+  user.loginCount = (user.loginCount || 0) + 1;
+  await user.save();
+
+  const { token, refreshToken } = await sessionService.startSession(user._id, req);
+
+  res.json({
+    success: true,
+    message: `Welcome, Employee ID: ${user.employeeId}`,
+    data: {
+      user: user.getProfile(),
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Sign a citizen (or an employee using the general login or an OTP) in once every factor has been checked
+const completeUserLogin = async (req, res, user, message = 'Login successful') => {
+  user.lastLogin = new Date();
+  user.loginCount = (user.loginCount || 0) + 1;
+  await user.save();
+
+  const { token, refreshToken } = await sessionService.startSession(user._id, req);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      user: user.getProfile(),
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Admins only sign in with their username, where sign-ins are audited and two-factor applies
+const refuseAdmin = (res) => res.status(403).json({
+  success: false,
+  message: 'Admin accounts sign in at /auth/admin-login'
+});
 
 class AuthController {
   // Helper function to clean address object - removes undefined values, especially coordinates
@@ -72,13 +172,16 @@ class AuthController {
         }
       }
 
-      // If user exists with mobile but is not verified, allow registration to proceed
-      // This handles the case where a user was created but OTP verification wasn't completed
-      if (existingUser && mobile && existingUser.mobile === mobile && !existingUser.isVerified) {
-        // Allow registration to proceed - will update the existing user below
-        console.log('Found existing unverified user with mobile, allowing registration to proceed');
-      } else if (existingUser) {
-        // Allow upgrading an existing lightweight account (e.g., created via OTP mobile flow)
+      if (existingUser) {
+        // Registering again sets the password, so it only completes a citizen account whose
+        // OTP verification was never finished; verified, employee and admin accounts sign in instead
+        if (existingUser.role !== 'citizen' || existingUser.isVerified) {
+          return res.status(400).json({
+            success: false,
+            message: 'An account with these details already exists. Please sign in instead.'
+          });
+        }
+
         // If Aadhaar is already linked to another user, prevent conflict
         if (
           aadhaarNumber &&
@@ -136,9 +239,6 @@ class AuthController {
             existingUser.set('address', undefined);
           }
         }
-        existingUser.role = 'citizen';
-        existingUser.isVerified = existingUser.isVerified || false;
-
         try {
           await existingUser.save();
         } catch (err) {
@@ -152,8 +252,7 @@ class AuthController {
           throw err;
         }
 
-        const token = generateToken(existingUser._id);
-        const refreshToken = generateRefreshToken(existingUser._id);
+        const { token, refreshToken } = await sessionService.startSession(existingUser._id, req);
 
         return res.status(201).json({
           success: true,
@@ -208,11 +307,10 @@ class AuthController {
       // Generate OTP for email verification
       if (email) {
         try {
-          const otp = user.generateOTP();
-          await user.save();
+          const otp = await otpService.issue(user, 'registration');
 
           // Send OTP email (non-blocking - don't fail registration if email fails)
-          const emailResult = await emailService.sendOTP(email, otp, name);
+          const emailResult = await emailService.sendOTP(email, otp, name, templateService.languageOf(user));
           if (!emailResult.success) {
             console.warn('Failed to send OTP email, but registration continues:', emailResult.error);
           }
@@ -223,8 +321,7 @@ class AuthController {
       }
 
       // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      const { token, refreshToken } = await sessionService.startSession(user._id, req);
 
       res.status(201).json({
         success: true,
@@ -305,24 +402,13 @@ class AuthController {
         });
       }
 
-      // Update login info
-      user.lastLogin = new Date();
-      user.loginCount = (user.loginCount || 0) + 1;
-      await user.save();
-
-      // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
-
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: user.getProfile(),
-          token,
-          refreshToken
-        }
-      });
+      if (User.ADMIN_ROLES.includes(user.role)) {
+        return refuseAdmin(res);
+      }
+      if (user.twoFactor.enabled) {
+        return sendTwoFactorChallenge(res, user, 'user');
+      }
+      await completeUserLogin(req, res, user);
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({
@@ -336,9 +422,7 @@ class AuthController {
   // Send OTP
   async sendOTP(req, res) {
     try {
-      const { aadhaarNumber, mobile, email } = req.body;
-      
-      console.log('Send OTP request:', { aadhaarNumber, mobile, email });
+      const { aadhaarNumber, mobile, email, purpose = 'login' } = req.body;
 
       if (!aadhaarNumber && !mobile && !email) {
         return res.status(400).json({
@@ -367,14 +451,21 @@ class AuthController {
         console.log('Existing user found with ID:', user._id);
       }
 
-      // Generate OTP
-      const otp = user.generateOTP();
-      console.log('Generated OTP for user:', user._id, 'OTP:', otp);
-      await user.save();
+      // OTPs go by SMS to the mobile number, or to the one on record for Aadhaar logins
+      const smsTo = email ? null : (mobile || user.mobile);
+      if (!email && !smsTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'No mobile number is registered for this account'
+        });
+      }
+
+      // Generate OTP (throws while in cooldown or locked out)
+      const otp = await otpService.issue(user, purpose);
 
       // Send OTP via email or SMS
       if (email) {
-        const emailResult = await emailService.sendOTP(email, otp, user.name);
+        const emailResult = await emailService.sendOTP(email, otp, user.name, templateService.languageOf(user));
         if (!emailResult.success) {
           return res.status(500).json({
             success: false,
@@ -382,31 +473,27 @@ class AuthController {
             error: emailResult.error
           });
         }
-      }
-
-      // For mobile, you would integrate with SMS service
-      // For now, we'll return the OTP in development
-      console.log('NODE_ENV:', process.env.NODE_ENV);
-      if (mobile || aadhaarNumber) {
-        console.log('Returning OTP in development mode:', otp);
-        return res.json({
-          success: true,
-          message: 'OTP sent successfully',
-          data: {
-            otp: otp, // Always return OTP for mobile in development
-            expiresIn: '5 minutes'
-          }
-        });
+      } else {
+        const smsResult = await smsService.sendOTP(smsTo, otp, templateService.languageOf(user));
+        if (!smsResult.success) {
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to send OTP SMS',
+            error: smsResult.error
+          });
+        }
       }
 
       res.json({
         success: true,
         message: 'OTP sent successfully',
         data: {
-          expiresIn: '5 minutes'
+          expiresIn: '5 minutes',
+          ...(ECHO_OTP ? { otp } : {})
         }
       });
     } catch (error) {
+      if (error.statusCode) return sendOtpError(res, error);
       console.error('Send OTP error:', error);
       res.status(500).json({
         success: false,
@@ -419,9 +506,7 @@ class AuthController {
   // Verify OTP
   async verifyOTP(req, res) {
     try {
-      const { aadhaarNumber, mobile, email, otp } = req.body;
-      
-      console.log('Verify OTP request:', { aadhaarNumber, mobile, email, otp: otp, otpType: typeof otp });
+      const { aadhaarNumber, mobile, email, otp, purpose = 'login' } = req.body;
 
       if (!aadhaarNumber && !mobile && !email) {
         return res.status(400).json({
@@ -434,48 +519,35 @@ class AuthController {
       
       if (aadhaarNumber) {
         user = await User.findOne({ aadhaarNumber });
-        console.log('User found by aadhaarNumber:', user ? 'Yes' : 'No');
       } else if (mobile) {
         user = await User.findOne({ mobile });
-        console.log('User found by mobile:', user ? 'Yes' : 'No');
       } else {
         user = await User.findOne({ email });
-        console.log('User found by email:', user ? 'Yes' : 'No');
       }
 
       if (!user) {
-        console.log('User not found for:', mobile || email);
         return res.status(404).json({
           success: false,
           message: 'User not found'
         });
       }
 
-      console.log('User OTP data:', { 
-        hasOtp: !!user.otp, 
-        otpCode: user.otp?.code ? '***' : 'undefined',
-        otpExpires: user.otp?.expiresAt 
-      });
+      // Consumes the OTP; wrong codes count towards the lockout
+      await otpService.verify(user, otp, purpose);
 
-      // Verify OTP
-      const isOTPValid = user.verifyOTP(otp);
-      console.log('OTP verification result:', isOTPValid);
-      
-      if (!isOTPValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired OTP'
-        });
-      }
-
-      // Clear OTP
-      user.otp = undefined;
       user.isVerified = true;
       await user.save();
 
+      // The OTP stands in for the password only; two-factor still applies
+      if (User.ADMIN_ROLES.includes(user.role)) {
+        return refuseAdmin(res);
+      }
+      if (user.twoFactor.enabled) {
+        return sendTwoFactorChallenge(res, user, 'user');
+      }
+
       // Generate tokens
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+      const { token, refreshToken } = await sessionService.startSession(user._id, req);
 
       res.json({
         success: true,
@@ -487,6 +559,7 @@ class AuthController {
         }
       });
     } catch (error) {
+      if (error.statusCode) return sendOtpError(res, error);
       console.error('Verify OTP error:', error);
       res.status(500).json({
         success: false,
@@ -496,6 +569,89 @@ class AuthController {
     }
   }
 
+  // Send an OTP to a new mobile number before it replaces the current one
+  async sendPhoneChangeOTP(req, res) {
+    try {
+      const { mobile } = req.body;
+      const user = await User.findById(req.user._id);
+
+      if (user.mobile === mobile) {
+        return res.status(400).json({
+          success: false,
+          message: 'This is already your mobile number'
+        });
+      }
+      if (await User.exists({ mobile, _id: { $ne: user._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'This mobile number is already registered'
+        });
+      }
+
+      const otp = await otpService.issue(user, 'phone-change', { target: mobile });
+      const smsResult = await smsService.sendOTP(mobile, otp, templateService.languageOf(user));
+      if (!smsResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send OTP SMS',
+          error: smsResult.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'OTP sent to the new number',
+        data: {
+          expiresIn: '5 minutes',
+          ...(ECHO_OTP ? { otp } : {})
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) return sendOtpError(res, error);
+      console.error('Send phone change OTP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error sending OTP',
+        error: error.message
+      });
+    }
+  }
+
+  // Switch to the new mobile number once its OTP is confirmed
+  async verifyPhoneChange(req, res) {
+    try {
+      const { mobile, otp } = req.body;
+      const user = await User.findById(req.user._id);
+
+      await otpService.verify(user, otp, 'phone-change', { target: mobile });
+
+      user.mobile = mobile;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Mobile number updated successfully',
+        data: {
+          user: user.getProfile()
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) return sendOtpError(res, error);
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This mobile number is already registered'
+        });
+      }
+      console.error('Verify phone change error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error updating mobile number',
+        error: error.message
+      });
+    }
+  }
+
   // Guest login
   async guestLogin(req, res) {
     try {
@@ -508,8 +664,7 @@ class AuthController {
       await guestUser.save();
 
       // Generate tokens
-      const token = generateToken(guestUser._id);
-      const refreshToken = generateRefreshToken(guestUser._id);
+      const { token, refreshToken } = await sessionService.startSession(guestUser._id, req);
 
       res.json({
         success: true,
@@ -530,7 +685,7 @@ class AuthController {
     }
   }
 
-  // Refresh token
+  // Refresh token (rotates: the old refresh token cannot be used again)
   async refreshToken(req, res) {
     try {
       const { refreshToken } = req.body;
@@ -542,34 +697,24 @@ class AuthController {
         });
       }
 
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      const user = await User.findById(decoded.id);
-
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid refresh token'
-        });
-      }
-
-      // Generate new tokens
-      const newToken = generateToken(user._id);
-      const newRefreshToken = generateRefreshToken(user._id);
+      const { token, refreshToken: newRefreshToken } = await sessionService.rotate(refreshToken, req);
 
       res.json({
         success: true,
         message: 'Token refreshed successfully',
         data: {
-          token: newToken,
+          token,
           refreshToken: newRefreshToken
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Refresh token error:', error);
-      res.status(401).json({
+      res.status(500).json({
         success: false,
-        message: 'Invalid refresh token',
+        message: 'Server error refreshing token',
         error: error.message
       });
     }
@@ -581,7 +726,9 @@ class AuthController {
       res.json({
         success: true,
         data: {
-          user: req.user.getProfile()
+          user: req.user.getProfile(),
+          // What the clients may show; enforced again on every request
+          permissions: req.user.permissions || []
         }
       });
     } catch (error) {
@@ -611,34 +758,44 @@ class AuthController {
       // Update fields
       if (name) user.name = name;
       if (email) user.email = email;
-      if (mobile) user.mobile = mobile;
+      // A new number has to be confirmed by OTP first
+      if (mobile && mobile !== user.mobile) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use /auth/phone/send-otp and /auth/phone/verify to change your mobile number'
+        });
+      }
       if (address) user.address = address;
-      if (preferences) user.preferences = { ...user.preferences, ...preferences };
+      if (preferences?.language) user.set('preferences.language', preferences.language);
 
       await user.save();
+      // Notification preferences are validated and merged like PUT /notifications/preferences
+      if (preferences?.notifications) {
+        await preferenceService.update(userId, preferences.notifications);
+      }
+      const updated = preferences?.notifications ? await User.findById(userId) : user;
 
       res.json({
         success: true,
         message: 'Profile updated successfully',
         data: {
-          user: user.getProfile()
+          user: updated.getProfile()
         }
       });
     } catch (error) {
       console.error('Update profile error:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Server error updating profile',
+        message: error.statusCode ? error.message : 'Server error updating profile',
         error: error.message
       });
     }
   }
 
-  // Logout (invalidate token)
+  // Logout (revokes this device's session)
   async logout(req, res) {
     try {
-      // In a more sophisticated setup, you would blacklist the token
-      // For now, we'll just return success
+      await sessionService.revoke(req.user._id, req.sessionId, 'logout');
       res.json({
         success: true,
         message: 'Logout successful'
@@ -653,51 +810,111 @@ class AuthController {
     }
   }
 
-  // Admin login
-  async adminLogin(req, res) {
+  // Change (or set a first) password; signs out every other device
+  async changePassword(req, res) {
     try {
-      const { username, password } = req.body;
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findById(req.user._id).select('+password');
 
-      // Get admin credentials from environment or use defaults for local development
-      const adminUsername = process.env.ADMIN_USERNAME || 'admin';
-      const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
-
-      // Simple admin authentication (in production, use proper admin management)
-      if (username === adminUsername && password === adminPassword) {
-        // Find or create admin user
-        let adminUser = await User.findOne({ role: 'admin' });
-        
-        if (!adminUser) {
-          adminUser = new User({
-            name: 'Admin User',
-            email: process.env.ADMIN_EMAIL || 'admin@civicconnect.com',
-            role: 'admin',
-            isVerified: true,
-            isActive: true
-          });
-          await adminUser.save();
-        }
+      if (user.password && !(await user.comparePassword(currentPassword || ''))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
 
-        // Generate tokens
-        const token = generateToken(adminUser._id);
-        const refreshToken = generateRefreshToken(adminUser._id);
+      user.password = newPassword;
+      user.mustChangePassword = false;
+      await user.save();
+      const revoked = await sessionService.revokeAll(user._id, 'password-change', { except: req.sessionId });
+      if (User.ADMIN_ROLES.includes(user.role)) {
+        await auditService.record({ actor: user, action: 'admin.password-change' }, req);
+      }
 
-        res.json({
-          success: true,
-          message: 'Admin login successful',
-          data: {
-            user: adminUser.getProfile(),
-            token,
-            refreshToken
-          }
-        });
-      } else {
-        res.status(401).json({
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        data: { sessionsRevoked: revoked }
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error changing password',
+        error: error.message
+      });
+    }
+  }
+
+  // Devices the user is signed in on
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listActive(req.user._id, req.sessionId);
+      res.json({ success: true, data: { sessions } });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting sessions',
+        error: error.message
+      });
+    }
+  }
+
+  // Sign out one device
+  async revokeSession(req, res) {
+    try {
+      await sessionService.revoke(req.user._id, req.params.sessionId);
+      res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error revoking session',
+        error: error.message
+      });
+    }
+  }
+
+  // Sign out every device except this one
+  async revokeOtherSessions(req, res) {
+    try {
+      const revoked = await sessionService.revokeAll(req.user._id, 'revoked-by-user', { except: req.sessionId });
+      res.json({
+        success: true,
+        message: `Signed out of ${revoked} other session(s)`,
+        data: { sessionsRevoked: revoked }
+      });
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error revoking sessions',
+        error: error.message
+      });
+    }
+  }
+
+  // Admin login (username and password of an admin account; see adminAccountService)
+  async adminLogin(req, res) {
+    try {
+      const { username, password } = req.body;
+      const adminUser = await adminAccountService.authenticate(username, password, req);
+
+      if (adminUser.twoFactor.enabled) {
+        return sendTwoFactorChallenge(res, adminUser, 'admin');
+      }
+      await completeAdminLogin(req, res, adminUser);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Invalid admin credentials'
+          message: error.message
         });
       }
-    } catch (error) {
       console.error('Admin login error:', error);
       res.status(500).json({
         success: false,
@@ -737,9 +954,8 @@ class AuthController {
         user = await User.findOne({ _id: demo._id }).select('+password');
       }
 
-      // Check if user is an employee (field-staff, supervisor, commissioner, or legacy 'employee')
-      const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-      if (!user || !employeeRoles.includes(user.role)) {
+      // Check if user is an employee (field-staff, supervisor, commissioner, legacy 'employee' or a custom employee role)
+      if (!user || !roleService.isEmployeeRole(user.role)) {
         return res.status(401).json({ 
           success: false, 
           message: 'Invalid employee credentials' 
@@ -758,25 +974,48 @@ class AuthController {
         return res.status(401).json({ success: false, message: 'Invalid credentials' });
       }
 
-      user.lastLogin = new Date();
-      user.loginCount = (user.loginCount || 0) + 1;
-      await user.save();
+      if (user.twoFactor.enabled) {
+        return sendTwoFactorChallenge(res, user, 'employee');
+      }
+      await completeEmployeeLogin(req, res, user);
+    } catch (error) {
+      console.error('Employee login error:', error);
+      res.status(500).json({ success: false, message: 'Server error during employee login', error: error.message });
+    }
+  }
 
-      const token = generateToken(user._id);
-      const refreshToken = generateRefreshToken(user._id);
+  // Second step of a login with two-factor on: the authenticator (or a recovery) code
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const { user, kind } = await twoFactorService.resolveChallenge(challengeToken);
 
-      res.json({
-        success: true,
-        message: `Welcome, Employee ID: ${user.employeeId}`,
-        data: {
-          user: user.getProfile(),
-          token,
-          refreshToken
+      try {
+        await twoFactorService.verify(user, { code, recoveryCode });
+      } catch (error) {
+        if (kind === 'admin') {
+          await auditService.record({ actor: user, action: 'admin.login-failed', details: { reason: 'two-factor' } }, req);
         }
-      });
+        throw error;
+      }
+
+      if (kind === 'admin') {
+        await completeAdminLogin(req, res, user);
+      } else if (kind === 'employee') {
+        await completeEmployeeLogin(req, res, user);
+      } else {
+        await completeUserLogin(req, res, user);
+      }
     } catch (error) {
-      console.error('Employee login error:', error);
-      res.status(500).json({ success: false, message: 'Server error during employee login', error: error.message });
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during two-factor login',
+        error: error.message
+      });
     }
   }
 }
@@ -0,0 +1,263 @@
+const WorkingCalendar = require('../models/WorkingCalendar');
+const Holiday = require('../models/Holiday');
+const Issue = require('../models/Issue');
+const calendarService = require('../services/calendarService');
+const slaService = require('../services/slaService');
+
+class CalendarController {
+  // List working calendars (office hours per department)
+  async getCalendars(req, res) {
+    try {
+      const calendars = await WorkingCalendar.find({})
+        .populate('updatedBy', 'name email')
+        .sort({ department: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          calendars,
+          defaultCalendar: calendarService.DEFAULT_CALENDAR
+        }
+      });
+    } catch (error) {
+      console.error('Get calendars error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting working calendars',
+        error: error.message
+      });
+    }
+  }
+
+  // Create or replace the working calendar for a department
+  async upsertCalendar(req, res) {
+    try {
+      const { department } = req.params;
+      const { timezone, weeklyHours, businessHoursPriorities } = req.body;
+
+      let calendar = await WorkingCalendar.findOne({ department });
+      if (!calendar) {
+        calendar = new WorkingCalendar({ department });
+      }
+
+      if (timezone !== undefined) calendar.timezone = timezone;
+      if (weeklyHours !== undefined) calendar.weeklyHours = weeklyHours;
+      if (businessHoursPriorities !== undefined) calendar.businessHoursPriorities = businessHoursPriorities;
+      calendar.updatedBy = req.user._id;
+
+      await calendar.save();
+      calendarService.clearCache();
+
+      res.json({
+        success: true,
+        message: 'Working calendar saved successfully',
+        data: { calendar }
+      });
+    } catch (error) {
+      console.error('Save calendar error:', error);
+
+      if (error.name === 'ValidationError') {
+        const validationErrors = Object.values(error.errors || {}).map(err => err.message).join(', ');
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${validationErrors}`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error saving working calendar',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a department calendar (department falls back to the default calendar)
+  async deleteCalendar(req, res) {
+    try {
+      const result = await WorkingCalendar.deleteOne({ department: req.params.department });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Working calendar not found'
+        });
+      }
+
+      calendarService.clearCache();
+
+      res.json({
+        success: true,
+        message: 'Working calendar removed successfully'
+      });
+    } catch (error) {
+      console.error('Delete calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error removing working calendar',
+        error: error.message
+      });
+    }
+  }
+
+  // List holidays
+  async getHolidays(req, res) {
+    try {
+      const { year, department } = req.query;
+
+      const filter = { isActive: true };
+      if (year) {
+        filter.$or = [
+          { date: { $regex: `^${parseInt(year)}-` } },
+          { recurring: true }
+        ];
+      }
+
+      let holidays = await Holiday.find(filter).sort({ date: 1 });
+      if (department) {
+        holidays = holidays.filter(holiday =>
+          holiday.departments.length === 0 || holiday.departments.includes(department)
+        );
+      }
+
+      res.json({
+        success: true,
+        data: { holidays }
+      });
+    } catch (error) {
+      console.error('Get holidays error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting holidays',
+        error: error.message
+      });
+    }
+  }
+
+  // Add a holiday
+  async createHoliday(req, res) {
+    try {
+      const { name, date, recurring = false, departments = [] } = req.body;
+
+      const holiday = new Holiday({
+        name,
+        date,
+        recurring,
+        departments,
+        createdBy: req.user._id
+      });
+      await holiday.save();
+      calendarService.clearCache();
+
+      res.status(201).json({
+        success: true,
+        message: 'Holiday added successfully',
+        data: { holiday }
+      });
+    } catch (error) {
+      console.error('Create holiday error:', error);
+
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const validationErrors = error.errors
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : error.message;
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${validationErrors}`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error adding holiday',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a holiday
+  async deleteHoliday(req, res) {
+    try {
+      const holiday = await Holiday.findById(req.params.id);
+      if (!holiday || !holiday.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+
+      holiday.isActive = false;
+      await holiday.save();
+      calendarService.clearCache();
+
+      res.json({
+        success: true,
+        message: 'Holiday removed successfully'
+      });
+    } catch (error) {
+      console.error('Delete holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error removing holiday',
+        error: error.message
+      });
+    }
+  }
+
+  // Explain how a number of SLA hours from a start time maps onto the calendar
+  async explainDeadline(req, res) {
+    try {
+      const { start, hours, department, priority = 'medium' } = req.query;
+      const startAt = start ? new Date(start) : new Date();
+
+      if (isNaN(startAt.getTime()) || !(parseFloat(hours) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid start date and positive hours are required'
+        });
+      }
+
+      const explanation = await calendarService.explain(startAt, parseFloat(hours), { department, priority });
+
+      res.json({
+        success: true,
+        data: { explanation }
+      });
+    } catch (error) {
+      console.error('Explain deadline error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error explaining deadline',
+        error: error.message
+      });
+    }
+  }
+
+  // Explain an issue's current escalation deadline (SLA policy + office hours + holidays)
+  async explainIssueDeadline(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id);
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      const explanation = await slaService.explainDeadline(issue);
+
+      res.json({
+        success: true,
+        data: { explanation }
+      });
+    } catch (error) {
+      console.error('Explain issue deadline error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error explaining issue deadline',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CalendarController();
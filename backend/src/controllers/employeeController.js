@@ -1,6 +1,8 @@
 const Issue = require('../models/Issue');
 const User = require('../models/User');
-const notificationService = require('../services/notificationService');
+const workflowService = require('../services/workflowService');
+const zoneService = require('../services/zoneService');
+const roleService = require('../services/roleService');
 
 class EmployeeController {
   async listAssignedIssues(req, res) {
@@ -9,12 +11,13 @@ class EmployeeController {
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const user = req.user;
-      const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
+      // Custom employee roles see what field staff see
+      const level = roleService.levelOf(user.role);
       
       // Build filter based on role
       const filter = {};
 
-      if (employeeRoles.includes(user.role)) {
+      if (roleService.isEmployeeRole(user.role)) {
         // Get user's departments
         const userDepartments = user.departments && user.departments.length > 0 
           ? user.departments 
@@ -23,12 +26,14 @@ class EmployeeController {
         const hasAllDepartments = userDepartments.includes('All');
         
         // Field Staff: ONLY see issues where assignedRole is 'field-staff'
-        if (user.role === 'field-staff' || user.role === 'employee') {
+        if (level === 'field-staff') {
           // Show issues that are:
           // 1. Assigned specifically to this user, OR
           // 2. Assigned to field-staff role (assignedRole = 'field-staff') and match user's department
           const baseCondition = {
             assignedRole: 'field-staff',
+            // Only the pool for the zones this employee covers (all zones when none are set)
+            ...zoneService.coverageFilter(user),
             $or: [
               { assignedTo: null },
               { assignedTo: { $exists: false } }
@@ -46,12 +51,13 @@ class EmployeeController {
           ];
         }
         // Supervisor: ONLY see issues where assignedRole is 'supervisor' (escalated to supervisor level)
-        else if (user.role === 'supervisor') {
+        else if (level === 'supervisor') {
           // Show issues that are:
           // 1. Assigned specifically to this user, OR
           // 2. Assigned to supervisor role (assignedRole = 'supervisor') and match user's department
           const baseCondition = {
             assignedRole: 'supervisor',
+            ...zoneService.coverageFilter(user),
             $or: [
               { assignedTo: null },
               { assignedTo: { $exists: false } }
@@ -69,10 +75,11 @@ class EmployeeController {
           ];
         }
         // Commissioner: See only issues assigned to commissioner level
-        else if (user.role === 'commissioner') {
+        else if (level === 'commissioner') {
           // COMMISSIONERS: ONLY see issues that are assigned to commissioner level
           const baseCondition = {
             assignedRole: 'commissioner',
+            ...zoneService.coverageFilter(user),
             $or: [
               { assignedTo: null },
               { assignedTo: { $exists: false } }
@@ -187,15 +194,6 @@ class EmployeeController {
       const { id } = req.params;
       const user = req.user;
 
-      // Verify user is an employee
-      const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-      if (!employeeRoles.includes(user.role)) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only employees can accept issues'
-        });
-      }
-
       // Check if issue exists
       const issue = await Issue.findById(id);
       if (!issue) {
@@ -205,78 +203,8 @@ class EmployeeController {
         });
       }
 
-      // If issue is assigned to a specific employee (not department), only that employee can accept
-      if (issue.assignedTo && issue.assignedTo.toString() !== user._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'This issue is assigned to another employee. Only the assigned employee can accept it.'
-        });
-      }
-
-      // Atomic update: only accept if status is 'reported' or 'assigned' and not already accepted
-      // Note: 'in-progress' status should not be accepted (only 'reported' and 'assigned' can be accepted)
-      const result = await Issue.updateOne(
-        {
-          _id: id,
-          status: { $in: ['reported', 'assigned'] },
-          acceptedBy: null, // Ensure it's not already accepted
-          $or: [
-            { assignedTo: null }, // Department-assigned (assignedRole exists but assignedTo is null)
-            { assignedTo: user._id } // Specifically assigned to this user
-          ]
-        },
-        {
-          $set: {
-            status: 'in-progress', // After acceptance, status becomes 'in-progress'
-            acceptedBy: user._id,
-            acceptedAt: new Date(),
-            // If not already assigned, assign to this employee
-            assignedTo: user._id,
-            assignedBy: issue.assignedBy || user._id,
-            assignedAt: issue.assignedAt || new Date()
-          }
-        }
-      );
-
-      if (result.matchedCount === 0) {
-        // Re-fetch to check current state
-        const currentIssue = await Issue.findById(id);
-        if (!currentIssue) {
-          return res.status(404).json({
-            success: false,
-            message: 'Issue not found'
-          });
-        }
-
-        // Check if already accepted
-        if (currentIssue.acceptedBy) {
-          return res.status(400).json({
-            success: false,
-            message: 'This issue has already been accepted by another employee.'
-          });
-        }
-
-        // Check if status doesn't allow acceptance
-        if (!['reported', 'assigned'].includes(currentIssue.status)) {
-          return res.status(400).json({
-            success: false,
-            message: `This issue cannot be accepted. Current status: ${currentIssue.status}. Only 'reported' or 'assigned' issues can be accepted.`
-          });
-        }
-        
-        // Check if assigned to someone else
-        if (currentIssue.assignedTo && currentIssue.assignedTo.toString() !== user._id.toString()) {
-          return res.status(403).json({
-            success: false,
-            message: 'This issue is assigned to another employee. Only the assigned employee can accept it.'
-          });
-        }
-
-        return res.status(400).json({
-          success: false,
-          message: 'Unable to accept issue. Please try again.'
-        });
-      }
+      // Workflow checks role, status and assignment, then accepts atomically
+      await workflowService.accept(issue, user);
 
       // Fetch the updated issue
       const updatedIssue = await Issue.findById(id)
@@ -289,6 +217,9 @@ class EmployeeController {
         data: { issue: updatedIssue }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Accept issue error:', error);
       res.status(500).json({
         success: false,
@@ -308,27 +239,8 @@ class EmployeeController {
         return res.status(404).json({ success: false, message: 'Issue not found' });
       }
 
-      // STRICT AUTHORIZATION: ONLY the employee who accepted the issue can resolve it
-      const user = req.user;
-      const isAcceptedByUser = issue.acceptedBy?.toString() === user._id.toString();
-      const isAdmin = user.role === 'admin';
-      
-      // If issue is accepted, ONLY the accepting employee can resolve it (or admin)
-      if (issue.acceptedBy) {
-        if (!isAdmin && !isAcceptedByUser) {
-          return res.status(403).json({ 
-            success: false, 
-            message: 'Only the employee who accepted this issue can resolve it.' 
-          });
-        }
-      } else {
-        // If not accepted yet, issue must be accepted first
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Issue must be accepted before it can be resolved.' 
-        });
-      }
-
+      // Only the employee who accepted the in-progress issue (or an admin) can resolve it
+      workflowService.check(issue, 'resolve', req.user);
 
       // Attach resolved photo if provided via upload middleware
       if (req.file) {
@@ -376,50 +288,8 @@ class EmployeeController {
         };
       }
 
-      const oldStatus = issue.status;
-      
-      // If transitioning to resolved, award points and update status (keep issue visible)
-      if (oldStatus !== 'resolved') {
-        // Award points first
-        if (issue.reportedBy && !issue.pointsAwarded) {
-          try {
-            const User = require('../models/User');
-            const reporter = await User.findById(issue.reportedBy);
-            if (reporter) {
-              const currentPoints = reporter.points || 0;
-              reporter.points = currentPoints + 10;
-              await reporter.save();
-              issue.pointsAwarded = true;
-              console.log(`Awarded +10 points to user ${reporter._id} for resolved issue ${issue._id}. New total: ${reporter.points}`);
-            }
-          } catch (pointsError) {
-            console.error('Error awarding points:', pointsError);
-            return res.status(500).json({
-              success: false,
-              message: 'Failed to award points',
-              error: pointsError.message
-            });
-          }
-        }
-      }
-      
-      // Only in-progress issues can be resolved (after employee accepts)
-      if (issue.status !== 'in-progress') {
-        return res.status(400).json({
-          success: false,
-          message: `Issue must be in-progress before resolution. Current status: ${issue.status}`
-        });
-      }
-
-      // Update issue status to resolved and save (do NOT delete - keep visible for citizen)
-      issue.resolvedAt = new Date();
-      issue.status = 'resolved';
-      issue.resolved = issue.resolved || {};
-      issue.resolved.resolvedBy = req.user._id;
-      if (issue.createdAt) {
-        issue.actualResolutionTime = Math.floor((issue.resolvedAt - issue.createdAt) / (1000 * 60 * 60 * 24));
-      }
-
+      // Status, resolution fields and history (do NOT delete - keep visible for citizen)
+      const { fromStatus } = workflowService.apply(issue, 'resolve', req.user);
       await issue.save();
 
       // Remove issue from ML dataset when resolved
@@ -490,10 +360,14 @@ class EmployeeController {
         console.warn(`[RESOLVE] ML_API_URL not configured. Cannot remove issue from ML dataset.`);
       }
 
-      await notificationService.notifyIssueResolved(issue, req.user);
+      // Points for the reporter and notifications
+      await workflowService.afterTransition(issue, 'resolve', req.user, fromStatus);
 
       return res.json({ success: true, message: 'Issue resolved', data: { issue } });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       console.error('Resolve issue error:', error);
       res.status(500).json({ success: false, message: 'Server error', error: error.message });
     }
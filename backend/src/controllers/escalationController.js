@@ -0,0 +1,169 @@
+const Issue = require('../models/Issue');
+const escalationService = require('../services/escalationService');
+const workflowService = require('../services/workflowService');
+const roleService = require('../services/roleService');
+
+const { OPEN_STATUSES } = workflowService;
+
+// Escalation ladder, lowest level first
+const ROLE_LEVELS = ['field-staff', 'supervisor', 'commissioner'];
+
+const roleLevel = (role) => ROLE_LEVELS.indexOf(role === 'employee' ? 'field-staff' : role);
+
+class EscalationController {
+  // Get the merged status/escalation timeline of an issue
+  async getTimeline(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id).select('category');
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      if (!workflowService.canAccessIssue(req.user, issue)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This issue is outside your departments'
+        });
+      }
+
+      const timeline = await escalationService.getEscalationTimeline(req.params.id);
+
+      res.json({
+        success: true,
+        data: { timeline }
+      });
+    } catch (error) {
+      console.error('Get escalation timeline error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting escalation timeline',
+        error: error.message
+      });
+    }
+  }
+
+  // Manually escalate an issue to a higher level
+  async escalate(req, res) {
+    try {
+      const { toRole, reason } = req.body;
+      const user = req.user;
+
+      const issue = await Issue.findById(req.params.id);
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      if (!OPEN_STATUSES.includes(issue.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only open issues can be escalated. Current status: ${issue.status}`
+        });
+      }
+
+      const currentLevel = roleLevel(issue.assignedRole || 'field-staff');
+      const targetRole = toRole || ROLE_LEVELS[currentLevel + 1];
+      if (!targetRole || roleLevel(targetRole) <= currentLevel) {
+        return res.status(400).json({
+          success: false,
+          message: `Issue is at ${issue.assignedRole || 'field-staff'} level and cannot be escalated to ${targetRole || 'a higher level'}`
+        });
+      }
+
+      if (!roleService.can(user, 'issue.manage')) {
+        // Employees escalate issues at their own level or below, within their departments
+        if (!workflowService.canAccessIssue(user, issue) || roleLevel(user.role) < currentLevel) {
+          return res.status(403).json({
+            success: false,
+            message: 'You are not allowed to escalate this issue'
+          });
+        }
+      }
+
+      const result = await escalationService.manualEscalate(issue._id, targetRole, user, reason);
+
+      res.json({
+        success: true,
+        message: `Issue escalated to ${targetRole}`,
+        data: result
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Manual escalation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error escalating issue',
+        error: error.message
+      });
+    }
+  }
+
+  // Manually send an issue back to a lower level
+  async deEscalate(req, res) {
+    try {
+      const { toRole, reason } = req.body;
+      const user = req.user;
+
+      const issue = await Issue.findById(req.params.id);
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      if (!OPEN_STATUSES.includes(issue.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only open issues can be de-escalated. Current status: ${issue.status}`
+        });
+      }
+
+      const currentLevel = roleLevel(issue.assignedRole);
+      const targetRole = toRole || ROLE_LEVELS[currentLevel - 1];
+      if (currentLevel <= 0 || !targetRole || roleLevel(targetRole) >= currentLevel) {
+        return res.status(400).json({
+          success: false,
+          message: `Issue is at ${issue.assignedRole || 'field-staff'} level and cannot be de-escalated to ${targetRole || 'a lower level'}`
+        });
+      }
+
+      if (!roleService.can(user, 'issue.manage')) {
+        // Employees can only hand work down to a level below their own
+        if (!workflowService.canAccessIssue(user, issue) || roleLevel(user.role) < currentLevel) {
+          return res.status(403).json({
+            success: false,
+            message: 'You are not allowed to de-escalate this issue'
+          });
+        }
+      }
+
+      const result = await escalationService.manualDeEscalate(issue._id, targetRole, user, reason);
+
+      res.json({
+        success: true,
+        message: `Issue sent back to ${targetRole}`,
+        data: result
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Manual de-escalation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error de-escalating issue',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new EscalationController();
@@ -2,8 +2,28 @@ const Issue = require('../models/Issue');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
 const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const workflowService = require('../services/workflowService');
+const escalationService = require('../services/escalationService');
+const archiveService = require('../services/archiveService');
+const similarityService = require('../services/similarityService');
+const assignmentService = require('../services/assignmentService');
+const zoneService = require('../services/zoneService');
+const teamService = require('../services/teamService');
+const roleService = require('../services/roleService');
 const { v4: uuidv4 } = require('uuid');
 
+// Fields the reporter (or an issue manager) may change with PUT /issues/:id; assignment, SLA,
+// history and resolution fields only change through the workflow and assignment services
+const EDITABLE_FIELDS = ['title', 'description', 'location', 'tags', 'images', 'isAnonymous'];
+
+// Merged duplicates are read-only links to the canonical issue
+const rejectMerged = (res, issue) => res.status(409).json({
+  success: false,
+  message: 'This issue was merged into another issue and is read-only',
+  data: { mergedInto: issue.mergedInto }
+});
+
 class IssueController {
 
   // ===============================
@@ -17,6 +37,7 @@ class IssueController {
         priority,
         assignedTo,
         reportedBy,
+        zone,
         sortBy = 'createdAt',
         sortOrder = 'desc',
         page = 1,
@@ -32,10 +53,11 @@ class IssueController {
       // Role-based filtering
       const user = req.user;
       if (user) {
-        const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-        if (employeeRoles.includes(user.role)) {
+        // Built-in levels and custom employee roles (which work at field level)
+        if (roleService.isEmployeeRole(user.role)) {
+          const level = roleService.levelOf(user.role);
           // Field Staff: Only see complaints assigned to them in their department
-          if (user.role === 'field-staff' || user.role === 'employee') {
+          if (level === 'field-staff') {
             filter.assignedTo = user._id;
             // Filter by department
             const userDepartments = user.departments && user.departments.length > 0 
@@ -46,13 +68,17 @@ class IssueController {
               filter.category = { $in: userDepartments };
             }
           }
-          // Supervisor: See complaints assigned to them + escalated from field-staff
-          else if (user.role === 'supervisor') {
+          // Supervisor: See complaints assigned to them or their team + escalated from field-staff
+          else if (level === 'supervisor') {
+            const team = await teamService.getTeamMembers(user._id);
             filter.$or = [
               { assignedTo: user._id },
+              // Issues their own staff are working on, whatever the department
+              { assignedTo: { $in: team.map(member => member._id) } },
               { 
                 assignedRole: 'field-staff',
                 status: 'escalated',
+                ...zoneService.coverageFilter(user),
                 category: { 
                   $in: user.departments && user.departments.length > 0 
                     ? (user.departments.includes('All') ? [] : user.departments)
@@ -80,8 +106,9 @@ class IssueController {
             }
           }
           // Commissioner: See ALL complaints from ALL departments
-          else if (user.role === 'commissioner') {
-            // No additional filtering - can see everything
+          else if (level === 'commissioner') {
+            // No department filtering - only limited to their zones, if they have any
+            Object.assign(filter, zoneService.coverageFilter(user));
           }
         }
       }
@@ -91,6 +118,9 @@ class IssueController {
       if (priority) filter.priority = priority;
       if (assignedTo && !filter.assignedTo) filter.assignedTo = assignedTo;
       if (reportedBy) filter.reportedBy = reportedBy;
+      if (zone) filter.$and = [{ zones: zone }];
+      // Merged duplicates only show up in the reporter's own list
+      if (!reportedBy) filter.mergedInto = null;
 
       if (search) {
         filter.$or = [
@@ -229,41 +259,107 @@ class IssueController {
         });
       }
 
-      // Only the reporter can close their own resolved issue
-      if (issue.reportedBy.toString() !== req.user._id.toString()) {
-        return res.status(403).json({
+      // Only the reporter can close their own resolved issue (checked by the workflow)
+      await workflowService.transition(issue, 'close', req.user);
+      console.log(`Issue ${issue._id} closed by citizen ${req.user._id}`);
+
+      // Closed issues are kept so the history and employee metrics stay intact
+      return res.json({
+        success: true,
+        message: 'Issue closed successfully',
+        data: { issue }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Only the reporter can close this issue'
+          message: error.message
         });
       }
+      console.error('Close issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error closing issue',
+        error: error.message
+      });
+    }
+  }
 
-      // Only resolved issues can be closed
-      if (issue.status !== 'resolved') {
-        return res.status(400).json({
+  // ===============================
+  // REOPEN ISSUE (Citizen rejects the resolution)
+  // ===============================
+  async reopenIssue(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const issue = await Issue.findById(id);
+      if (!issue) {
+        return res.status(404).json({
           success: false,
-          message: 'Only resolved issues can be closed'
+          message: 'Issue not found'
         });
       }
 
-      // Update status to closed and set closedAt timestamp
-      issue.status = 'closed';
-      issue.closedAt = new Date();
+      // Optional photo showing the problem is still there
+      let photo = null;
+      if (req.file) {
+        const baseUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+        photo = {
+          url: process.env.CLOUDINARY_CLOUD_NAME
+            ? req.file.cloudinaryUrl
+            : `${baseUrl}/uploads/${req.file.filename}`,
+          publicId: req.file.publicId || req.file.filename
+        };
+      }
+
+      // Reporter only, within the reopen window; records the rejected resolution
+      const { fromStatus } = workflowService.apply(issue, 'reopen', req.user, { reason, photo });
+
+      // Restart the SLA clock at the current level
+      if (issue.priority) {
+        await issue.setEscalationDeadline(issue.assignedRole || 'field-staff');
+      }
       await issue.save();
+      await workflowService.afterTransition(issue, 'reopen', req.user, fromStatus);
+
+      // Back to the employee who accepted it, or up a level if they are no longer active
+      const acceptor = issue.acceptedBy ? await User.findById(issue.acceptedBy) : null;
+      const returned = Boolean(acceptor && acceptor.isActive);
+      let escalation = null;
+      if (!returned) {
+        escalation = await escalationService.escalateIssue(issue, 'Reopened: accepting employee no longer active');
+      }
 
-      // Delete the issue after it's been closed
-      await issue.deleteOne();
-      console.log(`Issue ${issue._id} closed and deleted by citizen ${req.user._id}`);
+      // Nobody to escalate to (already at commissioner level, or no one on duty above)
+      const unassigned = !returned && !escalation;
+      if (unassigned) {
+        console.warn(`Reopened issue ${issue._id} has no active employee to take it`);
+      }
 
-      return res.json({
+      let message = 'Issue reopened and returned to the assigned employee';
+      if (escalation) {
+        message = `Issue reopened and escalated to ${escalation.toRole}`;
+      } else if (unassigned) {
+        message = 'Issue reopened, but no active employee is available to take it; an administrator needs to reassign it';
+      }
+
+      res.json({
         success: true,
-        message: 'Issue closed successfully',
-        data: { deleted: true }
+        message,
+        data: { issue, needsReassignment: unassigned }
       });
     } catch (error) {
-      console.error('Close issue error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Reopen issue error:', error);
       res.status(500).json({
         success: false,
-        message: 'Server error closing issue',
+        message: 'Server error reopening issue',
         error: error.message
       });
     }
@@ -281,8 +377,8 @@ class IssueController {
         limit = 20
       } = req.query;
 
-      // Only allow a user to see their own issues, or admins to see anyone's
-      if (req.user.role !== 'admin' && req.user._id.toString() !== userId) {
+      // Only allow a user to see their own issues, or user managers (admins) to see anyone's
+      if (!roleService.can(req.user, 'user.manage') && req.user._id.toString() !== userId) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view these issues'
@@ -327,7 +423,9 @@ class IssueController {
     try {
       const issue = await Issue.findById(req.params.id)
         .populate('reportedBy', 'name email profileImage')
-        .populate('assignedTo', 'name email profileImage');
+        .populate('assignedTo', 'name email profileImage')
+        .populate('mergedInto', 'title status')
+        .populate('duplicates', 'title status reportedBy createdAt');
 
       if (!issue) {
         return res.status(404).json({ success: false, message: 'Issue not found' });
@@ -507,59 +605,27 @@ class IssueController {
         reportId: reportId || null // Store report_id for ML dataset removal
       });
 
+      // Tag with the ward/circle the location falls in (used for routing and employee scoping)
+      try {
+        await zoneService.tagIssue(issue);
+      } catch (zoneError) {
+        console.error('Zone tagging error (non-blocking):', zoneError.message);
+      }
+
       await issue.save();
       await issue.populate('reportedBy', 'name email profileImage');
 
-      // AUTO-ASSIGN TO DEPARTMENT: Automatically assign issue to all employees in the department
+      // AUTO-ASSIGN: the assignment engine picks a field employee (or offers it to the department)
+      // Status stays 'reported' - only employee acceptance changes it to 'in-progress'
       try {
-        const issueCategory = category;
-        
-        // Find all active employees with matching department
-        const employeeRoles = ['field-staff', 'supervisor', 'commissioner', 'employee'];
-        const departmentEmployees = await User.find({
-          role: { $in: employeeRoles },
-          isActive: true,
-          $or: [
-            { departments: { $in: [issueCategory, 'All'] } },
-            { department: { $in: [issueCategory, 'All'] } }
-          ]
-        });
-
-        if (departmentEmployees.length > 0) {
-          // Assign to department (not a specific user) - this allows all employees in department to see it
-          const assignedRole = 'field-staff';
-          
-          // Set assignedRole, but leave assignedTo as null and status MUST remain 'reported'
-          // CRITICAL: Status must stay 'reported' - only employee acceptance can change it to 'in-progress'
-          issue.assignedRole = assignedRole;
-          issue.assignedBy = req.user._id; // Admin or system
-          issue.assignedAt = new Date();
-          // DO NOT change status - keep it as 'reported'
-          issue.status = 'reported'; // Ensure status is 'reported' - employees must accept to change to 'in-progress'
-          
-          // Calculate escalation deadline based on priority and role
-          if (issue.priority) {
-            const deadline = issue.calculateEscalationDeadline(issue.priority, assignedRole);
-            issue.escalationDeadline = deadline;
-          }
-          
-          await issue.save();
-
-          // Notify ONLY field-staff employees (not supervisors or commissioners yet)
-          // Supervisors and commissioners will be notified when issue escalates
-          const fieldStaffOnly = departmentEmployees.filter(emp => 
-            emp.role === 'field-staff' || emp.role === 'employee'
-          );
-          const notificationPromises = fieldStaffOnly.map(emp => 
-            notificationService.notifyIssueAssignment(issue, emp, req.user)
-          );
-          await Promise.all(notificationPromises);
-          
-          console.log(`✅ Issue auto-assigned to field-staff in department "${issueCategory}". ${fieldStaffOnly.length} field-staff notified.`);
+        const decision = await assignmentService.assignIssue(issue, { actor: req.user });
+        if (decision.chosen) {
+          console.log(`✅ Issue auto-assigned to ${decision.chosen.name} (${decision.strategy}): ${decision.reason}`);
+        } else if (decision.broadcastTo.length > 0) {
+          console.log(`✅ Issue offered to field-staff in department "${category}". ${decision.broadcastTo.length} field-staff notified.`);
         } else {
-          // No employees found for this department - issue remains unassigned
-          // Admins can manually assign it later
-          console.log(`⚠️ No active employees found for department "${issueCategory}". Issue will remain unassigned.`);
+          // Admins can assign it manually later
+          console.log(`⚠️ No active employees found for department "${category}". Issue will remain unassigned.`);
         }
       } catch (assignError) {
         // Don't fail issue creation if auto-assignment fails
@@ -567,6 +633,7 @@ class IssueController {
       }
 
       await notificationService.notifyAdminsNewIssue(issue, req.user);
+      realtimeService.issueCreated(issue);
 
       res.status(201).json({
         success: true,
@@ -587,25 +654,39 @@ class IssueController {
       const issue = await Issue.findById(req.params.id);
       if (!issue) return res.status(404).json({ success: false });
 
-      if (req.user.role !== 'admin' &&
+      if (!roleService.can(req.user, 'issue.manage') &&
           issue.reportedBy.toString() !== req.user._id.toString()) {
         return res.status(403).json({ success: false });
       }
 
-      // STRICT RULE: Prevent changing status to 'in-progress' via updateIssue
-      // Only employee acceptance can change status from 'reported' to 'in-progress'
-      if (req.body.status === 'in-progress' && req.user.role !== 'employee') {
-        return res.status(403).json({ 
-          success: false,
-          message: 'Status cannot be set to in-progress via update. Only employees can accept issues to change status to in-progress.'
-        });
+      if (issue.mergedInto) return rejectMerged(res, issue);
+
+      // Status changes go through the workflow (accepting/resolving have their own endpoints);
+      // zones follow the location
+      const { status, reason } = req.body;
+      const updates = Object.fromEntries(
+        EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+      );
+      Object.assign(issue, updates);
+      if (updates.location) {
+        await zoneService.tagIssue(issue);
       }
 
-      Object.assign(issue, req.body);
+      let change = null;
+      if (status && status !== issue.status) {
+        change = workflowService.applyStatus(issue, status, req.user, { reason });
+      }
       await issue.save();
 
+      if (change) {
+        await workflowService.afterTransition(issue, change.action, req.user, change.fromStatus);
+      }
+
       res.json({ success: true, data: { issue } });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
       res.status(500).json({ success: false });
     }
   }
@@ -614,14 +695,89 @@ class IssueController {
   // DELETE ISSUE
   // ===============================
   async deleteIssue(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id).select('reportedBy');
+      if (!issue) {
+        return res.status(404).json({
+          success: false,
+          message: 'Issue not found'
+        });
+      }
+
+      if (!roleService.can(req.user, 'issue.manage') && issue.reportedBy?.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the reporter or an admin can delete this issue'
+        });
+      }
+
+      // Deleted issues go to the archive (with comments and notifications) so admins can restore them
+      await archiveService.archiveIssue(issue._id, { reason: 'deleted', archivedBy: req.user });
+
+      res.json({
+        success: true,
+        message: 'Issue deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error deleting issue',
+        error: error.message
+      });
+    }
+  }
+
+  // ===============================
+  // SIMILAR ISSUES (before reporting)
+  // ===============================
+  async getSimilarIssues(req, res) {
+    try {
+      const { title, description, category, latitude, longitude, radius, limit = 5 } = req.query;
+
+      const matches = await similarityService.findSimilar(
+        { title, description, category, latitude, longitude, radius },
+        { limit: parseInt(limit), userId: req.user?._id }
+      );
+
+      res.json({
+        success: true,
+        data: { matches }
+      });
+    } catch (error) {
+      console.error('Get similar issues error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error finding similar issues',
+        error: error.message
+      });
+    }
+  }
+
+  // Join an existing issue instead of reporting it again: upvote it and follow its progress
+  async joinIssue(req, res) {
     try {
       const issue = await Issue.findById(req.params.id);
-      if (!issue) return res.status(404).json({ success: false });
+      if (!issue) return res.status(404).json({ success: false, message: 'Issue not found' });
+      if (issue.mergedInto) return rejectMerged(res, issue);
 
-      await issue.deleteOne();
-      res.json({ success: true });
+      if (issue.reportedBy?.toString() !== req.user._id.toString()) {
+        await issue.upvote(req.user._id);
+        await Issue.addFollower(issue._id, req.user._id);
+      }
+
+      res.json({
+        success: true,
+        message: 'You will be notified about progress on this issue',
+        data: { issueId: issue._id, upvotes: issue.upvotes }
+      });
     } catch (error) {
-      res.status(500).json({ success: false });
+      console.error('Join issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error joining issue',
+        error: error.message
+      });
     }
   }
 
@@ -631,7 +787,12 @@ class IssueController {
   async upvoteIssue(req, res) {
     try {
       const issue = await Issue.findById(req.params.id);
+      if (!issue) return res.status(404).json({ success: false, message: 'Issue not found' });
+      if (issue.mergedInto) return rejectMerged(res, issue);
+
       await issue.upvote(req.user._id);
+      // Upvoters hear when the issue they support moves
+      await Issue.addFollower(issue._id, req.user._id);
       res.json({ success: true, upvotes: issue.upvotes });
     } catch (error) {
       res.status(500).json({ success: false });
@@ -641,6 +802,9 @@ class IssueController {
   async removeUpvote(req, res) {
     try {
       const issue = await Issue.findById(req.params.id);
+      if (!issue) return res.status(404).json({ success: false, message: 'Issue not found' });
+      if (issue.mergedInto) return rejectMerged(res, issue);
+
       await issue.removeUpvote(req.user._id);
       res.json({ success: true });
     } catch (error) {
@@ -648,6 +812,44 @@ class IssueController {
     }
   }
 
+  // ===============================
+  // FOLLOW ISSUE
+  // ===============================
+  async followIssue(req, res) {
+    try {
+      const issue = await Issue.findById(req.params.id).select('mergedInto reportedBy');
+      if (!issue) return res.status(404).json({ success: false, message: 'Issue not found' });
+      if (issue.mergedInto) return rejectMerged(res, issue);
+
+      if (issue.reportedBy?.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already get updates on issues you reported'
+        });
+      }
+
+      await Issue.addFollower(issue._id, req.user._id);
+      res.json({ success: true, message: 'You are now following this issue', data: { following: true } });
+    } catch (error) {
+      console.error('Follow issue error:', error);
+      res.status(500).json({ success: false, message: 'Server error following issue', error: error.message });
+    }
+  }
+
+  async unfollowIssue(req, res) {
+    try {
+      const result = await Issue.removeFollower(req.params.id, req.user._id);
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ success: false, message: 'Issue not found' });
+      }
+
+      res.json({ success: true, message: 'You have unfollowed this issue', data: { following: false } });
+    } catch (error) {
+      console.error('Unfollow issue error:', error);
+      res.status(500).json({ success: false, message: 'Server error unfollowing issue', error: error.message });
+    }
+  }
+
   // ===============================
   // COMMENTS
   // ===============================
@@ -662,12 +864,20 @@ class IssueController {
 
   async addComment(req, res) {
     try {
+      const issue = await Issue.findById(req.params.id).select('title reportedBy assignedTo mergedInto');
+      if (!issue) return res.status(404).json({ success: false, message: 'Issue not found' });
+      if (issue.mergedInto) return rejectMerged(res, issue);
+
       const comment = new Comment({
         issue: req.params.id,
         author: req.user._id,
         content: req.body.content
       });
       await comment.save();
+      await Issue.addFollower(issue._id, req.user._id);
+
+      realtimeService.commentAdded(issue, comment, req.user);
+      await notificationService.notifyNewComment(issue, comment, req.user);
       res.status(201).json({ success: true, data: comment });
     } catch (error) {
       res.status(500).json({ success: false });
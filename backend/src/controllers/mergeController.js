@@ -0,0 +1,30 @@
+const mergeService = require('../services/mergeService');
+
+class MergeController {
+  // Merge duplicate reports into this issue
+  async mergeIssues(req, res) {
+    try {
+      const { duplicateIds, reason } = req.body;
+
+      const result = await mergeService.mergeIssues(req.params.id, duplicateIds, req.user, reason);
+
+      res.json({
+        success: true,
+        message: `Merged ${result.merged.length} duplicate issue(s)`,
+        data: result
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Merge issues error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error merging issues',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MergeController();
@@ -0,0 +1,64 @@
+const roleService = require('../services/roleService');
+
+const handleRoleError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class RoleController {
+  // Every permission a role can be given
+  async getPermissions(req, res) {
+    res.json({ success: true, data: roleService.listPermissions() });
+  }
+
+  // Built-in and custom roles with their permissions and user counts
+  async getRoles(req, res) {
+    try {
+      const roles = await roleService.listRoles();
+      res.json({ success: true, data: roles });
+    } catch (error) {
+      handleRoleError(res, error, 'Get roles', 'Server error getting roles');
+    }
+  }
+
+  async createRole(req, res) {
+    try {
+      const role = await roleService.createRole(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        message: `Role "${role.name}" created`,
+        data: role
+      });
+    } catch (error) {
+      handleRoleError(res, error, 'Create role', 'Server error creating role');
+    }
+  }
+
+  async updateRole(req, res) {
+    try {
+      const role = await roleService.updateRole(req.params.name, req.body, req.user);
+      res.json({
+        success: true,
+        message: `Role "${role.name}" updated`,
+        data: role
+      });
+    } catch (error) {
+      handleRoleError(res, error, 'Update role', 'Server error updating role');
+    }
+  }
+
+  // Only custom roles that no user has
+  async deleteRole(req, res) {
+    try {
+      await roleService.deleteRole(req.params.name);
+      res.json({ success: true, message: `Role "${req.params.name}" deleted` });
+    } catch (error) {
+      handleRoleError(res, error, 'Delete role', 'Server error deleting role');
+    }
+  }
+}
+
+module.exports = new RoleController();
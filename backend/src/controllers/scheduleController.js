@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const availabilityService = require('../services/availabilityService');
+const roleService = require('../services/roleService');
+
+// Admin routes address employees by their Employee ID, like the other employee endpoints
+const findEmployee = (employeeId) => User.findOne({ employeeId, role: { $in: roleService.employeeRoles() } });
+
+const scheduleResponse = (schedule) => ({
+  schedule,
+  status: availabilityService.getStatus(schedule)
+});
+
+const handleScheduleError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors || {}).map(err => err.message).join(', ');
+    return res.status(400).json({ success: false, message: `Validation error: ${validationErrors}` });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class ScheduleController {
+  // Who is on and off duty right now, and who covers for those who are off
+  async getAvailability(req, res) {
+    try {
+      const { role, department } = req.query;
+
+      const filter = { role: { $in: roleService.employeeRoles() }, isActive: true };
+      if (role) filter.role = role;
+      if (department) {
+        filter.$or = [
+          { departments: { $in: [department, 'All'] } },
+          { department: { $in: [department, 'All'] } }
+        ];
+      }
+
+      const employees = await User.find(filter).select('name employeeId role departments').sort({ name: 1 });
+      const statuses = await availabilityService.getStatuses(employees.map(employee => employee._id));
+      const backupIds = [...statuses.values()].map(status => status.backup).filter(Boolean);
+      const backups = await User.find({ _id: { $in: backupIds } }).select('name employeeId');
+      const backupsById = new Map(backups.map(backup => [backup._id.toString(), backup]));
+
+      const rows = employees.map(employee => {
+        const { backup, ...status } = statuses.get(employee._id.toString());
+        return {
+          employee,
+          ...status,
+          backup: backup ? backupsById.get(backup.toString()) || null : null
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          employees: rows,
+          onDuty: rows.filter(row => row.onDuty).length,
+          offDuty: rows.filter(row => !row.onDuty).length
+        }
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Get availability', 'Server error getting availability');
+    }
+  }
+
+  // Get an employee's schedule
+  async getEmployeeSchedule(req, res) {
+    try {
+      const employee = await findEmployee(req.params.employeeId);
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const schedule = await availabilityService.getSchedule(employee._id);
+      res.json({ success: true, data: scheduleResponse(schedule) });
+    } catch (error) {
+      handleScheduleError(res, error, 'Get employee schedule', 'Server error getting schedule');
+    }
+  }
+
+  // Set an employee's shifts, timezone, backup or duty flag
+  async updateEmployeeSchedule(req, res) {
+    try {
+      const employee = await findEmployee(req.params.employeeId);
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const { timezone, shifts, backup, onDuty } = req.body;
+      const schedule = await availabilityService.updateSchedule(
+        employee._id,
+        { timezone, shifts, backup, onDuty },
+        req.user
+      );
+
+      res.json({
+        success: true,
+        message: 'Schedule updated successfully',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Update employee schedule', 'Server error updating schedule');
+    }
+  }
+
+  // Record leave for an employee
+  async addEmployeeLeave(req, res) {
+    try {
+      const employee = await findEmployee(req.params.employeeId);
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const schedule = await availabilityService.addLeave(employee._id, req.body, req.user);
+      res.status(201).json({
+        success: true,
+        message: 'Leave added successfully',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Add employee leave', 'Server error adding leave');
+    }
+  }
+
+  // Cancel an employee's leave
+  async removeEmployeeLeave(req, res) {
+    try {
+      const employee = await findEmployee(req.params.employeeId);
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const schedule = await availabilityService.removeLeave(employee._id, req.params.leaveId, req.user);
+      res.json({
+        success: true,
+        message: 'Leave cancelled successfully',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Remove employee leave', 'Server error cancelling leave');
+    }
+  }
+
+  // The signed-in employee's own schedule
+  async getMySchedule(req, res) {
+    try {
+      const schedule = await availabilityService.getSchedule(req.user._id);
+      res.json({ success: true, data: scheduleResponse(schedule) });
+    } catch (error) {
+      handleScheduleError(res, error, 'Get my schedule', 'Server error getting schedule');
+    }
+  }
+
+  // On-duty / off-duty toggle
+  async setMyDuty(req, res) {
+    try {
+      const schedule = await availabilityService.setDuty(req.user._id, req.body.onDuty);
+      res.json({
+        success: true,
+        message: schedule.onDuty ? 'You are now on duty' : 'You are now off duty',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Set duty', 'Server error updating duty status');
+    }
+  }
+
+  // Add own leave
+  async addMyLeave(req, res) {
+    try {
+      const schedule = await availabilityService.addLeave(req.user._id, req.body, req.user);
+      res.status(201).json({
+        success: true,
+        message: 'Leave added successfully',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Add my leave', 'Server error adding leave');
+    }
+  }
+
+  // Cancel own leave
+  async removeMyLeave(req, res) {
+    try {
+      const schedule = await availabilityService.removeLeave(req.user._id, req.params.leaveId, req.user);
+      res.json({
+        success: true,
+        message: 'Leave cancelled successfully',
+        data: scheduleResponse(schedule)
+      });
+    } catch (error) {
+      handleScheduleError(res, error, 'Remove my leave', 'Server error cancelling leave');
+    }
+  }
+}
+
+module.exports = new ScheduleController();
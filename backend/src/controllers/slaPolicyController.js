@@ -0,0 +1,198 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const slaService = require('../services/slaService');
+
+class SlaPolicyController {
+  // List SLA policies
+  async getPolicies(req, res) {
+    try {
+      const { category, priority, role, ward, includeInactive } = req.query;
+
+      const filter = {};
+      if (includeInactive !== 'true') filter.isActive = true;
+      if (category) filter.category = category === 'any' ? null : category;
+      if (priority) filter.priority = priority;
+      if (role) filter.role = role;
+      if (ward) filter.ward = ward === 'any' ? null : ward;
+
+      const policies = await SlaPolicy.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .sort({ category: 1, priority: 1, role: 1, ward: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          policies,
+          defaults: slaService.DEFAULT_SLA_HOURS,
+          defaultWarningPercent: slaService.DEFAULT_WARNING_PERCENT
+        }
+      });
+    } catch (error) {
+      console.error('Get SLA policies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting SLA policies',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a single SLA policy with its version history
+  async getPolicy(req, res) {
+    try {
+      const policy = await SlaPolicy.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .populate('history.changedBy', 'name email');
+
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          message: 'SLA policy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { policy }
+      });
+    } catch (error) {
+      console.error('Get SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error getting SLA policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Create SLA policy
+  async createPolicy(req, res) {
+    try {
+      const { name, category, priority, role, ward, hours, warningPercent } = req.body;
+
+      const policy = new SlaPolicy({
+        name,
+        category: category || null,
+        priority,
+        role,
+        ward: ward || null,
+        hours,
+        warningPercent: warningPercent || null,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+      await policy.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'SLA policy created successfully',
+        data: { policy }
+      });
+    } catch (error) {
+      console.error('Create SLA policy error:', error);
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'An active SLA policy already exists for this category, priority, role and ward'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error creating SLA policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Update SLA policy (response time changes create a new version)
+  async updatePolicy(req, res) {
+    try {
+      const { name, hours, warningPercent, reason } = req.body;
+
+      const policy = await SlaPolicy.findById(req.params.id);
+      if (!policy || !policy.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'SLA policy not found'
+        });
+      }
+
+      if (name !== undefined) policy.name = name;
+      if (warningPercent !== undefined) policy.warningPercent = warningPercent || null;
+
+      if (hours !== undefined && Number(hours) !== policy.hours) {
+        await policy.revise(Number(hours), req.user._id, reason);
+      } else {
+        policy.updatedBy = req.user._id;
+        await policy.save();
+      }
+
+      res.json({
+        success: true,
+        message: 'SLA policy updated successfully',
+        data: { policy }
+      });
+    } catch (error) {
+      console.error('Update SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error updating SLA policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Deactivate SLA policy (kept for history; issues fall back to the next matching policy)
+  async deletePolicy(req, res) {
+    try {
+      const policy = await SlaPolicy.findById(req.params.id);
+      if (!policy || !policy.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'SLA policy not found'
+        });
+      }
+
+      policy.isActive = false;
+      policy.updatedBy = req.user._id;
+      await policy.save();
+
+      res.json({
+        success: true,
+        message: 'SLA policy deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Delete SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error deleting SLA policy',
+        error: error.message
+      });
+    }
+  }
+
+  // Resolve the response time that would apply to an issue scope
+  async resolvePolicy(req, res) {
+    try {
+      const { category, priority = 'medium', role = 'field-staff', ward } = req.query;
+      const resolved = await slaService.resolveHours({ category, priority, role, ward });
+
+      res.json({
+        success: true,
+        data: { resolved }
+      });
+    } catch (error) {
+      console.error('Resolve SLA policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error resolving SLA policy',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SlaPolicyController();
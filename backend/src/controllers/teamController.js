@@ -0,0 +1,100 @@
+const User = require('../models/User');
+const teamService = require('../services/teamService');
+
+const handleTeamError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class TeamController {
+  // Org chart of managers and their reports
+  async getHierarchy(req, res) {
+    try {
+      const hierarchy = await teamService.getHierarchy();
+      res.json({ success: true, data: hierarchy });
+    } catch (error) {
+      handleTeamError(res, error, 'Get hierarchy', 'Server error getting teams');
+    }
+  }
+
+  // Set or clear who an employee reports to
+  async setReportsTo(req, res) {
+    try {
+      const employee = await User.findOne({ employeeId: req.params.employeeId });
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const updated = await teamService.setReportsTo(employee._id, req.body.reportsTo || null);
+      await updated.populate('reportsTo', 'name employeeId role');
+
+      res.json({
+        success: true,
+        message: updated.reportsTo
+          ? `${updated.name} now reports to ${updated.reportsTo.name}`
+          : `${updated.name} no longer reports to anyone`,
+        data: { employee: updated.getProfile() }
+      });
+    } catch (error) {
+      handleTeamError(res, error, 'Set reports to', 'Server error updating team');
+    }
+  }
+
+  // Workload of any manager's team (admin)
+  async getEmployeeTeam(req, res) {
+    try {
+      const manager = await User.findOne({ employeeId: req.params.employeeId }).select('name employeeId role');
+      if (!manager) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const overview = await teamService.getTeamOverview(manager._id);
+      res.json({ success: true, data: { manager, ...overview } });
+    } catch (error) {
+      handleTeamError(res, error, 'Get employee team', 'Server error getting team');
+    }
+  }
+
+  // Workload of the signed-in supervisor's or commissioner's team
+  async getMyTeam(req, res) {
+    try {
+      const overview = await teamService.getTeamOverview(req.user._id);
+      res.json({ success: true, data: overview });
+    } catch (error) {
+      handleTeamError(res, error, 'Get my team', 'Server error getting team');
+    }
+  }
+
+  // Open (or only overdue) issues held by the signed-in manager's team
+  async getMyTeamIssues(req, res) {
+    try {
+      const { overdue, member, page = 1, limit = 20 } = req.query;
+
+      const { issues, total } = await teamService.getTeamIssues(req.user._id, {
+        overdueOnly: overdue === 'true',
+        memberId: member || null,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          issues,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      handleTeamError(res, error, 'Get team issues', 'Server error getting team issues');
+    }
+  }
+}
+
+module.exports = new TeamController();
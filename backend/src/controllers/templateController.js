@@ -0,0 +1,60 @@
+const templateService = require('../services/templateService');
+const emailService = require('../services/emailService');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../services/templateService');
+
+class TemplateController {
+  // Every notification, email and SMS template with the languages it is translated into
+  async getTemplates(req, res) {
+    res.json({
+      success: true,
+      data: {
+        languages: LANGUAGES,
+        templates: templateService.listTemplates()
+      }
+    });
+  }
+
+  // A template rendered in a language; variables that are not given get sample values
+  async previewTemplate(req, res) {
+    try {
+      const { key, language = DEFAULT_LANGUAGE, variables = {} } = req.body;
+      if (!templateService.keys().includes(key)) {
+        return res.status(404).json({ success: false, message: `Unknown template: ${key}` });
+      }
+
+      const values = templateService.sampleVariables(variables);
+      const [kind, name] = key.split('.');
+      let rendered;
+      if (kind === 'notification') {
+        rendered = templateService.renderNotification(key.slice('notification.'.length), language, values);
+      } else if (kind === 'sms') {
+        rendered = { body: templateService.t(key, language, values) };
+      } else if (emailService.listEmails().includes(name)) {
+        rendered = emailService.render(name, language, values);
+      } else {
+        return res.status(400).json({ success: false, message: `${key} is part of every email; preview one of the emails instead` });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          key,
+          language,
+          // Texts this language lacks are shown in the first fallback that has them
+          fallbacks: templateService.chain(language).slice(1),
+          missing: templateService.missingTexts(key, language),
+          variables: values,
+          rendered
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      console.error('Preview template error:', error);
+      res.status(500).json({ success: false, message: 'Server error previewing template', error: error.message });
+    }
+  }
+}
+
+module.exports = new TemplateController();
@@ -0,0 +1,112 @@
+const User = require('../models/User');
+const roleService = require('../services/roleService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Citizens and guests sign in with OTPs; two-factor applies to the password logins
+const PASSWORDLESS_ROLES = ['citizen', 'guest'];
+
+const handleTwoFactorError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class TwoFactorController {
+  async getStatus(req, res) {
+    try {
+      const user = await twoFactorService.loadUser(req.user._id);
+      res.json({
+        success: true,
+        data: twoFactorService.status(user, roleService.requiresTwoFactor(user.role))
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Get two-factor status', 'Server error getting two-factor status');
+    }
+  }
+
+  // New secret and QR code to scan; confirmed with `enable`
+  async setup(req, res) {
+    try {
+      if (PASSWORDLESS_ROLES.includes(req.user.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is for admin and employee accounts'
+        });
+      }
+
+      const enrolment = await twoFactorService.setup(req.user._id);
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+        data: enrolment
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Two-factor setup', 'Server error setting up two-factor authentication');
+    }
+  }
+
+  async enable(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.enable(req.user._id, req.body.code);
+      res.json({
+        success: true,
+        message: 'Two-factor authentication is on. Keep the recovery codes somewhere safe; they are only shown once.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Enable two-factor', 'Server error enabling two-factor authentication');
+    }
+  }
+
+  async disable(req, res) {
+    try {
+      if (roleService.requiresTwoFactor(req.user.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your role requires two-factor authentication'
+        });
+      }
+
+      await twoFactorService.disable(req.user._id, req.body);
+      res.json({ success: true, message: 'Two-factor authentication is off' });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Disable two-factor', 'Server error disabling two-factor authentication');
+    }
+  }
+
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body);
+      res.json({
+        success: true,
+        message: 'New recovery codes created; the old ones no longer work',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Regenerate recovery codes', 'Server error creating recovery codes');
+    }
+  }
+
+  // Admin: turn off two-factor for an employee who lost their device
+  async resetEmployeeTwoFactor(req, res) {
+    try {
+      const employee = await User.findOne({ employeeId: req.params.employeeId, role: { $nin: User.ADMIN_ROLES } });
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      twoFactorService.clear(employee);
+      await employee.save();
+      res.json({
+        success: true,
+        message: `Two-factor authentication reset for ${employee.name}; they can set it up again`
+      });
+    } catch (error) {
+      handleTwoFactorError(res, error, 'Reset employee two-factor', 'Server error resetting two-factor authentication');
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -0,0 +1,212 @@
+const Zone = require('../models/Zone');
+const User = require('../models/User');
+const zoneService = require('../services/zoneService');
+
+const handleZoneError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A zone with this code already exists' });
+  }
+  // Raised by the 2dsphere index for self-intersecting or otherwise invalid polygons
+  if (error.code === 16755) {
+    return res.status(400).json({ success: false, message: 'The zone boundary is not a valid polygon' });
+  }
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors || {}).map(err => err.message).join(', ');
+    return res.status(400).json({ success: false, message: `Validation error: ${validationErrors}` });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+class ZoneController {
+  // List zones (boundaries only with withGeometry=true, they can be large)
+  async getZones(req, res) {
+    try {
+      const { type, includeInactive, withGeometry } = req.query;
+
+      const filter = {};
+      if (includeInactive !== 'true') filter.isActive = true;
+      if (type) filter.type = type;
+
+      let query = Zone.find(filter).sort({ type: 1, name: 1 });
+      if (withGeometry !== 'true') query = query.select('-geometry');
+
+      const zones = await query;
+
+      res.json({
+        success: true,
+        data: { zones }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Get zones', 'Server error getting zones');
+    }
+  }
+
+  // Get a zone with its boundary and the employees covering it
+  async getZone(req, res) {
+    try {
+      const zone = await Zone.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      const employees = await User.find({ zones: zone._id, isActive: true })
+        .select('name employeeId role departments');
+
+      res.json({
+        success: true,
+        data: { zone, employees }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Get zone', 'Server error getting zone');
+    }
+  }
+
+  // Zones containing a point
+  async lookupZones(req, res) {
+    try {
+      const { latitude, longitude } = req.query;
+      const zones = await zoneService.findZonesForPoint(latitude, longitude);
+
+      res.json({
+        success: true,
+        data: { zones }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Lookup zones', 'Server error looking up zones');
+    }
+  }
+
+  // Create a zone
+  async createZone(req, res) {
+    try {
+      const { name, code, type, geometry } = req.body;
+
+      const zone = await Zone.create({
+        name,
+        code,
+        type,
+        geometry: zoneService.normalizeGeometry(geometry),
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Zone created successfully',
+        data: { zone }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Create zone', 'Server error creating zone');
+    }
+  }
+
+  // Update a zone's name, code, type, boundary or active flag
+  async updateZone(req, res) {
+    try {
+      const zone = await Zone.findById(req.params.id);
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      const { name, code, type, geometry, isActive } = req.body;
+      if (name !== undefined) zone.name = name;
+      if (code !== undefined) zone.code = code;
+      if (type !== undefined) zone.type = type;
+      if (geometry !== undefined) zone.geometry = zoneService.normalizeGeometry(geometry);
+      if (isActive !== undefined) zone.isActive = Boolean(isActive);
+      zone.updatedBy = req.user._id;
+
+      await zone.save();
+
+      res.json({
+        success: true,
+        message: 'Zone updated successfully',
+        data: { zone }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Update zone', 'Server error updating zone');
+    }
+  }
+
+  // Deactivate a zone and take it off the employees covering it
+  async deleteZone(req, res) {
+    try {
+      const zone = await Zone.findById(req.params.id);
+      if (!zone || !zone.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Zone not found'
+        });
+      }
+
+      zone.isActive = false;
+      zone.updatedBy = req.user._id;
+      await zone.save();
+
+      const { modifiedCount } = await User.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+
+      res.json({
+        success: true,
+        message: 'Zone deactivated successfully',
+        data: { employeesUpdated: modifiedCount }
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Delete zone', 'Server error deleting zone');
+    }
+  }
+
+  // Create or update zones from a GeoJSON FeatureCollection
+  async importZones(req, res) {
+    try {
+      const { geojson, type, nameProperty, codeProperty, retag } = req.body;
+
+      const result = await zoneService.importGeoJson(geojson, {
+        type,
+        nameProperty,
+        codeProperty,
+        actor: req.user
+      });
+      if (retag === true || retag === 'true') {
+        result.retagged = await zoneService.retagOpenIssues();
+      }
+
+      res.json({
+        success: true,
+        message: `Imported ${result.created + result.updated} zone(s), skipped ${result.skipped.length}`,
+        data: result
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Import zones', 'Server error importing zones');
+    }
+  }
+
+  // Re-tag open issues against the current zone boundaries
+  async retagIssues(req, res) {
+    try {
+      const result = await zoneService.retagOpenIssues();
+
+      res.json({
+        success: true,
+        message: `${result.updated} of ${result.checked} open issues re-tagged`,
+        data: result
+      });
+    } catch (error) {
+      handleZoneError(res, error, 'Retag issues', 'Server error re-tagging issues');
+    }
+  }
+}
+
+module.exports = new ZoneController();
@@ -0,0 +1,77 @@
+const cron = require('node-cron');
+const announcementService = require('../services/announcementService');
+
+// Every minute, so a scheduled announcement goes out within a minute of its time
+const SCHEDULE = process.env.ANNOUNCEMENT_CRON || '* * * * *';
+
+/**
+ * Announcement Cron Job
+ * Sends scheduled announcements when they are due and hides expired ones
+ */
+class AnnouncementJob {
+  constructor() {
+    this.isRunning = false;
+    this.job = null;
+  }
+
+  /**
+   * Start the announcement cron job
+   */
+  start() {
+    if (this.job) {
+      console.log('Announcement job is already running');
+      return;
+    }
+
+    this.job = cron.schedule(SCHEDULE, async () => {
+      // A large announcement can take longer than a minute to send
+      if (this.isRunning) return;
+
+      this.isRunning = true;
+      try {
+        const result = await announcementService.runDue();
+        if (result.sent > 0 || result.expired > 0) {
+          console.log(`[${new Date().toISOString()}] Announcement job completed:`, result);
+        }
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error in announcement job:`, error);
+      } finally {
+        this.isRunning = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    console.log(`Announcement cron job started (${SCHEDULE})`);
+  }
+
+  /**
+   * Stop the announcement cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      console.log('Announcement cron job stopped');
+    }
+  }
+
+  /**
+   * Send due announcements now (for testing or admin use)
+   */
+  async runNow() {
+    if (this.isRunning) {
+      throw new Error('Announcements are already being sent');
+    }
+
+    this.isRunning = true;
+    try {
+      return await announcementService.runDue();
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new AnnouncementJob();
@@ -3,7 +3,7 @@ const cleanupService = require('../services/cleanupService');
 
 /**
  * Cleanup Cron Job
- * Runs daily to delete resolved issues that have been resolved for more than 5 days
+ * Runs daily to archive issues that are past their retention period
  */
 class CleanupJob {
   constructor() {
@@ -29,18 +29,15 @@ class CleanupJob {
       }
 
       this.isRunning = true;
-      console.log(`[${new Date().toISOString()}] Starting cleanup job (deleting resolved issues older than 5 days)...`);
+      console.log(`[${new Date().toISOString()}] Starting cleanup job (archiving issues past their retention period)...`);
 
       try {
-        const result = await cleanupService.deleteOldResolvedIssues();
+        const result = await cleanupService.archiveExpiredIssues();
         console.log(`[${new Date().toISOString()}] Cleanup job completed:`, {
-          deleted: result.deleted,
+          archived: result.archived,
+          failed: result.failed,
           message: result.message
         });
-
-        if (result.deleted > 0) {
-          console.log(`Deleted ${result.deleted} resolved issue(s) that were resolved more than 5 days ago`);
-        }
       } catch (error) {
         console.error(`[${new Date().toISOString()}] Error in cleanup job:`, error);
       } finally {
@@ -75,7 +72,7 @@ class CleanupJob {
 
     this.isRunning = true;
     try {
-      const result = await cleanupService.deleteOldResolvedIssues();
+      const result = await cleanupService.archiveExpiredIssues();
       return result;
     } finally {
       this.isRunning = false;
@@ -0,0 +1,72 @@
+const cron = require('node-cron');
+const notificationService = require('../services/notificationService');
+
+// Daily digest at 8:00 AM; weekly digest on Mondays at 8:00 AM (India time)
+const SCHEDULES = {
+  daily: process.env.NOTIFICATION_DIGEST_CRON || '0 8 * * *',
+  weekly: process.env.NOTIFICATION_WEEKLY_DIGEST_CRON || '0 8 * * 1'
+};
+
+/**
+ * Notification Digest Cron Job
+ * Emails users who chose a daily or weekly digest the low-priority notifications held back for it
+ */
+class DigestJob {
+  constructor() {
+    // Frequencies with a run in progress; daily and weekly runs may overlap on Mondays
+    this.running = new Set();
+    this.jobs = [];
+  }
+
+  /**
+   * Start the daily and weekly digest cron jobs
+   */
+  start() {
+    if (this.jobs.length > 0) {
+      console.log('Digest job is already running');
+      return;
+    }
+
+    this.jobs = Object.entries(SCHEDULES).map(([frequency, schedule]) => cron.schedule(schedule, async () => {
+      try {
+        const result = await this.runNow(frequency);
+        console.log(`[${new Date().toISOString()}] ${frequency} notification digest completed:`, result);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error in ${frequency} notification digest job:`, error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    }));
+
+    console.log(`Notification digest cron jobs started (daily ${SCHEDULES.daily}, weekly ${SCHEDULES.weekly})`);
+  }
+
+  /**
+   * Stop the digest cron jobs
+   */
+  stop() {
+    this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    console.log('Notification digest cron jobs stopped');
+  }
+
+  /**
+   * Send one round of digests now (for testing or admin use)
+   * @param {string} frequency - 'daily' or 'weekly'
+   */
+  async runNow(frequency = 'daily') {
+    if (this.running.has(frequency)) {
+      throw new Error(`The ${frequency} digest is already in progress`);
+    }
+
+    this.running.add(frequency);
+    try {
+      return await notificationService.sendDigests(frequency);
+    } finally {
+      this.running.delete(frequency);
+    }
+  }
+}
+
+module.exports = new DigestJob();
@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const escalationService = require('../services/escalationService');
+const calendarService = require('../services/calendarService');
 
 /**
  * Auto-escalation Cron Job
@@ -9,6 +10,7 @@ class EscalationJob {
   constructor() {
     this.isRunning = false;
     this.job = null;
+    this.digestJob = null;
   }
 
   /**
@@ -32,6 +34,10 @@ class EscalationJob {
       console.log(`[${new Date().toISOString()}] Starting auto-escalation check...`);
 
       try {
+        // Pick up office hours and holidays changed since the last run
+        calendarService.clearCache();
+        // Warn before breaching, then escalate whatever has already breached
+        await escalationService.sendPreBreachWarnings();
         const result = await escalationService.checkAndEscalateIssues();
         console.log(`[${new Date().toISOString()}] Escalation check completed:`, {
           checked: result.checked,
@@ -59,6 +65,22 @@ class EscalationJob {
     });
 
     console.log('Auto-escalation cron job started (runs every 15 minutes for normal operation)');
+
+    // Daily "due soon" digest for supervisors (default 9:00 AM)
+    const digestSchedule = process.env.SLA_DIGEST_CRON || '0 9 * * *';
+    this.digestJob = cron.schedule(digestSchedule, async () => {
+      try {
+        calendarService.clearCache();
+        await escalationService.sendDueSoonDigest();
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error in due soon digest job:`, error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    console.log(`Due soon digest cron job started (${digestSchedule})`);
   }
 
   /**
@@ -70,6 +92,10 @@ class EscalationJob {
       this.job = null;
       console.log('Auto-escalation cron job stopped');
     }
+    if (this.digestJob) {
+      this.digestJob.stop();
+      this.digestJob = null;
+    }
   }
 
   /**
@@ -82,8 +108,10 @@ class EscalationJob {
 
     this.isRunning = true;
     try {
+      calendarService.clearCache();
+      const warnings = await escalationService.sendPreBreachWarnings();
       const result = await escalationService.checkAndEscalateIssues();
-      return result;
+      return { ...result, warned: warnings.warned };
     } finally {
       this.isRunning = false;
     }
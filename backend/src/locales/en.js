@@ -0,0 +1,207 @@
+// English notification, email and SMS texts. Every other language falls back to these, so each
+// template must exist here. {{name}} is replaced by a variable; {{name|status}} also translates it.
+module.exports = {
+  status: {
+    reported: 'reported',
+    assigned: 'assigned',
+    accepted: 'accepted',
+    'in-progress': 'in progress',
+    resolved: 'resolved',
+    closed: 'closed',
+    escalated: 'escalated',
+    merged: 'merged'
+  },
+
+  priority: {
+    low: 'low',
+    medium: 'medium',
+    high: 'high',
+    urgent: 'urgent'
+  },
+
+  level: {
+    'field-staff': 'Field staff',
+    supervisor: 'Supervisor',
+    commissioner: 'Commissioner'
+  },
+
+  // In-app notifications (also the text of push notifications and SMS), by notification type
+  notification: {
+    issue_status_changed: {
+      reporter: {
+        title: 'Issue Status Updated',
+        message: 'Your issue "{{issueTitle}}" status has been changed to {{status|status}}'
+      },
+      assignee: {
+        title: 'Assigned Issue Status Updated',
+        message: 'Issue "{{issueTitle}}" status has been changed to {{status|status}}'
+      },
+      follower: {
+        title: 'Followed Issue Updated',
+        message: 'Issue "{{issueTitle}}" you follow has been changed to {{status|status}}'
+      },
+      in_progress: {
+        title: 'Your Issue Is In Progress',
+        message: 'Your issue "{{issueTitle}}" is now being worked on'
+      }
+    },
+    comment_added: {
+      reporter: {
+        title: 'New Comment on Your Issue',
+        message: '{{commenterName}} commented on your issue "{{issueTitle}}"'
+      },
+      assignee: {
+        title: 'New Comment on Assigned Issue',
+        message: '{{commenterName}} commented on issue "{{issueTitle}}"'
+      }
+    },
+    issue_assigned: {
+      title: 'Issue Assigned to You',
+      message: 'You have been assigned to issue "{{issueTitle}}"'
+    },
+    issue_resolved: {
+      reporter: {
+        title: 'Your Issue Has Been Resolved',
+        message: 'Your issue "{{issueTitle}}" has been marked as resolved'
+      },
+      follower: {
+        title: 'Followed Issue Resolved',
+        message: 'Issue "{{issueTitle}}" you follow has been marked as resolved'
+      },
+      admin: {
+        title: 'Issue Resolved',
+        message: 'Issue "{{issueTitle}}" has been resolved'
+      }
+    },
+    issue_created: {
+      title: 'New Issue Reported',
+      message: 'New issue "{{issueTitle}}" reported by {{reporterName}}'
+    },
+    issue_merged: {
+      duplicate: {
+        title: 'Your Report Was Merged',
+        message: 'Your report "{{duplicateTitle}}" was merged into "{{issueTitle}}". You will receive its updates.'
+      },
+      canonical: {
+        title: 'Similar Reports Merged',
+        message: '{{count}} similar report(s) were merged into your issue "{{issueTitle}}"'
+      }
+    },
+    upvote_received: {
+      title: 'Your Issue Received Support',
+      message: '{{upvoterName}} upvoted your issue "{{issueTitle}}"'
+    },
+    sla_warning: {
+      title: 'Issue Due Soon',
+      message: 'Issue "{{issueTitle}}" will escalate if not handled by {{deadline|datetime}}'
+    },
+    sla_digest: {
+      title: 'Issues Due Soon',
+      message: '{{count}} issue(s) in your departments are approaching their escalation deadline'
+    }
+  },
+
+  // HTML emails; variables are HTML-escaped, the texts themselves may contain markup
+  email: {
+    common: {
+      greeting: 'Hello {{name}}!',
+      issueId: 'Issue ID: {{issueId}}',
+      footer: '© 2024 CivicConnect. All rights reserved.'
+    },
+    otp: {
+      subject: 'Your OTP for CivicConnect',
+      heading: 'CivicConnect',
+      subheading: 'Your OTP is ready',
+      intro: 'You requested an OTP to verify your account. Use the following code to complete your verification:',
+      expiry: 'This OTP will expire in 5 minutes. If you didn\'t request this, please ignore this email.'
+    },
+    welcome: {
+      subject: 'Welcome to CivicConnect!',
+      heading: 'Welcome to CivicConnect!',
+      subheading: 'Your account has been created successfully',
+      intro: 'Welcome to CivicConnect! You can now report civic issues in your community and track their resolution.',
+      listTitle: 'What you can do:',
+      features: [
+        'Report civic issues with photos and location',
+        'Track the progress of your reports',
+        'Support other community issues',
+        'Receive updates on issue resolution'
+      ],
+      button: 'Get Started'
+    },
+    issueUpdate: {
+      subject: 'Issue Update: {{issueTitle}}',
+      heading: 'Issue Update',
+      subheading: 'Status change notification',
+      messages: {
+        reported: 'Your issue has been reported and is under review',
+        'in-progress': 'Your issue is now being worked on',
+        resolved: 'Great news! Your issue has been resolved',
+        closed: 'Your issue has been closed',
+        merged: 'Your report has been merged into an existing issue about the same problem. You will receive its updates',
+        other: 'Your issue status has been updated'
+      },
+      statusLabel: 'Status',
+      button: 'View Issue'
+    },
+    comment: {
+      subject: 'New Comment on: {{issueTitle}}',
+      heading: 'New Comment',
+      subheading: 'Someone commented on your issue',
+      intro: '<strong>{{commentAuthor}}</strong> commented on your issue.',
+      button: 'View Comment'
+    },
+    adminNotification: {
+      subject: 'New Issue Reported: {{issueTitle}}',
+      heading: 'New Issue Reported',
+      subheading: 'Action required',
+      intro: 'A new issue has been reported and requires your attention.',
+      reportedBy: 'Reported by: <strong>{{reporterName}}</strong>',
+      button: 'Review Issue'
+    },
+    slaWarning: {
+      subject: 'Due Soon: {{issueTitle}}',
+      heading: 'Issue Due Soon',
+      subheading: 'This issue will escalate if not handled in time',
+      deadline: 'Escalation deadline: <strong>{{deadline|datetime}}</strong>',
+      button: 'View Issue'
+    },
+    announcement: {
+      subject: '{{title}}',
+      heading: 'Announcement',
+      subheading: 'From your CivicConnect team',
+      button: 'Open CivicConnect'
+    },
+    dueSoonDigest: {
+      subject: '{{count}} issue(s) due soon',
+      heading: 'Due Soon',
+      subheading: 'Issues in your departments approaching their deadline',
+      columns: {
+        issue: 'Issue',
+        priority: 'Priority',
+        level: 'Level',
+        deadline: 'Deadline'
+      }
+    },
+    notificationDigest: {
+      subject: {
+        daily: 'Your CivicConnect daily digest: {{count}} update(s)',
+        weekly: 'Your CivicConnect weekly digest: {{count}} update(s)'
+      },
+      heading: {
+        daily: 'Your Daily Digest',
+        weekly: 'Your Weekly Digest'
+      },
+      subheading: {
+        daily: 'What happened on CivicConnect today',
+        weekly: 'What happened on CivicConnect this week'
+      },
+      note: 'You can change how often you get this email in your notification preferences.'
+    }
+  },
+
+  sms: {
+    otp: '{{otp}} is your CivicConnect OTP. It expires in 5 minutes. Do not share it with anyone.',
+    notification: 'CivicConnect: {{title}}. {{message}}'
+  }
+};
@@ -0,0 +1,204 @@
+// Hindi; missing texts fall back to English
+module.exports = {
+  status: {
+    reported: 'दर्ज',
+    assigned: 'सौंपा गया',
+    accepted: 'स्वीकार किया गया',
+    'in-progress': 'प्रगति पर',
+    resolved: 'हल हो गया',
+    closed: 'बंद',
+    escalated: 'आगे बढ़ाया गया',
+    merged: 'विलय किया गया'
+  },
+
+  priority: {
+    low: 'कम',
+    medium: 'मध्यम',
+    high: 'उच्च',
+    urgent: 'अत्यावश्यक'
+  },
+
+  level: {
+    'field-staff': 'फील्ड कर्मचारी',
+    supervisor: 'पर्यवेक्षक',
+    commissioner: 'आयुक्त'
+  },
+
+  notification: {
+    issue_status_changed: {
+      reporter: {
+        title: 'शिकायत की स्थिति बदली',
+        message: 'आपकी शिकायत "{{issueTitle}}" की स्थिति अब {{status|status}} है'
+      },
+      assignee: {
+        title: 'सौंपी गई शिकायत की स्थिति बदली',
+        message: 'शिकायत "{{issueTitle}}" की स्थिति अब {{status|status}} है'
+      },
+      follower: {
+        title: 'फ़ॉलो की गई शिकायत में बदलाव',
+        message: 'आपके द्वारा फ़ॉलो की गई शिकायत "{{issueTitle}}" की स्थिति अब {{status|status}} है'
+      },
+      in_progress: {
+        title: 'आपकी शिकायत पर काम शुरू',
+        message: 'आपकी शिकायत "{{issueTitle}}" पर अब काम चल रहा है'
+      }
+    },
+    comment_added: {
+      reporter: {
+        title: 'आपकी शिकायत पर नई टिप्पणी',
+        message: '{{commenterName}} ने आपकी शिकायत "{{issueTitle}}" पर टिप्पणी की'
+      },
+      assignee: {
+        title: 'सौंपी गई शिकायत पर नई टिप्पणी',
+        message: '{{commenterName}} ने शिकायत "{{issueTitle}}" पर टिप्पणी की'
+      }
+    },
+    issue_assigned: {
+      title: 'आपको शिकायत सौंपी गई',
+      message: 'शिकायत "{{issueTitle}}" आपको सौंपी गई है'
+    },
+    issue_resolved: {
+      reporter: {
+        title: 'आपकी शिकायत हल हो गई',
+        message: 'आपकी शिकायत "{{issueTitle}}" को हल के रूप में चिह्नित किया गया है'
+      },
+      follower: {
+        title: 'फ़ॉलो की गई शिकायत हल हुई',
+        message: 'आपके द्वारा फ़ॉलो की गई शिकायत "{{issueTitle}}" हल हो गई है'
+      },
+      admin: {
+        title: 'शिकायत हल हुई',
+        message: 'शिकायत "{{issueTitle}}" हल हो गई है'
+      }
+    },
+    issue_created: {
+      title: 'नई शिकायत दर्ज',
+      message: '{{reporterName}} ने नई शिकायत "{{issueTitle}}" दर्ज की'
+    },
+    issue_merged: {
+      duplicate: {
+        title: 'आपकी शिकायत जोड़ दी गई',
+        message: 'आपकी शिकायत "{{duplicateTitle}}" को "{{issueTitle}}" में जोड़ दिया गया है। आपको उसके अपडेट मिलेंगे।'
+      },
+      canonical: {
+        title: 'मिलती-जुलती शिकायतें जोड़ी गईं',
+        message: '{{count}} मिलती-जुलती शिकायतें आपकी शिकायत "{{issueTitle}}" में जोड़ी गईं'
+      }
+    },
+    upvote_received: {
+      title: 'आपकी शिकायत को समर्थन मिला',
+      message: '{{upvoterName}} ने आपकी शिकायत "{{issueTitle}}" का समर्थन किया'
+    },
+    sla_warning: {
+      title: 'शिकायत की समय-सीमा नज़दीक',
+      message: 'यदि {{deadline|datetime}} तक कार्रवाई नहीं हुई तो शिकायत "{{issueTitle}}" आगे बढ़ा दी जाएगी'
+    },
+    sla_digest: {
+      title: 'समय-सीमा के नज़दीक शिकायतें',
+      message: 'आपके विभागों की {{count}} शिकायतें अपनी समय-सीमा के नज़दीक हैं'
+    }
+  },
+
+  email: {
+    common: {
+      greeting: 'नमस्ते {{name}}!',
+      issueId: 'शिकायत आईडी: {{issueId}}',
+      footer: '© 2024 CivicConnect. सर्वाधिकार सुरक्षित।'
+    },
+    otp: {
+      subject: 'CivicConnect के लिए आपका ओटीपी',
+      heading: 'CivicConnect',
+      subheading: 'आपका ओटीपी तैयार है',
+      intro: 'आपने अपने खाते के सत्यापन के लिए ओटीपी माँगा है। सत्यापन पूरा करने के लिए यह कोड डालें:',
+      expiry: 'यह ओटीपी 5 मिनट में समाप्त हो जाएगा। यदि आपने इसका अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।'
+    },
+    welcome: {
+      subject: 'CivicConnect में आपका स्वागत है!',
+      heading: 'CivicConnect में आपका स्वागत है!',
+      subheading: 'आपका खाता सफलतापूर्वक बन गया है',
+      intro: 'CivicConnect में आपका स्वागत है! अब आप अपने क्षेत्र की नागरिक समस्याएँ दर्ज कर सकते हैं और उनके समाधान पर नज़र रख सकते हैं।',
+      listTitle: 'आप क्या कर सकते हैं:',
+      features: [
+        'फ़ोटो और स्थान के साथ नागरिक समस्याएँ दर्ज करें',
+        'अपनी शिकायतों की प्रगति देखें',
+        'समुदाय की अन्य शिकायतों का समर्थन करें',
+        'शिकायतों के समाधान के अपडेट पाएँ'
+      ],
+      button: 'शुरू करें'
+    },
+    issueUpdate: {
+      subject: 'शिकायत अपडेट: {{issueTitle}}',
+      heading: 'शिकायत अपडेट',
+      subheading: 'स्थिति में बदलाव की सूचना',
+      messages: {
+        reported: 'आपकी शिकायत दर्ज हो गई है और उसकी समीक्षा की जा रही है',
+        'in-progress': 'आपकी शिकायत पर अब काम चल रहा है',
+        resolved: 'खुशखबरी! आपकी शिकायत हल हो गई है',
+        closed: 'आपकी शिकायत बंद कर दी गई है',
+        merged: 'आपकी शिकायत इसी समस्या की एक मौजूदा शिकायत में जोड़ दी गई है। आपको उसके अपडेट मिलेंगे',
+        other: 'आपकी शिकायत की स्थिति बदल दी गई है'
+      },
+      statusLabel: 'स्थिति',
+      button: 'शिकायत देखें'
+    },
+    comment: {
+      subject: 'नई टिप्पणी: {{issueTitle}}',
+      heading: 'नई टिप्पणी',
+      subheading: 'किसी ने आपकी शिकायत पर टिप्पणी की',
+      intro: '<strong>{{commentAuthor}}</strong> ने आपकी शिकायत पर टिप्पणी की।',
+      button: 'टिप्पणी देखें'
+    },
+    adminNotification: {
+      subject: 'नई शिकायत दर्ज: {{issueTitle}}',
+      heading: 'नई शिकायत दर्ज',
+      subheading: 'कार्रवाई आवश्यक',
+      intro: 'एक नई शिकायत दर्ज हुई है जिस पर आपका ध्यान आवश्यक है।',
+      reportedBy: 'दर्ज करने वाले: <strong>{{reporterName}}</strong>',
+      button: 'शिकायत देखें'
+    },
+    slaWarning: {
+      subject: 'समय-सीमा नज़दीक: {{issueTitle}}',
+      heading: 'शिकायत की समय-सीमा नज़दीक',
+      subheading: 'समय पर कार्रवाई न होने पर यह शिकायत आगे बढ़ा दी जाएगी',
+      deadline: 'समय-सीमा: <strong>{{deadline|datetime}}</strong>',
+      button: 'शिकायत देखें'
+    },
+    announcement: {
+      subject: '{{title}}',
+      heading: 'सूचना',
+      subheading: 'आपकी CivicConnect टीम की ओर से',
+      button: 'CivicConnect खोलें'
+    },
+    dueSoonDigest: {
+      subject: '{{count}} शिकायतों की समय-सीमा नज़दीक',
+      heading: 'समय-सीमा नज़दीक',
+      subheading: 'आपके विभागों की वे शिकायतें जिनकी समय-सीमा नज़दीक है',
+      columns: {
+        issue: 'शिकायत',
+        priority: 'प्राथमिकता',
+        level: 'स्तर',
+        deadline: 'समय-सीमा'
+      }
+    },
+    notificationDigest: {
+      subject: {
+        daily: 'आपका CivicConnect दैनिक सारांश: {{count}} अपडेट',
+        weekly: 'आपका CivicConnect साप्ताहिक सारांश: {{count}} अपडेट'
+      },
+      heading: {
+        daily: 'आपका दैनिक सारांश',
+        weekly: 'आपका साप्ताहिक सारांश'
+      },
+      subheading: {
+        daily: 'आज CivicConnect पर क्या हुआ',
+        weekly: 'इस सप्ताह CivicConnect पर क्या हुआ'
+      },
+      note: 'यह ईमेल कितनी बार मिले, यह आप अपनी सूचना सेटिंग में बदल सकते हैं।'
+    }
+  },
+
+  sms: {
+    otp: '{{otp}} आपका CivicConnect ओटीपी है। यह 5 मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।',
+    notification: 'CivicConnect: {{title}}। {{message}}'
+  }
+};
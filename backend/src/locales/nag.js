@@ -0,0 +1,204 @@
+// Nagpuri (Sadri), in Devanagari; missing texts fall back to Hindi, then English
+module.exports = {
+  status: {
+    reported: 'दर्ज',
+    assigned: 'सौंपल',
+    accepted: 'मानल',
+    'in-progress': 'चालू',
+    resolved: 'सुलझल',
+    closed: 'बंद',
+    escalated: 'आगे बढ़ावल',
+    merged: 'जोड़ल'
+  },
+
+  priority: {
+    low: 'कम',
+    medium: 'मध्यम',
+    high: 'जादा',
+    urgent: 'तुरते'
+  },
+
+  level: {
+    'field-staff': 'फील्ड करमचारी',
+    supervisor: 'सुपरवाइजर',
+    commissioner: 'आयुक्त'
+  },
+
+  notification: {
+    issue_status_changed: {
+      reporter: {
+        title: 'शिकायत कर स्थिति बदललक',
+        message: 'राउरे शिकायत "{{issueTitle}}" कर स्थिति अब {{status|status}} हे'
+      },
+      assignee: {
+        title: 'सौंपल शिकायत कर स्थिति बदललक',
+        message: 'शिकायत "{{issueTitle}}" कर स्थिति अब {{status|status}} हे'
+      },
+      follower: {
+        title: 'फॉलो करल शिकायत में बदलाव',
+        message: 'राउरे फॉलो करल शिकायत "{{issueTitle}}" कर स्थिति अब {{status|status}} हे'
+      },
+      in_progress: {
+        title: 'राउरे शिकायत में काम सुरू',
+        message: 'राउरे शिकायत "{{issueTitle}}" में अब काम चलत हे'
+      }
+    },
+    comment_added: {
+      reporter: {
+        title: 'राउरे शिकायत में नावा टिप्पणी',
+        message: '{{commenterName}} राउरे शिकायत "{{issueTitle}}" में टिप्पणी करलें'
+      },
+      assignee: {
+        title: 'सौंपल शिकायत में नावा टिप्पणी',
+        message: '{{commenterName}} शिकायत "{{issueTitle}}" में टिप्पणी करलें'
+      }
+    },
+    issue_assigned: {
+      title: 'राउरके शिकायत सौंपल गेलक',
+      message: 'शिकायत "{{issueTitle}}" राउरके सौंपल गेलक'
+    },
+    issue_resolved: {
+      reporter: {
+        title: 'राउरे शिकायत सुलझ गेलक',
+        message: 'राउरे शिकायत "{{issueTitle}}" सुलझल बताल गेलक'
+      },
+      follower: {
+        title: 'फॉलो करल शिकायत सुलझ गेलक',
+        message: 'राउरे फॉलो करल शिकायत "{{issueTitle}}" सुलझ गेलक'
+      },
+      admin: {
+        title: 'शिकायत सुलझ गेलक',
+        message: 'शिकायत "{{issueTitle}}" सुलझ गेलक'
+      }
+    },
+    issue_created: {
+      title: 'नावा शिकायत दर्ज',
+      message: '{{reporterName}} नावा शिकायत "{{issueTitle}}" दर्ज करलें'
+    },
+    issue_merged: {
+      duplicate: {
+        title: 'राउरे शिकायत जोड़ल गेलक',
+        message: 'राउरे शिकायत "{{duplicateTitle}}" के "{{issueTitle}}" में जोड़ल गेलक। ओकर अपडेट राउरके मिली।'
+      },
+      canonical: {
+        title: 'मिलते-जुलते शिकायत जोड़ल गेलक',
+        message: '{{count}} मिलते-जुलते शिकायत राउरे शिकायत "{{issueTitle}}" में जोड़ल गेलक'
+      }
+    },
+    upvote_received: {
+      title: 'राउरे शिकायत के समर्थन मिललक',
+      message: '{{upvoterName}} राउरे शिकायत "{{issueTitle}}" के समर्थन करलें'
+    },
+    sla_warning: {
+      title: 'शिकायत कर समय-सीमा नजदीक',
+      message: '{{deadline|datetime}} तक काम नी होले शिकायत "{{issueTitle}}" आगे बढ़ावल जाई'
+    },
+    sla_digest: {
+      title: 'समय-सीमा कर नजदीक शिकायत',
+      message: 'राउरे विभाग कर {{count}} शिकायत आपन समय-सीमा कर नजदीक हे'
+    }
+  },
+
+  email: {
+    common: {
+      greeting: 'जोहार {{name}}!',
+      issueId: 'शिकायत आईडी: {{issueId}}',
+      footer: '© 2024 CivicConnect. सब अधिकार सुरक्षित।'
+    },
+    otp: {
+      subject: 'CivicConnect ले राउरे ओटीपी',
+      heading: 'CivicConnect',
+      subheading: 'राउरे ओटीपी तैयार हे',
+      intro: 'राउरे आपन खाता कर सत्यापन ले ओटीपी मांगले रही। सत्यापन पूरा करेक ले ई कोड डालू:',
+      expiry: 'ई ओटीपी 5 मिनट में खतम होय जाई। अगर राउरे एके नी मांगले रही, तो ई ईमेल के छोइड़ देऊ।'
+    },
+    welcome: {
+      subject: 'CivicConnect में राउरे कर स्वागत हे!',
+      heading: 'CivicConnect में राउरे कर स्वागत हे!',
+      subheading: 'राउरे कर खाता बन गेलक',
+      intro: 'CivicConnect में राउरे कर स्वागत हे! अब राउरे आपन इलाका कर नागरिक समस्या दर्ज कइर सकीला आउर ओकर सुलझाव पर नजर राइख सकीला।',
+      listTitle: 'राउरे का-का कइर सकीला:',
+      features: [
+        'फोटो आउर जगह कर संग नागरिक समस्या दर्ज करू',
+        'आपन शिकायत कर प्रगति देखू',
+        'समाज कर दोसर शिकायत के समर्थन करू',
+        'शिकायत सुलझेक कर अपडेट पाऊ'
+      ],
+      button: 'सुरू करू'
+    },
+    issueUpdate: {
+      subject: 'शिकायत अपडेट: {{issueTitle}}',
+      heading: 'शिकायत अपडेट',
+      subheading: 'स्थिति बदलेक कर खबर',
+      messages: {
+        reported: 'राउरे शिकायत दर्ज होय गेलक आउर ओकर जाँच होवत हे',
+        'in-progress': 'राउरे शिकायत में अब काम चलत हे',
+        resolved: 'खुसी कर बात! राउरे शिकायत सुलझ गेलक',
+        closed: 'राउरे शिकायत बंद करल गेलक',
+        merged: 'राउरे शिकायत एहे समस्या कर पहिले से दर्ज शिकायत में जोड़ल गेलक। ओकर अपडेट राउरके मिली',
+        other: 'राउरे शिकायत कर स्थिति बदलल गेलक'
+      },
+      statusLabel: 'स्थिति',
+      button: 'शिकायत देखू'
+    },
+    comment: {
+      subject: 'नावा टिप्पणी: {{issueTitle}}',
+      heading: 'नावा टिप्पणी',
+      subheading: 'केउ राउरे शिकायत में टिप्पणी करलक',
+      intro: '<strong>{{commentAuthor}}</strong> राउरे शिकायत में टिप्पणी करलें।',
+      button: 'टिप्पणी देखू'
+    },
+    adminNotification: {
+      subject: 'नावा शिकायत दर्ज: {{issueTitle}}',
+      heading: 'नावा शिकायत दर्ज',
+      subheading: 'कारवाई जरूरी हे',
+      intro: 'एगो नावा शिकायत दर्ज होलक हे जेकर में राउरे कर ध्यान जरूरी हे।',
+      reportedBy: 'दर्ज करेक वाला: <strong>{{reporterName}}</strong>',
+      button: 'शिकायत देखू'
+    },
+    slaWarning: {
+      subject: 'समय-सीमा नजदीक: {{issueTitle}}',
+      heading: 'शिकायत कर समय-सीमा नजदीक',
+      subheading: 'समय पर काम नी होले ई शिकायत आगे बढ़ावल जाई',
+      deadline: 'समय-सीमा: <strong>{{deadline|datetime}}</strong>',
+      button: 'शिकायत देखू'
+    },
+    announcement: {
+      subject: '{{title}}',
+      heading: 'सूचना',
+      subheading: 'राउरे कर CivicConnect टीम कर तरफ से',
+      button: 'CivicConnect खोलू'
+    },
+    dueSoonDigest: {
+      subject: '{{count}} शिकायत कर समय-सीमा नजदीक',
+      heading: 'समय-सीमा नजदीक',
+      subheading: 'राउरे विभाग कर ऊ शिकायत जेकर समय-सीमा नजदीक हे',
+      columns: {
+        issue: 'शिकायत',
+        priority: 'प्राथमिकता',
+        level: 'स्तर',
+        deadline: 'समय-सीमा'
+      }
+    },
+    notificationDigest: {
+      subject: {
+        daily: 'राउरे कर CivicConnect रोज कर सारांश: {{count}} अपडेट',
+        weekly: 'राउरे कर CivicConnect हफ्ता कर सारांश: {{count}} अपडेट'
+      },
+      heading: {
+        daily: 'राउरे कर रोज कर सारांश',
+        weekly: 'राउरे कर हफ्ता कर सारांश'
+      },
+      subheading: {
+        daily: 'आइज CivicConnect में का-का होलक',
+        weekly: 'ई हफ्ता CivicConnect में का-का होलक'
+      },
+      note: 'ई ईमेल कतना बेर आवी, ऊ राउरे आपन सूचना सेटिंग में बदइल सकीला।'
+    }
+  },
+
+  sms: {
+    otp: '{{otp}} राउरे CivicConnect ओटीपी हे। ई 5 मिनट में खतम होय जाई। एके केकरो संग नी बाँटू।',
+    notification: 'CivicConnect: {{title}}। {{message}}'
+  }
+};
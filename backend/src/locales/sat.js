@@ -0,0 +1,204 @@
+// Santali, in Ol Chiki; missing texts fall back to Hindi, then English
+module.exports = {
+  status: {
+    reported: 'ᱫᱚᱨᱡᱚ',
+    assigned: 'ᱵᱷᱟᱨ ᱮᱢ',
+    accepted: 'ᱦᱟᱛᱟᱣ',
+    'in-progress': 'ᱠᱟᱹᱢᱤ ᱪᱟᱹᱞᱩ',
+    resolved: 'ᱥᱟᱹᱯᱲᱟᱣ',
+    closed: 'ᱵᱚᱱᱫᱚ',
+    escalated: 'ᱪᱮᱛᱟᱱ ᱛᱷᱟᱠ ᱨᱮ',
+    merged: 'ᱥᱮᱞᱮᱫ'
+  },
+
+  priority: {
+    low: 'ᱠᱚᱢ',
+    medium: 'ᱛᱟᱞᱟ',
+    high: 'ᱡᱟᱹᱥᱛᱤ',
+    urgent: 'ᱡᱚᱨᱩᱨᱤ'
+  },
+
+  level: {
+    'field-staff': 'ᱯᱷᱤᱞᱰ ᱠᱟᱹᱢᱤᱭᱟᱹ',
+    supervisor: 'ᱥᱩᱯᱟᱨᱵᱷᱟᱭᱡᱚᱨ',
+    commissioner: 'ᱠᱚᱢᱤᱥᱱᱟᱨ'
+  },
+
+  notification: {
+    issue_status_changed: {
+      reporter: {
+        title: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱵᱚᱫᱚᱞ ᱮᱱᱟ',
+        message: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱱᱤᱛᱚᱜ {{status|status}} ᱠᱟᱱᱟ'
+      },
+      assignee: {
+        title: 'ᱵᱷᱟᱨ ᱮᱢ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱵᱚᱫᱚᱞ ᱮᱱᱟ',
+        message: 'ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱱᱤᱛᱚᱜ {{status|status}} ᱠᱟᱱᱟ'
+      },
+      follower: {
+        title: 'ᱯᱷᱚᱞᱚ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱵᱚᱫᱚᱞ',
+        message: 'ᱟᱢ ᱯᱷᱚᱞᱚ ᱠᱟᱛᱮ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱱᱤᱛᱚᱜ {{status|status}} ᱠᱟᱱᱟ'
+      },
+      in_progress: {
+        title: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱠᱟᱹᱢᱤ ᱮᱛᱚᱦᱚᱵ ᱮᱱᱟ',
+        message: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮ ᱱᱤᱛᱚᱜ ᱠᱟᱹᱢᱤ ᱪᱟᱹᱞᱩ ᱠᱟᱱᱟ'
+      }
+    },
+    comment_added: {
+      reporter: {
+        title: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱱᱟᱶᱟ ᱴᱤᱯᱯᱚᱱᱤ',
+        message: '{{commenterName}} ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮ ᱴᱤᱯᱯᱚᱱᱤ ᱮᱫᱟᱭ'
+      },
+      assignee: {
+        title: 'ᱵᱷᱟᱨ ᱮᱢ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱱᱟᱶᱟ ᱴᱤᱯᱯᱚᱱᱤ',
+        message: '{{commenterName}} ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮ ᱴᱤᱯᱯᱚᱱᱤ ᱮᱫᱟᱭ'
+      }
+    },
+    issue_assigned: {
+      title: 'ᱟᱢ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱵᱷᱟᱨ ᱮᱢ ᱮᱱᱟᱢ',
+      message: 'ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮᱱᱟᱜ ᱵᱷᱟᱨ ᱟᱢ ᱮᱢ ᱟᱠᱟᱱᱟ'
+    },
+    issue_resolved: {
+      reporter: {
+        title: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ',
+        message: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱥᱟᱹᱯᱲᱟᱣ ᱞᱮᱠᱟ ᱪᱤᱱᱦᱟᱹ ᱮᱱᱟ'
+      },
+      follower: {
+        title: 'ᱯᱷᱚᱞᱚ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ',
+        message: 'ᱟᱢ ᱯᱷᱚᱞᱚ ᱠᱟᱛᱮ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ'
+      },
+      admin: {
+        title: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ',
+        message: 'ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ'
+      }
+    },
+    issue_created: {
+      title: 'ᱱᱟᱶᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚᱨᱡᱚ',
+      message: '{{reporterName}} ᱱᱟᱶᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱫᱚᱨᱡᱚ ᱮᱫᱟᱭ'
+    },
+    issue_merged: {
+      duplicate: {
+        title: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱮᱞᱮᱫ ᱮᱱᱟ',
+        message: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{duplicateTitle}}" ᱫᱚ "{{issueTitle}}" ᱨᱮ ᱥᱮᱞᱮᱫ ᱮᱱᱟ᱾ ᱚᱱᱟ ᱨᱮᱱᱟᱜ ᱟᱯᱰᱮᱴ ᱟᱢ ᱧᱟᱢᱟ᱾'
+      },
+      canonical: {
+        title: 'ᱢᱤᱫ ᱞᱮᱠᱟᱱ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚ ᱥᱮᱞᱮᱫ ᱮᱱᱟ',
+        message: '{{count}} ᱢᱤᱫ ᱞᱮᱠᱟᱱ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚ ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮ ᱥᱮᱞᱮᱫ ᱮᱱᱟ'
+      }
+    },
+    upvote_received: {
+      title: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱜᱚᱲᱚ ᱧᱟᱢ ᱮᱱᱟ',
+      message: '{{upvoterName}} ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱨᱮ ᱜᱚᱲᱚ ᱮᱢ ᱮᱫᱟᱭ'
+    },
+    sla_warning: {
+      title: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ ᱠᱟᱱᱟ',
+      message: '{{deadline|datetime}} ᱦᱟᱹᱵᱤᱡ ᱠᱟᱹᱨᱵᱟᱹᱭ ᱵᱟᱝ ᱦᱩᱭ ᱠᱷᱟᱱ ᱥᱤᱠᱟᱹᱭᱚᱛ "{{issueTitle}}" ᱪᱮᱛᱟᱱ ᱛᱷᱟᱠ ᱵᱷᱮᱡᱟ ᱦᱩᱭᱩᱜᱼᱟ'
+    },
+    sla_digest: {
+      title: 'ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚ',
+      message: 'ᱟᱢᱟᱜ ᱵᱤᱵᱷᱟᱜ ᱨᱮᱱᱟᱜ {{count}} ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚᱣᱟᱜ ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ ᱠᱟᱱᱟ'
+    }
+  },
+
+  email: {
+    common: {
+      greeting: 'ᱡᱚᱦᱟᱨ {{name}}!',
+      issueId: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱟᱭᱰᱤ: {{issueId}}',
+      footer: '© 2024 CivicConnect. ᱡᱚᱛᱚ ᱦᱚᱠ ᱫᱚᱦᱚ ᱟᱠᱟᱱᱟ᱾'
+    },
+    otp: {
+      subject: 'CivicConnect ᱞᱟᱹᱜᱤᱫ ᱟᱢᱟᱜ ᱚᱴᱤᱯᱤ',
+      heading: 'CivicConnect',
+      subheading: 'ᱟᱢᱟᱜ ᱚᱴᱤᱯᱤ ᱛᱮᱭᱟᱨ ᱜᱮᱭᱟ',
+      intro: 'ᱟᱢᱟᱜ ᱠᱷᱟᱛᱟ ᱡᱟᱹᱪ ᱞᱟᱹᱜᱤᱫ ᱟᱢ ᱚᱴᱤᱯᱤ ᱠᱟᱹᱢᱤ ᱞᱮᱫᱟᱢ᱾ ᱡᱟᱹᱪ ᱯᱩᱨᱟᱹᱣ ᱞᱟᱹᱜᱤᱫ ᱱᱚᱣᱟ ᱠᱚᱰ ᱟᱫᱮᱨ ᱢᱮ:',
+      expiry: 'ᱱᱚᱣᱟ ᱚᱴᱤᱯᱤ 5 ᱴᱤᱯᱤᱡ ᱛᱟᱭᱚᱢ ᱵᱟᱝ ᱪᱟᱞᱟᱜᱼᱟ᱾ ᱡᱩᱫᱤ ᱟᱢ ᱱᱚᱣᱟ ᱵᱟᱢ ᱠᱟᱹᱢᱤ ᱞᱮᱫ ᱠᱷᱟᱱ, ᱱᱚᱣᱟ ᱤᱢᱮᱞ ᱟᱲᱟᱜ ᱢᱮ᱾'
+    },
+    welcome: {
+      subject: 'CivicConnect ᱨᱮ ᱥᱟᱹᱜᱩᱱ ᱫᱟᱨᱟᱢ!',
+      heading: 'CivicConnect ᱨᱮ ᱥᱟᱹᱜᱩᱱ ᱫᱟᱨᱟᱢ!',
+      subheading: 'ᱟᱢᱟᱜ ᱠᱷᱟᱛᱟ ᱵᱮᱱᱟᱣ ᱮᱱᱟ',
+      intro: 'CivicConnect ᱨᱮ ᱥᱟᱹᱜᱩᱱ ᱫᱟᱨᱟᱢ! ᱱᱤᱛᱚᱜ ᱟᱢ ᱟᱢᱟᱜ ᱴᱚᱴᱷᱟ ᱨᱮᱱᱟᱜ ᱵᱷᱤᱛᱤᱨ ᱥᱚᱢᱚᱥᱤᱭᱟ ᱠᱚ ᱫᱚᱨᱡᱚ ᱫᱟᱲᱮᱭᱟᱜᱼᱟᱢ ᱟᱨ ᱚᱱᱟ ᱠᱚᱣᱟᱜ ᱥᱟᱹᱯᱲᱟᱣ ᱧᱮᱞ ᱫᱟᱲᱮᱭᱟᱜᱼᱟᱢ᱾',
+      listTitle: 'ᱟᱢ ᱪᱮᱫ ᱪᱮᱫ ᱦᱩᱭ ᱫᱟᱲᱮᱭᱟᱜᱼᱟᱢ:',
+      features: [
+        'ᱪᱤᱛᱟᱹᱨ ᱟᱨ ᱡᱟᱭᱜᱟ ᱥᱟᱶ ᱥᱚᱢᱚᱥᱤᱭᱟ ᱠᱚ ᱫᱚᱨᱡᱚ ᱢᱮ',
+        'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚᱣᱟᱜ ᱦᱟᱹᱞᱤᱭᱟᱹ ᱧᱮᱞ ᱢᱮ',
+        'ᱜᱟᱶᱛᱟ ᱨᱮᱱᱟᱜ ᱮᱴᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚ ᱜᱚᱲᱚ ᱢᱮ',
+        'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱟᱹᱯᱲᱟᱣ ᱨᱮᱱᱟᱜ ᱟᱯᱰᱮᱴ ᱧᱟᱢ ᱢᱮ'
+      ],
+      button: 'ᱮᱛᱚᱦᱚᱵ ᱢᱮ'
+    },
+    issueUpdate: {
+      subject: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱟᱯᱰᱮᱴ: {{issueTitle}}',
+      heading: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱟᱯᱰᱮᱴ',
+      subheading: 'ᱫᱚᱥᱟ ᱵᱚᱫᱚᱞ ᱨᱮᱱᱟᱜ ᱥᱩᱪᱱᱟ',
+      messages: {
+        reported: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚᱨᱡᱚ ᱮᱱᱟ ᱟᱨ ᱚᱱᱟ ᱧᱮᱞ ᱡᱟᱹᱪ ᱦᱩᱭᱩᱜ ᱠᱟᱱᱟ',
+        'in-progress': 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱱᱤᱛᱚᱜ ᱠᱟᱹᱢᱤ ᱪᱟᱹᱞᱩ ᱠᱟᱱᱟ',
+        resolved: 'ᱨᱟᱹᱥᱠᱟᱹ ᱠᱟᱛᱷᱟ! ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱥᱟᱹᱯᱲᱟᱣ ᱮᱱᱟ',
+        closed: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱵᱚᱱᱫᱚ ᱮᱱᱟ',
+        merged: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚ ᱱᱚᱣᱟ ᱥᱚᱢᱚᱥᱤᱭᱟ ᱨᱮᱱᱟᱜ ᱢᱤᱫ ᱢᱮᱱᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱥᱮᱞᱮᱫ ᱮᱱᱟ᱾ ᱚᱱᱟ ᱨᱮᱱᱟᱜ ᱟᱯᱰᱮᱴ ᱟᱢ ᱧᱟᱢᱟ',
+        other: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱫᱚᱥᱟ ᱵᱚᱫᱚᱞ ᱮᱱᱟ'
+      },
+      statusLabel: 'ᱫᱚᱥᱟ',
+      button: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱧᱮᱞ ᱢᱮ'
+    },
+    comment: {
+      subject: 'ᱱᱟᱶᱟ ᱴᱤᱯᱯᱚᱱᱤ: {{issueTitle}}',
+      heading: 'ᱱᱟᱶᱟ ᱴᱤᱯᱯᱚᱱᱤ',
+      subheading: 'ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱡᱟᱦᱟᱸᱭ ᱴᱤᱯᱯᱚᱱᱤ ᱮᱫᱟᱭ',
+      intro: '<strong>{{commentAuthor}}</strong> ᱟᱢᱟᱜ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮ ᱴᱤᱯᱯᱚᱱᱤ ᱮᱫᱟᱭ᱾',
+      button: 'ᱴᱤᱯᱯᱚᱱᱤ ᱧᱮᱞ ᱢᱮ'
+    },
+    adminNotification: {
+      subject: 'ᱱᱟᱶᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚᱨᱡᱚ: {{issueTitle}}',
+      heading: 'ᱱᱟᱶᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚᱨᱡᱚ',
+      subheading: 'ᱠᱟᱹᱨᱵᱟᱹᱭ ᱞᱟᱹᱠᱛᱤ',
+      intro: 'ᱢᱤᱫᱴᱟᱹᱝ ᱱᱟᱶᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱫᱚᱨᱡᱚ ᱮᱱᱟ, ᱚᱱᱟ ᱨᱮ ᱟᱢᱟᱜ ᱫᱷᱭᱟᱱ ᱞᱟᱹᱠᱛᱤ᱾',
+      reportedBy: 'ᱫᱚᱨᱡᱚ ᱠᱟᱹᱨᱤᱭᱟᱹ: <strong>{{reporterName}}</strong>',
+      button: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱧᱮᱞ ᱢᱮ'
+    },
+    slaWarning: {
+      subject: 'ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ: {{issueTitle}}',
+      heading: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱨᱮᱱᱟᱜ ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ ᱠᱟᱱᱟ',
+      subheading: 'ᱚᱠᱛᱚ ᱨᱮ ᱠᱟᱹᱨᱵᱟᱹᱭ ᱵᱟᱝ ᱦᱩᱭ ᱠᱷᱟᱱ ᱱᱚᱣᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱪᱮᱛᱟᱱ ᱛᱷᱟᱠ ᱵᱷᱮᱡᱟ ᱦᱩᱭᱩᱜᱼᱟ',
+      deadline: 'ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ: <strong>{{deadline|datetime}}</strong>',
+      button: 'ᱥᱤᱠᱟᱹᱭᱚᱛ ᱧᱮᱞ ᱢᱮ'
+    },
+    announcement: {
+      subject: '{{title}}',
+      heading: 'ᱥᱩᱪᱱᱟ',
+      subheading: 'ᱟᱢᱟᱜ CivicConnect ᱫᱟᱞ ᱠᱷᱚᱱ',
+      button: 'CivicConnect ᱡᱷᱤᱡ ᱢᱮ'
+    },
+    dueSoonDigest: {
+      subject: '{{count}} ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚᱣᱟᱜ ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ',
+      heading: 'ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ',
+      subheading: 'ᱟᱢᱟᱜ ᱵᱤᱵᱷᱟᱜ ᱨᱮᱱᱟᱜ ᱚᱱᱟ ᱥᱤᱠᱟᱹᱭᱚᱛ ᱠᱚ ᱡᱟᱦᱟᱸ ᱠᱚᱣᱟᱜ ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ ᱱᱟᱜᱟᱡ ᱠᱟᱱᱟ',
+      columns: {
+        issue: 'ᱥᱤᱠᱟᱹᱭᱚᱛ',
+        priority: 'ᱡᱚᱨᱩᱨᱤ ᱫᱚᱨᱡᱟ',
+        level: 'ᱛᱷᱟᱠ',
+        deadline: 'ᱢᱩᱪᱟᱹᱫ ᱚᱠᱛᱚ'
+      }
+    },
+    notificationDigest: {
+      subject: {
+        daily: 'ᱟᱢᱟᱜ CivicConnect ᱫᱤᱱᱟᱹᱢ ᱥᱟᱨᱟᱱᱥ: {{count}} ᱟᱯᱰᱮᱴ',
+        weekly: 'ᱟᱢᱟᱜ CivicConnect ᱦᱟᱯᱛᱟ ᱥᱟᱨᱟᱱᱥ: {{count}} ᱟᱯᱰᱮᱴ'
+      },
+      heading: {
+        daily: 'ᱟᱢᱟᱜ ᱫᱤᱱᱟᱹᱢ ᱥᱟᱨᱟᱱᱥ',
+        weekly: 'ᱟᱢᱟᱜ ᱦᱟᱯᱛᱟ ᱥᱟᱨᱟᱱᱥ'
+      },
+      subheading: {
+        daily: 'ᱛᱮᱦᱮᱧ CivicConnect ᱨᱮ ᱪᱮᱫ ᱦᱩᱭ ᱮᱱᱟ',
+        weekly: 'ᱱᱚᱣᱟ ᱦᱟᱯᱛᱟ CivicConnect ᱨᱮ ᱪᱮᱫ ᱦᱩᱭ ᱮᱱᱟ'
+      },
+      note: 'ᱱᱚᱣᱟ ᱤᱢᱮᱞ ᱛᱤᱱᱟᱹᱜ ᱫᱷᱟᱣ ᱧᱟᱢ ᱨᱮᱭᱟᱜ, ᱚᱱᱟ ᱟᱢ ᱟᱢᱟᱜ ᱥᱩᱪᱱᱟ ᱥᱟᱡᱟᱣ ᱨᱮ ᱵᱚᱫᱚᱞ ᱫᱟᱲᱮᱭᱟᱜᱼᱟᱢ᱾'
+    }
+  },
+
+  sms: {
+    otp: '{{otp}} ᱫᱚ ᱟᱢᱟᱜ CivicConnect ᱚᱴᱤᱯᱤ ᱠᱟᱱᱟ᱾ ᱱᱚᱣᱟ 5 ᱴᱤᱯᱤᱡ ᱛᱟᱭᱚᱢ ᱵᱟᱝ ᱪᱟᱞᱟᱜᱼᱟ᱾ ᱪᱮᱫ ᱦᱚᱲ ᱥᱟᱶ ᱦᱚᱸ ᱟᱞᱚᱢ ᱦᱟᱹᱴᱤᱧᱟ᱾',
+    notification: 'CivicConnect: {{title}}᱾ {{message}}'
+  }
+};
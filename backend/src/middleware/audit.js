@@ -0,0 +1,40 @@
+const auditService = require('../services/auditService');
+const roleService = require('../services/roleService');
+const User = require('../models/User');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const recordRequest = (req, res) => auditService.record({
+  actor: req.user,
+  action: 'request',
+  method: req.method,
+  path: req.originalUrl.split('?')[0],
+  statusCode: res.statusCode,
+  details: { params: req.params, body: req.body }
+}, req);
+
+// Admins, and custom roles allowed to manage any issue
+const isAdmin = (user) => Boolean(user) &&
+  (User.ADMIN_ROLES.includes(user.role) || roleService.can(user, 'issue.manage'));
+
+// Record every change made through a router (anything but GET/HEAD) against the signed-in user,
+// once the response is sent so the outcome is known. Use after `authenticate`.
+const auditRequests = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => recordRequest(req, res));
+  next();
+};
+
+// Like auditRequests, for routers shared with citizens and employees: only changes made by admins
+// are recorded. The user is checked once the response is sent, so routes may authenticate themselves.
+const auditAdminRequests = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (isAdmin(req.user)) recordRequest(req, res);
+  });
+  next();
+};
+
+module.exports = { auditRequests, auditAdminRequests };
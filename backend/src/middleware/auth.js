@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const roleService = require('../services/roleService');
+
+// How stale a session's lastUsedAt may get before a request refreshes it
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// The live session an access token belongs to, or null once it is revoked or expired
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+  const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt lastUsedAt');
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id.toString()) {
+    return null;
+  }
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => {});
+  }
+  return session;
+};
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -15,6 +33,16 @@ const authenticate = async (req, res, next) => {
 
     const secret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
     const decoded = jwt.verify(token, secret);
+
+    // Tokens from before sessions existed have no session id and are refused too
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password -otp');
     
     if (!user) {
@@ -31,7 +59,11 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Resolved once per request for requirePermission and roleService.can
+    user.permissions = await roleService.getPermissions(user.role);
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -56,64 +88,49 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+// Require a permission (see roleService for the list and the role mapping). Accounts whose password
+// was set by someone else must change it (PUT /auth/password) before using any of these routes, and
+// roles that require two-factor sign-in must turn it on first (/auth/2fa).
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.user && req.user.mustChangePassword) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: 'Please change your password to continue.',
+      code: 'PASSWORD_CHANGE_REQUIRED'
     });
   }
-  next();
-};
 
-// Check if user is employee
-const requireEmployee = (req, res, next) => {
-  if (req.user.role !== 'employee') {
+  if (req.user && roleService.requiresTwoFactor(req.user.role) && !req.user.twoFactor?.enabled) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Employee privileges required.'
+      message: 'Your role requires two-factor authentication. Please set it up to continue.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
     });
   }
-  next();
-};
 
-// Require one of roles
-const requireRoles = (roles = []) => (req, res, next) => {
-  if (!roles.includes(req.user.role)) {
+  if (!roleService.can(req.user, permission)) {
     return res.status(403).json({
       success: false,
-      message: `Access denied. Requires one of roles: ${roles.join(', ')}`
+      message: `Access denied. Requires the ${permission} permission.`
     });
   }
   next();
 };
 
-// Check if user is admin or the resource owner
-const requireAdminOrOwner = (req, res, next) => {
-  const resourceUserId = req.params.userId || req.body.userId || req.query.userId;
-  
-  if (req.user.role === 'admin' || req.user._id.toString() === resourceUserId) {
-    return next();
-  }
-  
-  return res.status(403).json({
-    success: false,
-    message: 'Access denied. Admin privileges or resource ownership required.'
-  });
-};
-
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password -otp');
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+      const session = await findActiveSession(decoded);
+      const user = session ? await User.findById(decoded.id).select('-password -otp') : null;
       
       if (user && user.isActive) {
+        user.permissions = await roleService.getPermissions(user.role);
         req.user = user;
+        req.sessionId = session._id;
       }
     }
     
@@ -124,23 +141,23 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate JWT token for a session
+const generateToken = (userId, sessionId) => {
   const secret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     secret,
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Generate refresh token; `jti` identifies it so a reused (already rotated) token can be spotted
+const generateRefreshToken = (userId, sessionId, jti) => {
   const secret = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-change-this-in-production';
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     secret,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d', jwtid: jti }
   );
 };
 
@@ -152,10 +169,8 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
   authenticate,
-  requireAdmin,
-  requireEmployee,
-  requireRoles,
-  requireAdminOrOwner,
+  findActiveSession,
+  requirePermission,
   optionalAuth,
   generateToken,
   generateRefreshToken,
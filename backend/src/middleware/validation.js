@@ -83,6 +83,12 @@ const validateOTPRequest = [
     .isMobilePhone('en-IN')
     .withMessage('Please provide a valid Indian mobile number'),
   
+  // Phone-change OTPs have their own authenticated endpoint
+  body('purpose')
+    .optional()
+    .isIn(['login', 'registration'])
+    .withMessage('Purpose must be login or registration'),
+  
   body().custom((body) => {
     if (!body.aadhaarNumber && !body.mobile) {
       throw new Error('Aadhaar number or mobile number is required');
@@ -115,6 +121,34 @@ const validateOTPVerification = [
     .isNumeric()
     .withMessage('OTP must contain only numbers'),
   
+  body('purpose')
+    .optional()
+    .isIn(['login', 'registration'])
+    .withMessage('Purpose must be login or registration'),
+  
+  handleValidationErrors
+];
+
+// Phone number change validation
+const validatePhoneChange = [
+  body('mobile')
+    .isMobilePhone('en-IN')
+    .withMessage('Please provide a valid Indian mobile number'),
+  
+  handleValidationErrors
+];
+
+const validatePhoneChangeVerification = [
+  body('mobile')
+    .isMobilePhone('en-IN')
+    .withMessage('Please provide a valid Indian mobile number'),
+  
+  body('otp')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP must be 6 digits')
+    .isNumeric()
+    .withMessage('OTP must contain only numbers'),
+  
   handleValidationErrors
 ];
 
@@ -269,6 +303,11 @@ const validateIssueFilters = [
     .isIn(['asc', 'desc'])
     .withMessage('Sort order must be asc or desc'),
   
+  query('zone')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid zone id'),
+  
   handleValidationErrors
 ];
 
@@ -308,6 +347,161 @@ const validateAdminAssignment = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Reason cannot exceed 500 characters'),
+
+  body('strategy')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Strategy must be a strategy name'),
+  
+  handleValidationErrors
+];
+
+const validateAssignmentPreview = [
+  query('strategy')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Strategy must be a strategy name'),
+
+  handleValidationErrors
+];
+
+// SLA policy validation
+const validateSlaPolicy = [
+  body('category')
+    .optional({ nullable: true })
+    .isIn([
+      'Road & Traffic',
+      'Water & Drainage',
+      'Electricity',
+      'Garbage & Sanitation',
+      'Street Lighting',
+      'Public Safety',
+      'Parks & Recreation',
+      'Other'
+    ])
+    .withMessage('Invalid category'),
+  
+  body('priority')
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+  
+  body('role')
+    .isIn(['field-staff', 'supervisor'])
+    .withMessage('Role must be field-staff or supervisor'),
+  
+  body('ward')
+    .optional({ nullable: true })
+    .isString()
+    .trim(),
+  
+  body('hours')
+    .isFloat({ min: 0.25, max: 24 * 90 })
+    .withMessage('Hours must be between 0.25 and 2160'),
+  
+  body('warningPercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 10, max: 99 })
+    .withMessage('Warning percent must be between 10 and 99'),
+  
+  handleValidationErrors
+];
+
+const validateSlaPolicyUpdate = [
+  body('hours')
+    .optional()
+    .isFloat({ min: 0.25, max: 24 * 90 })
+    .withMessage('Hours must be between 0.25 and 2160'),
+  
+  body('warningPercent')
+    .optional({ nullable: true })
+    .isFloat({ min: 10, max: 99 })
+    .withMessage('Warning percent must be between 10 and 99'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Working calendar validation
+const validateWorkingCalendar = [
+  param('department')
+    .isIn([
+      'Road & Traffic',
+      'Water & Drainage',
+      'Electricity',
+      'Garbage & Sanitation',
+      'Street Lighting',
+      'Public Safety',
+      'Parks & Recreation',
+      'Other',
+      'default'
+    ])
+    .withMessage('Invalid department'),
+  
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Timezone must be a string'),
+  
+  body('weeklyHours')
+    .optional()
+    .isArray()
+    .withMessage('Weekly hours must be an array'),
+  
+  body('weeklyHours.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  
+  body('weeklyHours.*')
+    .custom((window) => {
+      if (!window.open || !window.close || window.open >= window.close) {
+        throw new Error('Each office-hour window needs an open time before its close time');
+      }
+      return true;
+    }),
+  
+  body('businessHoursPriorities')
+    .optional()
+    .isArray()
+    .withMessage('Business-hours priorities must be an array'),
+  
+  body('businessHoursPriorities.*')
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+  
+  handleValidationErrors
+];
+
+const validateHoliday = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Holiday name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be YYYY-MM-DD')
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a valid calendar date'),
+  
+  body('recurring')
+    .optional()
+    .isBoolean()
+    .withMessage('Recurring must be a boolean value'),
+  
+  body('departments')
+    .optional()
+    .isArray()
+    .withMessage('Departments must be an array'),
   
   handleValidationErrors
 ];
@@ -326,12 +520,619 @@ const validateFeedback = [
   handleValidationErrors
 ];
 
+// Manual escalation / de-escalation validation
+const validateEscalationAction = [
+  body('toRole')
+    .optional()
+    .isIn(['field-staff', 'supervisor', 'commissioner'])
+    .withMessage('Invalid target role'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason between 5 and 500 characters is required'),
+  
+  handleValidationErrors
+];
+
+// Similar issues lookup validation (draft report)
+const validateSimilarIssues = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  
+  query('radius')
+    .optional()
+    .isInt({ min: 50, max: 5000 })
+    .withMessage('Radius must be between 50 and 5000 meters'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  
+  query(['title', 'description'])
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Text is too long'),
+  
+  handleValidationErrors
+];
+
+// Merge duplicates validation
+const validateMerge = [
+  body('duplicateIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('duplicateIds must list between 1 and 50 issues'),
+  
+  body('duplicateIds.*')
+    .isMongoId()
+    .withMessage('Invalid issue ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Reopen validation (multipart form, so runs after the upload middleware)
+const validateReopen = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Please describe what is still wrong (10-500 characters)'),
+  
+  handleValidationErrors
+];
+
+// Retention policy validation
+const validateRetentionPolicy = [
+  param('status')
+    .isIn(['reported', 'assigned', 'accepted', 'in-progress', 'resolved', 'closed', 'escalated'])
+    .withMessage('Invalid status'),
+  
+  body('days')
+    .optional()
+    .isFloat({ min: 1, max: 3650 })
+    .withMessage('Days must be between 1 and 3650'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Archive search validation
+const validateArchiveSearch = [
+  query('reason')
+    .optional()
+    .isIn(['retention', 'deleted'])
+    .withMessage('Reason must be retention or deleted'),
+  
+  query('reportedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reporter id'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  
+  handleValidationErrors
+];
+
+// Zone validation
+const validateZone = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+  
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Code is required and cannot exceed 50 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['ward', 'circle'])
+    .withMessage('Type must be ward or circle'),
+  
+  body('geometry')
+    .isObject()
+    .withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  
+  handleValidationErrors
+];
+
+const validateZoneUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name cannot be empty or exceed 100 characters'),
+  
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Code cannot be empty or exceed 50 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['ward', 'circle'])
+    .withMessage('Type must be ward or circle'),
+  
+  body('geometry')
+    .optional()
+    .isObject()
+    .withMessage('Geometry must be a GeoJSON Polygon or MultiPolygon'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+const validateZoneImport = [
+  body('geojson')
+    .isObject()
+    .withMessage('geojson must be a GeoJSON FeatureCollection'),
+  
+  body('type')
+    .optional()
+    .isIn(['ward', 'circle'])
+    .withMessage('Type must be ward or circle'),
+  
+  body(['nameProperty', 'codeProperty'])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Property names must be 1-50 characters'),
+  
+  handleValidationErrors
+];
+
+const validateZoneLookup = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  
+  handleValidationErrors
+];
+
+// Employee schedule validation
+const validateSchedule = [
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Timezone must be a string'),
+  
+  body('shifts')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Shifts must be an array'),
+  
+  body('shifts.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  
+  body('shifts.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be HH:mm'),
+  
+  body('shifts.*.end')
+    .matches(/^([01]\d|2[0-4]):[0-5]\d$/)
+    .withMessage('End time must be HH:mm'),
+  
+  body('backup')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Backup must be an Employee ID'),
+  
+  body('onDuty')
+    .optional()
+    .isBoolean()
+    .withMessage('onDuty must be true or false'),
+  
+  handleValidationErrors
+];
+
+const validateLeave = [
+  body(['from', 'to'])
+    .isISO8601()
+    .withMessage('From and to must be dates (YYYY-MM-DD) or ISO 8601 times'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  
+  handleValidationErrors
+];
+
+const validateDuty = [
+  body('onDuty')
+    .isBoolean()
+    .withMessage('onDuty must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Team validation
+const validateReportsTo = [
+  body('reportsTo')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('reportsTo must be the manager\'s Employee ID'),
+  
+  handleValidationErrors
+];
+
+const validateTeamIssues = [
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be true or false'),
+  
+  query('member')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid team member id'),
+  
+  handleValidationErrors
+];
+
+// Password change validation
+const validatePasswordChange = [
+  body('currentPassword')
+    .optional()
+    .isString(),
+  
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters'),
+  
+  handleValidationErrors
+];
+
+// Role validation
+const roleFields = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  
+  body('permissions.*')
+    .isString()
+    .withMessage('Each permission must be a permission key'),
+  
+  body('requireTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactor must be true or false')
+    .toBoolean()
+];
+
+const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,39}$/)
+    .withMessage('Role name must be 2-40 lowercase letters, digits or dashes, starting with a letter'),
+  
+  ...roleFields,
+  
+  handleValidationErrors
+];
+
+const validateRoleUpdate = [
+  ...roleFields,
+  
+  handleValidationErrors
+];
+
+// Admin account validation
+const validateAdminLogin = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+const adminPassword = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Admin passwords must be at least 8 characters');
+
+const validateAdminAccount = [
+  body('username')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9._-]{3,30}$/)
+    .withMessage('Username must be 3-30 letters, digits, dots, dashes or underscores'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  adminPassword('password'),
+  
+  body('role')
+    .optional()
+    .isIn(['admin', 'super-admin'])
+    .withMessage('Role must be admin or super-admin'),
+  
+  handleValidationErrors
+];
+
+const validateAdminStatus = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateAdminPasswordReset = [
+  adminPassword('password').optional(),
+  
+  handleValidationErrors
+];
+
+const validateAuditLogQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor id'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a date'),
+  
+  handleValidationErrors
+];
+
+// Two-factor validation: an authenticator code or a recovery code
+const twoFactorCodeFields = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be the 6 digits shown in your authenticator app'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim(),
+  
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Enter the code from your authenticator app or a recovery code');
+    }
+    return true;
+  })
+];
+
+const validateTwoFactorCode = [
+  ...twoFactorCodeFields,
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Sign-in challenge is missing; enter your password again'),
+  
+  ...twoFactorCodeFields,
+  
+  handleValidationErrors
+];
+
+// Notification preferences validation (types are checked against the notification types by the service)
+const validateNotificationPreferences = [
+  body(['email', 'sms', 'push'])
+    .optional()
+    .isBoolean()
+    .withMessage('Channel switches must be true or false')
+    .toBoolean(),
+  
+  body('types')
+    .optional()
+    .isObject()
+    .withMessage('types must map notification types to channels'),
+  
+  body('types.*')
+    .custom(value => value === null || (typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([channel, on]) => ['email', 'sms', 'push'].includes(channel) && (on === null || typeof on === 'boolean'))))
+    .withMessage('Each notification type maps email, sms or push to true, false or null'),
+  
+  body('quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('quietHours.enabled must be true or false')
+    .toBoolean(),
+  
+  body(['quietHours.start', 'quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must be given as HH:mm'),
+  
+  body('digest')
+    .optional()
+    .isIn(['off', 'daily', 'weekly'])
+    .withMessage('digest must be off, daily or weekly'),
+  
+  handleValidationErrors
+];
+
+// Web Push subscription from the browser (PushSubscription.toJSON())
+const validatePushSubscription = [
+  body('subscription.endpoint')
+    .isURL({ protocols: ['https'], require_protocol: true, require_tld: false })
+    .withMessage('subscription.endpoint must be an https URL'),
+  
+  body(['subscription.keys.p256dh', 'subscription.keys.auth'])
+    .isString()
+    .notEmpty()
+    .withMessage('subscription.keys must include p256dh and auth'),
+  
+  handleValidationErrors
+];
+
+// Expo push token from the mobile app
+const validateExpoPushToken = [
+  body('token')
+    .matches(/^Expo(nent)?PushToken\[.+\]$/)
+    .withMessage('token must be an Expo push token'),
+  
+  body('platform')
+    .optional()
+    .isIn(['ios', 'android'])
+    .withMessage('platform must be ios or android'),
+  
+  handleValidationErrors
+];
+
+// Admin template preview
+const validateTemplatePreview = [
+  body('key')
+    .isString()
+    .notEmpty()
+    .withMessage('key is required (e.g. notification.issue_assigned, email.otp, sms.otp)'),
+  
+  body('language')
+    .optional()
+    .isIn(['en', 'hi', 'sat', 'nag'])
+    .withMessage('language must be en, hi, sat or nag'),
+  
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('variables must be an object'),
+  
+  handleValidationErrors
+];
+
+// Announcements
+const validateAnnouncement = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title is required and cannot exceed 200 characters'),
+  
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Message is required and cannot exceed 500 characters'),
+  
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be low, medium, high or urgent'),
+  
+  body('target')
+    .optional()
+    .isObject()
+    .withMessage('target must be an object with a type'),
+  
+  body('targetUsers')
+    .optional()
+    .isString()
+    .withMessage('targetUsers must be a target type'),
+  
+  body('channels')
+    .optional()
+    .isObject()
+    .withMessage('channels must be an object'),
+  
+  body(['channels.email', 'channels.sms', 'channels.push'])
+    .optional()
+    .isBoolean()
+    .withMessage('Channels must be true or false'),
+  
+  body(['scheduledAt', 'expiresAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('scheduledAt and expiresAt must be ISO 8601 dates'),
+  
+  handleValidationErrors
+];
+
+const validateAnnouncementAudience = [
+  body('target')
+    .isObject()
+    .withMessage('target must be an object with a type'),
+  
+  handleValidationErrors
+];
+
+const validateAnnouncementQuery = [
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'sending', 'sent', 'cancelled', 'withdrawn', 'expired', 'failed'])
+    .withMessage('Invalid announcement status'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
   validateOTPRequest,
   validateOTPVerification,
+  validatePhoneChange,
+  validatePhoneChangeVerification,
+  validatePasswordChange,
   validateIssueCreation,
   validateIssueUpdate,
   validateCommentCreation,
@@ -340,5 +1141,41 @@ module.exports = {
   validateIssueFilters,
   validateFileUpload,
   validateAdminAssignment,
-  validateFeedback
+  validateAssignmentPreview,
+  validateSlaPolicy,
+  validateSlaPolicyUpdate,
+  validateWorkingCalendar,
+  validateHoliday,
+  validateEscalationAction,
+  validateReopen,
+  validateMerge,
+  validateSimilarIssues,
+  validateFeedback,
+  validateRetentionPolicy,
+  validateArchiveSearch,
+  validateZone,
+  validateZoneUpdate,
+  validateZoneImport,
+  validateZoneLookup,
+  validateSchedule,
+  validateLeave,
+  validateDuty,
+  validateReportsTo,
+  validateTeamIssues,
+  validateRole,
+  validateRoleUpdate,
+  validateAdminLogin,
+  validateAdminAccount,
+  validateAdminStatus,
+  validateAdminPasswordReset,
+  validateAuditLogQuery,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateNotificationPreferences,
+  validatePushSubscription,
+  validateExpoPushToken,
+  validateTemplatePreview,
+  validateAnnouncement,
+  validateAnnouncementAudience,
+  validateAnnouncementQuery
 };
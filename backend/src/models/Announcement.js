@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Who an announcement goes to; `type` says which of the other fields applies
+const TARGET_TYPES = ['all', 'citizens', 'employees', 'admins', 'role', 'department', 'zone', 'radius', 'users'];
+
+const STATUSES = ['scheduled', 'sending', 'sent', 'cancelled', 'withdrawn', 'expired', 'failed'];
+
+// A message from the administration to a group of users, sent now or at `scheduledAt` as one
+// system_announcement notification per recipient (see announcementService)
+const announcementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Announcement title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Announcement message is required'],
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  target: {
+    type: {
+      type: String,
+      enum: TARGET_TYPES,
+      default: 'all'
+    },
+    roles: [String],
+    departments: [String],
+    zones: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    }],
+    // Centre and radius for `radius`
+    center: {
+      latitude: Number,
+      longitude: Number
+    },
+    radiusKm: Number,
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // In-app is always on; the other channels still follow each recipient's preferences
+  channels: {
+    email: { type: Boolean, default: false },
+    sms: { type: Boolean, default: false },
+    push: { type: Boolean, default: true }
+  },
+  scheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  // After this the notifications disappear from the recipients' lists
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'scheduled'
+  },
+  // Number of users the announcement was sent to
+  recipients: {
+    type: Number,
+    default: 0
+  },
+  // When a server took the announcement for sending; a `sending` one left unfinished is taken again
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+announcementSchema.index({ status: 1, scheduledAt: 1 });
+announcementSchema.index({ status: 1, expiresAt: 1 });
+announcementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Announcement', announcementSchema);
+module.exports.TARGET_TYPES = TARGET_TYPES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// An issue moved out of the live collection, together with its comments and notifications.
+// The snapshots are the raw documents so a restore puts back exactly what was archived.
+const archivedIssueSchema = new mongoose.Schema({
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Original issue id is required'],
+    unique: true
+  },
+  // Copied out of the snapshot for searching
+  title: String,
+  description: String,
+  category: String,
+  status: String,
+  priority: String,
+  ward: String,
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issueCreatedAt: Date,
+  resolvedAt: Date,
+  closedAt: Date,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Issue snapshot is required']
+  },
+  comments: [mongoose.Schema.Types.Mixed],
+  notifications: [mongoose.Schema.Types.Mixed],
+  reason: {
+    type: String,
+    enum: ['retention', 'deleted'],
+    required: true
+  },
+  // Retention period that applied when the job archived it
+  retentionDays: {
+    type: Number,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+archivedIssueSchema.index({ archivedAt: -1 });
+archivedIssueSchema.index({ category: 1, status: 1 });
+archivedIssueSchema.index({ reportedBy: 1 });
+archivedIssueSchema.index({ issueCreatedAt: -1 });
+
+module.exports = mongoose.model('ArchivedIssue', archivedIssueSchema);
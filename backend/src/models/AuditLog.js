@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Who did what: admin sign-ins, admin account changes and every change made through the admin API.
+// Entries are never edited; actorName keeps them readable after the account is gone.
+const auditLogSchema = new mongoose.Schema({
+  // null for the bootstrap CLI and failed sign-ins of unknown usernames
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+  // e.g. admin.login, admin.login-failed, admin.create, admin.disable, admin.password-reset, request
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  // What was acted on, when there is a single thing
+  target: {
+    type: { type: String, default: null },
+    id: { type: String, default: null }
+  },
+  // Admin API requests: method, path and response status
+  method: String,
+  path: String,
+  statusCode: Number,
+  // Request parameters and body, with passwords, tokens and OTPs removed
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
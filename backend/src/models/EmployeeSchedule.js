@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// When an employee works, when they are away, and who covers for them.
+// Employees without a schedule are treated as always on duty.
+const employeeScheduleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Employee is required'],
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: (value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  // Weekly shifts; an end before the start runs past midnight. Empty means no fixed hours.
+  shifts: [{
+    day: {
+      type: Number,
+      min: 0, // Sunday
+      max: 6, // Saturday
+      required: true
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-4]):[0-5]\d$/, 'End time must be HH:mm']
+    }
+  }],
+  leave: [{
+    from: {
+      type: Date,
+      required: true
+    },
+    to: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Manual on/off-duty switch from the employee dashboard
+  onDuty: {
+    type: Boolean,
+    default: true
+  },
+  dutyChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Gets the employee's work while they are off duty
+  backup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+employeeScheduleSchema.index({ backup: 1 });
+
+module.exports = mongoose.model('EmployeeSchedule', employeeScheduleSchema);
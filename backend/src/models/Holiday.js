@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Local calendar date (YYYY-MM-DD) in the working calendar's timezone
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+  },
+  // Repeats on the same month/day every year (e.g. Republic Day)
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  // Empty means the holiday applies to every department
+  departments: [{
+    type: String,
+    enum: [
+      'Road & Traffic',
+      'Water & Drainage',
+      'Electricity',
+      'Garbage & Sanitation',
+      'Street Lighting',
+      'Public Safety',
+      'Parks & Recreation',
+      'Other'
+    ]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ isActive: 1 });
+
+// Method to check whether the holiday falls on a local date for a department
+holidaySchema.methods.appliesTo = function(dateKey, department) {
+  const sameDay = this.recurring
+    ? this.date.slice(5) === dateKey.slice(5)
+    : this.date === dateKey;
+
+  if (!sameDay) return false;
+  return !this.departments || this.departments.length === 0 || this.departments.includes(department);
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const slaService = require('../services/slaService');
 
 const issueSchema = new mongoose.Schema({
   title: {
@@ -54,6 +55,17 @@ const issueSchema = new mongoose.Schema({
       pincode: String
     }
   },
+  // Name of the ward the issue falls in (set from its zones when it is tagged)
+  ward: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Every zone the location falls in, most specific (ward) first
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  }],
   status: {
     type: String,
     enum: ['reported', 'assigned', 'accepted', 'in-progress', 'resolved', 'closed', 'escalated'],
@@ -121,12 +133,83 @@ const issueSchema = new mongoose.Schema({
     priority: {
       type: String,
       enum: ['low', 'medium', 'high', 'urgent']
+    },
+    // 'down' entries are manual de-escalations back to a lower level
+    direction: {
+      type: String,
+      enum: ['up', 'down'],
+      default: 'up'
+    },
+    trigger: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto'
     }
   }],
   escalationDeadline: {
     type: Date,
     default: null
   },
+  // SLA policy the current escalationDeadline was computed from
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy',
+      default: null
+    },
+    version: {
+      type: Number,
+      default: null
+    },
+    hours: {
+      type: Number,
+      default: null
+    },
+    role: {
+      type: String,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    // Pre-breach warning point within the window, and when that warning went out
+    warningAt: {
+      type: Date,
+      default: null
+    },
+    warningSentAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Why the assignment engine picked who it picked (shown to admins)
+  assignmentDecision: {
+    strategy: {
+      type: String,
+      default: null
+    },
+    chosen: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    // Every employee considered, with the numbers the strategy looked at
+    candidates: [mongoose.Schema.Types.Mixed],
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    }
+  },
   resolvedAt: {
     type: Date,
     default: null
@@ -169,6 +252,40 @@ const issueSchema = new mongoose.Schema({
       ref: 'User'
     }
   },
+  // Citizen reopened a resolution that did not actually fix the problem
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  reopenHistory: [{
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reopenedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Reopen reason cannot exceed 500 characters']
+    },
+    photo: {
+      url: String,
+      publicId: String
+    },
+    // The resolution that was rejected
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resolvedPhoto: {
+      url: String,
+      publicId: String
+    }
+  }],
   documents: [{
     url: {
       type: String,
@@ -242,6 +359,35 @@ const issueSchema = new mongoose.Schema({
   reportId: {
     type: String,
     default: null
+  },
+  // Duplicate reports merged into this one, or the issue this duplicate was merged into (read-only then)
+  duplicates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Users other than the reporter who get progress updates (e.g. reporters of merged duplicates)
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when restored from the archive so the retention job leaves it alone for a while
+  retainUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -253,9 +399,14 @@ issueSchema.index({ category: 1 });
 issueSchema.index({ priority: 1 });
 issueSchema.index({ reportedBy: 1 });
 issueSchema.index({ assignedTo: 1 });
+issueSchema.index({ zones: 1 });
 issueSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
 issueSchema.index({ createdAt: -1 });
 issueSchema.index({ upvotes: -1 });
+issueSchema.index({ 'sla.warningAt': 1, 'sla.warningSentAt': 1 });
+issueSchema.index({ 'resolved.resolvedBy': 1 });
+issueSchema.index({ 'reopenHistory.resolvedBy': 1 });
+issueSchema.index({ mergedInto: 1 });
 
 // Geospatial index for location-based queries
 issueSchema.index({ 'location.coordinates': '2dsphere' });
@@ -273,15 +424,19 @@ issueSchema.virtual('resolutionTime').get(function() {
   return null;
 });
 
-// Pre-save middleware to update status history
+// Pre-save middleware to update status history.
+// workflowService puts the real actor and reason in $locals.statusChange;
+// anything else is recorded without an actor rather than guessing one.
 issueSchema.pre('save', function(next) {
   if (this.isModified('status')) {
-    this.statusHistory.push({
+    const change = this.$locals.statusChange;
+    this.statusHistory.push(change || {
       status: this.status,
-      changedBy: this.assignedBy || this.reportedBy,
+      changedBy: this.isNew ? this.reportedBy : null,
       changedAt: new Date(),
-      reason: 'Status updated'
+      reason: this.isNew ? 'Issue reported' : 'Status updated'
     });
+    this.$locals.statusChange = null;
   }
   next();
 });
@@ -308,7 +463,7 @@ issueSchema.methods.removeUpvote = function(userId) {
 };
 
 // Method to assign issue
-issueSchema.methods.assign = function(assignedTo, assignedBy, assignedRole = null) {
+issueSchema.methods.assign = async function(assignedTo, assignedBy, assignedRole = null) {
   this.assignedTo = assignedTo;
   this.assignedBy = assignedBy;
   this.assignedAt = new Date();
@@ -319,50 +474,51 @@ issueSchema.methods.assign = function(assignedTo, assignedBy, assignedRole = nul
     this.status = 'reported';
   }
   
-  // Calculate escalation deadline based on priority and role
+  // Calculate escalation deadline from the SLA policy for this role
   if (assignedRole && this.priority) {
-    const deadline = this.calculateEscalationDeadline(this.priority, assignedRole);
-    this.escalationDeadline = deadline;
+    await this.setEscalationDeadline(assignedRole);
   }
   
   return this.save();
 };
 
-// Method to calculate escalation deadline
-issueSchema.methods.calculateEscalationDeadline = function(priority, role) {
-  const now = new Date();
-  let hours = 0;
-  
-  // HIGH/URGENT PRIORITY
-  if (priority === 'high' || priority === 'urgent') {
-    if (role === 'field-staff') {
-      hours = 2; // Escalate to supervisor within 2 hours
-    } else if (role === 'supervisor') {
-      hours = 2; // Escalate to commissioner within 2 hours
-    }
-  }
-  // MEDIUM PRIORITY
-  else if (priority === 'medium') {
-    if (role === 'field-staff') {
-      hours = 12; // Escalate to supervisor within 12 hours
-    } else if (role === 'supervisor') {
-      hours = 12; // Escalate to commissioner within 12 hours
-    }
-  }
-  // LOW PRIORITY
-  else if (priority === 'low') {
-    if (role === 'field-staff') {
-      hours = 24; // Escalate to supervisor within 24 hours
-    } else if (role === 'supervisor') {
-      hours = 24; // Escalate to commissioner within 24 hours
-    }
-  }
-  
-  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+// Method to calculate escalation deadline from the applicable SLA policy
+issueSchema.methods.calculateEscalationDeadline = async function(priority, role, startAt = new Date()) {
+  const { deadline } = await slaService.computeDeadline({
+    category: this.category,
+    priority,
+    role,
+    ward: this.ward
+  }, startAt);
+
+  return deadline;
+};
+
+// Method to set escalationDeadline for a role and record which SLA policy was used
+issueSchema.methods.setEscalationDeadline = async function(role, startAt = new Date()) {
+  const result = await slaService.computeDeadline({
+    category: this.category,
+    priority: this.priority,
+    role,
+    ward: this.ward
+  }, startAt);
+
+  this.escalationDeadline = result.deadline;
+  this.sla = {
+    policy: result.policyId,
+    version: result.version,
+    hours: result.hours,
+    role,
+    startedAt: startAt,
+    warningAt: result.warningAt,
+    warningSentAt: null
+  };
+
+  return this.escalationDeadline;
 };
 
 // Method to escalate issue
-issueSchema.methods.escalate = function(toRole, escalatedBy, reason = 'Time limit exceeded') {
+issueSchema.methods.escalate = async function(toRole, escalatedBy, reason = 'Time limit exceeded', trigger = 'auto') {
   const fromRole = this.assignedRole;
   
   this.escalationHistory.push({
@@ -371,33 +527,63 @@ issueSchema.methods.escalate = function(toRole, escalatedBy, reason = 'Time limi
     escalatedAt: new Date(),
     escalatedBy,
     reason,
-    
-    priority: this.priority
+    priority: this.priority,
+    direction: 'up',
+    trigger
   });
   
+  // Status ('escalated') is set by workflowService before this is called
   this.assignedRole = toRole;
   this.assignedAt = new Date();
-  this.status = 'escalated';
   
   // Recalculate deadline for new role
   if (toRole && this.priority) {
-    const deadline = this.calculateEscalationDeadline(this.priority, toRole);
-    this.escalationDeadline = deadline;
+    await this.setEscalationDeadline(toRole);
   }
   
   return this.save();
 };
 
-// Method to resolve issue
-issueSchema.methods.resolve = function(resolvedBy) {
-  this.status = 'resolved';
-  this.resolvedAt = new Date();
-  if (this.createdAt) {
-    this.actualResolutionTime = Math.floor((this.resolvedAt - this.createdAt) / (1000 * 60 * 60 * 24));
+// Method to send an issue back down to a lower role level (always a manual action)
+issueSchema.methods.deEscalate = async function(toRole, deEscalatedBy, reason) {
+  this.escalationHistory.push({
+    fromRole: this.assignedRole,
+    toRole,
+    escalatedAt: new Date(),
+    escalatedBy: deEscalatedBy,
+    reason,
+    priority: this.priority,
+    direction: 'down',
+    trigger: 'manual'
+  });
+
+  // Back to the department pool at the lower level, which has to accept it again.
+  // Status ('reported') is set by workflowService before this is called.
+  this.assignedRole = toRole;
+  this.assignedTo = null;
+  this.assignedBy = deEscalatedBy;
+  this.assignedAt = new Date();
+
+  if (this.priority) {
+    await this.setEscalationDeadline(toRole);
   }
+
   return this.save();
 };
 
+// Static method to follow an issue (the reporter already gets its updates)
+issueSchema.statics.addFollower = function(issueId, userId) {
+  return this.updateOne(
+    { _id: issueId, reportedBy: { $ne: userId } },
+    { $addToSet: { followers: userId } }
+  );
+};
+
+// Static method to unfollow an issue
+issueSchema.statics.removeFollower = function(issueId, userId) {
+  return this.updateOne({ _id: issueId }, { $pull: { followers: userId } });
+};
+
 // Static method to find nearby issues
 issueSchema.statics.findNearby = function(latitude, longitude, maxDistance = 5000) {
   return this.find({
@@ -414,6 +600,38 @@ issueSchema.statics.findNearby = function(latitude, longitude, maxDistance = 500
   });
 };
 
+// Static method to get resolution quality per employee: resolutions made and how many were reopened
+issueSchema.statics.getQualityStats = async function(employeeIds) {
+  const ids = employeeIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+  const [current, reopened] = await Promise.all([
+    // Resolutions that still stand
+    this.aggregate([
+      { $match: { 'resolved.resolvedBy': { $in: ids }, status: { $in: ['resolved', 'closed'] } } },
+      { $group: { _id: '$resolved.resolvedBy', count: { $sum: 1 } } }
+    ]),
+    // Resolutions the reporter rejected
+    this.aggregate([
+      { $unwind: '$reopenHistory' },
+      { $match: { 'reopenHistory.resolvedBy': { $in: ids } } },
+      { $group: { _id: '$reopenHistory.resolvedBy', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = new Map(ids.map(id => [id.toString(), { resolutions: 0, reopened: 0, reopenRate: 0 }]));
+  current.forEach(row => { stats.get(row._id.toString()).resolutions += row.count; });
+  reopened.forEach(row => {
+    const entry = stats.get(row._id.toString());
+    entry.resolutions += row.count;
+    entry.reopened += row.count;
+  });
+  stats.forEach(entry => {
+    entry.reopenRate = entry.resolutions > 0 ? Math.round((entry.reopened / entry.resolutions) * 100) / 100 : 0;
+  });
+
+  return stats;
+};
+
 // Static method to get issue statistics
 issueSchema.statics.getStats = function() {
   return this.aggregate([
@@ -16,7 +16,10 @@ const notificationSchema = new mongoose.Schema({
       'comment_added',
       'upvote_received',
       'admin_message',
-      'system_announcement'
+      'system_announcement',
+      'sla_warning',
+      'sla_digest',
+      'issue_merged'
     ],
     required: [true, 'Notification type is required']
   },
@@ -45,6 +48,11 @@ const notificationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // The announcement this notification delivered
+    announcementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Announcement'
+    },
     metadata: mongoose.Schema.Types.Mixed
   },
   isRead: {
@@ -64,7 +72,9 @@ const notificationSchema = new mongoose.Schema({
     email: {
       sent: { type: Boolean, default: false },
       sentAt: { type: Date, default: null },
-      error: String
+      error: String,
+      // Waiting for the recipient's daily or weekly digest email
+      digest: { type: Boolean, default: false }
     },
     sms: {
       sent: { type: Boolean, default: false },
@@ -95,6 +105,12 @@ notificationSchema.index({ type: 1 });
 notificationSchema.index({ isRead: 1 });
 notificationSchema.index({ isActive: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+notificationSchema.index({ user: 1, createdAt: 1 }, { partialFilterExpression: { 'channels.email.digest': true } });
+// One notification per recipient of an announcement, so two servers sending it cannot both reach someone
+notificationSchema.index(
+  { 'data.announcementId': 1, user: 1 },
+  { unique: true, partialFilterExpression: { 'data.announcementId': { $type: 'objectId' } } }
+);
 
 // Method to mark as read
 notificationSchema.methods.markAsRead = function() {
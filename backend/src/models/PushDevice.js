@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription or the mobile app's Expo push token. Devices belong to the
+// session that registered them and are removed when it is revoked or the push service rejects them.
+const pushDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  provider: {
+    type: String,
+    enum: ['webpush', 'expo'],
+    required: [true, 'Push provider is required']
+  },
+  // Web Push endpoint URL or Expo push token
+  endpoint: {
+    type: String,
+    required: [true, 'Push endpoint is required'],
+    unique: true,
+    maxlength: 1000
+  },
+  // Web Push message encryption keys from the browser's subscription
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  platform: {
+    type: String,
+    enum: ['web', 'ios', 'android'],
+    default: 'web'
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  // Deliveries that failed in a row; the device is dropped after too many
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pushDeviceSchema.index({ user: 1 });
+pushDeviceSchema.index({ session: 1 });
+
+module.exports = mongoose.model('PushDevice', pushDeviceSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const retentionPolicySchema = new mongoose.Schema({
+  // Issues in this status are moved to the archive once they have been in it for `days`
+  status: {
+    type: String,
+    enum: ['reported', 'assigned', 'accepted', 'in-progress', 'resolved', 'closed', 'escalated'],
+    required: [true, 'Status is required'],
+    unique: true
+  },
+  days: {
+    type: Number,
+    required: [true, 'Retention period in days is required'],
+    min: [1, 'Retention period must be at least 1 day'],
+    max: [3650, 'Retention period cannot exceed 10 years']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
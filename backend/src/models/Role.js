@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// What a role may do. Built-in (system) roles are created on startup with default permissions,
+// which admins may change; custom roles (e.g. a department admin or an auditor) are defined by admins.
+const roleSchema = new mongoose.Schema({
+  // Stored on User.role
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name must be 2-40 lowercase letters, digits or dashes']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Permission keys, or '*' for all of them
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Users with this role must turn on two-factor sign-in before using protected endpoints
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
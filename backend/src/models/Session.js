@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id and stop working once it is revoked;
+// the refresh token is rotated on every use and only the latest one (refreshJti) is accepted.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // ID of the only refresh token that may be used next
+  refreshJti: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current refresh token expires; the document is removed after that
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password-change', 'deactivated', 'reuse-detected', 'revoked-by-user', 'revoked-by-admin'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
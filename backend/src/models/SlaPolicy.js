@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // null category / ward means the policy applies to every category / ward
+  category: {
+    type: String,
+    enum: [
+      'Road & Traffic',
+      'Water & Drainage',
+      'Electricity',
+      'Garbage & Sanitation',
+      'Street Lighting',
+      'Public Safety',
+      'Parks & Recreation',
+      'Other',
+      null
+    ],
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    required: [true, 'Priority is required']
+  },
+  role: {
+    type: String,
+    enum: ['field-staff', 'supervisor'],
+    required: [true, 'Role is required']
+  },
+  ward: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Time the role has before the issue escalates to the next level
+  hours: {
+    type: Number,
+    required: [true, 'Response time in hours is required'],
+    min: [0.25, 'Response time must be at least 15 minutes'],
+    max: [24 * 90, 'Response time cannot exceed 90 days']
+  },
+  // Percentage of the window after which a pre-breach warning is sent (env default when null)
+  warningPercent: {
+    type: Number,
+    min: [10, 'Warning must be at least 10% of the window'],
+    max: [99, 'Warning must be before the deadline'],
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  history: [{
+    version: Number,
+    hours: Number,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one active policy per scope
+slaPolicySchema.index(
+  { category: 1, priority: 1, role: 1, ward: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+slaPolicySchema.index({ isActive: 1 });
+
+// Method to change the response time, keeping the previous version in history
+slaPolicySchema.methods.revise = function(hours, changedBy, reason = 'Policy updated') {
+  this.history.push({
+    version: this.version,
+    hours: this.hours,
+    changedBy: this.updatedBy || this.createdBy,
+    changedAt: this.updatedAt || this.createdAt,
+    reason
+  });
+  this.hours = hours;
+  this.version += 1;
+  this.updatedBy = changedBy;
+  return this.save();
+};
+
+// Static method to find the most specific active policy for an issue scope.
+// Ward-specific beats category-specific, which beats the catch-all policy.
+slaPolicySchema.statics.findApplicable = async function({ category, priority, role, ward }) {
+  const candidates = await this.find({
+    isActive: true,
+    priority,
+    role,
+    category: { $in: [category || null, null] },
+    ward: { $in: [ward || null, null] }
+  });
+
+  const score = (policy) => (policy.ward ? 2 : 0) + (policy.category ? 1 : 0);
+  candidates.sort((a, b) => score(b) - score(a));
+
+  return candidates[0] || null;
+};
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// What an OTP was issued for; a code only verifies for the same purpose
+const OTP_PURPOSES = ['login', 'registration', 'phone-change'];
+
+// Roles that sign in through the admin login with a username and password
+const ADMIN_ROLES = ['super-admin', 'admin'];
+
+// OTPs are stored as an HMAC bound to the user and purpose, never in plain text
+const hashOTP = (userId, purpose, otp) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production')
+  .update(`${userId}:${purpose}:${otp}`)
+  .digest('hex');
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Channel overrides for one notification type; an unset channel follows the channel switch
+const channelOverrideSchema = new mongoose.Schema({
+  email: Boolean,
+  sms: Boolean,
+  push: Boolean
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -35,11 +57,51 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // A built-in role (citizen, super-admin, admin, guest, employee, field-staff, supervisor, commissioner) or a
+  // custom one; roles and their permissions live in the Role collection
   role: {
   	type: String,
-  	enum: ['citizen', 'admin', 'guest', 'employee', 'field-staff', 'supervisor', 'commissioner'],
+  	trim: true,
   	default: 'citizen'
   },
+  // Admin login name; only admin accounts have one
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9._-]{3,30}$/, 'Username must be 3-30 letters, digits, dots, dashes or underscores']
+  },
+  // Set when someone else chose the password (new admin account, reset); cleared on password change
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Admin who created the account (null for self-registration and the bootstrap CLI)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // TOTP two-factor sign-in (see twoFactorService); secrets are stored encrypted
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret being enrolled; becomes `secret` once a code from it is confirmed
+    pendingSecret: { type: String, select: false },
+    // Hashes of the unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    enabledAt: { type: Date, default: null },
+    // Time step of the last accepted code; a code is never accepted twice
+    lastUsedStep: { type: Number, default: 0, select: false },
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, default: null, select: false }
+  },
   employeeId: {
   	type: String,
   	unique: true,
@@ -76,6 +138,23 @@ const userSchema = new mongoose.Schema({
   	  'Other'
   	]
   }],
+  // Employee's manager (field staff -> supervisor -> commissioner); escalations go up this chain
+  reportsTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Zones an employee covers; empty means the whole city
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Zone'
+  }],
+  // Where a field employee starts from; used by the nearest-employee assignment strategy
+  baseLocation: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -104,15 +183,51 @@ const userSchema = new mongoose.Schema({
       enum: ['en', 'hi', 'sat', 'nag'],
       default: 'en'
     },
+    // Read through preferenceService, which fills in defaults and applies quiet hours and digests
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      // Per notification type, channels turned off (or on) regardless of the switches above
+      types: {
+        type: Map,
+        of: channelOverrideSchema,
+        default: undefined
+      },
+      // No push or SMS between start and end (HH:mm, India time) except for urgent notifications
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: [HH_MM, 'Quiet hours start must be HH:mm'] },
+        end: { type: String, default: '07:00', match: [HH_MM, 'Quiet hours end must be HH:mm'] }
+      },
+      // Low-priority emails are collected and sent as one email instead
+      digest: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'off'
+      },
+      digestSentAt: Date
     }
   },
   otp: {
     code: String,
-    expiresAt: Date
+    purpose: {
+      type: String,
+      enum: OTP_PURPOSES
+    },
+    // The new number for a phone change
+    target: String,
+    expiresAt: Date,
+    sentAt: Date
+  },
+  // Failed OTP guesses since the last success or lockout
+  otpFailedAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpLockedUntil: {
+    type: Date,
+    default: null
   },
   lastLogin: {
     type: Date,
@@ -136,6 +251,7 @@ userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ employeeId: 1 });
 userSchema.index({ departments: 1 });
+userSchema.index({ reportsTo: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -157,44 +273,33 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+// Generate OTP (returns the plain code to send; only its hash is kept)
+userSchema.methods.generateOTP = function(purpose = 'login', target = null) {
+  const otp = crypto.randomInt(100000, 1000000).toString();
   this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
+    code: hashOTP(this._id, purpose, otp),
+    purpose,
+    target,
+    expiresAt: new Date(Date.now() + 5 * 60 * 1000), // 5 minutes
+    sentAt: new Date()
   };
   return otp;
 };
 
-// Verify OTP
-userSchema.methods.verifyOTP = function(otp) {
-  console.log('verifyOTP called with:', { 
-    providedOtp: otp, 
-    storedOtp: this.otp?.code,
-    otpType: typeof otp,
-    storedOtpType: typeof this.otp?.code,
-    hasOtp: !!this.otp,
-    hasCode: !!this.otp?.code,
-    hasExpiresAt: !!this.otp?.expiresAt,
-    expiresAt: this.otp?.expiresAt,
-    currentTime: new Date()
-  });
-  
+// Verify OTP against the stored hash; codes issued for another purpose never match
+userSchema.methods.verifyOTP = function(otp, purpose = 'login') {
   if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    console.log('OTP verification failed: missing OTP data');
     return false;
   }
   
   if (new Date() > this.otp.expiresAt) {
-    console.log('OTP verification failed: expired');
     this.otp = undefined;
     return false;
   }
   
-  const isValid = this.otp.code === otp;
-  console.log('OTP comparison result:', isValid);
-  return isValid;
+  const expected = Buffer.from(this.otp.code, 'hex');
+  const actual = Buffer.from(hashOTP(this._id, purpose, String(otp)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 };
 
 // Get user profile (without sensitive data)
@@ -202,7 +307,17 @@ userSchema.methods.getProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.otp;
+  delete userObject.otpFailedAttempts;
+  delete userObject.otpLockedUntil;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: Boolean(userObject.twoFactor.enabled),
+      enabledAt: userObject.twoFactor.enabledAt || null
+    };
+  }
   return userObject;
 };
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
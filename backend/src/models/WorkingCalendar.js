@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const workingCalendarSchema = new mongoose.Schema({
+  // Issue category the office hours apply to, or 'default' for every other department
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    enum: [
+      'Road & Traffic',
+      'Water & Drainage',
+      'Electricity',
+      'Garbage & Sanitation',
+      'Street Lighting',
+      'Public Safety',
+      'Parks & Recreation',
+      'Other',
+      'default'
+    ],
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: (value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  // Office hours; a day may have several windows (e.g. around a lunch break)
+  weeklyHours: [{
+    day: {
+      type: Number,
+      min: 0, // Sunday
+      max: 6, // Saturday
+      required: true
+    },
+    open: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Open time must be HH:mm']
+    },
+    close: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-4]):[0-5]\d$/, 'Close time must be HH:mm']
+    }
+  }],
+  // Priorities whose deadlines only count office hours; others run around the clock
+  businessHoursPriorities: [{
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WorkingCalendar', workingCalendarSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An area of the city (a ward, or a circle grouping several wards) as a GeoJSON polygon.
+// Issues are tagged with every zone their location falls in; employees cover a set of zones.
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Short identifier from the source data (e.g. ward number); used to match on re-import
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    trim: true,
+    unique: true,
+    maxlength: [50, 'Code cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['ward', 'circle'],
+    default: 'ward'
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: [true, 'Geometry type is required']
+    },
+    // GeoJSON order: [longitude, latitude]
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Geometry coordinates are required']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+zoneSchema.index({ geometry: '2dsphere' });
+zoneSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('Zone', zoneSchema);
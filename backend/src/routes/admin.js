@@ -1,40 +1,162 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const slaPolicyController = require('../controllers/slaPolicyController');
+const calendarController = require('../controllers/calendarController');
+const escalationController = require('../controllers/escalationController');
+const archiveController = require('../controllers/archiveController');
+const mergeController = require('../controllers/mergeController');
+const assignmentController = require('../controllers/assignmentController');
+const zoneController = require('../controllers/zoneController');
+const scheduleController = require('../controllers/scheduleController');
+const teamController = require('../controllers/teamController');
+const roleController = require('../controllers/roleController');
+const adminAccountController = require('../controllers/adminAccountController');
+const twoFactorController = require('../controllers/twoFactorController');
+const templateController = require('../controllers/templateController');
+const announcementController = require('../controllers/announcementController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequests } = require('../middleware/audit');
 const {
   validateObjectId,
   validatePagination,
-  validateAdminAssignment
+  validateAdminAssignment,
+  validateAssignmentPreview,
+  validateSlaPolicy,
+  validateSlaPolicyUpdate,
+  validateWorkingCalendar,
+  validateHoliday,
+  validateEscalationAction,
+  validateMerge,
+  validateRetentionPolicy,
+  validateArchiveSearch,
+  validateZone,
+  validateZoneUpdate,
+  validateZoneImport,
+  validateZoneLookup,
+  validateSchedule,
+  validateLeave,
+  validateReportsTo,
+  validateRole,
+  validateRoleUpdate,
+  validateAdminAccount,
+  validateAdminStatus,
+  validateAdminPasswordReset,
+  validateAuditLogQuery,
+  validateTemplatePreview,
+  validateAnnouncement,
+  validateAnnouncementAudience,
+  validateAnnouncementQuery
 } = require('../middleware/validation');
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each one needs its own permission
 router.use(authenticate);
-router.use(requireAdmin);
+// Every change made here is recorded against the admin who made it
+router.use(auditRequests);
 
 // Dashboard and analytics
-router.get('/dashboard', adminController.getDashboardStats);
-router.get('/analytics', adminController.getAnalytics);
+router.get('/dashboard', requirePermission('analytics.view'), adminController.getDashboardStats);
+router.get('/analytics', requirePermission('analytics.view'), adminController.getAnalytics);
 
 // Issue management
-router.put('/issues/:id/assign', validateObjectId('id'), validateAdminAssignment, adminController.assignIssue);
-router.put('/issues/:id/status', validateObjectId('id'), adminController.updateIssueStatus);
+router.put('/issues/:id/assign', requirePermission('issue.assign'), validateObjectId('id'), validateAdminAssignment, adminController.assignIssue);
+router.get('/issues/:id/assignment', requirePermission('issue.assign'), validateObjectId('id'), assignmentController.getIssueAssignment);
+router.get('/issues/:id/assignment/preview', requirePermission('issue.assign'), validateObjectId('id'), validateAssignmentPreview, assignmentController.previewAssignment);
+router.put('/issues/:id/status', requirePermission('issue.manage'), validateObjectId('id'), adminController.updateIssueStatus);
+router.get('/issues/:id/deadline', requirePermission('issue.view'), validateObjectId('id'), calendarController.explainIssueDeadline);
+router.get('/issues/:id/timeline', requirePermission('issue.view'), validateObjectId('id'), escalationController.getTimeline);
+router.post('/issues/:id/escalate', requirePermission('issue.escalate'), validateObjectId('id'), validateEscalationAction, escalationController.escalate);
+router.post('/issues/:id/de-escalate', requirePermission('issue.escalate'), validateObjectId('id'), validateEscalationAction, escalationController.deEscalate);
+router.post('/issues/:id/merge', requirePermission('issue.merge'), validateObjectId('id'), validateMerge, mergeController.mergeIssues);
+
+// Assignment engine
+router.get('/assignment/strategies', requirePermission('issue.assign'), assignmentController.getStrategies);
 
 // User management
-router.get('/users', validatePagination, adminController.getUsers);
-router.put('/users/:userId/status', validateObjectId('userId'), adminController.updateUserStatus);
+router.get('/users', requirePermission('user.manage'), validatePagination, adminController.getUsers);
+router.put('/users/:userId/status', requirePermission('user.manage'), validateObjectId('userId'), adminController.updateUserStatus);
 
 // Employee management
-router.post('/employees', adminController.createEmployee);
-router.get('/employees', validatePagination, adminController.getEmployees);
-router.put('/employees/:employeeId', adminController.updateEmployee);
-router.delete('/employees/:employeeId', adminController.deleteEmployee);
+router.post('/employees', requirePermission('employee.manage'), adminController.createEmployee);
+router.get('/employees', requirePermission('employee.manage'), validatePagination, adminController.getEmployees);
+router.put('/employees/:employeeId', requirePermission('employee.manage'), adminController.updateEmployee);
+router.delete('/employees/:employeeId', requirePermission('employee.manage'), adminController.deleteEmployee);
+router.get('/employees/:employeeId/schedule', requirePermission('employee.manage'), scheduleController.getEmployeeSchedule);
+router.put('/employees/:employeeId/schedule', requirePermission('employee.manage'), validateSchedule, scheduleController.updateEmployeeSchedule);
+router.post('/employees/:employeeId/leave', requirePermission('employee.manage'), validateLeave, scheduleController.addEmployeeLeave);
+router.delete('/employees/:employeeId/leave/:leaveId', requirePermission('employee.manage'), validateObjectId('leaveId'), scheduleController.removeEmployeeLeave);
+router.get('/availability', requirePermission('employee.manage'), scheduleController.getAvailability);
+
+// Teams (reportsTo hierarchy)
+router.get('/teams', requirePermission('employee.manage'), teamController.getHierarchy);
+router.put('/employees/:employeeId/reports-to', requirePermission('employee.manage'), validateReportsTo, teamController.setReportsTo);
+router.get('/employees/:employeeId/team', requirePermission('employee.manage'), teamController.getEmployeeTeam);
+router.post('/employees/:employeeId/reset-2fa', requirePermission('employee.manage'), twoFactorController.resetEmployeeTwoFactor);
+
+// SLA policies
+router.get('/sla-policies', requirePermission('settings.manage'), slaPolicyController.getPolicies);
+router.get('/sla-policies/resolve', requirePermission('settings.manage'), slaPolicyController.resolvePolicy);
+router.get('/sla-policies/:id', requirePermission('settings.manage'), validateObjectId('id'), slaPolicyController.getPolicy);
+router.post('/sla-policies', requirePermission('settings.manage'), validateSlaPolicy, slaPolicyController.createPolicy);
+router.put('/sla-policies/:id', requirePermission('settings.manage'), validateObjectId('id'), validateSlaPolicyUpdate, slaPolicyController.updatePolicy);
+router.delete('/sla-policies/:id', requirePermission('settings.manage'), validateObjectId('id'), slaPolicyController.deletePolicy);
+
+// Working calendars and holidays
+router.get('/calendars', requirePermission('settings.manage'), calendarController.getCalendars);
+router.get('/calendars/explain', requirePermission('settings.manage'), calendarController.explainDeadline);
+router.put('/calendars/:department', requirePermission('settings.manage'), validateWorkingCalendar, calendarController.upsertCalendar);
+router.delete('/calendars/:department', requirePermission('settings.manage'), calendarController.deleteCalendar);
+router.get('/holidays', requirePermission('settings.manage'), calendarController.getHolidays);
+router.post('/holidays', requirePermission('settings.manage'), validateHoliday, calendarController.createHoliday);
+router.delete('/holidays/:id', requirePermission('settings.manage'), validateObjectId('id'), calendarController.deleteHoliday);
+
+// Zones (wards and circles)
+router.get('/zones', requirePermission('settings.manage'), zoneController.getZones);
+router.get('/zones/lookup', requirePermission('settings.manage'), validateZoneLookup, zoneController.lookupZones);
+router.post('/zones', requirePermission('settings.manage'), validateZone, zoneController.createZone);
+router.post('/zones/import', requirePermission('settings.manage'), validateZoneImport, zoneController.importZones);
+router.post('/zones/retag', requirePermission('settings.manage'), zoneController.retagIssues);
+router.get('/zones/:id', requirePermission('settings.manage'), validateObjectId('id'), zoneController.getZone);
+router.put('/zones/:id', requirePermission('settings.manage'), validateObjectId('id'), validateZoneUpdate, zoneController.updateZone);
+router.delete('/zones/:id', requirePermission('settings.manage'), validateObjectId('id'), zoneController.deleteZone);
+
+// Archive and retention
+router.get('/retention-policies', requirePermission('archive.manage'), archiveController.getRetentionPolicies);
+router.put('/retention-policies/:status', requirePermission('archive.manage'), validateRetentionPolicy, archiveController.upsertRetentionPolicy);
+router.delete('/retention-policies/:status', requirePermission('archive.manage'), archiveController.deleteRetentionPolicy);
+router.get('/archive', requirePermission('archive.manage'), validatePagination, validateArchiveSearch, archiveController.searchArchive);
+router.post('/archive/run', requirePermission('archive.manage'), archiveController.runArchive);
+router.get('/archive/:id', requirePermission('archive.manage'), validateObjectId('id'), archiveController.getArchivedIssue);
+router.post('/archive/:id/restore', requirePermission('archive.manage'), validateObjectId('id'), archiveController.restoreArchivedIssue);
+
+// Roles and permissions
+router.get('/permissions', requirePermission('role.manage'), roleController.getPermissions);
+router.get('/roles', requirePermission('role.manage'), roleController.getRoles);
+router.post('/roles', requirePermission('role.manage'), validateRole, roleController.createRole);
+router.put('/roles/:name', requirePermission('role.manage'), validateRoleUpdate, roleController.updateRole);
+router.delete('/roles/:name', requirePermission('role.manage'), roleController.deleteRole);
+
+// Admin accounts and the audit log
+router.get('/admins', requirePermission('admin.manage'), adminAccountController.getAdmins);
+router.post('/admins', requirePermission('admin.manage'), validateAdminAccount, adminAccountController.createAdmin);
+router.put('/admins/:adminId/status', requirePermission('admin.manage'), validateObjectId('adminId'), validateAdminStatus, adminAccountController.setAdminStatus);
+router.post('/admins/:adminId/reset-password', requirePermission('admin.manage'), validateObjectId('adminId'), validateAdminPasswordReset, adminAccountController.resetAdminPassword);
+router.post('/admins/:adminId/reset-2fa', requirePermission('admin.manage'), validateObjectId('adminId'), adminAccountController.resetAdminTwoFactor);
+router.get('/audit-log', requirePermission('admin.manage'), validatePagination, validateAuditLogQuery, adminAccountController.getAuditLog);
 
 // Notifications
-router.get('/notifications', validatePagination, adminController.getSystemNotifications);
-router.post('/announcement', adminController.sendAnnouncement);
+router.get('/notifications', requirePermission('notification.send'), validatePagination, adminController.getSystemNotifications);
+router.get('/announcements', requirePermission('notification.send'), validatePagination, validateAnnouncementQuery, announcementController.getAnnouncements);
+router.post('/announcements', requirePermission('notification.send'), validateAnnouncement, announcementController.createAnnouncement);
+router.post('/announcements/audience', requirePermission('notification.send'), validateAnnouncementAudience, announcementController.previewAudience);
+router.get('/announcements/:id', requirePermission('notification.send'), validateObjectId('id'), announcementController.getAnnouncement);
+router.delete('/announcements/:id', requirePermission('notification.send'), validateObjectId('id'), announcementController.cancelAnnouncement);
+// Older path of POST /announcements
+router.post('/announcement', requirePermission('notification.send'), validateAnnouncement, announcementController.createAnnouncement);
+router.get('/templates', requirePermission('notification.send'), templateController.getTemplates);
+router.post('/templates/preview', requirePermission('notification.send'), validateTemplatePreview, templateController.previewTemplate);
 
 // Reports
-router.get('/reports/issues', adminController.getIssueReports);
+router.get('/reports/issues', requirePermission('analytics.view'), adminController.getIssueReports);
 
 module.exports = router;
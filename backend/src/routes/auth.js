@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticate } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
   validateOTPRequest,
-  validateOTPVerification
+  validateOTPVerification,
+  validatePhoneChange,
+  validatePhoneChangeVerification,
+  validatePasswordChange,
+  validateObjectId,
+  validateAdminLogin,
+  validateTwoFactorCode,
+  validateTwoFactorLogin
 } = require('../middleware/validation');
 
 // Public routes
@@ -15,8 +23,10 @@ router.post('/login', validateUserLogin, authController.login);
 router.post('/send-otp', validateOTPRequest, authController.sendOTP);
 router.post('/verify-otp', validateOTPVerification, authController.verifyOTP);
 router.post('/guest', authController.guestLogin);
-router.post('/admin-login', authController.adminLogin);
+router.post('/admin-login', validateAdminLogin, authController.adminLogin);
 router.post('/employee-login', authController.employeeLogin);
+// Second step of a login when two-factor is on
+router.post('/2fa/verify', validateTwoFactorLogin, authController.verifyTwoFactorLogin);
 
 // Token refresh
 router.post('/refresh-token', authController.refreshToken);
@@ -25,5 +35,22 @@ router.post('/refresh-token', authController.refreshToken);
 router.get('/profile', authenticate, authController.getProfile);
 router.put('/profile', authenticate, authController.updateProfile);
 router.post('/logout', authenticate, authController.logout);
+router.put('/password', authenticate, validatePasswordChange, authController.changePassword);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', authenticate, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticate, twoFactorController.setup);
+router.post('/2fa/enable', authenticate, validateTwoFactorCode, twoFactorController.enable);
+router.post('/2fa/disable', authenticate, validateTwoFactorCode, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, twoFactorController.regenerateRecoveryCodes);
+
+// Signed-in devices
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, validateObjectId('sessionId'), authController.revokeSession);
+
+// Changing the mobile number needs an OTP sent to the new number
+router.post('/phone/send-otp', authenticate, validatePhoneChange, authController.sendPhoneChangeOTP);
+router.post('/phone/verify', authenticate, validatePhoneChangeVerification, authController.verifyPhoneChange);
 
 module.exports = router;
@@ -1,13 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const employeeController = require('../controllers/employeeController');
-const { authenticate, requireRoles } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const escalationController = require('../controllers/escalationController');
+const mergeController = require('../controllers/mergeController');
+const scheduleController = require('../controllers/scheduleController');
+const teamController = require('../controllers/teamController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validatePagination,
+  validateEscalationAction,
+  validateMerge,
+  validateLeave,
+  validateDuty,
+  validateTeamIssues
+} = require('../middleware/validation');
 const { uploadImage, validateFileType } = require('../middleware/upload');
+const { auditAdminRequests } = require('../middleware/audit');
 
-// All employee routes require employee roles (field-staff, supervisor, commissioner) or admin
+// All employee routes require a role that works on issues (field-staff, supervisor, commissioner, admin)
 router.use(authenticate);
-router.use(requireRoles(['field-staff', 'supervisor', 'commissioner', 'employee', 'admin']));
+router.use(requirePermission('issue.work'));
+// Changes admins make through the employee endpoints are audited like those under /api/admin
+router.use(auditAdminRequests);
 
 // List issues for employee's department and assignments
 router.get('/issues', validatePagination, employeeController.listAssignedIssues);
@@ -18,6 +33,26 @@ router.post('/issues/:id/accept', validateObjectId('id'), employeeController.acc
 // Resolve an issue (upload image optional)
 router.put('/issues/:id/resolve', validateObjectId('id'), uploadImage, validateFileType, employeeController.resolveIssue);
 
+// Status and escalation timeline of an issue
+router.get('/issues/:id/timeline', validateObjectId('id'), escalationController.getTimeline);
+
+// Manually escalate / send back an issue (reason required)
+router.post('/issues/:id/escalate', validateObjectId('id'), requirePermission('issue.escalate'), validateEscalationAction, escalationController.escalate);
+router.post('/issues/:id/de-escalate', validateObjectId('id'), requirePermission('issue.escalate'), validateEscalationAction, escalationController.deEscalate);
+
+// Merge duplicate reports into this issue (supervisors and above)
+router.post('/issues/:id/merge', validateObjectId('id'), requirePermission('issue.merge'), validateMerge, mergeController.mergeIssues);
+
+// Own shifts and leave, and the on-duty / off-duty toggle
+router.get('/schedule', scheduleController.getMySchedule);
+router.put('/duty', validateDuty, scheduleController.setMyDuty);
+router.post('/leave', validateLeave, scheduleController.addMyLeave);
+router.delete('/leave/:leaveId', validateObjectId('leaveId'), scheduleController.removeMyLeave);
+
+// Team workload for supervisors and commissioners
+router.get('/team', requirePermission('team.view'), teamController.getMyTeam);
+router.get('/team/issues', requirePermission('team.view'), validatePagination, validateTeamIssues, teamController.getMyTeamIssues);
+
 module.exports = router;
 
 
@@ -2,13 +2,17 @@ const express = require('express');
 const router = express.Router();
 const issueController = require('../controllers/issueController');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { uploadImage, validateFileType } = require('../middleware/upload');
+const { auditAdminRequests } = require('../middleware/audit');
 const {
   validateIssueCreation,
   validateIssueUpdate,
   validateCommentCreation,
   validateObjectId,
   validatePagination,
-  validateIssueFilters
+  validateIssueFilters,
+  validateReopen,
+  validateSimilarIssues
 } = require('../middleware/validation');
 
 /* ===============================
@@ -27,6 +31,9 @@ const safe = (fn) => {
   };
 };
 
+// Changes admins make to issues are audited like those under /api/admin
+router.use(auditAdminRequests);
+
 /* ===============================
    PUBLIC ROUTES
 ================================ */
@@ -43,6 +50,14 @@ router.get(
   safe(issueController.getNearbyIssues)
 );
 
+// Open issues that look like a draft report (shown before submitting)
+router.get(
+  '/similar',
+  validateSimilarIssues,
+  optionalAuth,
+  safe(issueController.getSimilarIssues)
+);
+
 router.get(
   '/stats',
   safe(issueController.getIssueStats)
@@ -96,6 +111,19 @@ router.put(
   safe(issueController.closeIssue)
 );
 
+/* ===============================
+   REOPEN ISSUE (Citizen rejects the resolution)
+================================ */
+router.post(
+  '/:id/reopen',
+  authenticate,
+  validateObjectId('id'),
+  uploadImage,
+  validateFileType,
+  validateReopen,
+  safe(issueController.reopenIssue)
+);
+
 /* ===============================
    UPVOTING
 ================================ */
@@ -113,6 +141,31 @@ router.delete(
   safe(issueController.removeUpvote)
 );
 
+// Upvote and follow an existing issue instead of reporting a duplicate
+router.post(
+  '/:id/join',
+  authenticate,
+  validateObjectId('id'),
+  safe(issueController.joinIssue)
+);
+
+/* ===============================
+   FOLLOWING
+================================ */
+router.post(
+  '/:id/follow',
+  authenticate,
+  validateObjectId('id'),
+  safe(issueController.followIssue)
+);
+
+router.delete(
+  '/:id/follow',
+  authenticate,
+  validateObjectId('id'),
+  safe(issueController.unfollowIssue)
+);
+
 /* ===============================
    COMMENTS
 ================================ */
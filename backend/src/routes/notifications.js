@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const notificationService = require('../services/notificationService');
+const preferenceService = require('../services/preferenceService');
+const pushService = require('../services/pushService');
 const { authenticate } = require('../middleware/auth');
-const { validatePagination } = require('../middleware/validation');
+const {
+  validatePagination,
+  validateNotificationPreferences,
+  validatePushSubscription,
+  validateExpoPushToken
+} = require('../middleware/validation');
 
 // All notification routes require authentication
 router.use(authenticate);
@@ -38,6 +45,170 @@ router.get('/', validatePagination, async (req, res) => {
   }
 });
 
+// Number of unread notifications (the bell badge; kept current over the real-time channel)
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting unread notification count',
+      error: error.message
+    });
+  }
+});
+
+// Get own notification preferences, with the notification types they can be set for
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await preferenceService.get(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        preferences,
+        types: preferenceService.listTypes()
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error getting notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// Update own notification preferences (channels, per-type channels, quiet hours, digest)
+router.put('/preferences', validateNotificationPreferences, async (req, res) => {
+  try {
+    const preferences = await preferenceService.update(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// What clients need to register for push notifications (the VAPID public key for browsers)
+router.get('/push/config', (req, res) => {
+  res.json({
+    success: true,
+    data: pushService.getConfig()
+  });
+});
+
+// Own registered browsers and phones
+router.get('/push/devices', async (req, res) => {
+  try {
+    const devices = await pushService.listDevices(req.user._id);
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('Get push devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting push devices',
+      error: error.message
+    });
+  }
+});
+
+// Register this browser's Web Push subscription
+router.post('/push/subscriptions', validatePushSubscription, async (req, res) => {
+  try {
+    const device = await pushService.registerWebSubscription(
+      req.user._id,
+      req.sessionId,
+      req.body.subscription,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled for this browser',
+      data: { device: { _id: device._id, provider: device.provider, platform: device.platform } }
+    });
+  } catch (error) {
+    console.error('Register push subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error registering push subscription',
+      error: error.message
+    });
+  }
+});
+
+// Register the mobile app's Expo push token
+router.post('/push/expo-tokens', validateExpoPushToken, async (req, res) => {
+  try {
+    const device = await pushService.registerExpoToken(
+      req.user._id,
+      req.sessionId,
+      req.body.token,
+      req.body.platform,
+      req.get('user-agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled for this device',
+      data: { device: { _id: device._id, provider: device.provider, platform: device.platform } }
+    });
+  } catch (error) {
+    console.error('Register Expo push token error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error registering push token',
+      error: error.message
+    });
+  }
+});
+
+// Stop pushing to a device: { endpoint } is the subscription endpoint or the Expo token
+router.delete('/push/devices', async (req, res) => {
+  try {
+    if (!req.body.endpoint || typeof req.body.endpoint !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'endpoint is required'
+      });
+    }
+    await pushService.unregister(req.user._id, req.body.endpoint);
+
+    res.json({
+      success: true,
+      message: 'Push notifications disabled for this device'
+    });
+  } catch (error) {
+    console.error('Unregister push device error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error removing push device',
+      error: error.message
+    });
+  }
+});
+
 // Mark notification as read
 router.put('/:id/read', async (req, res) => {
   try {
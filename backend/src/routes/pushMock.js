@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+
+// Local stand-in for the Web Push and Expo services, enabled with PUSH_MOCK_URL (never mounted in production).
+// It keeps what it receives in memory and fails on purpose for endpoints containing:
+//   "expired"     - 410 Gone, like an unsubscribed browser or uninstalled app (the device is removed)
+//   "unavailable" - 503 on every attempt (retried, then recorded as failed)
+//   "flaky"       - 503 on the first attempt only (succeeds on retry)
+const MAX_RECEIVED = 200;
+const received = [];
+
+const mockResponse = (endpoint, attempt) => {
+  if (endpoint.includes('expired')) return 410;
+  if (endpoint.includes('unavailable')) return 503;
+  if (endpoint.includes('flaky') && attempt === 1) return 503;
+  return 201;
+};
+
+// Receive one push from pushService
+router.post('/', (req, res) => {
+  const { provider, endpoint = '', attempt = 1, message } = req.body;
+  const status = mockResponse(String(endpoint), attempt);
+
+  received.unshift({ provider, endpoint, attempt, status, message, receivedAt: new Date() });
+  received.splice(MAX_RECEIVED);
+
+  if (status >= 400) {
+    return res.status(status).json({
+      success: false,
+      message: status === 410 ? 'Push subscription has expired' : 'Push service unavailable'
+    });
+  }
+  res.status(status).json({ success: true });
+});
+
+// Pushes received so far, newest first (`endpoint` filters by device)
+router.get('/', (req, res) => {
+  const pushes = req.query.endpoint
+    ? received.filter(push => push.endpoint === req.query.endpoint)
+    : received;
+
+  res.json({
+    success: true,
+    data: { pushes }
+  });
+});
+
+router.delete('/', (req, res) => {
+  received.length = 0;
+  res.json({
+    success: true,
+    message: 'Mock push outbox cleared'
+  });
+});
+
+module.exports = router;
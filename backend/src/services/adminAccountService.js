@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+
+const { ADMIN_ROLES } = User;
+
+const accountError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Hash of a random password nobody knows, with the same cost as real ones (see User)
+const DUMMY_PASSWORD_HASH = '$2a$12$8OiUOP7wqjNm0pQSdpcpP.h9yLlOeBam.Y7YXHpXLPkHuxKDt2iN6';
+
+// One-time password handed to an admin after a reset
+const temporaryPassword = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Admin Account Service
+ * Admin sign-in with a username and hashed password, and the super-admin tools to create,
+ * disable and reset admin accounts. Every sign-in and change is written to the audit log.
+ */
+class AdminAccountService {
+  /**
+   * Check an admin's username and password (the first step of the admin login)
+   * @returns {Promise<Object>} The admin user
+   */
+  async authenticate(username, password, req) {
+    const admin = await User.findOne({
+      username: String(username || '').toLowerCase().trim(),
+      role: { $in: ADMIN_ROLES }
+    }).select('+password');
+
+    // Unknown usernames still cost a bcrypt comparison, so response times do not reveal which exist
+    const passwordMatches = admin
+      ? await admin.comparePassword(password || '')
+      : await bcrypt.compare(String(password || ''), DUMMY_PASSWORD_HASH);
+    if (!admin || !passwordMatches) {
+      await auditService.record({
+        actor: admin,
+        action: 'admin.login-failed',
+        details: { username }
+      }, req);
+      throw accountError('Invalid admin credentials', 401);
+    }
+
+    if (!admin.isActive) {
+      await auditService.record({ actor: admin, action: 'admin.login-failed', details: { reason: 'disabled' } }, req);
+      throw accountError('This admin account is disabled', 401);
+    }
+
+    return admin;
+  }
+
+  async list() {
+    return User.find({ role: { $in: ADMIN_ROLES } })
+      .select('name username email role isActive mustChangePassword lastLoginAt createdBy createdAt twoFactor.enabled')
+      .populate('createdBy', 'name username')
+      .sort({ role: -1, username: 1 })
+      .lean();
+  }
+
+  async findAdmin(adminId) {
+    const admin = await User.findOne({ _id: adminId, role: { $in: ADMIN_ROLES } });
+    if (!admin) {
+      throw accountError('Admin not found', 404);
+    }
+    return admin;
+  }
+
+  /**
+   * Create an admin account. The new admin must change the password at first sign-in.
+   * @param {Object} data - { username, name, email, password, role } (role: admin or super-admin)
+   * @param {Object} actor - Super-admin creating the account
+   */
+  async create({ username, name, email, password, role = 'admin' }, actor, req) {
+    if (!ADMIN_ROLES.includes(role)) {
+      throw accountError(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+    if (await User.exists({ username: username.toLowerCase() })) {
+      throw accountError(`Username "${username}" is taken`, 409);
+    }
+    if (email && await User.exists({ email: email.toLowerCase() })) {
+      throw accountError('An account with this email already exists', 409);
+    }
+
+    const admin = await User.create({
+      username,
+      name,
+      email: email || undefined,
+      password,
+      role,
+      isVerified: true,
+      isActive: true,
+      mustChangePassword: true,
+      createdBy: actor._id
+    });
+
+    await auditService.record({
+      actor,
+      action: 'admin.create',
+      target: { type: 'User', id: admin._id },
+      details: { username: admin.username, role }
+    }, req);
+    return admin;
+  }
+
+  /**
+   * Enable or disable an admin account; disabling signs it out everywhere
+   */
+  async setActive(adminId, isActive, actor, req) {
+    const admin = await this.findAdmin(adminId);
+
+    if (!isActive) {
+      if (admin._id.equals(actor._id)) {
+        throw accountError('You cannot disable your own account');
+      }
+      if (admin.role === 'super-admin') {
+        const others = await User.countDocuments({ role: 'super-admin', isActive: true, _id: { $ne: admin._id } });
+        if (others === 0) {
+          throw accountError('At least one super-admin must stay active', 409);
+        }
+      }
+    }
+
+    admin.isActive = isActive;
+    await admin.save();
+    if (!isActive) {
+      await sessionService.revokeAll(admin._id, 'deactivated');
+    }
+
+    await auditService.record({
+      actor,
+      action: isActive ? 'admin.enable' : 'admin.disable',
+      target: { type: 'User', id: admin._id },
+      details: { username: admin.username }
+    }, req);
+    return admin;
+  }
+
+  /**
+   * Give another admin a new password (a generated one when none is given). They are signed out
+   * everywhere and must change it at their next sign-in.
+   * @returns {Promise<Object>} { admin, password } - the password is only ever returned here
+   */
+  async resetPassword(adminId, password, actor, req) {
+    const admin = await this.findAdmin(adminId);
+    if (admin._id.equals(actor._id)) {
+      throw accountError('Use the change password option for your own account');
+    }
+
+    const newPassword = password || temporaryPassword();
+    admin.password = newPassword;
+    admin.mustChangePassword = true;
+    await admin.save();
+    await sessionService.revokeAll(admin._id, 'revoked-by-admin');
+
+    await auditService.record({
+      actor,
+      action: 'admin.password-reset',
+      target: { type: 'User', id: admin._id },
+      details: { username: admin.username, generated: !password }
+    }, req);
+    return { admin, password: newPassword };
+  }
+
+  /**
+   * Turn off two-factor for an admin who lost their device and recovery codes; they can enrol again
+   */
+  async resetTwoFactor(adminId, actor, req) {
+    const admin = await this.findAdmin(adminId);
+    if (admin._id.equals(actor._id)) {
+      throw accountError('Use your recovery codes to turn off two-factor on your own account');
+    }
+
+    twoFactorService.clear(admin);
+    await admin.save();
+    await sessionService.revokeAll(admin._id, 'revoked-by-admin');
+
+    await auditService.record({
+      actor,
+      action: 'admin.2fa-reset',
+      target: { type: 'User', id: admin._id },
+      details: { username: admin.username }
+    }, req);
+    return admin;
+  }
+
+  /**
+   * Create the first super-admin (the bootstrap CLI). Refuses when an active super-admin exists
+   * unless `force` is set, which also recovers an existing account: it is re-enabled, made a
+   * super-admin and given the new password.
+   */
+  async bootstrap({ username, name, email, password }, { force = false } = {}) {
+    const existing = await User.countDocuments({ role: 'super-admin', isActive: true });
+    if (existing > 0 && !force) {
+      throw accountError('A super-admin already exists; add admins from the admin dashboard (or use --force)', 409);
+    }
+
+    let admin = await User.findOne({ username: username.toLowerCase() });
+    if (admin && !force) {
+      throw accountError(`Username "${username}" is taken`, 409);
+    }
+
+    const recovered = Boolean(admin);
+    if (admin) {
+      Object.assign(admin, { role: 'super-admin', isActive: true, password, mustChangePassword: false });
+      if (name) admin.name = name;
+    } else {
+      admin = new User({
+        username,
+        name: name || username,
+        email: email || undefined,
+        password,
+        role: 'super-admin',
+        isVerified: true,
+        isActive: true
+      });
+    }
+    await admin.save();
+    await sessionService.revokeAll(admin._id, 'revoked-by-admin');
+
+    await auditService.record({
+      action: 'admin.bootstrap',
+      target: { type: 'User', id: admin._id },
+      details: { username: admin.username, recovered }
+    });
+    return admin;
+  }
+}
+
+module.exports = new AdminAccountService();
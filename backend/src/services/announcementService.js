@@ -0,0 +1,502 @@
+const mongoose = require('mongoose');
+const Announcement = require('../models/Announcement');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const Zone = require('../models/Zone');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const roleService = require('./roleService');
+const zoneService = require('./zoneService');
+const { TARGET_TYPES } = require('../models/Announcement');
+
+const DEPARTMENTS = User.schema.path('department').enumValues;
+
+// Largest radius around a point; wider audiences are better reached by zone or department
+const MAX_RADIUS_KM = 50;
+const KM_PER_DEGREE = 111.32;
+
+// Most users one announcement may name in a `users` target
+const MAX_LISTED_USERS = 5000;
+
+// A `sending` announcement claimed longer ago than this is taken to have been interrupted
+const STALE_SENDING_MS = (parseInt(process.env.ANNOUNCEMENT_STALE_MINUTES) || 15) * 60 * 1000;
+// The claim is renewed after every this many recipients, so a long send is not taken as interrupted
+const DELIVERY_BATCH_SIZE = 100;
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+const announcementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Great-circle distance in kilometers
+const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Base location for employees, otherwise the coordinates on the user's address
+const userLocation = (user) => {
+  const base = user.baseLocation;
+  if (base && base.latitude != null && base.longitude != null) return base;
+  const coordinates = user.address && user.address.coordinates;
+  if (coordinates && coordinates.latitude != null && coordinates.longitude != null) return coordinates;
+  return null;
+};
+
+const unique = (values) => [...new Set((Array.isArray(values) ? values : [values]).filter(Boolean).map(String))];
+
+// Count of notifications where a condition holds, for $group
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const hasError = (channel) => ({ $ne: [{ $ifNull: [`$channels.${channel}.error`, null] }, null] });
+
+/**
+ * Announcement Service
+ * Sends admin announcements to a role, department, zone, area or list of users, now or at a
+ * scheduled time, through notificationService (so each recipient's channel preferences apply)
+ */
+class AnnouncementService {
+  /**
+   * Check a target and return it in the stored shape
+   * @param {Object} target - { type, roles, departments, zones, center: { latitude, longitude }, radiusKm, users }
+   */
+  async normalizeTarget(target = {}) {
+    const type = target.type || 'all';
+    if (!TARGET_TYPES.includes(type)) {
+      throw announcementError(`Target type must be one of: ${TARGET_TYPES.join(', ')}`);
+    }
+
+    if (type === 'role') {
+      const roles = unique(target.roles);
+      if (roles.length === 0) throw announcementError('Choose at least one role');
+      for (const role of roles) {
+        if (!(await roleService.roleExists(role))) throw announcementError(`Unknown role: ${role}`);
+      }
+      return { type, roles };
+    }
+
+    if (type === 'department') {
+      const departments = unique(target.departments);
+      if (departments.length === 0) throw announcementError('Choose at least one department');
+      const unknown = departments.find(department => !DEPARTMENTS.includes(department));
+      if (unknown) throw announcementError(`Unknown department: ${unknown}`);
+      return { type, departments };
+    }
+
+    if (type === 'zone') {
+      const zones = await zoneService.resolveZoneIds(target.zones);
+      if (zones.length === 0) throw announcementError('Choose at least one zone');
+      return { type, zones };
+    }
+
+    if (type === 'radius') {
+      const latitude = Number(target.center && target.center.latitude);
+      const longitude = Number(target.center && target.center.longitude);
+      const radiusKm = Number(target.radiusKm);
+      if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        throw announcementError('A radius target needs a center with a valid latitude and longitude');
+      }
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw announcementError(`radiusKm must be more than 0 and at most ${MAX_RADIUS_KM}`);
+      }
+      return { type, center: { latitude, longitude }, radiusKm };
+    }
+
+    if (type === 'users') {
+      const users = unique(target.users);
+      if (users.length === 0) throw announcementError('Choose at least one user');
+      if (users.length > MAX_LISTED_USERS) throw announcementError(`At most ${MAX_LISTED_USERS} users can be listed`);
+      if (!users.every(id => mongoose.isValidObjectId(id))) throw announcementError('Invalid user id');
+      return { type, users };
+    }
+
+    return { type };
+  }
+
+  /**
+   * Ids of the active users a (normalized) target reaches
+   * @returns {Promise<string[]>}
+   */
+  async resolveRecipients(target) {
+    const filters = {
+      all: {},
+      citizens: { role: 'citizen' },
+      employees: { employeeId: { $ne: null } },
+      admins: { role: { $in: User.ADMIN_ROLES } },
+      role: { role: { $in: target.roles || [] } },
+      department: {
+        $or: [{ department: { $in: target.departments || [] } }, { departments: { $in: target.departments || [] } }]
+      },
+      users: { _id: { $in: target.users || [] } }
+    };
+
+    let ids;
+    if (target.type === 'zone') {
+      ids = await this.usersInZones(target.zones);
+    } else if (target.type === 'radius') {
+      ids = await this.usersNear(target.center, target.radiusKm);
+    } else {
+      return (await User.distinct('_id', { ...filters[target.type], isActive: true })).map(String);
+    }
+
+    if (ids.length === 0) return [];
+    return (await User.distinct('_id', { _id: { $in: ids }, isActive: true })).map(String);
+  }
+
+  // Employees covering the zones, users located in them and reporters of issues tagged with them
+  async usersInZones(zoneIds) {
+    const [zones, covering, reporters, located] = await Promise.all([
+      Zone.find({ _id: { $in: zoneIds }, isActive: true }).select('geometry'),
+      User.distinct('_id', { zones: { $in: zoneIds } }),
+      Issue.distinct('reportedBy', { zones: { $in: zoneIds } }),
+      this.usersWithLocation()
+    ]);
+
+    const inside = located.filter(user => {
+      const location = userLocation(user);
+      return zones.some(zone => zoneService.containsPoint(zone, location.latitude, location.longitude));
+    });
+    return unique([...covering, ...reporters, ...inside.map(user => user._id)]);
+  }
+
+  // Users located within the radius and reporters of issues within it
+  async usersNear({ latitude, longitude }, radiusKm) {
+    // Bounding box on the indexed issue coordinates, refined with the exact distance below
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+    const within = (location) => location &&
+      haversineKm(latitude, longitude, location.latitude, location.longitude) <= radiusKm;
+
+    const [issues, located] = await Promise.all([
+      Issue.find({
+        reportedBy: { $ne: null },
+        'location.coordinates.latitude': { $gte: latitude - latDelta, $lte: latitude + latDelta },
+        'location.coordinates.longitude': { $gte: longitude - lngDelta, $lte: longitude + lngDelta }
+      }).select('reportedBy location.coordinates').lean(),
+      this.usersWithLocation()
+    ]);
+
+    return unique([
+      ...issues.filter(issue => within(issue.location.coordinates)).map(issue => issue.reportedBy),
+      ...located.filter(user => within(userLocation(user))).map(user => user._id)
+    ]);
+  }
+
+  // Active users with a base location or address coordinates
+  usersWithLocation() {
+    return User.find({
+      isActive: true,
+      $or: [
+        { 'baseLocation.latitude': { $ne: null }, 'baseLocation.longitude': { $ne: null } },
+        { 'address.coordinates.latitude': { $ne: null }, 'address.coordinates.longitude': { $ne: null } }
+      ]
+    }).select('baseLocation address.coordinates').lean();
+  }
+
+  // How many users a target reaches right now
+  async countAudience(target) {
+    const normalized = await this.normalizeTarget(target);
+    const recipients = await this.resolveRecipients(normalized);
+    return { target: normalized, recipients: recipients.length };
+  }
+
+  /**
+   * Create an announcement. Without `scheduledAt` (or with one in the past) it is sent right away,
+   * in the background; the scheduled ones are sent by the announcement job.
+   * @param {Object} data - { title, message, priority, target, channels, scheduledAt, expiresAt }
+   * @param {Object} actor - Admin creating it
+   */
+  async create(data, actor) {
+    const target = await this.normalizeTarget(data.target);
+    const now = new Date();
+    const scheduledAt = data.scheduledAt ? new Date(data.scheduledAt) : now;
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    if (Number.isNaN(scheduledAt.getTime()) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+      throw announcementError('scheduledAt and expiresAt must be valid dates');
+    }
+    if (expiresAt && expiresAt <= (scheduledAt > now ? scheduledAt : now)) {
+      throw announcementError('expiresAt must be after the announcement is sent');
+    }
+
+    const sendNow = scheduledAt <= now;
+    const recipients = sendNow ? await this.resolveRecipients(target) : null;
+    if (sendNow && recipients.length === 0) {
+      throw announcementError('No active users match this target');
+    }
+
+    const announcement = await Announcement.create({
+      title: data.title,
+      message: data.message,
+      priority: data.priority,
+      target,
+      channels: data.channels,
+      scheduledAt,
+      expiresAt,
+      status: sendNow ? 'sending' : 'scheduled',
+      claimedAt: sendNow ? now : null,
+      recipients: sendNow ? recipients.length : 0,
+      createdBy: actor ? actor._id : null
+    });
+
+    if (sendNow) {
+      this.deliver(announcement, recipients)
+        .catch(error => console.error('Error sending announcement:', error));
+    }
+    return announcement;
+  }
+
+  /**
+   * Create a system_announcement notification for each recipient that does not have one yet;
+   * runDue relies on this to finish a delivery that was interrupted. The unique index on
+   * (data.announcementId, user) stops a second sender reaching anyone twice, and the claim is
+   * renewed as the send goes; once another server has taken the announcement over, this one stops.
+   * @returns {Promise<Object>} { recipients, delivered, failed, takenOver }
+   */
+  async deliver(announcement, recipients = null) {
+    const ids = recipients || await this.resolveRecipients(announcement.target);
+    const already = new Set((await Notification.distinct('user', { 'data.announcementId': announcement._id })).map(String));
+    let claimedAt = announcement.claimedAt || null;
+    let delivered = 0;
+    let failed = 0;
+    let lastError = null;
+
+    for (const [index, userId] of ids.entries()) {
+      if (index > 0 && index % DELIVERY_BATCH_SIZE === 0) {
+        const now = new Date();
+        const renewed = await Announcement.updateOne(
+          { _id: announcement._id, status: 'sending', claimedAt },
+          { $set: { claimedAt: now } }
+        );
+        if (renewed.matchedCount === 0) {
+          return { recipients: ids.length, delivered, failed, takenOver: true };
+        }
+        claimedAt = now;
+      }
+      if (already.has(userId)) continue;
+      try {
+        await notificationService.createNotification({
+          user: userId,
+          type: 'system_announcement',
+          title: announcement.title,
+          message: announcement.message,
+          priority: announcement.priority,
+          data: {
+            announcementId: announcement._id,
+            metadata: { announcement: true }
+          },
+          sendEmail: announcement.channels.email,
+          sendSMS: announcement.channels.sms,
+          sendPush: announcement.channels.push
+        });
+        delivered += 1;
+      } catch (error) {
+        // Another server sending the same announcement got to this recipient first
+        if (isDuplicateKey(error)) {
+          already.add(userId);
+          continue;
+        }
+        failed += 1;
+        lastError = error.message;
+      }
+    }
+
+    const nothingSent = ids.length === 0 || (failed > 0 && delivered + already.size === 0);
+    await Announcement.updateOne({ _id: announcement._id }, {
+      $set: {
+        status: nothingSent ? 'failed' : 'sent',
+        recipients: ids.length,
+        sentAt: new Date(),
+        error: ids.length === 0 ? 'No active users matched the target' : lastError
+      }
+    });
+
+    return { recipients: ids.length, delivered, failed, takenOver: false };
+  }
+
+  /**
+   * Send the scheduled announcements that are due, finish the ones whose sending was interrupted
+   * and take expired ones out of the notification lists
+   * @returns {Promise<Object>} { sent, expired }
+   */
+  async runDue(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - STALE_SENDING_MS);
+    const stale = {
+      status: 'sending',
+      $or: [{ claimedAt: { $lte: staleBefore } }, { claimedAt: null, updatedAt: { $lte: staleBefore } }]
+    };
+    const due = await Announcement.find({
+      $or: [{ status: 'scheduled', scheduledAt: { $lte: now } }, stale]
+    }).select('_id');
+    let sent = 0;
+
+    for (const { _id } of due) {
+      // Claimed atomically so two servers never send the same announcement
+      const announcement = await Announcement.findOneAndUpdate(
+        { _id, $or: [{ status: 'scheduled', scheduledAt: { $lte: now } }, stale] },
+        { $set: { status: 'sending', claimedAt: now } },
+        { new: true }
+      );
+      if (!announcement) continue;
+
+      if (announcement.expiresAt && announcement.expiresAt <= now) {
+        await Announcement.updateOne({ _id }, { $set: { status: 'expired' } });
+        continue;
+      }
+      const { takenOver } = await this.deliver(announcement);
+      if (!takenOver) sent += 1;
+    }
+
+    const expired = await Announcement.find({ status: 'sent', expiresAt: { $ne: null, $lte: now } }).select('_id');
+    for (const { _id } of expired) {
+      await this.deactivateNotifications(_id);
+      await Announcement.updateOne({ _id, status: 'sent' }, { $set: { status: 'expired' } });
+    }
+
+    return { sent, expired: expired.length };
+  }
+
+  /**
+   * Cancel a scheduled announcement, or withdraw a sent one from the recipients' notification lists
+   */
+  async cancel(id, actor) {
+    const cancelled = { cancelledBy: actor ? actor._id : null, cancelledAt: new Date() };
+
+    // Conditional updates, so the job cannot start sending an announcement as it is cancelled
+    const unsent = await Announcement.findOneAndUpdate(
+      { _id: id, status: 'scheduled' },
+      { $set: { ...cancelled, status: 'cancelled' } },
+      { new: true }
+    );
+    if (unsent) return unsent;
+
+    const withdrawn = await Announcement.findOneAndUpdate(
+      { _id: id, status: 'sent' },
+      { $set: { ...cancelled, status: 'withdrawn' } },
+      { new: true }
+    );
+    if (withdrawn) {
+      await this.deactivateNotifications(withdrawn._id);
+      return withdrawn;
+    }
+
+    const announcement = await Announcement.findById(id).select('status');
+    if (!announcement) {
+      throw announcementError('Announcement not found', 404);
+    }
+    throw announcementError(`A ${announcement.status} announcement cannot be cancelled`, 409);
+  }
+
+  // Hide an announcement's notifications and update the bells of those who had not read it
+  async deactivateNotifications(announcementId) {
+    const filter = { 'data.announcementId': announcementId, isActive: true };
+    const unread = await Notification.distinct('user', { ...filter, isRead: false });
+    await Notification.updateMany(filter, { $set: { isActive: false } });
+
+    for (const userId of unread) {
+      realtimeService.unreadCountChanged(userId, await notificationService.getUnreadCount(userId));
+    }
+  }
+
+  /**
+   * Read and delivery counts per announcement, from its notifications
+   * @returns {Promise<Object>} { [announcementId]: { delivered, read, readRate, email, sms, push } }
+   */
+  async getStats(ids) {
+    const rows = await Notification.aggregate([
+      { $match: { 'data.announcementId': { $in: ids.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+      {
+        $group: {
+          _id: '$data.announcementId',
+          delivered: { $sum: 1 },
+          read: countIf('$isRead'),
+          emailSent: countIf({ $and: ['$channels.email.sent', { $not: [hasError('email')] }] }),
+          emailFailed: countIf(hasError('email')),
+          emailQueued: countIf({ $and: ['$channels.email.digest', { $not: ['$channels.email.sent'] }] }),
+          smsSent: countIf({ $and: ['$channels.sms.sent', { $not: [hasError('sms')] }] }),
+          smsFailed: countIf(hasError('sms')),
+          pushSent: countIf({ $and: ['$channels.push.sent', { $not: [hasError('push')] }] }),
+          pushFailed: countIf(hasError('push'))
+        }
+      }
+    ]);
+
+    return Object.fromEntries(rows.map(row => [row._id.toString(), {
+      delivered: row.delivered,
+      read: row.read,
+      readRate: row.delivered ? Math.round(row.read / row.delivered * 1000) / 10 : 0,
+      email: { sent: row.emailSent, failed: row.emailFailed, queued: row.emailQueued },
+      sms: { sent: row.smsSent, failed: row.smsFailed },
+      push: { sent: row.pushSent, failed: row.pushFailed }
+    }]));
+  }
+
+  // Zero counts for announcements without notifications (scheduled, cancelled)
+  emptyStats() {
+    return {
+      delivered: 0,
+      read: 0,
+      readRate: 0,
+      email: { sent: 0, failed: 0, queued: 0 },
+      sms: { sent: 0, failed: 0 },
+      push: { sent: 0, failed: 0 }
+    };
+  }
+
+  /**
+   * Announcements, newest first, with their stats
+   * @param {Object} options - { status, page, limit }
+   */
+  async list({ status, page = 1, limit = 20 } = {}) {
+    const filter = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    const [announcements, total] = await Promise.all([
+      Announcement.find(filter)
+        .populate('createdBy', 'name username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Announcement.countDocuments(filter)
+    ]);
+
+    const stats = await this.getStats(announcements.map(announcement => announcement._id));
+    return {
+      announcements: announcements.map(announcement => ({
+        ...announcement,
+        stats: stats[announcement._id.toString()] || this.emptyStats()
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  // One announcement with its stats
+  async get(id) {
+    const announcement = await Announcement.findById(id)
+      .populate('createdBy', 'name username')
+      .populate('cancelledBy', 'name username')
+      .lean();
+    if (!announcement) {
+      throw announcementError('Announcement not found', 404);
+    }
+
+    const stats = await this.getStats([announcement._id]);
+    return { ...announcement, stats: stats[announcement._id.toString()] || this.emptyStats() };
+  }
+}
+
+module.exports = new AnnouncementService();
+module.exports.MAX_RADIUS_KM = MAX_RADIUS_KM;
@@ -0,0 +1,274 @@
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const ArchivedIssue = require('../models/ArchivedIssue');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const { REOPEN_WINDOW_DAYS } = require('./workflowService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no retention policy is stored for a status. Open statuses are never archived by default.
+// Resolved issues stay live at least as long as the reporter can reopen them.
+const DEFAULT_RETENTION_DAYS = {
+  resolved: Math.max(parseFloat(process.env.ARCHIVE_RESOLVED_DAYS) || 30, REOPEN_WINDOW_DAYS),
+  closed: parseFloat(process.env.ARCHIVE_CLOSED_DAYS) || 30
+};
+
+// The date the retention period counts from, per status (falls back to updatedAt)
+const RETENTION_DATE_FIELDS = {
+  resolved: 'resolvedAt',
+  closed: 'closedAt'
+};
+
+const archiveError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Archive Service
+ * Moves issues (with their comments and notifications) out of the live collections and back
+ */
+class ArchiveService {
+  /**
+   * Retention period in effect for every status that has one.
+   * An inactive stored policy switches archiving off for its status.
+   */
+  async getEffectivePolicies() {
+    const stored = await RetentionPolicy.find().populate('updatedBy', 'name email');
+    const byStatus = new Map(stored.map(policy => [policy.status, policy]));
+    const statuses = new Set([...Object.keys(DEFAULT_RETENTION_DAYS), ...byStatus.keys()]);
+
+    return [...statuses].map(status => {
+      const policy = byStatus.get(status);
+      if (policy) {
+        return { status, days: policy.isActive ? policy.days : null, source: 'policy', policy };
+      }
+      return { status, days: DEFAULT_RETENTION_DAYS[status], source: 'default', policy: null };
+    });
+  }
+
+  /**
+   * Query for live issues in `status` whose retention period of `days` has run out
+   */
+  buildExpiredQuery(status, days, now = new Date()) {
+    const cutoff = new Date(now.getTime() - days * DAY_MS);
+    const field = RETENTION_DATE_FIELDS[status] || 'updatedAt';
+
+    const conditions = [
+      { $or: [{ retainUntil: null }, { retainUntil: { $lte: now } }] }
+    ];
+    if (field === 'updatedAt') {
+      conditions.push({ updatedAt: { $lte: cutoff } });
+    } else {
+      // Older issues may not have the status date set
+      conditions.push({
+        $or: [
+          { [field]: { $lte: cutoff } },
+          { [field]: null, updatedAt: { $lte: cutoff } }
+        ]
+      });
+    }
+
+    return { query: { status, $and: conditions }, cutoff };
+  }
+
+  /**
+   * Move an issue and everything hanging off it into the archive
+   * @param {ObjectId|string} issueId
+   * @param {Object} options - { reason: 'retention'|'deleted', archivedBy, retentionDays }
+   * @returns {Promise<Object|null>} The archive record, or null when the issue does not exist
+   */
+  async archiveIssue(issueId, { reason = 'retention', archivedBy = null, retentionDays = null } = {}) {
+    const issue = await Issue.findById(issueId).lean();
+    if (!issue) return null;
+
+    const [comments, notifications] = await Promise.all([
+      Comment.find({ issue: issue._id }).lean(),
+      Notification.find({ 'data.issueId': issue._id }).lean()
+    ]);
+
+    // Write the archive first so a failure part-way never loses data
+    const archived = await ArchivedIssue.create({
+      issueId: issue._id,
+      title: issue.title,
+      description: issue.description,
+      category: issue.category,
+      status: issue.status,
+      priority: issue.priority,
+      ward: issue.ward,
+      reportedBy: issue.reportedBy,
+      issueCreatedAt: issue.createdAt,
+      resolvedAt: issue.resolvedAt,
+      closedAt: issue.closedAt,
+      snapshot: issue,
+      comments,
+      notifications,
+      reason,
+      retentionDays,
+      archivedBy: archivedBy ? (archivedBy._id || archivedBy) : null
+    });
+
+    await Promise.all([
+      Comment.deleteMany({ _id: { $in: comments.map(comment => comment._id) } }),
+      Notification.deleteMany({ _id: { $in: notifications.map(notification => notification._id) } })
+    ]);
+    await Issue.deleteOne({ _id: issue._id });
+
+    return archived;
+  }
+
+  /**
+   * Put an archived issue, its comments and notifications back into the live collections.
+   * The issue is held back from the retention job for another retention period.
+   */
+  async restoreIssue(archiveId) {
+    const archived = await ArchivedIssue.findById(archiveId);
+    if (!archived) {
+      throw archiveError('Archived issue not found', 404);
+    }
+
+    if (await Issue.exists({ _id: archived.issueId })) {
+      throw archiveError('An issue with this id already exists', 409);
+    }
+
+    const policies = await this.getEffectivePolicies();
+    const policy = policies.find(p => p.status === archived.status);
+    const holdDays = (policy && policy.days) || DEFAULT_RETENTION_DAYS.closed;
+
+    // Raw inserts keep ids and timestamps exactly as they were
+    const { snapshot, comments, notifications } = archived.toObject();
+    await Issue.collection.insertOne({
+      ...snapshot,
+      retainUntil: new Date(Date.now() + holdDays * DAY_MS)
+    });
+    if (comments.length > 0) {
+      await Comment.collection.insertMany(comments, { ordered: false });
+    }
+    if (notifications.length > 0) {
+      await Notification.collection.insertMany(notifications, { ordered: false });
+    }
+
+    await archived.deleteOne();
+
+    return Issue.findById(archived.issueId)
+      .populate('reportedBy', 'name email')
+      .populate('assignedTo', 'name email');
+  }
+
+  /**
+   * Archive every issue whose retention period has run out
+   */
+  async archiveExpiredIssues() {
+    const now = new Date();
+    const policies = await this.getEffectivePolicies();
+    const results = [];
+
+    for (const { status, days } of policies) {
+      if (!days) continue;
+
+      const { query } = this.buildExpiredQuery(status, days, now);
+      const expired = await Issue.find(query).select('_id');
+
+      for (const { _id } of expired) {
+        try {
+          await this.archiveIssue(_id, { reason: 'retention', retentionDays: days });
+          results.push({ issueId: _id.toString(), status, success: true });
+        } catch (error) {
+          console.error(`Error archiving issue ${_id}:`, error);
+          results.push({ issueId: _id.toString(), status, success: false, error: error.message });
+        }
+      }
+    }
+
+    return {
+      archived: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results
+    };
+  }
+
+  /**
+   * Number of live issues per status that the next run would archive
+   */
+  async getEligibleCounts() {
+    const now = new Date();
+    const policies = await this.getEffectivePolicies();
+
+    return Promise.all(policies.filter(p => p.days).map(async ({ status, days }) => {
+      const { query, cutoff } = this.buildExpiredQuery(status, days, now);
+      return { status, days, cutoff, eligible: await Issue.countDocuments(query) };
+    }));
+  }
+
+  /**
+   * Search archived issues
+   * @param {Object} filters - { search, category, status, reason, reportedBy, from, to } (from/to match the original creation date)
+   */
+  async search(filters = {}, page = 1, limit = 20) {
+    const { search, category, status, reason, reportedBy, from, to } = filters;
+    const query = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ title: pattern }, { description: pattern }];
+      if (/^[0-9a-fA-F]{24}$/.test(search)) {
+        query.$or.push({ issueId: search });
+      }
+    }
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (reason) query.reason = reason;
+    if (reportedBy) query.reportedBy = reportedBy;
+    if (from || to) {
+      query.issueCreatedAt = {};
+      if (from) query.issueCreatedAt.$gte = new Date(from);
+      if (to) query.issueCreatedAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [items, total] = await Promise.all([
+      ArchivedIssue.find(query)
+        .select('-snapshot -comments -notifications')
+        .populate('reportedBy', 'name email')
+        .populate('archivedBy', 'name email')
+        .sort({ archivedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ArchivedIssue.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  /**
+   * Full archive record, with comment authors resolved for reading
+   */
+  async getArchivedIssue(archiveId) {
+    const archived = await ArchivedIssue.findById(archiveId)
+      .populate('reportedBy', 'name email')
+      .populate('archivedBy', 'name email')
+      .lean();
+    if (!archived) return null;
+
+    const authorIds = [...new Set(archived.comments.map(comment => comment.author && comment.author.toString()))]
+      .filter(Boolean);
+    const authors = await User.find({ _id: { $in: authorIds } }).select('name email role').lean();
+    const authorsById = new Map(authors.map(author => [author._id.toString(), author]));
+
+    archived.comments = archived.comments.map(comment => ({
+      ...comment,
+      author: authorsById.get(comment.author && comment.author.toString()) || comment.author
+    }));
+
+    return archived;
+  }
+}
+
+module.exports = new ArchiveService();
+module.exports.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+module.exports.RETENTION_DATE_FIELDS = RETENTION_DATE_FIELDS;
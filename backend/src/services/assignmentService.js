@@ -0,0 +1,311 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const availabilityService = require('./availabilityService');
+const roleService = require('./roleService');
+const { OPEN_STATUSES } = require('./workflowService');
+
+// Strategy used when the caller does not ask for one; offering issues to the whole department is opt-in
+const DEFAULT_STRATEGY = process.env.ASSIGNMENT_STRATEGY || 'least-loaded';
+// Employees with this many open issues are not given more (0 = no limit)
+const MAX_OPEN_ISSUES = parseInt(process.env.ASSIGNMENT_MAX_OPEN_ISSUES) || 0;
+
+// New issues start at field level: field staff ('employee' is the legacy name) and custom employee roles
+const fieldRoles = () => roleService.employeeRoles().filter(role => roleService.levelOf(role) === 'field-staff');
+
+const assignmentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Great-circle distance in kilometers
+const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Base location if set, otherwise the coordinates on the employee's address
+const employeeLocation = (user) => {
+  const base = user.baseLocation;
+  if (base && base.latitude != null && base.longitude != null) return base;
+  const coordinates = user.address && user.address.coordinates;
+  if (coordinates && coordinates.latitude != null && coordinates.longitude != null) return coordinates;
+  return null;
+};
+
+// Never-assigned employees sort first
+const byLastAssigned = (a, b) => (a.lastAssignedAt ? a.lastAssignedAt.getTime() : 0) -
+  (b.lastAssignedAt ? b.lastAssignedAt.getTime() : 0);
+const byLoad = (a, b) => a.openIssues - b.openIssues;
+const byDistance = (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+
+const formatKm = (km) => `${Math.round(km * 10) / 10} km`;
+
+/**
+ * Strategies rank the available candidates; the first one gets the issue.
+ * `explain` says why in a sentence for admins. A strategy without `rank` offers the
+ * issue to the whole department instead of a single employee.
+ */
+const STRATEGIES = {
+  'round-robin': {
+    description: 'Takes turns: the employee who was assigned an issue longest ago goes next',
+    rank: (candidates) => [...candidates].sort((a, b) => byLastAssigned(a, b) || byLoad(a, b)),
+    explain: (chosen) => (chosen.lastAssignedAt
+      ? `Next in turn: last assigned an issue on ${chosen.lastAssignedAt.toISOString()}`
+      : 'Next in turn: has not been assigned an issue yet')
+  },
+  'least-loaded': {
+    description: 'Picks the employee with the fewest open issues, nearest first on a tie',
+    rank: (candidates) => [...candidates].sort((a, b) => byLoad(a, b) || byDistance(a, b) || byLastAssigned(a, b)),
+    explain: (chosen, ranked) => `Fewest open issues (${chosen.openIssues}) among ${ranked.length} available employee(s)`
+  },
+  nearest: {
+    description: 'Picks the employee whose base location is closest to the issue',
+    // Employees without a known location cannot be compared and go last
+    rank: (candidates) => [...candidates].sort((a, b) => byDistance(a, b) || byLoad(a, b)),
+    explain: (chosen) => (chosen.distanceKm != null
+      ? `Closest base location, ${formatKm(chosen.distanceKm)} from the issue`
+      : 'No available employee has a base location; picked the least loaded instead')
+  },
+  broadcast: {
+    description: 'Offers the issue to every field employee in the department; the first to accept takes it'
+  }
+};
+
+/**
+ * Assignment Service
+ * Picks the employee a new issue goes to, using a pluggable strategy, and records why
+ */
+class AssignmentService {
+  /**
+   * Add or replace a strategy
+   * @param {string} name
+   * @param {Object} strategy - { description, rank(candidates, issue), explain(chosen, ranked) }
+   */
+  registerStrategy(name, strategy) {
+    STRATEGIES[name] = strategy;
+  }
+
+  listStrategies() {
+    return Object.entries(STRATEGIES).map(([name, strategy]) => ({
+      name,
+      description: strategy.description,
+      isDefault: name === DEFAULT_STRATEGY
+    }));
+  }
+
+  /**
+   * Whether a candidate can take another issue right now
+   * @returns {{ available: boolean, reason: string|null }}
+   */
+  checkAvailability(candidate) {
+    if (!candidate.user.isActive) {
+      return { available: false, reason: 'Account is inactive' };
+    }
+    if (candidate.offDuty) {
+      const cover = candidate.offDuty.backup ? `; covered by ${candidate.offDuty.backup.name}` : '';
+      return { available: false, reason: `${candidate.offDuty.reason}${cover}` };
+    }
+    if (MAX_OPEN_ISSUES > 0 && candidate.openIssues >= MAX_OPEN_ISSUES) {
+      return { available: false, reason: `Already has ${candidate.openIssues} open issues (limit ${MAX_OPEN_ISSUES})` };
+    }
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Active field employees of the issue's department and zone, plus the backups of those off duty,
+   * with their open-issue load, when they were last assigned and how far they are from the issue
+   */
+  async getCandidates(issue) {
+    const query = {
+      role: { $in: fieldRoles() },
+      isActive: true,
+      $or: [
+        { departments: { $in: [issue.category, 'All'] } },
+        { department: { $in: [issue.category, 'All'] } }
+      ]
+    };
+    // Employees scoped to zones only get issues inside them
+    if (issue.zones && issue.zones.length > 0) {
+      query.$and = [{ $or: [{ zones: { $size: 0 } }, { zones: { $exists: false } }, { zones: { $in: issue.zones } }] }];
+    }
+
+    const users = await User.find(query)
+      .select('name employeeId role department departments zones isActive baseLocation address');
+
+    if (users.length === 0) return [];
+
+    // Off-duty employees stay in the list (to explain why they were skipped); their backups join it
+    const { offDuty } = await availabilityService.routeAroundOffDuty(users);
+    const offDutyById = new Map(offDuty.map(entry => [entry.user._id.toString(), entry]));
+    const backupFor = new Map();
+    const people = [...users];
+    for (const { user, backup } of offDuty) {
+      if (!backup) continue;
+      const key = backup._id.toString();
+      if (!backupFor.has(key)) {
+        backupFor.set(key, []);
+        if (!people.some(person => person._id.toString() === key)) people.push(backup);
+      }
+      backupFor.get(key).push(user.name);
+    }
+
+    const ids = people.map(user => user._id);
+    const [loads, lastAssignments] = await Promise.all([
+      Issue.aggregate([
+        { $match: { assignedTo: { $in: ids }, status: { $in: OPEN_STATUSES }, _id: { $ne: issue._id } } },
+        { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+      ]),
+      Issue.aggregate([
+        { $match: { assignedTo: { $in: ids }, _id: { $ne: issue._id } } },
+        { $group: { _id: '$assignedTo', lastAssignedAt: { $max: '$assignedAt' } } }
+      ])
+    ]);
+    const loadById = new Map(loads.map(row => [row._id.toString(), row.count]));
+    const lastById = new Map(lastAssignments.map(row => [row._id.toString(), row.lastAssignedAt]));
+
+    const issueCoordinates = issue.location && issue.location.coordinates;
+
+    return people.map(user => {
+      const location = employeeLocation(user);
+      const distanceKm = location && issueCoordinates
+        ? haversineKm(issueCoordinates.latitude, issueCoordinates.longitude, location.latitude, location.longitude)
+        : null;
+
+      return {
+        user,
+        openIssues: loadById.get(user._id.toString()) || 0,
+        lastAssignedAt: lastById.get(user._id.toString()) || null,
+        distanceKm,
+        offDuty: offDutyById.get(user._id.toString()) || null,
+        backupFor: backupFor.get(user._id.toString()) || []
+      };
+    });
+  }
+
+  /**
+   * Work out who should get an issue without changing anything
+   * @param {Object} issue
+   * @param {string} strategyName - Defaults to ASSIGNMENT_STRATEGY
+   * @returns {Promise<Object>} { strategy, chosen, reason, broadcastTo, candidates }
+   */
+  async decide(issue, strategyName = DEFAULT_STRATEGY) {
+    const strategy = STRATEGIES[strategyName];
+    if (!strategy) {
+      throw assignmentError(`Unknown assignment strategy "${strategyName}". Use one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+
+    const candidates = await this.getCandidates(issue);
+    const available = [];
+    for (const candidate of candidates) {
+      const { available: isAvailable, reason } = this.checkAvailability(candidate);
+      candidate.available = isAvailable;
+      candidate.unavailableReason = reason;
+      if (isAvailable) available.push(candidate);
+    }
+
+    const decision = {
+      strategy: strategyName,
+      chosen: null,
+      reason: null,
+      broadcastTo: [],
+      candidates
+    };
+
+    if (candidates.length === 0) {
+      decision.reason = `No active field employees in the "${issue.category}" department`;
+      return decision;
+    }
+
+    if (!strategy.rank && available.length > 0) {
+      decision.broadcastTo = available.map(candidate => candidate.user);
+      decision.reason = `Offered to all ${available.length} available field employee(s) in "${issue.category}"`;
+      return decision;
+    }
+
+    if (available.length === 0) {
+      // Nobody can take more work: fall back to the department so the issue is still seen
+      decision.broadcastTo = candidates.map(candidate => candidate.user);
+      decision.reason = `All ${candidates.length} field employee(s) in "${issue.category}" are unavailable; offered to the whole department`;
+      return decision;
+    }
+
+    const ranked = strategy.rank(available, issue);
+    ranked.forEach((candidate, index) => { candidate.rank = index + 1; });
+    decision.chosen = ranked[0].user;
+    decision.reason = strategy.explain ? strategy.explain(ranked[0], ranked) : null;
+    if (ranked[0].backupFor.length > 0) {
+      decision.reason = `${decision.reason || 'Picked'} (backup for off-duty ${ranked[0].backupFor.join(', ')})`;
+    }
+    return decision;
+  }
+
+  /**
+   * Assign an issue with a strategy, notify whoever gets it and store the explanation on the issue
+   * @param {Object} issue - Issue document
+   * @param {Object} options - { strategy, actor } (actor is the user the assignment is attributed to)
+   * @returns {Promise<Object>} The decision
+   */
+  async assignIssue(issue, { strategy = DEFAULT_STRATEGY, actor = null } = {}) {
+    const decision = await this.decide(issue, strategy);
+    if (!decision.chosen && decision.broadcastTo.length === 0) {
+      return decision;
+    }
+
+    const assignedRole = 'field-staff';
+    issue.assignmentDecision = {
+      strategy: decision.strategy,
+      chosen: decision.chosen ? decision.chosen._id : null,
+      reason: decision.reason,
+      candidates: this.summarizeCandidates(decision.candidates),
+      decidedBy: actor ? actor._id : null,
+      decidedAt: new Date()
+    };
+
+    if (decision.chosen) {
+      await issue.assign(decision.chosen._id, actor ? actor._id : null, assignedRole);
+      await notificationService.notifyIssueAssignment(issue, decision.chosen, actor || decision.chosen);
+      return decision;
+    }
+
+    // Broadcast: the issue sits at field level until one of them accepts it
+    issue.assignedTo = null;
+    issue.assignedRole = assignedRole;
+    issue.assignedBy = actor ? actor._id : null;
+    issue.assignedAt = new Date();
+    if (issue.priority) {
+      await issue.setEscalationDeadline(assignedRole);
+    }
+    await issue.save();
+
+    await Promise.all(decision.broadcastTo.map(employee =>
+      notificationService.notifyIssueAssignment(issue, employee, actor || employee)
+    ));
+    return decision;
+  }
+
+  // Plain rows for storing on the issue and returning to admins
+  summarizeCandidates(candidates) {
+    return candidates.map(candidate => ({
+      user: candidate.user._id,
+      name: candidate.user.name,
+      employeeId: candidate.user.employeeId,
+      openIssues: candidate.openIssues,
+      lastAssignedAt: candidate.lastAssignedAt,
+      distanceKm: candidate.distanceKm != null ? Math.round(candidate.distanceKm * 100) / 100 : null,
+      available: candidate.available,
+      unavailableReason: candidate.unavailableReason,
+      backupFor: candidate.backupFor,
+      rank: candidate.rank || null
+    }));
+  }
+}
+
+module.exports = new AssignmentService();
+module.exports.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
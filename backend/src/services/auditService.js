@@ -0,0 +1,85 @@
+const AuditLog = require('../models/AuditLog');
+
+// Body fields that are never written to the audit log. Exact names, so fields such as `postalCode`
+// or a zone's `code` are kept; two-factor codes are only sent to /auth, which is not audited.
+const SECRET_FIELDS = new Set([
+  'password', 'currentPassword', 'newPassword', 'confirmPassword',
+  'token', 'refreshToken', 'challengeToken',
+  'otp', 'recoveryCode', 'recoveryCodes',
+  'secret', 'p256dh', 'auth'
+]);
+
+// Copy of a request body with secrets replaced, nested objects included
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+    [key, SECRET_FIELDS.has(key) ? '[redacted]' : redact(field)]
+  ));
+};
+
+/**
+ * Audit Service
+ * Records admin sign-ins and actions against the admin who performed them
+ */
+class AuditService {
+  /**
+   * Add an entry. Never throws: a failed write is logged and the action goes ahead.
+   * @param {Object} entry - { actor, action, target: { type, id }, details, method, path, statusCode, session }
+   * @param {Object} req - Request, for the session (unless given), IP and user agent
+   */
+  async record({ actor = null, action, target = null, details = null, method, path, statusCode, session = null }, req = null) {
+    try {
+      await AuditLog.create({
+        actor: actor ? actor._id : null,
+        actorName: actor ? (actor.username || actor.name || '') : '',
+        action,
+        target: target ? { type: target.type, id: String(target.id) } : undefined,
+        method,
+        path,
+        statusCode,
+        details: details ? redact(details) : null,
+        session: session || (req && req.sessionId) || null,
+        ip: (req && req.ip) || '',
+        userAgent: (req && req.get && req.get('user-agent') || '').slice(0, 500)
+      });
+    } catch (error) {
+      console.error(`Error writing audit log (${action}):`, error);
+    }
+  }
+
+  /**
+   * Entries, newest first
+   * @param {Object} filters - { actor, action, from, to, page, limit }
+   */
+  async list({ actor, action, from, to, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    page = parseInt(page, 10) || 1;
+    limit = Math.min(parseInt(limit, 10) || 50, 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name username role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: { current: page, pages: Math.ceil(total / limit), total }
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,248 @@
+const EmployeeSchedule = require('../models/EmployeeSchedule');
+const User = require('../models/User');
+const calendarService = require('./calendarService');
+const roleService = require('./roleService');
+
+// How many backups deep to look when a backup is off duty too
+const MAX_BACKUP_HOPS = 3;
+
+const scheduleError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Availability Service
+ * Works out which employees are on duty (shifts, leave, manual toggle) and who covers for the rest
+ */
+class AvailabilityService {
+  /**
+   * Whether a schedule has the employee on duty at `now`
+   * @returns {{ onDuty: boolean, reason: string|null, until: Date|null }}
+   */
+  getStatus(schedule, now = new Date()) {
+    if (!schedule) {
+      return { onDuty: true, reason: null, until: null };
+    }
+    if (!schedule.onDuty) {
+      return { onDuty: false, reason: 'Marked off duty', until: null };
+    }
+
+    const leave = (schedule.leave || []).find(entry => entry.from <= now && entry.to > now);
+    if (leave) {
+      return { onDuty: false, reason: leave.reason ? `On leave: ${leave.reason}` : 'On leave', until: leave.to };
+    }
+
+    if (!this.isWithinShift(schedule, now)) {
+      return { onDuty: false, reason: 'Outside shift hours', until: null };
+    }
+
+    return { onDuty: true, reason: null, until: null };
+  }
+
+  // True when there are no shifts set or `now` falls in one (including one that started yesterday)
+  isWithinShift(schedule, now) {
+    if (!schedule.shifts || schedule.shifts.length === 0) return true;
+
+    const parts = calendarService.getZonedParts(now, schedule.timezone || 'Asia/Kolkata');
+    const minute = parts.hour * 60 + parts.minute;
+    const yesterday = (parts.weekday + 6) % 7;
+
+    return schedule.shifts.some(shift => {
+      const start = toMinutes(shift.start);
+      const end = toMinutes(shift.end);
+      if (start < end) {
+        return shift.day === parts.weekday && minute >= start && minute < end;
+      }
+      // Overnight shift: the evening part today, or the early-morning part of yesterday's shift
+      return (shift.day === parts.weekday && minute >= start) ||
+        (shift.day === yesterday && minute < end);
+    });
+  }
+
+  /**
+   * Duty status per user id, for everyone in `userIds`
+   * @returns {Promise<Map<string, Object>>} id -> { onDuty, reason, until, backup }
+   */
+  async getStatuses(userIds, now = new Date()) {
+    const schedules = await EmployeeSchedule.find({ user: { $in: userIds } });
+    const byUser = new Map(schedules.map(schedule => [schedule.user.toString(), schedule]));
+
+    return new Map(userIds.map(id => {
+      const schedule = byUser.get(idOf(id));
+      return [idOf(id), { ...this.getStatus(schedule, now), backup: schedule ? schedule.backup : null }];
+    }));
+  }
+
+  /**
+   * First on-duty, active employee down an off-duty employee's backup chain
+   * @returns {Promise<Object|null>} The backup user
+   */
+  async findBackup(userId, now = new Date()) {
+    const seen = new Set([idOf(userId)]);
+    let current = idOf(userId);
+
+    for (let hop = 0; hop < MAX_BACKUP_HOPS; hop++) {
+      const schedule = await EmployeeSchedule.findOne({ user: current }).select('backup');
+      const backupId = schedule && idOf(schedule.backup);
+      if (!backupId || seen.has(backupId)) return null;
+      seen.add(backupId);
+
+      const backup = await User.findOne({ _id: backupId, isActive: true });
+      if (!backup) return null;
+
+      const [status] = (await this.getStatuses([backup._id], now)).values();
+      if (status.onDuty) return backup;
+      current = backupId;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace off-duty employees with their on-duty backups
+   * @param {Array} users - User documents
+   * @returns {Promise<Object>} { available: [users], offDuty: [{ user, reason, backup }] }
+   */
+  async routeAroundOffDuty(users, now = new Date()) {
+    if (users.length === 0) return { available: [], offDuty: [] };
+
+    const statuses = await this.getStatuses(users.map(user => user._id), now);
+    const available = [];
+    const offDuty = [];
+    const included = new Set();
+
+    for (const user of users) {
+      if (statuses.get(idOf(user)).onDuty) {
+        available.push(user);
+        included.add(idOf(user));
+      }
+    }
+
+    for (const user of users) {
+      const status = statuses.get(idOf(user));
+      if (status.onDuty) continue;
+
+      const backup = await this.findBackup(user._id, now);
+      offDuty.push({ user, reason: status.reason, backup });
+      if (backup && !included.has(idOf(backup))) {
+        available.push(backup);
+        included.add(idOf(backup));
+      }
+    }
+
+    return { available, offDuty };
+  }
+
+  /**
+   * An employee's schedule, or the defaults when none is stored yet (not saved)
+   */
+  async getSchedule(userId) {
+    const schedule = await EmployeeSchedule.findOne({ user: userId })
+      .populate('backup', 'name employeeId role');
+    return schedule || new EmployeeSchedule({ user: userId });
+  }
+
+  /**
+   * Update shifts, timezone and backup
+   * @param {Object} changes - { timezone, shifts, backup, onDuty } (backup: user id, employee ID or null)
+   */
+  async updateSchedule(userId, changes, actor) {
+    const schedule = await EmployeeSchedule.findOne({ user: userId }) || new EmployeeSchedule({ user: userId });
+
+    if (changes.timezone !== undefined) schedule.timezone = changes.timezone;
+    if (changes.shifts !== undefined) schedule.shifts = changes.shifts;
+    if (changes.onDuty !== undefined) {
+      schedule.onDuty = Boolean(changes.onDuty);
+      schedule.dutyChangedAt = new Date();
+    }
+    if (changes.backup !== undefined) {
+      schedule.backup = await this.resolveBackup(userId, changes.backup);
+    }
+    schedule.updatedBy = actor ? actor._id : undefined;
+
+    await schedule.save();
+    return schedule.populate('backup', 'name employeeId role');
+  }
+
+  // Look up a backup by user id or employee ID; null clears it
+  async resolveBackup(userId, value) {
+    if (!value) return null;
+
+    const isMongoId = /^[0-9a-fA-F]{24}$/.test(value);
+    const backup = await User.findOne({
+      ...(isMongoId ? { $or: [{ _id: value }, { employeeId: value }] } : { employeeId: value }),
+      role: { $in: roleService.employeeRoles() },
+      isActive: true
+    });
+
+    if (!backup) {
+      throw scheduleError(`Employee "${value}" not found`, 404);
+    }
+    if (idOf(backup) === idOf(userId)) {
+      throw scheduleError('An employee cannot be their own backup');
+    }
+    return backup._id;
+  }
+
+  /**
+   * Switch the manual on/off-duty flag
+   */
+  async setDuty(userId, onDuty) {
+    return this.updateSchedule(userId, { onDuty }, { _id: userId });
+  }
+
+  /**
+   * Add a leave period. Plain dates (YYYY-MM-DD) cover whole days in the schedule's timezone.
+   */
+  async addLeave(userId, { from, to, reason }, actor) {
+    const schedule = await EmployeeSchedule.findOne({ user: userId }) || new EmployeeSchedule({ user: userId });
+    const timezone = schedule.timezone || 'Asia/Kolkata';
+
+    const start = this.parseLeaveDate(from, timezone, false);
+    const end = this.parseLeaveDate(to, timezone, true);
+    if (end <= start) {
+      throw scheduleError('Leave must end after it starts');
+    }
+
+    schedule.leave.push({ from: start, to: end, reason, createdBy: actor ? actor._id : undefined });
+    schedule.updatedBy = actor ? actor._id : undefined;
+    await schedule.save();
+    return schedule.populate('backup', 'name employeeId role');
+  }
+
+  /**
+   * Cancel a leave period
+   */
+  async removeLeave(userId, leaveId, actor) {
+    const schedule = await EmployeeSchedule.findOne({ user: userId });
+    const leave = schedule && schedule.leave.id(leaveId);
+    if (!leave) {
+      throw scheduleError('Leave not found', 404);
+    }
+
+    leave.deleteOne();
+    schedule.updatedBy = actor ? actor._id : undefined;
+    await schedule.save();
+    return schedule.populate('backup', 'name employeeId role');
+  }
+
+  // Start of the day for `from`, start of the next day for `to` when only a date is given
+  parseLeaveDate(value, timezone, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return calendarService.zonedTimeToUtc(year, month, day + (endOfDay ? 1 : 0), 0, 0, timezone);
+    }
+    return new Date(value);
+  }
+}
+
+module.exports = new AvailabilityService();
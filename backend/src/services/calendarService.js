@@ -0,0 +1,258 @@
+const WorkingCalendar = require('../models/WorkingCalendar');
+const Holiday = require('../models/Holiday');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE = 60 * 1000;
+const MAX_DAYS_AHEAD = 400;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Used when no WorkingCalendar exists for a department or for 'default'
+const DEFAULT_CALENDAR = {
+  department: 'default',
+  timezone: 'Asia/Kolkata',
+  weeklyHours: [1, 2, 3, 4, 5, 6].map(day => ({ day, open: '10:00', close: '18:00' })),
+  businessHoursPriorities: ['low', 'medium']
+};
+
+/**
+ * Calendar Service
+ * Converts SLA hours into business-time deadlines using office hours and holidays
+ */
+class CalendarService {
+  constructor() {
+    this.cache = { calendars: null, holidays: null, loadedAt: 0 };
+    this.formatters = new Map();
+  }
+
+  /**
+   * Drop cached calendars and holidays (after admin changes or at the start of a job run)
+   */
+  clearCache() {
+    this.cache = { calendars: null, holidays: null, loadedAt: 0 };
+  }
+
+  async load() {
+    if (this.cache.calendars && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const [calendars, holidays] = await Promise.all([
+      WorkingCalendar.find({}),
+      Holiday.find({ isActive: true })
+    ]);
+
+    this.cache = {
+      calendars: new Map(calendars.map(calendar => [calendar.department, calendar])),
+      holidays,
+      loadedAt: Date.now()
+    };
+    return this.cache;
+  }
+
+  /**
+   * Get the working calendar for a department, falling back to 'default' and then built-in hours
+   */
+  async getCalendar(department) {
+    const { calendars } = await this.load();
+    return calendars.get(department) || calendars.get('default') || DEFAULT_CALENDAR;
+  }
+
+  async getHolidays(department) {
+    const { holidays } = await this.load();
+    return holidays.filter(holiday =>
+      !holiday.departments || holiday.departments.length === 0 || holiday.departments.includes(department)
+    );
+  }
+
+  // Wall-clock parts of an instant in a time zone
+  getZonedParts(date, timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+      }));
+    }
+    const formatter = this.formatters.get(timeZone);
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  // UTC offset (ms) of a time zone at an instant
+  getOffset(date, timeZone) {
+    const p = this.getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  // Instant for a wall-clock time in a time zone
+  zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = this.getOffset(new Date(asUtc), timeZone);
+    const candidate = asUtc - offset;
+    const correctedOffset = this.getOffset(new Date(candidate), timeZone);
+    return new Date(asUtc - correctedOffset);
+  }
+
+  /**
+   * Office-hour windows (as instants) for each local day, starting at the day containing `from`
+   */
+  * iterateDays(from, calendar, holidays, department) {
+    const start = this.getZonedParts(from, calendar.timezone);
+
+    for (let offset = 0; offset < MAX_DAYS_AHEAD; offset++) {
+      const local = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+      const year = local.getUTCFullYear();
+      const month = local.getUTCMonth() + 1;
+      const day = local.getUTCDate();
+      const dateKey = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+      const holiday = holidays.find(h => h.appliesTo(dateKey, department));
+      const windows = holiday
+        ? []
+        : calendar.weeklyHours
+          .filter(window => window.day === local.getUTCDay())
+          .map(window => {
+            const [openHour, openMinute] = window.open.split(':').map(Number);
+            const [closeHour, closeMinute] = window.close.split(':').map(Number);
+            return {
+              open: this.zonedTimeToUtc(year, month, day, openHour, openMinute, calendar.timezone),
+              close: this.zonedTimeToUtc(year, month, day, closeHour, closeMinute, calendar.timezone)
+            };
+          })
+          .sort((a, b) => a.open - b.open);
+
+      yield { dateKey, holiday, windows };
+    }
+  }
+
+  usesBusinessHours(calendar, priority) {
+    const priorities = calendar.businessHoursPriorities || DEFAULT_CALENDAR.businessHoursPriorities;
+    return calendar.weeklyHours.length > 0 && priorities.includes(priority);
+  }
+
+  /**
+   * Explain how `hours` of SLA time starting at `startAt` map onto the calendar
+   * @returns {Promise<Object>} { deadline, mode, timezone, segments, skipped }
+   */
+  async explain(startAt, hours, { department, priority = 'medium' } = {}) {
+    const calendar = await this.getCalendar(department);
+    const wallClockDeadline = new Date(startAt.getTime() + hours * 60 * MINUTE);
+
+    if (!this.usesBusinessHours(calendar, priority)) {
+      return {
+        deadline: wallClockDeadline,
+        mode: 'wall-clock',
+        timezone: calendar.timezone,
+        calendar: calendar.department,
+        segments: [{ from: startAt, to: wallClockDeadline, minutes: Math.round(hours * 60) }],
+        skipped: []
+      };
+    }
+
+    const holidays = await this.getHolidays(department);
+    const segments = [];
+    const skipped = [];
+    let remaining = hours * 60 * MINUTE;
+    let cursor = startAt;
+
+    for (const { dateKey, holiday, windows } of this.iterateDays(startAt, calendar, holidays, department)) {
+      if (holiday) {
+        skipped.push({ date: dateKey, reason: 'holiday', name: holiday.name });
+        continue;
+      }
+      if (windows.length === 0) {
+        skipped.push({ date: dateKey, reason: 'closed' });
+        continue;
+      }
+
+      for (const window of windows) {
+        const from = cursor > window.open ? cursor : window.open;
+        if (from >= window.close) continue;
+
+        const available = window.close - from;
+        if (remaining <= available) {
+          const deadline = new Date(from.getTime() + remaining);
+          segments.push({ from, to: deadline, minutes: Math.round(remaining / MINUTE) });
+          return {
+            deadline,
+            mode: 'business-hours',
+            timezone: calendar.timezone,
+            calendar: calendar.department,
+            segments,
+            skipped
+          };
+        }
+
+        segments.push({ from, to: window.close, minutes: Math.round(available / MINUTE) });
+        remaining -= available;
+        cursor = window.close;
+      }
+    }
+
+    // Calendar has (almost) no open time left this year - fall back to wall-clock hours
+    console.warn(`[CALENDAR] No office hours found within ${MAX_DAYS_AHEAD} days for ${department}, using wall-clock deadline`);
+    return {
+      deadline: wallClockDeadline,
+      mode: 'wall-clock',
+      timezone: calendar.timezone,
+      calendar: calendar.department,
+      segments: [{ from: startAt, to: wallClockDeadline, minutes: Math.round(hours * 60) }],
+      skipped
+    };
+  }
+
+  /**
+   * Add SLA hours to a start time, counting only office hours where the calendar applies
+   */
+  async addBusinessHours(startAt, hours, options = {}) {
+    const { deadline } = await this.explain(startAt, hours, options);
+    return deadline;
+  }
+
+  /**
+   * SLA hours elapsed between two instants (office hours only where the calendar applies)
+   */
+  async businessHoursBetween(from, to, { department, priority = 'medium' } = {}) {
+    if (to <= from) return 0;
+
+    const calendar = await this.getCalendar(department);
+    if (!this.usesBusinessHours(calendar, priority)) {
+      return (to - from) / (60 * MINUTE);
+    }
+
+    const holidays = await this.getHolidays(department);
+    let elapsed = 0;
+
+    for (const { windows } of this.iterateDays(from, calendar, holidays, department)) {
+      for (const window of windows) {
+        if (window.open >= to) {
+          return elapsed / (60 * MINUTE);
+        }
+        const start = from > window.open ? from : window.open;
+        const end = to < window.close ? to : window.close;
+        if (end > start) elapsed += end - start;
+      }
+    }
+
+    return elapsed / (60 * MINUTE);
+  }
+}
+
+module.exports = new CalendarService();
+module.exports.DEFAULT_CALENDAR = DEFAULT_CALENDAR;
@@ -1,75 +1,56 @@
-const Issue = require('../models/Issue');
+const archiveService = require('./archiveService');
 
 /**
  * Cleanup Service
- * Handles automatic deletion of resolved issues after they've been resolved for 5 days
+ * Moves issues whose retention period has run out into the archive (see RetentionPolicy)
  */
 class CleanupService {
   /**
-   * Delete resolved issues that have been resolved for more than 5 days
-   * @returns {Promise<Object>} Result object with deletion statistics
+   * Archive issues that have been in their status longer than its retention period
+   * @returns {Promise<Object>} Result object with archive statistics
    */
-  async deleteOldResolvedIssues() {
+  async archiveExpiredIssues() {
     try {
-      // Calculate the cutoff date: 5 days ago
-      const fiveDaysAgo = new Date();
-      fiveDaysAgo.setDate(fiveDaysAgo.getDate() - 5);
+      const { archived, failed, results } = await archiveService.archiveExpiredIssues();
 
-      // Find all resolved issues that were resolved more than 5 days ago
-      const oldResolvedIssues = await Issue.find({
-        status: 'resolved',
-        resolvedAt: { $exists: true, $lte: fiveDaysAgo }
-      });
-
-      if (oldResolvedIssues.length === 0) {
+      if (archived === 0 && failed === 0) {
         return {
           success: true,
-          deleted: 0,
-          message: 'No resolved issues older than 5 days found'
+          archived: 0,
+          failed: 0,
+          message: 'No issues past their retention period found'
         };
       }
 
-      // Get issue IDs for logging
-      const issueIds = oldResolvedIssues.map(issue => issue._id.toString());
-
-      // Delete the issues
-      const deleteResult = await Issue.deleteMany({
-        status: 'resolved',
-        resolvedAt: { $exists: true, $lte: fiveDaysAgo }
-      });
-
-      console.log(`Deleted ${deleteResult.deletedCount} resolved issue(s) that were resolved more than 5 days ago`);
-      console.log('Deleted issue IDs:', issueIds);
+      const issueIds = results.filter(r => r.success).map(r => r.issueId);
+      console.log(`Archived ${archived} issue(s) past their retention period`);
+      console.log('Archived issue IDs:', issueIds);
 
       return {
         success: true,
-        deleted: deleteResult.deletedCount,
-        issueIds: issueIds,
-        message: `Successfully deleted ${deleteResult.deletedCount} resolved issue(s)`
+        archived,
+        failed,
+        issueIds,
+        results,
+        message: `Successfully archived ${archived} issue(s)${failed ? `, ${failed} failed` : ''}`
       };
     } catch (error) {
-      console.error('Error deleting old resolved issues:', error);
+      console.error('Error archiving expired issues:', error);
       throw error;
     }
   }
 
   /**
-   * Get statistics about resolved issues that are eligible for deletion
-   * @returns {Promise<Object>} Statistics about old resolved issues
+   * Get statistics about issues that are eligible for archiving
+   * @returns {Promise<Object>} Eligible issue counts per status
    */
   async getCleanupStats() {
     try {
-      const fiveDaysAgo = new Date();
-      fiveDaysAgo.setDate(fiveDaysAgo.getDate() - 5);
-
-      const count = await Issue.countDocuments({
-        status: 'resolved',
-        resolvedAt: { $exists: true, $lte: fiveDaysAgo }
-      });
+      const byStatus = await archiveService.getEligibleCounts();
 
       return {
-        eligibleForDeletion: count,
-        cutoffDate: fiveDaysAgo
+        eligibleForArchive: byStatus.reduce((sum, entry) => sum + entry.eligible, 0),
+        byStatus
       };
     } catch (error) {
       console.error('Error getting cleanup stats:', error);
@@ -79,4 +60,3 @@ class CleanupService {
 }
 
 module.exports = new CleanupService();
-
@@ -1,4 +1,238 @@
 const nodemailer = require('nodemailer');
+const templateService = require('./templateService');
+const { escapeHtml } = require('./templateService');
+
+const HEADER_COLORS = {
+  default: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  warning: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)'
+};
+
+const STATUS_COLORS = {
+  'reported': '#f59e0b',
+  'in-progress': '#3b82f6',
+  'resolved': '#10b981',
+  'closed': '#6b7280',
+  'merged': '#8b5cf6'
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const formatDate = (date, language) => templateService.interpolate('{{date|datetime}}', { date }, language);
+
+const button = (href, label, color = '#667eea') => `
+            <div style="text-align: center; margin: 2rem 0;">
+              <a href="${href}"
+                 style="background: ${color}; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block;">
+                ${label}
+              </a>
+            </div>`;
+
+// Header, greeting and footer shared by every email
+const layout = ({ t, heading, subheading, body, header = 'default' }) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: ${HEADER_COLORS[header]}; padding: 2rem; text-align: center; color: white;">
+            <h1 style="margin: 0; font-size: 2rem;">${heading}</h1>
+            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">${subheading}</p>
+          </div>
+
+          <div style="padding: 2rem; background: #f8fafc;">
+            <h2 style="color: #1e293b; margin-bottom: 1rem;">${t('common.greeting')}</h2>
+            ${body}
+          </div>
+
+          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
+            <p style="margin: 0;">${t('common.footer')}</p>
+          </div>
+        </div>
+      `;
+
+/**
+ * Emails by name. Each builds { subject, html } from its variables with `t`, which looks up
+ * email.<path> in the recipient's language (values HTML-escaped) and `language` for dates.
+ */
+const EMAILS = {
+  otp: ({ t, v }) => ({
+    subject: t('otp.subject', { html: false }),
+    html: layout({
+      t,
+      heading: t('otp.heading'),
+      subheading: t('otp.subheading'),
+      body: `
+            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">${t('otp.intro')}</p>
+
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; text-align: center; border: 2px solid #e2e8f0;">
+              <h3 style="color: #667eea; font-size: 2rem; margin: 0; letter-spacing: 0.5rem;">${escapeHtml(v.otp)}</h3>
+            </div>
+
+            <p style="color: #64748b; font-size: 0.9rem; margin-top: 1.5rem;">${t('otp.expiry')}</p>`
+    })
+  }),
+
+  welcome: ({ t }) => ({
+    subject: t('welcome.subject', { html: false }),
+    html: layout({
+      t,
+      heading: t('welcome.heading'),
+      subheading: t('welcome.subheading'),
+      body: `
+            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">${t('welcome.intro')}</p>
+
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #667eea;">
+              <h3 style="color: #1e293b; margin-top: 0;">${t('welcome.listTitle')}</h3>
+              <ul style="color: #64748b; line-height: 1.8;">
+                ${t('welcome.features').map(feature => `<li>${feature}</li>`).join('\n                ')}
+              </ul>
+            </div>
+            ${button(frontendUrl(), t('welcome.button'))}`
+    })
+  }),
+
+  issueUpdate: ({ t, v, language }) => {
+    const color = STATUS_COLORS[v.status] || '#667eea';
+    const known = templateService.lookup(`email.issueUpdate.messages.${v.status}`, language) !== undefined;
+    return {
+      subject: t('issueUpdate.subject', { html: false }),
+      html: layout({
+        t,
+        heading: t('issueUpdate.heading'),
+        subheading: t('issueUpdate.subheading'),
+        body: `
+            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
+              ${t(`issueUpdate.messages.${known ? v.status : 'other'}`)}.
+            </p>
+
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid ${color};">
+              <h3 style="color: #1e293b; margin-top: 0;">${escapeHtml(v.issueTitle)}</h3>
+              <p style="color: #64748b; margin-bottom: 1rem;">${t('issueUpdate.statusLabel')}: <strong style="color: ${color};">${templateService.interpolate('{{status|status}}', v, language, { html: true }).toUpperCase()}</strong></p>
+              <p style="color: #94a3b8; font-size: 0.9rem;">${t('common.issueId')}</p>
+            </div>
+            ${button(`${frontendUrl()}/issue/${v.issueId}`, t('issueUpdate.button'))}`
+      })
+    };
+  },
+
+  comment: ({ t, v }) => ({
+    subject: t('comment.subject', { html: false }),
+    html: layout({
+      t,
+      heading: t('comment.heading'),
+      subheading: t('comment.subheading'),
+      body: `
+            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">${t('comment.intro')}</p>
+
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #667eea;">
+              <h3 style="color: #1e293b; margin-top: 0;">${escapeHtml(v.issueTitle)}</h3>
+              <div style="background: #f8fafc; padding: 1rem; border-radius: 6px; margin: 1rem 0;">
+                <p style="color: #64748b; margin: 0; font-style: italic;">"${escapeHtml(v.commentContent || '')}"</p>
+                <p style="color: #94a3b8; font-size: 0.9rem; margin: 0.5rem 0 0 0;">- ${escapeHtml(v.commentAuthor)}</p>
+              </div>
+            </div>
+            ${button(`${frontendUrl()}/issue/${v.issueId}`, t('comment.button'))}`
+    })
+  }),
+
+  adminNotification: ({ t, v }) => ({
+    subject: t('adminNotification.subject', { html: false }),
+    html: layout({
+      t,
+      heading: t('adminNotification.heading'),
+      subheading: t('adminNotification.subheading'),
+      body: `
+            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">${t('adminNotification.intro')}</p>
+
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #f59e0b;">
+              <h3 style="color: #1e293b; margin-top: 0;">${escapeHtml(v.issueTitle)}</h3>
+              <p style="color: #64748b; margin-bottom: 1rem;">${t('adminNotification.reportedBy')}</p>
+              <p style="color: #94a3b8; font-size: 0.9rem;">${t('common.issueId')}</p>
+            </div>
+            ${button(`${frontendUrl()}/admin`, t('adminNotification.button'), '#f59e0b')}`
+    })
+  }),
+
+  slaWarning: ({ t, v }) => ({
+    subject: t('slaWarning.subject', { html: false }),
+    html: layout({
+      t,
+      header: 'warning',
+      heading: t('slaWarning.heading'),
+      subheading: t('slaWarning.subheading'),
+      body: `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #f59e0b;">
+              <h3 style="color: #1e293b; margin-top: 0;">${escapeHtml(v.issueTitle)}</h3>
+              <p style="color: #64748b; margin: 0;">${t('slaWarning.deadline')}</p>
+            </div>
+            ${button(`${frontendUrl()}/issue/${v.issueId}`, t('slaWarning.button'), '#f59e0b')}`
+    })
+  }),
+
+  announcement: ({ t, v }) => ({
+    subject: t('announcement.subject', { html: false }),
+    html: layout({
+      t,
+      heading: t('announcement.heading'),
+      subheading: t('announcement.subheading'),
+      body: `
+            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #667eea;">
+              <h3 style="color: #1e293b; margin-top: 0;">${escapeHtml(v.title)}</h3>
+              <p style="color: #64748b; line-height: 1.6; margin: 0;">${escapeHtml(v.message).replace(/\n/g, '<br>')}</p>
+            </div>
+            ${button(frontendUrl(), t('announcement.button'))}`
+    })
+  }),
+
+  dueSoonDigest: ({ t, v, language }) => {
+    const cell = 'padding: 0.5rem; border-bottom: 1px solid #e2e8f0;';
+    const rows = (v.issues || []).map(issue => `
+              <tr>
+                <td style="${cell}">${escapeHtml(issue.title)}</td>
+                <td style="${cell}">${templateService.interpolate('{{priority|priority}}', issue, language, { html: true })}</td>
+                <td style="${cell}">${issue.assignedRole ? templateService.interpolate('{{assignedRole|level}}', issue, language, { html: true }) : '-'}</td>
+                <td style="${cell}">${formatDate(issue.escalationDeadline, language)}</td>
+              </tr>`).join('');
+
+    return {
+      subject: t('dueSoonDigest.subject', { html: false }),
+      html: layout({
+        t,
+        heading: t('dueSoonDigest.heading'),
+        subheading: t('dueSoonDigest.subheading'),
+        body: `
+            <table style="width: 100%; background: white; border-collapse: collapse; border-radius: 8px; font-size: 0.9rem;">
+              <tr style="background: #667eea; color: white; text-align: left;">
+                <th style="padding: 0.5rem;">${t('dueSoonDigest.columns.issue')}</th>
+                <th style="padding: 0.5rem;">${t('dueSoonDigest.columns.priority')}</th>
+                <th style="padding: 0.5rem;">${t('dueSoonDigest.columns.level')}</th>
+                <th style="padding: 0.5rem;">${t('dueSoonDigest.columns.deadline')}</th>
+              </tr>${rows}
+            </table>`
+      })
+    };
+  },
+
+  notificationDigest: ({ t, v, language }) => {
+    const frequency = v.frequency === 'weekly' ? 'weekly' : 'daily';
+    const cell = 'padding: 0.5rem; border-bottom: 1px solid #e2e8f0;';
+    const rows = (v.notifications || []).map(notification => `
+              <tr>
+                <td style="${cell}"><strong>${escapeHtml(notification.title)}</strong><br>${escapeHtml(notification.message)}</td>
+                <td style="${cell} white-space: nowrap;">${formatDate(notification.createdAt, language)}</td>
+              </tr>`).join('');
+
+    return {
+      subject: t(`notificationDigest.subject.${frequency}`, { html: false }),
+      html: layout({
+        t,
+        heading: t(`notificationDigest.heading.${frequency}`),
+        subheading: t(`notificationDigest.subheading.${frequency}`),
+        body: `
+            <table style="width: 100%; background: white; border-collapse: collapse; border-radius: 8px; font-size: 0.9rem;">${rows}
+            </table>
+
+            <p style="color: #64748b; font-size: 0.85rem; margin-top: 1.5rem;">${t('notificationDigest.note')}</p>`
+      })
+    };
+  }
+};
 
 class EmailService {
   constructor() {
@@ -19,275 +253,104 @@ class EmailService {
     }
   }
 
-  // Send OTP email
-  async sendOTP(email, otp, name = 'User') {
-    // Check if email configuration is available
+  // Names of the emails render() knows
+  listEmails() {
+    return Object.keys(EMAILS);
+  }
+
+  /**
+   * Subject and HTML of an email in a language, without sending it (also used by the admin preview)
+   * @param {string} name - Key of EMAILS (otp, issueUpdate, ...)
+   * @param {string} language - en, hi, sat or nag; missing texts fall back to Hindi, then English
+   * @param {Object} variables - name, issueTitle, ... as the email uses them
+   */
+  render(name, language, variables = {}) {
+    const build = EMAILS[name];
+    if (!build) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+    const t = (path, { html = true } = {}) => templateService.t(`email.${path}`, language, variables, { html });
+    return build({ t, v: variables, language });
+  }
+
+  // Render and send one email; resolves to { success, messageId, error }
+  async send(to, name, language, variables, label) {
     if (!this.transporter || !process.env.FROM_EMAIL) {
-      console.warn('Email service not configured - skipping OTP email');
+      console.warn(`Email service not configured - skipping ${label} email`);
       return { success: false, error: 'Email service not configured' };
     }
 
-    const mailOptions = {
-      from: `${process.env.FROM_NAME || 'CivicConnect'} <${process.env.FROM_EMAIL}>`,
-      to: email,
-      subject: 'Your OTP for CivicConnect',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; text-align: center; color: white;">
-            <h1 style="margin: 0; font-size: 2rem;">CivicConnect</h1>
-            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Your OTP is ready</p>
-          </div>
-          
-          <div style="padding: 2rem; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 1rem;">Hello ${name}!</h2>
-            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
-              You requested an OTP to verify your account. Use the following code to complete your verification:
-            </p>
-            
-            <div style="background: white; padding: 1.5rem; border-radius: 8px; text-align: center; border: 2px solid #e2e8f0;">
-              <h3 style="color: #667eea; font-size: 2rem; margin: 0; letter-spacing: 0.5rem;">${otp}</h3>
-            </div>
-            
-            <p style="color: #64748b; font-size: 0.9rem; margin-top: 1.5rem;">
-              This OTP will expire in 5 minutes. If you didn't request this, please ignore this email.
-            </p>
-          </div>
-          
-          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
-            <p style="margin: 0;">© 2024 CivicConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
-
     try {
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('OTP email sent:', result.messageId);
+      const { subject, html } = this.render(name, language, variables);
+      const result = await this.transporter.sendMail({
+        from: `${process.env.FROM_NAME || 'CivicConnect'} <${process.env.FROM_EMAIL}>`,
+        to,
+        subject,
+        html
+      });
+      console.log(`${label} email sent:`, result.messageId);
       return { success: true, messageId: result.messageId };
     } catch (error) {
-      console.error('Error sending OTP email:', error);
+      console.error(`Error sending ${label} email:`, error);
       return { success: false, error: error.message };
     }
   }
 
-  // Send welcome email
-  async sendWelcome(email, name) {
-    const mailOptions = {
-      from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-      to: email,
-      subject: 'Welcome to CivicConnect!',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; text-align: center; color: white;">
-            <h1 style="margin: 0; font-size: 2rem;">Welcome to CivicConnect!</h1>
-            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Your account has been created successfully</p>
-          </div>
-          
-          <div style="padding: 2rem; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 1rem;">Hello ${name}!</h2>
-            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
-              Welcome to CivicConnect! You can now report civic issues in your community and track their resolution.
-            </p>
-            
-            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #667eea;">
-              <h3 style="color: #1e293b; margin-top: 0;">What you can do:</h3>
-              <ul style="color: #64748b; line-height: 1.8;">
-                <li>Report civic issues with photos and location</li>
-                <li>Track the progress of your reports</li>
-                <li>Support other community issues</li>
-                <li>Receive updates on issue resolution</li>
-              </ul>
-            </div>
-            
-            <div style="text-align: center; margin: 2rem 0;">
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}" 
-                 style="background: #667eea; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block;">
-                Get Started
-              </a>
-            </div>
-          </div>
-          
-          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
-            <p style="margin: 0;">© 2024 CivicConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
+  // Send OTP email
+  async sendOTP(email, otp, name = 'User', language = 'en') {
+    return this.send(email, 'otp', language, { name, otp }, 'OTP');
+  }
 
-    try {
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Welcome email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Error sending welcome email:', error);
-      return { success: false, error: error.message };
-    }
+  // Send welcome email
+  async sendWelcome(email, name, language = 'en') {
+    return this.send(email, 'welcome', language, { name }, 'Welcome');
   }
 
   // Send issue status update email
-  async sendIssueUpdate(email, name, issueTitle, status, issueId) {
-    const statusMessages = {
-      'reported': 'Your issue has been reported and is under review',
-      'in-progress': 'Your issue is now being worked on',
-      'resolved': 'Great news! Your issue has been resolved',
-      'closed': 'Your issue has been closed'
-    };
-
-    const statusColors = {
-      'reported': '#f59e0b',
-      'in-progress': '#3b82f6',
-      'resolved': '#10b981',
-      'closed': '#6b7280'
-    };
+  async sendIssueUpdate(email, name, issueTitle, status, issueId, language = 'en') {
+    return this.send(email, 'issueUpdate', language, { name, issueTitle, status, issueId }, 'Issue update');
+  }
 
-    const mailOptions = {
-      from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-      to: email,
-      subject: `Issue Update: ${issueTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; text-align: center; color: white;">
-            <h1 style="margin: 0; font-size: 2rem;">Issue Update</h1>
-            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Status change notification</p>
-          </div>
-          
-          <div style="padding: 2rem; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 1rem;">Hello ${name}!</h2>
-            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
-              ${statusMessages[status] || 'Your issue status has been updated'}.
-            </p>
-            
-            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid ${statusColors[status] || '#667eea'};">
-              <h3 style="color: #1e293b; margin-top: 0;">${issueTitle}</h3>
-              <p style="color: #64748b; margin-bottom: 1rem;">Status: <strong style="color: ${statusColors[status] || '#667eea'};">${status.replace('-', ' ').toUpperCase()}</strong></p>
-              <p style="color: #94a3b8; font-size: 0.9rem;">Issue ID: ${issueId}</p>
-            </div>
-            
-            <div style="text-align: center; margin: 2rem 0;">
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/issue/${issueId}" 
-                 style="background: #667eea; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block;">
-                View Issue
-              </a>
-            </div>
-          </div>
-          
-          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
-            <p style="margin: 0;">© 2024 CivicConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
+  // Send comment notification email
+  async sendCommentNotification(email, name, issueTitle, commentAuthor, commentContent, issueId, language = 'en') {
+    return this.send(
+      email,
+      'comment',
+      language,
+      { name, issueTitle, commentAuthor, commentContent, issueId },
+      'Comment notification'
+    );
+  }
 
-    try {
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Issue update email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Error sending issue update email:', error);
-      return { success: false, error: error.message };
-    }
+  // Send admin notification email
+  async sendAdminNotification(email, name, issueTitle, issueId, reporterName, language = 'en') {
+    return this.send(email, 'adminNotification', language, { name, issueTitle, issueId, reporterName }, 'Admin notification');
   }
 
-  // Send comment notification email
-  async sendCommentNotification(email, name, issueTitle, commentAuthor, commentContent, issueId) {
-    const mailOptions = {
-      from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-      to: email,
-      subject: `New Comment on: ${issueTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; text-align: center; color: white;">
-            <h1 style="margin: 0; font-size: 2rem;">New Comment</h1>
-            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Someone commented on your issue</p>
-          </div>
-          
-          <div style="padding: 2rem; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 1rem;">Hello ${name}!</h2>
-            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
-              <strong>${commentAuthor}</strong> commented on your issue.
-            </p>
-            
-            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #667eea;">
-              <h3 style="color: #1e293b; margin-top: 0;">${issueTitle}</h3>
-              <div style="background: #f8fafc; padding: 1rem; border-radius: 6px; margin: 1rem 0;">
-                <p style="color: #64748b; margin: 0; font-style: italic;">"${commentContent}"</p>
-                <p style="color: #94a3b8; font-size: 0.9rem; margin: 0.5rem 0 0 0;">- ${commentAuthor}</p>
-              </div>
-            </div>
-            
-            <div style="text-align: center; margin: 2rem 0;">
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/issue/${issueId}" 
-                 style="background: #667eea; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block;">
-                View Comment
-              </a>
-            </div>
-          </div>
-          
-          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
-            <p style="margin: 0;">© 2024 CivicConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
+  // Send pre-breach SLA warning email
+  async sendSlaWarning(email, name, issueTitle, deadline, issueId, language = 'en') {
+    return this.send(email, 'slaWarning', language, { name, issueTitle, deadline, issueId }, 'SLA warning');
+  }
 
-    try {
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Comment notification email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Error sending comment notification email:', error);
-      return { success: false, error: error.message };
-    }
+  // Send an admin announcement
+  async sendAnnouncement(email, name, title, message, language = 'en') {
+    return this.send(email, 'announcement', language, { name, title, message }, 'Announcement');
   }
 
-  // Send admin notification email
-  async sendAdminNotification(email, name, issueTitle, issueId, reporterName) {
-    const mailOptions = {
-      from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-      to: email,
-      subject: `New Issue Reported: ${issueTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; text-align: center; color: white;">
-            <h1 style="margin: 0; font-size: 2rem;">New Issue Reported</h1>
-            <p style="margin: 0.5rem 0 0 0; opacity: 0.9;">Action required</p>
-          </div>
-          
-          <div style="padding: 2rem; background: #f8fafc;">
-            <h2 style="color: #1e293b; margin-bottom: 1rem;">Hello ${name}!</h2>
-            <p style="color: #64748b; line-height: 1.6; margin-bottom: 1.5rem;">
-              A new issue has been reported and requires your attention.
-            </p>
-            
-            <div style="background: white; padding: 1.5rem; border-radius: 8px; border-left: 4px solid #f59e0b;">
-              <h3 style="color: #1e293b; margin-top: 0;">${issueTitle}</h3>
-              <p style="color: #64748b; margin-bottom: 1rem;">Reported by: <strong>${reporterName}</strong></p>
-              <p style="color: #94a3b8; font-size: 0.9rem;">Issue ID: ${issueId}</p>
-            </div>
-            
-            <div style="text-align: center; margin: 2rem 0;">
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin" 
-                 style="background: #f59e0b; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block;">
-                Review Issue
-              </a>
-            </div>
-          </div>
-          
-          <div style="background: #1e293b; padding: 1rem; text-align: center; color: white; font-size: 0.8rem;">
-            <p style="margin: 0;">© 2024 CivicConnect. All rights reserved.</p>
-          </div>
-        </div>
-      `
-    };
+  // Send "due soon" digest email to a supervisor
+  async sendDueSoonDigest(email, name, issues, language = 'en') {
+    return this.send(email, 'dueSoonDigest', language, { name, issues, count: issues.length }, 'Due soon digest');
+  }
 
-    try {
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Admin notification email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Error sending admin notification email:', error);
-      return { success: false, error: error.message };
-    }
+  // Send a daily or weekly digest of notifications held back from immediate email
+  async sendNotificationDigest(email, name, notifications, frequency, language = 'en') {
+    return this.send(
+      email,
+      'notificationDigest',
+      language,
+      { name, notifications, frequency, count: notifications.length },
+      'Notification digest'
+    );
   }
 
   // Test email configuration
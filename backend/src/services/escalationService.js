@@ -1,6 +1,18 @@
 const Issue = require('../models/Issue');
 const User = require('../models/User');
 const notificationService = require('./notificationService');
+const slaService = require('./slaService');
+const calendarService = require('./calendarService');
+const workflowService = require('./workflowService');
+const assignmentService = require('./assignmentService');
+const availabilityService = require('./availabilityService');
+const teamService = require('./teamService');
+
+const escalationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
 
 /**
  * Escalation Service
@@ -24,26 +36,18 @@ class EscalationService {
         $or: [
           // Issues assigned to field-staff or supervisor with deadline that has passed
           {
-            assignedRole: { $in: ['field-staff', 'supervisor'], $ne: 'commissioner' },
-            escalationDeadline: { $lte: now, $exists: true }
+            assignedRole: { $in: ['field-staff', 'supervisor'] },
+            escalationDeadline: { $lte: now }
           },
-          // Old issues without deadline - check if they're overdue based on creation time
+          // Issues from before the deadline feature - deadline is backfilled from the SLA policy below
           {
-            escalationDeadline: { $exists: false },
-            assignedRole: { $in: ['field-staff', 'supervisor'], $exists: true },
-            assignedAt: { $exists: true }
-          },
-          // Very old issues from before deadline feature (5+ minutes old for testing)
-          {
-            escalationDeadline: null,
-            assignedRole: { $in: ['field-staff', 'supervisor'], $exists: true },
-            createdAt: { $lte: new Date(now.getTime() - 5 * 60 * 1000) }
+            assignedRole: { $in: ['field-staff', 'supervisor'] },
+            escalationDeadline: null
           },
           // Old issues without assignedRole (from before role-based assignment)
           {
             assignedRole: { $exists: false },
-            status: 'reported',
-            createdAt: { $lte: new Date(now.getTime() - 5 * 60 * 1000) }
+            status: 'reported'
           }
         ]
       }).populate('assignedTo', 'name employeeId role departments department');
@@ -76,31 +80,23 @@ class EscalationService {
           if (!issue.assignedRole) {
             console.log(`[ESCALATION] Issue ${issue._id} has no assignedRole. Determining appropriate role based on age.`);
             
-            const issueAge = now - (issue.createdAt || now);
-            const hoursOld = issueAge / (1000 * 60 * 60);
             const priority = issue.priority || 'medium';
+            // Age in SLA time: office hours only, unless the calendar runs this priority around the clock
+            const hoursOld = await calendarService.businessHoursBetween(issue.createdAt || now, now, {
+              department: issue.category,
+              priority
+            });
+            const scope = { category: issue.category, priority, ward: issue.ward };
             
-            let targetRole = 'field-staff';
+            // Walk the SLA windows: field-staff first, then supervisor, then commissioner
+            const fieldStaffSla = await slaService.resolveHours({ ...scope, role: 'field-staff' });
+            const supervisorSla = await slaService.resolveHours({ ...scope, role: 'supervisor' });
             
-            // Determine which role this issue should be at based on its age and priority
-            if (priority === 'high' || priority === 'urgent') {
-              if (hoursOld >= 1/6) { // 5min + 5min = commissioner level (1/6 hour = 10 minutes)
-                targetRole = 'commissioner';
-              } else if (hoursOld >= 1/12) { // 5min = supervisor level (1/12 hour = 5 minutes)
-                targetRole = 'supervisor';
-              }
-            } else if (priority === 'medium') {
-              if (hoursOld >= 1/6) { // 5min + 5min = commissioner level (1/6 hour = 10 minutes)
-                targetRole = 'commissioner';
-              } else if (hoursOld >= 1/12) { // 5min = supervisor level (1/12 hour = 5 minutes)
-                targetRole = 'supervisor';
-              }
-            } else { // low priority
-              if (hoursOld >= 1/6) { // 5min + 5min = commissioner level (1/6 hour = 10 minutes)
-                targetRole = 'commissioner';
-              } else if (hoursOld >= 1/12) { // 5min = supervisor level (1/12 hour = 5 minutes)
-                targetRole = 'supervisor';
-              }
+            let targetRole = 'field-staff';
+            if (hoursOld >= fieldStaffSla.hours + supervisorSla.hours) {
+              targetRole = 'commissioner';
+            } else if (hoursOld >= fieldStaffSla.hours) {
+              targetRole = 'supervisor';
             }
             
             console.log(`[ESCALATION] Issue ${issue._id} is ${Math.round(hoursOld)}h old (${priority} priority). Assigning to ${targetRole}.`);
@@ -122,13 +118,15 @@ class EscalationService {
               // Escalate directly to supervisor or commissioner
               const targetUsers = await this.findAllUsersForRole(targetRole, issue.category);
               if (targetUsers && targetUsers.length > 0) {
+                workflowService.apply(issue, 'escalate', null, {
+                  reason: `Auto-escalated: ${Math.round(hoursOld)}h old without assignment`
+                });
                 issue.assignedRole = targetRole;
                 issue.assignedTo = targetUsers[0]._id;
                 issue.assignedBy = targetUsers[0]._id;
                 issue.assignedAt = new Date();
-                issue.status = 'escalated';
                 if (issue.priority) {
-                  issue.escalationDeadline = issue.calculateEscalationDeadline(issue.priority, targetRole);
+                  await issue.setEscalationDeadline(targetRole);
                 }
                 await issue.save();
                 
@@ -150,6 +148,16 @@ class EscalationService {
             }
             continue;
           }
+
+          // Backfill a missing deadline from the SLA policy; only escalate if it has already passed
+          if (!issue.escalationDeadline) {
+            await issue.setEscalationDeadline(issue.assignedRole, issue.assignedAt || issue.createdAt || now);
+            if (!issue.escalationDeadline || issue.escalationDeadline > now) {
+              await issue.save();
+              console.log(`[ESCALATION] Issue ${issue._id} deadline backfilled to ${issue.escalationDeadline}. Not yet overdue.`);
+              continue;
+            }
+          }
           
           const result = await this.escalateIssue(issue);
           if (result) {
@@ -185,10 +193,111 @@ class EscalationService {
     }
   }
 
+  /**
+   * Send pre-breach warnings for issues that have passed their SLA warning point.
+   * Each issue is warned once per deadline (setEscalationDeadline resets sla.warningSentAt).
+   */
+  async sendPreBreachWarnings() {
+    try {
+      const now = new Date();
+      const dueIssues = await Issue.find({
+        status: { $in: ['reported', 'in-progress', 'escalated'] },
+        assignedRole: { $in: ['field-staff', 'supervisor'] },
+        'sla.warningAt': { $lte: now },
+        'sla.warningSentAt': null,
+        escalationDeadline: { $gt: now }
+      });
+
+      let warned = 0;
+      for (const issue of dueIssues) {
+        let claimed = false;
+        try {
+          // Claim the warning first so overlapping runs never send it twice
+          const claim = await Issue.updateOne(
+            { _id: issue._id, 'sla.warningSentAt': null },
+            { $set: { 'sla.warningSentAt': now } }
+          );
+          if (claim.modifiedCount === 0) continue;
+          claimed = true;
+
+          const recipients = issue.assignedTo
+            ? [issue.assignedTo]
+            : await this.findAllUsersForRole(issue.assignedRole, issue.category);
+
+          await notificationService.notifySlaWarning(issue, recipients);
+          warned++;
+        } catch (error) {
+          console.error(`[ESCALATION] ❌ Error sending SLA warning for issue ${issue._id}:`, error);
+          // Give the claim back so the next run tries again
+          if (claimed) {
+            await Issue.updateOne(
+              { _id: issue._id, 'sla.warningSentAt': now },
+              { $set: { 'sla.warningSentAt': null } }
+            ).catch(releaseError => console.error(`[ESCALATION] Error releasing SLA warning for issue ${issue._id}:`, releaseError));
+          }
+        }
+      }
+
+      if (warned > 0) {
+        console.log(`[ESCALATION] Sent ${warned} pre-breach SLA warning(s)`);
+      }
+
+      return { checked: dueIssues.length, warned };
+    } catch (error) {
+      console.error('[ESCALATION] Error in sendPreBreachWarnings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send each supervisor a digest of open issues in their departments whose
+   * escalation deadline falls within the next `windowHours`
+   */
+  async sendDueSoonDigest(windowHours = parseFloat(process.env.SLA_DIGEST_WINDOW_HOURS) || 24) {
+    try {
+      const now = new Date();
+      const until = new Date(now.getTime() + windowHours * 60 * 60 * 1000);
+
+      const dueSoon = await Issue.find({
+        status: { $in: ['reported', 'in-progress', 'escalated'] },
+        assignedRole: { $in: ['field-staff', 'supervisor'] },
+        escalationDeadline: { $gt: now, $lte: until }
+      }).sort({ escalationDeadline: 1 });
+
+      if (dueSoon.length === 0) {
+        return { issues: 0, supervisorsNotified: 0 };
+      }
+
+      const supervisors = await User.find({ role: 'supervisor', isActive: true });
+      let supervisorsNotified = 0;
+
+      for (const supervisor of supervisors) {
+        const departments = supervisor.departments && supervisor.departments.length > 0
+          ? supervisor.departments
+          : [supervisor.department];
+        const issues = departments.includes('All')
+          ? dueSoon
+          : dueSoon.filter(issue => departments.includes(issue.category));
+
+        if (issues.length > 0) {
+          await notificationService.notifyDueSoonDigest(supervisor, issues);
+          supervisorsNotified++;
+        }
+      }
+
+      console.log(`[ESCALATION] Due soon digest: ${dueSoon.length} issue(s), ${supervisorsNotified} supervisor(s) notified`);
+
+      return { issues: dueSoon.length, supervisorsNotified };
+    } catch (error) {
+      console.error('[ESCALATION] Error in sendDueSoonDigest:', error);
+      throw error;
+    }
+  }
+
   /**
    * Escalate a single issue to the next level
    */
-  async escalateIssue(issue) {
+  async escalateIssue(issue, reason = 'Auto-escalated: Time limit exceeded') {
     if (!issue.assignedRole) {
       // If no role assigned, assign to field-staff first
       return await this.assignToFieldStaff(issue);
@@ -211,8 +320,8 @@ class EscalationService {
       return null;
     }
 
-    // Find ALL users for the next role in this department
-    const nextRoleUsers = await this.findAllUsersForRole(nextRole, issue.category);
+    // The assignee's own supervisor/commissioner, or everyone at the next role in this department
+    const nextRoleUsers = await this.findEscalationTargets(issue, nextRole);
     
     if (!nextRoleUsers || nextRoleUsers.length === 0) {
       console.warn(`No ${nextRole} found for category ${issue.category}`);
@@ -222,15 +331,9 @@ class EscalationService {
     // Pick the first user for assignment (load balancing can be improved later)
     const assignedUser = nextRoleUsers[0];
 
-    // If issue doesn't have a deadline set (old issues), calculate it now based on time already elapsed
-    if (!issue.escalationDeadline && issue.priority && currentRole) {
-      console.log(`[ESCALATION] Issue ${issue._id} missing deadline. Setting deadline for ${currentRole} before escalation.`);
-      const deadline = issue.calculateEscalationDeadline(issue.priority, currentRole);
-      issue.escalationDeadline = deadline;
-    }
-
-    // Perform escalation
-    await issue.escalate(nextRole, assignedUser._id, 'Auto-escalated: Time limit exceeded');
+    // Perform escalation (system action - no user actor)
+    workflowService.apply(issue, 'escalate', null, { reason });
+    await issue.escalate(nextRole, null, reason);
 
     // Update assignedTo (set to first user, but all users in that role will be notified)
     issue.assignedTo = assignedUser._id;
@@ -254,148 +357,178 @@ class EscalationService {
   }
 
   /**
-   * Assign issue to field staff (initial assignment)
+   * Assign issue to field staff (initial assignment) through the assignment engine
    */
   async assignToFieldStaff(issue) {
-    const fieldStaff = await this.findUserForRole('field-staff', issue.category);
-    
-    if (!fieldStaff) {
+    const decision = await assignmentService.assignIssue(issue);
+
+    if (!decision.chosen && decision.broadcastTo.length === 0) {
       console.warn(`No field-staff found for category ${issue.category}`);
       return null;
     }
 
-    const assignedRole = 'field-staff';
-    await issue.assign(fieldStaff._id, fieldStaff._id, assignedRole);
-
-    // Notify the assigned user
-    await notificationService.notifyIssueAssignment(issue, fieldStaff, fieldStaff);
-
     return {
-      toRole: assignedRole,
-      assignedTo: fieldStaff._id,
-      assignedUser: fieldStaff.getProfile()
+      toRole: 'field-staff',
+      assignedTo: decision.chosen ? decision.chosen._id : null,
+      assignedUser: decision.chosen ? decision.chosen.getProfile() : null,
+      notifiedUsers: decision.chosen ? 1 : decision.broadcastTo.length
     };
   }
 
   /**
-   * Find appropriate user for a role and department
+   * Who an escalation to `role` goes to: the assignee's own manager at that level when their
+   * reportsTo chain has one, otherwise every on-duty user with the role in the department
    */
-  async findUserForRole(role, category) {
-    // First, try to find user with matching department in departments array
-    let user = await User.findOne({
-      role,
-      isActive: true,
-      $or: [
-        { departments: { $in: [category, 'All'] } },
-        { department: { $in: [category, 'All'] } }
-      ]
-    }).sort({ loginCount: 1, lastLogin: -1 });
-
-    // If not found, try without department filter (for 'All' departments)
-    if (!user) {
-      user = await User.findOne({
-        role,
-        isActive: true,
-        $or: [
-          { departments: 'All' },
-          { department: 'All' }
-        ]
-      }).sort({ loginCount: 1, lastLogin: -1 });
+  async findEscalationTargets(issue, role) {
+    const assignee = issue.assignedTo || issue.acceptedBy;
+    const manager = assignee ? await teamService.findManager(assignee, role) : null;
+    if (manager) {
+      return [manager];
     }
-
-    // If still not found, get any active user with this role
-    if (!user) {
-      user = await User.findOne({
-        role,
-        isActive: true
-      }).sort({ loginCount: 1, lastLogin: -1 });
-    }
-
-    return user;
+    return this.findAllUsersForRole(role, issue.category);
   }
 
   /**
-   * Find ALL users for a role and department (for escalation notifications)
+   * Find ALL on-duty users for a role and department (for escalation notifications).
+   * Off-duty users are replaced by their designated backup.
    */
   async findAllUsersForRole(role, category) {
-    // Find all users with matching department
-    let users = await User.find({
-      role,
-      isActive: true,
-      $or: [
-        { departments: { $in: [category, 'All'] } },
-        { department: { $in: [category, 'All'] } }
-      ]
-    }).sort({ loginCount: 1, lastLogin: -1 });
-
-    // If none found, try 'All' departments only
-    if (!users || users.length === 0) {
-      users = await User.find({
-        role,
-        isActive: true,
+    // Matching department first, then 'All' departments only, then any active user with this role
+    const tiers = [
+      {
+        $or: [
+          { departments: { $in: [category, 'All'] } },
+          { department: { $in: [category, 'All'] } }
+        ]
+      },
+      {
         $or: [
           { departments: 'All' },
           { department: 'All' }
         ]
-      }).sort({ loginCount: 1, lastLogin: -1 });
+      },
+      {}
+    ];
+
+    let firstMatch = [];
+    for (const tier of tiers) {
+      const users = await User.find({ role, isActive: true, ...tier }).sort({ loginCount: 1, lastLogin: -1 });
+      if (users.length === 0) continue;
+      if (firstMatch.length === 0) firstMatch = users;
+
+      const { available } = await availabilityService.routeAroundOffDuty(users);
+      if (available.length > 0) return available;
     }
 
-    // If still none found, get any active users with this role
-    if (!users || users.length === 0) {
-      users = await User.find({
-        role,
-        isActive: true
-      }).sort({ loginCount: 1, lastLogin: -1 });
+    // Nobody is on duty: still tell the department rather than letting the issue go unseen
+    if (firstMatch.length > 0) {
+      console.warn(`No on-duty ${role} for ${category}; notifying off-duty staff`);
     }
-
-    return users;
+    return firstMatch;
   }
 
   /**
-   * Get escalation timeline for an issue
+   * Get escalation timeline for an issue: status changes and escalations merged in time order
    */
   async getEscalationTimeline(issueId) {
-    const issue = await Issue.findById(issueId).populate('escalationHistory.escalatedBy', 'name employeeId role');
+    const issue = await Issue.findById(issueId)
+      .populate('escalationHistory.escalatedBy', 'name employeeId role')
+      .populate('statusHistory.changedBy', 'name employeeId role');
     
     if (!issue) {
       return null;
     }
 
+    const statusEvents = issue.statusHistory.map(entry => ({
+      type: 'status',
+      at: entry.changedAt,
+      status: entry.status,
+      actor: entry.changedBy,
+      reason: entry.reason,
+      comment: entry.comment
+    }));
+
+    const escalationEvents = issue.escalationHistory.map(entry => ({
+      type: entry.direction === 'down' ? 'de-escalation' : 'escalation',
+      at: entry.escalatedAt,
+      fromRole: entry.fromRole,
+      toRole: entry.toRole,
+      actor: entry.trigger === 'manual' ? entry.escalatedBy : null,
+      trigger: entry.trigger || 'auto',
+      reason: entry.reason,
+      priority: entry.priority
+    }));
+
+    const events = [...statusEvents, ...escalationEvents]
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
     return {
+      issueId: issue._id,
       currentRole: issue.assignedRole,
       currentDeadline: issue.escalationDeadline,
       history: issue.escalationHistory,
       priority: issue.priority,
-      status: issue.status
+      status: issue.status,
+      events
     };
   }
 
   /**
-   * Manually escalate an issue (admin action)
+   * Manually escalate an issue to a higher role level (supervisor/admin action)
    */
-  async manualEscalate(issueId, toRole, escalatedBy, reason) {
+  async manualEscalate(issueId, toRole, actor, reason) {
     const issue = await Issue.findById(issueId);
     
     if (!issue) {
-      throw new Error('Issue not found');
+      throw escalationError('Issue not found', 404);
     }
 
-    const assignedUser = await this.findUserForRole(toRole, issue.category);
+    const targetUsers = await this.findEscalationTargets(issue, toRole);
     
-    if (!assignedUser) {
-      throw new Error(`No ${toRole} found for category ${issue.category}`);
+    if (!targetUsers || targetUsers.length === 0) {
+      throw escalationError(`No ${toRole} found for category ${issue.category}`, 409);
     }
 
-    await issue.escalate(toRole, escalatedBy, reason);
+    const assignedUser = targetUsers[0];
+
+    workflowService.apply(issue, 'escalate', actor, { reason });
     issue.assignedTo = assignedUser._id;
-    issue.assignedBy = escalatedBy;
-    await issue.save();
+    issue.assignedBy = actor._id;
+    await issue.escalate(toRole, actor._id, reason, 'manual');
+
+    await Promise.all(targetUsers.map(user =>
+      notificationService.notifyIssueAssignment(issue, user, actor)
+    ));
+
+    return {
+      issue,
+      assignedUser: assignedUser.getProfile(),
+      notifiedUsers: targetUsers.length
+    };
+  }
+
+  /**
+   * Manually send an issue back down to a lower role level (supervisor/admin action)
+   */
+  async manualDeEscalate(issueId, toRole, actor, reason) {
+    const issue = await Issue.findById(issueId);
+
+    if (!issue) {
+      throw escalationError('Issue not found', 404);
+    }
+
+    workflowService.apply(issue, 'deEscalate', actor, { reason });
+    await issue.deEscalate(toRole, actor._id, reason);
 
-    await notificationService.notifyIssueAssignment(issue, assignedUser, { _id: escalatedBy });
+    // The lower level picks it up from the department pool
+    const targetUsers = await this.findAllUsersForRole(toRole, issue.category);
+    await Promise.all(targetUsers.map(user =>
+      notificationService.notifyIssueAssignment(issue, user, actor)
+    ));
 
     return {
       issue,
-      assignedUser: assignedUser.getProfile()
+      notifiedUsers: targetUsers.length
     };
   }
 }
@@ -0,0 +1,121 @@
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const workflowService = require('./workflowService');
+const notificationService = require('./notificationService');
+
+const mergeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Append ids not already in `list` (or in `exclude`); returns how many were added
+const addUnique = (list, ids, exclude = []) => {
+  const seen = new Set([...list.map(idOf), ...exclude.map(idOf)]);
+  let added = 0;
+  for (const id of ids) {
+    const key = idOf(id);
+    if (key && !seen.has(key)) {
+      list.push(id);
+      seen.add(key);
+      added += 1;
+    }
+  }
+  return added;
+};
+
+/**
+ * Merge Service
+ * Folds duplicate reports of the same problem into one canonical issue
+ */
+class MergeService {
+  /**
+   * Merge duplicates into a canonical issue. Upvotes, images and comments move to the canonical issue,
+   * duplicate reporters follow it, and the duplicates are closed as read-only links.
+   * @param {ObjectId|string} canonicalId
+   * @param {Array<ObjectId|string>} duplicateIds
+   * @param {Object} actor - User performing the merge (admin, supervisor or commissioner)
+   * @param {string} reason
+   */
+  async mergeIssues(canonicalId, duplicateIds, actor, reason) {
+    const canonical = await Issue.findById(canonicalId);
+    if (!canonical) {
+      throw mergeError('Issue not found', 404);
+    }
+    if (canonical.mergedInto) {
+      throw mergeError('This issue has itself been merged into another issue', 400);
+    }
+
+    const ids = [...new Set(duplicateIds.map(idOf))].filter(id => id !== idOf(canonical));
+    if (ids.length === 0) {
+      throw mergeError('Select at least one other issue to merge', 400);
+    }
+
+    const duplicates = await Issue.find({ _id: { $in: ids } });
+    if (duplicates.length !== ids.length) {
+      throw mergeError('Some of the issues to merge were not found', 404);
+    }
+
+    const outOfScope = [canonical, ...duplicates].some(issue => !workflowService.canAccessIssue(actor, issue));
+    if (outOfScope) {
+      throw mergeError('You can only merge issues in your departments', 403);
+    }
+
+    // Validate every duplicate before changing anything
+    const context = { reason: reason || 'Merged as duplicate', canonical };
+    for (const duplicate of duplicates) {
+      workflowService.check(duplicate, 'merge', actor, context);
+    }
+
+    let commentsMoved = 0;
+    for (const duplicate of duplicates) {
+      const moved = await Comment.updateMany({ issue: duplicate._id }, { $set: { issue: canonical._id } });
+      commentsMoved += moved.modifiedCount;
+
+      // Every duplicate report counts as support for the canonical issue
+      canonical.upvotes += addUnique(
+        canonical.upvotedBy,
+        [...duplicate.upvotedBy, duplicate.reportedBy],
+        [canonical.reportedBy]
+      );
+      canonical.images.push(...duplicate.images.map(({ url, publicId, caption, uploadedAt }) => ({
+        url,
+        publicId,
+        caption,
+        uploadedAt
+      })));
+      addUnique(canonical.followers, [duplicate.reportedBy, ...duplicate.followers], [canonical.reportedBy]);
+
+      // Earlier duplicates of this duplicate now point at the canonical issue
+      if (duplicate.duplicates.length > 0) {
+        await Issue.updateMany({ mergedInto: duplicate._id }, { $set: { mergedInto: canonical._id } });
+        addUnique(canonical.duplicates, duplicate.duplicates);
+      }
+      addUnique(canonical.duplicates, [duplicate._id]);
+    }
+
+    // Save the canonical issue first so nothing is lost if a duplicate fails to save
+    await canonical.save();
+
+    for (const duplicate of duplicates) {
+      duplicate.upvotedBy = [];
+      duplicate.upvotes = 0;
+      duplicate.images = [];
+      duplicate.duplicates = [];
+      workflowService.apply(duplicate, 'merge', actor, context);
+      await duplicate.save();
+    }
+
+    await notificationService.notifyIssuesMerged(canonical, duplicates, actor);
+
+    return {
+      canonical,
+      merged: duplicates.map(duplicate => duplicate._id),
+      commentsMoved
+    };
+  }
+}
+
+module.exports = new MergeService();
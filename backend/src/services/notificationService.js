@@ -1,21 +1,56 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const emailService = require('./emailService');
+const smsService = require('./smsService');
+const realtimeService = require('./realtimeService');
+const pushService = require('./pushService');
+const preferenceService = require('./preferenceService');
+const templateService = require('./templateService');
+
+// Notification types worth a text message; the rest stay in-app and email only
+const SMS_TYPES = ['issue_assigned', 'issue_status_changed', 'issue_resolved', 'issue_merged', 'sla_warning'];
+
+// Most notifications listed in one digest email (the newest); the rest are marked sent with it
+const DIGEST_LIMIT = 50;
 
 class NotificationService {
-  // Create a new notification
+  /**
+   * Create an in-app notification and deliver it through the channels the recipient wants
+   * (preferenceService: per-type channels, quiet hours, digest). `sendEmail`, `sendSMS` and
+   * `sendPush: false` turn a channel off for this notification only; `sendSMS: true` allows a text
+   * message for a type that is not transactional (announcements).
+   * With `template` (and `variables`) the title and message are written in the recipient's language.
+   */
   async createNotification(data) {
     try {
-      const notification = await Notification.createNotification(data);
-      
-      // Send real-time notification if user is online
-      this.sendRealtimeNotification(notification);
-      
-      // Send email notification if enabled
-      if (data.sendEmail !== false) {
-        this.sendEmailNotification(notification);
+      const recipient = await User.findById(data.user).select('name email mobile preferences');
+      const text = data.template
+        ? templateService.renderNotification(data.template, templateService.languageOf(recipient), data.variables)
+        : {};
+      const notification = await Notification.createNotification({ ...data, ...text });
+      const prefs = preferenceService.normalize(recipient?.preferences?.notifications);
+      const channels = preferenceService.channelsFor(prefs, notification);
+
+      // The bell always updates; an alert (toast) and device pushes only when the user wants push and it isn't quiet hours
+      const push = data.sendPush !== false && channels.push;
+      this.sendRealtimeNotification(notification, { alert: push });
+      if (push) {
+        this.sendPushNotification(notification);
       }
-      
+
+      if (data.sendEmail !== false && channels.email === 'digest') {
+        notification.channels.email.digest = true;
+        await notification.save();
+      } else if (data.sendEmail !== false && channels.email === 'now') {
+        this.sendEmailNotification(notification, recipient);
+      }
+
+      // Text messages only for transactional types, unless the sender asked for one
+      const smsType = SMS_TYPES.includes(notification.type) || data.sendSMS === true;
+      if (data.sendSMS !== false && channels.sms && smsType) {
+        this.sendSmsNotification(notification, recipient);
+      }
+
       return notification;
     } catch (error) {
       console.error('Error creating notification:', error);
@@ -23,32 +58,68 @@ class NotificationService {
     }
   }
 
-  // Send real-time notification via Socket.io
-  sendRealtimeNotification(notification) {
-    // This will be implemented when Socket.io is set up
-    console.log('Real-time notification:', notification);
+  // Push the notification to the recipient's connected devices, with their new unread count
+  async sendRealtimeNotification(notification, { alert = true } = {}) {
+    try {
+      const unreadCount = await this.getUnreadCount(notification.user);
+      realtimeService.notificationCreated(notification, unreadCount, alert);
+    } catch (error) {
+      console.error('Error sending real-time notification:', error);
+    }
+  }
+
+  // Push to the recipient's registered browsers and phones; nothing is recorded when they have none
+  async sendPushNotification(notification) {
+    try {
+      const issueId = notification.data?.issueId;
+      const result = await pushService.sendToUser(notification.user, {
+        title: notification.title,
+        body: notification.message,
+        priority: notification.priority,
+        data: {
+          notificationId: notification._id.toString(),
+          type: notification.type,
+          issueId: issueId ? (issueId._id || issueId).toString() : null
+        }
+      });
+      if (result.devices === 0) return;
+
+      await notification.markPushSent(result.sent > 0 ? null : result.error);
+    } catch (error) {
+      console.error('Error sending push notification:', error);
+      await notification.markPushSent(error.message);
+    }
   }
 
   // Send email notification
-  async sendEmailNotification(notification) {
+  async sendEmailNotification(notification, recipient = null) {
     try {
-      const user = await User.findById(notification.user);
+      const user = recipient || await User.findById(notification.user);
       if (!user || !user.email) return;
 
+      const language = templateService.languageOf(user);
       let emailResult;
       
       switch (notification.type) {
         case 'issue_created':
-          emailResult = await emailService.sendWelcome(user.email, user.name);
+          emailResult = await emailService.sendAdminNotification(
+            user.email,
+            user.name,
+            notification.data.metadata?.issueTitle || 'New Issue',
+            notification.data.issueId,
+            notification.data.metadata?.reporterName || 'A citizen',
+            language
+          );
           break;
           
         case 'issue_status_changed':
           emailResult = await emailService.sendIssueUpdate(
             user.email, 
             user.name, 
-            notification.data.issueId?.title || 'Your Issue',
-            notification.data.metadata?.status,
-            notification.data.issueId
+            notification.data.metadata?.issueTitle || notification.data.issueId?.title || 'Your Issue',
+            notification.data.metadata?.status || notification.data.metadata?.newStatus,
+            notification.data.issueId,
+            language
           );
           break;
           
@@ -56,10 +127,11 @@ class NotificationService {
           emailResult = await emailService.sendCommentNotification(
             user.email,
             user.name,
-            notification.data.issueId?.title || 'Your Issue',
-            notification.data.userId?.name || 'Someone',
+            notification.data.metadata?.issueTitle || notification.data.issueId?.title || 'Your Issue',
+            notification.data.metadata?.commenterName || notification.data.userId?.name || 'Someone',
             notification.data.metadata?.commentContent || '',
-            notification.data.issueId
+            notification.data.issueId,
+            language
           );
           break;
           
@@ -67,9 +139,51 @@ class NotificationService {
           emailResult = await emailService.sendIssueUpdate(
             user.email,
             user.name,
-            notification.data.issueId?.title || 'Your Issue',
+            notification.data.metadata?.issueTitle || notification.data.issueId?.title || 'Your Issue',
             'assigned',
-            notification.data.issueId
+            notification.data.issueId,
+            language
+          );
+          break;
+          
+        case 'sla_warning':
+          emailResult = await emailService.sendSlaWarning(
+            user.email,
+            user.name,
+            notification.data.metadata?.issueTitle || 'Assigned Issue',
+            notification.data.metadata?.deadline,
+            notification.data.issueId,
+            language
+          );
+          break;
+          
+        case 'issue_merged':
+          emailResult = await emailService.sendIssueUpdate(
+            user.email,
+            user.name,
+            notification.data.metadata?.issueTitle || 'Your Issue',
+            'merged',
+            notification.data.issueId,
+            language
+          );
+          break;
+          
+        case 'system_announcement':
+          emailResult = await emailService.sendAnnouncement(
+            user.email,
+            user.name,
+            notification.title,
+            notification.message,
+            language
+          );
+          break;
+          
+        case 'sla_digest':
+          emailResult = await emailService.sendDueSoonDigest(
+            user.email,
+            user.name,
+            notification.data.metadata?.issues || [],
+            language
           );
           break;
           
@@ -88,22 +202,46 @@ class NotificationService {
     }
   }
 
+  // Send SMS notification (createNotification checks the user opted in)
+  async sendSmsNotification(notification, recipient = null) {
+    try {
+      const user = recipient || await User.findById(notification.user).select('mobile preferences');
+      if (!user || !user.mobile) return;
+
+      const smsResult = await smsService.send(
+        user.mobile,
+        templateService.t('sms.notification', templateService.languageOf(user), notification),
+        notification.type
+      );
+      await notification.markSMSSent(smsResult.success ? null : smsResult.error);
+    } catch (error) {
+      console.error('Error sending SMS notification:', error);
+      await notification.markSMSSent(error.message);
+    }
+  }
+
   // Notify issue status change
   async notifyIssueStatusChange(issue, oldStatus, newStatus, changedBy) {
     try {
+      // changedBy may be a user document, an id, or null for system changes
+      const changedById = changedBy ? (changedBy._id || changedBy).toString() : null;
+      const reporterId = issue.reportedBy ? (issue.reportedBy._id || issue.reportedBy).toString() : null;
+      const assigneeId = issue.assignedTo ? (issue.assignedTo._id || issue.assignedTo).toString() : null;
+
       // Notify the reporter
-      if (issue.reportedBy.toString() !== changedBy.toString()) {
+      if (reporterId && reporterId !== changedById) {
         await this.createNotification({
-          user: issue.reportedBy,
+          user: reporterId,
           type: 'issue_status_changed',
-          title: 'Issue Status Updated',
-          message: `Your issue "${issue.title}" status has been changed to ${newStatus}`,
+          template: 'issue_status_changed.reporter',
+          variables: { issueTitle: issue.title, status: newStatus },
           data: {
             issueId: issue._id,
             metadata: {
+              issueTitle: issue.title,
               oldStatus,
               newStatus,
-              changedBy
+              changedBy: changedById
             }
           },
           priority: newStatus === 'resolved' ? 'high' : 'medium'
@@ -111,25 +249,41 @@ class NotificationService {
       }
 
       // Notify assigned user if different from reporter and changer
-      if (issue.assignedTo && 
-          issue.assignedTo.toString() !== issue.reportedBy.toString() && 
-          issue.assignedTo.toString() !== changedBy.toString()) {
+      if (assigneeId && assigneeId !== reporterId && assigneeId !== changedById) {
         await this.createNotification({
-          user: issue.assignedTo,
+          user: assigneeId,
           type: 'issue_status_changed',
-          title: 'Assigned Issue Status Updated',
-          message: `Issue "${issue.title}" status has been changed to ${newStatus}`,
+          template: 'issue_status_changed.assignee',
+          variables: { issueTitle: issue.title, status: newStatus },
           data: {
             issueId: issue._id,
             metadata: {
+              issueTitle: issue.title,
               oldStatus,
               newStatus,
-              changedBy
+              changedBy: changedById
             }
           },
           priority: 'medium'
         });
       }
+
+      // Notify followers (upvoters, commenters, reporters of merged duplicates)
+      await this.notifyFollowers(issue, [reporterId, assigneeId, changedById], {
+        type: 'issue_status_changed',
+        template: 'issue_status_changed.follower',
+        variables: { issueTitle: issue.title, status: newStatus },
+        data: {
+          issueId: issue._id,
+          metadata: {
+            issueTitle: issue.title,
+            oldStatus,
+            newStatus,
+            changedBy: changedById
+          }
+        },
+        priority: 'medium'
+      });
     } catch (error) {
       console.error('Error notifying issue status change:', error);
     }
@@ -143,13 +297,14 @@ class NotificationService {
         await this.createNotification({
           user: issue.reportedBy,
           type: 'comment_added',
-          title: 'New Comment on Your Issue',
-          message: `${commenter.name} commented on your issue "${issue.title}"`,
+          template: 'comment_added.reporter',
+          variables: { commenterName: commenter.name, issueTitle: issue.title },
           data: {
             issueId: issue._id,
             commentId: comment._id,
             userId: commenter._id,
             metadata: {
+              issueTitle: issue.title,
               commentContent: comment.content,
               commenterName: commenter.name
             }
@@ -165,13 +320,14 @@ class NotificationService {
         await this.createNotification({
           user: issue.assignedTo,
           type: 'comment_added',
-          title: 'New Comment on Assigned Issue',
-          message: `${commenter.name} commented on issue "${issue.title}"`,
+          template: 'comment_added.assignee',
+          variables: { commenterName: commenter.name, issueTitle: issue.title },
           data: {
             issueId: issue._id,
             commentId: comment._id,
             userId: commenter._id,
             metadata: {
+              issueTitle: issue.title,
               commentContent: comment.content,
               commenterName: commenter.name
             }
@@ -190,12 +346,13 @@ class NotificationService {
       await this.createNotification({
         user: assignedTo._id || assignedTo,
         type: 'issue_assigned',
-        title: 'Issue Assigned to You',
-        message: `You have been assigned to issue "${issue.title}"`,
+        template: 'issue_assigned',
+        variables: { issueTitle: issue.title },
         data: {
           issueId: issue._id,
           userId: assignedBy._id || assignedBy,
           metadata: {
+            issueTitle: issue.title,
             assignedBy: assignedBy.name || 'Admin'
           }
         },
@@ -207,11 +364,11 @@ class NotificationService {
         await this.createNotification({
           user: issue.reportedBy,
           type: 'issue_status_changed',
-          title: 'Your Issue Is In Progress',
-          message: `Your issue "${issue.title}" is now being worked on`,
+          template: 'issue_status_changed.in_progress',
+          variables: { issueTitle: issue.title },
           data: {
             issueId: issue._id,
-            metadata: { status: 'in-progress' }
+            metadata: { issueTitle: issue.title, status: 'in-progress' }
           },
           priority: 'medium'
         });
@@ -229,8 +386,8 @@ class NotificationService {
         await this.createNotification({
           user: issue.reportedBy,
           type: 'issue_resolved',
-          title: 'Your Issue Has Been Resolved',
-          message: `Your issue "${issue.title}" has been marked as resolved`,
+          template: 'issue_resolved.reporter',
+          variables: { issueTitle: issue.title },
           data: {
             issueId: issue._id,
             userId: resolvedBy?._id || resolvedBy,
@@ -242,14 +399,30 @@ class NotificationService {
         });
       }
 
+      // Notify followers
+      const reporterId = issue.reportedBy ? (issue.reportedBy._id || issue.reportedBy).toString() : null;
+      await this.notifyFollowers(issue, [reporterId], {
+        type: 'issue_resolved',
+        template: 'issue_resolved.follower',
+        variables: { issueTitle: issue.title },
+        data: {
+          issueId: issue._id,
+          userId: resolvedBy?._id || resolvedBy,
+          metadata: {
+            resolvedAt: issue.resolvedAt
+          }
+        },
+        priority: 'high'
+      });
+
       // Notify admins
-      const admins = await User.find({ role: 'admin', isActive: true });
+      const admins = await User.find({ role: { $in: User.ADMIN_ROLES }, isActive: true });
       for (const admin of admins) {
         await this.createNotification({
           user: admin._id,
           type: 'issue_resolved',
-          title: 'Issue Resolved',
-          message: `Issue "${issue.title}" has been resolved`,
+          template: 'issue_resolved.admin',
+          variables: { issueTitle: issue.title },
           data: {
             issueId: issue._id,
             userId: resolvedBy?._id || resolvedBy
@@ -265,18 +438,19 @@ class NotificationService {
   // Notify new issue to admins
   async notifyAdminsNewIssue(issue, reporter) {
     try {
-      const admins = await User.find({ role: 'admin', isActive: true });
+      const admins = await User.find({ role: { $in: User.ADMIN_ROLES }, isActive: true });
       
       for (const admin of admins) {
         await this.createNotification({
           user: admin._id,
           type: 'issue_created',
-          title: 'New Issue Reported',
-          message: `New issue "${issue.title}" reported by ${reporter.name}`,
+          template: 'issue_created',
+          variables: { issueTitle: issue.title, reporterName: reporter.name },
           data: {
             issueId: issue._id,
             userId: reporter._id,
             metadata: {
+              issueTitle: issue.title,
               reporterName: reporter.name,
               category: issue.category,
               priority: issue.priority
@@ -290,6 +464,75 @@ class NotificationService {
     }
   }
 
+  // Follower ids of an issue, without the given (already notified) ids
+  followerIds(issue, exclude = []) {
+    const skip = new Set(exclude.filter(Boolean));
+    return [...new Set((issue.followers || []).map(follower => (follower._id || follower).toString()))]
+      .filter(id => !skip.has(id));
+  }
+
+  // Send a notification to each active follower of an issue (except `exclude`)
+  async notifyFollowers(issue, exclude, notification) {
+    const ids = this.followerIds(issue, exclude);
+    if (ids.length === 0) return;
+
+    const followers = await User.find({ _id: { $in: ids }, isActive: true }).select('_id');
+    for (const follower of followers) {
+      await this.createNotification({ ...notification, user: follower._id });
+    }
+  }
+
+  // Notify reporters that duplicate reports were merged into a canonical issue
+  async notifyIssuesMerged(canonical, duplicates, mergedBy) {
+    try {
+      const canonicalReporterId = canonical.reportedBy ? (canonical.reportedBy._id || canonical.reportedBy).toString() : null;
+      const notified = new Set([canonicalReporterId]);
+
+      for (const duplicate of duplicates) {
+        const reporterId = duplicate.reportedBy ? (duplicate.reportedBy._id || duplicate.reportedBy).toString() : null;
+        if (!reporterId || notified.has(reporterId)) continue;
+        notified.add(reporterId);
+
+        await this.createNotification({
+          user: reporterId,
+          type: 'issue_merged',
+          template: 'issue_merged.duplicate',
+          variables: { duplicateTitle: duplicate.title, issueTitle: canonical.title },
+          data: {
+            issueId: canonical._id,
+            userId: mergedBy?._id || mergedBy,
+            metadata: {
+              duplicateId: duplicate._id,
+              issueTitle: canonical.title
+            }
+          },
+          priority: 'medium'
+        });
+      }
+
+      if (canonicalReporterId) {
+        await this.createNotification({
+          user: canonicalReporterId,
+          type: 'issue_merged',
+          template: 'issue_merged.canonical',
+          variables: { count: duplicates.length, issueTitle: canonical.title },
+          data: {
+            issueId: canonical._id,
+            userId: mergedBy?._id || mergedBy,
+            metadata: {
+              duplicateIds: duplicates.map(duplicate => duplicate._id),
+              issueTitle: canonical.title
+            }
+          },
+          priority: 'low',
+          sendEmail: false
+        });
+      }
+    } catch (error) {
+      console.error('Error notifying issues merged:', error);
+    }
+  }
+
   // Notify upvote received
   async notifyUpvoteReceived(issue, upvoter) {
     try {
@@ -298,8 +541,8 @@ class NotificationService {
         await this.createNotification({
           user: issue.reportedBy,
           type: 'upvote_received',
-          title: 'Your Issue Received Support',
-          message: `${upvoter.name} upvoted your issue "${issue.title}"`,
+          template: 'upvote_received',
+          variables: { upvoterName: upvoter.name, issueTitle: issue.title },
           data: {
             issueId: issue._id,
             userId: upvoter._id,
@@ -315,6 +558,118 @@ class NotificationService {
     }
   }
 
+  // Warn assignees that an issue is close to its escalation deadline
+  async notifySlaWarning(issue, recipients) {
+    try {
+      for (const recipient of recipients) {
+        await this.createNotification({
+          user: recipient._id || recipient,
+          type: 'sla_warning',
+          template: 'sla_warning',
+          variables: { issueTitle: issue.title, deadline: issue.escalationDeadline },
+          data: {
+            issueId: issue._id,
+            metadata: {
+              issueTitle: issue.title,
+              deadline: issue.escalationDeadline,
+              assignedRole: issue.assignedRole,
+              priority: issue.priority
+            }
+          },
+          priority: issue.priority === 'urgent' ? 'urgent' : 'high'
+        });
+      }
+    } catch (error) {
+      // Rethrown so the escalation job can give the warning back for the next run
+      console.error('Error notifying SLA warning:', error);
+      throw error;
+    }
+  }
+
+  // Send a supervisor the list of issues in their departments that are due soon
+  async notifyDueSoonDigest(supervisor, issues) {
+    try {
+      await this.createNotification({
+        user: supervisor._id,
+        type: 'sla_digest',
+        template: 'sla_digest',
+        variables: { count: issues.length },
+        data: {
+          metadata: {
+            issues: issues.map(issue => ({
+              issueId: issue._id,
+              title: issue.title,
+              category: issue.category,
+              priority: issue.priority,
+              assignedRole: issue.assignedRole,
+              escalationDeadline: issue.escalationDeadline
+            }))
+          }
+        },
+        priority: 'medium'
+      });
+    } catch (error) {
+      console.error('Error sending due soon digest:', error);
+    }
+  }
+
+  /**
+   * Email users the notifications held back for their digest, one email each
+   * @param {string} frequency - 'weekly' for weekly-digest users; 'daily' for everyone else with
+   *   held-back notifications (including users who have since turned the digest off)
+   * @returns {Promise<Object>} { users, sent, failed }
+   */
+  async sendDigests(frequency) {
+    const pending = { 'channels.email.digest': true, isActive: true };
+    const userIds = await Notification.distinct('user', pending);
+    if (userIds.length === 0) {
+      return { users: 0, sent: 0, failed: 0 };
+    }
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      isActive: true,
+      'preferences.notifications.digest': frequency === 'weekly' ? 'weekly' : { $ne: 'weekly' }
+    }).select('name email preferences.language');
+
+    let sent = 0;
+    let failed = 0;
+    for (const user of users) {
+      try {
+        const notifications = await Notification.find({ user: user._id, ...pending }).sort({ createdAt: -1 });
+        const result = user.email
+          ? await emailService.sendNotificationDigest(
+            user.email,
+            user.name,
+            notifications.slice(0, DIGEST_LIMIT),
+            frequency,
+            templateService.languageOf(user)
+          )
+          : { success: false, error: 'No email address' };
+
+        // Like single emails, a failed digest is not retried; the notifications stay in-app
+        await Notification.updateMany({ _id: { $in: notifications.map(notification => notification._id) } }, {
+          'channels.email.digest': false,
+          'channels.email.sent': true,
+          'channels.email.sentAt': new Date(),
+          ...(result.success ? {} : { 'channels.email.error': result.error })
+        });
+
+        if (result.success) {
+          await User.updateOne({ _id: user._id }, { 'preferences.notifications.digestSentAt': new Date() });
+          sent++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        console.error(`Error sending notification digest to user ${user._id}:`, error);
+        failed++;
+      }
+    }
+
+    return { users: users.length, sent, failed };
+  }
+
   // Get user notifications
   async getUserNotifications(userId, page = 1, limit = 20, unreadOnly = false) {
     try {
@@ -337,7 +692,12 @@ class NotificationService {
         throw new Error('Notification not found');
       }
 
-      return await notification.markAsRead();
+      const wasUnread = !notification.isRead;
+      await notification.markAsRead();
+      if (wasUnread) {
+        realtimeService.unreadCountChanged(userId, await this.getUnreadCount(userId));
+      }
+      return notification;
     } catch (error) {
       console.error('Error marking notification as read:', error);
       throw error;
@@ -347,13 +707,20 @@ class NotificationService {
   // Mark all notifications as read
   async markAllAsRead(userId) {
     try {
-      return await Notification.markAllAsRead(userId);
+      const result = await Notification.markAllAsRead(userId);
+      realtimeService.unreadCountChanged(userId, 0);
+      return result;
     } catch (error) {
       console.error('Error marking all notifications as read:', error);
       throw error;
     }
   }
 
+  // Unread notifications of a user (the bell badge)
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ user: userId, isRead: false, isActive: true });
+  }
+
   // Get notification statistics
   async getNotificationStats(userId) {
     try {
@@ -0,0 +1,123 @@
+const User = require('../models/User');
+
+const { OTP_PURPOSES } = User;
+
+// Wrong codes allowed before OTPs are locked for the account
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+// Minimum gap between two OTPs for the same account
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30;
+
+const otpError = (message, statusCode = 400, retryAfter = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+/**
+ * OTP Service
+ * Issues and checks one-time passwords with resend cooldowns and lockout after repeated failures
+ */
+class OtpService {
+  // Throws 429 while the account is locked out of OTPs
+  assertNotLocked(user) {
+    if (user.otpLockedUntil && user.otpLockedUntil > new Date()) {
+      const retryAfter = secondsUntil(user.otpLockedUntil);
+      throw otpError(
+        `Too many incorrect OTPs. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        429,
+        retryAfter
+      );
+    }
+  }
+
+  /**
+   * Generate and store a new OTP for `purpose`, replacing any earlier one
+   * @param {Object} user - User document
+   * @param {string} purpose - login, registration or phone-change
+   * @param {Object} options - { target } the new number for a phone change
+   * @returns {Promise<string>} The plain code, to be sent and then forgotten
+   */
+  async issue(user, purpose, { target = null } = {}) {
+    if (!OTP_PURPOSES.includes(purpose)) {
+      throw otpError(`Unknown OTP purpose "${purpose}"`);
+    }
+    this.assertNotLocked(user);
+
+    const sentAt = user.otp && user.otp.sentAt;
+    if (sentAt) {
+      const nextAllowed = new Date(sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000);
+      if (nextAllowed > new Date()) {
+        const retryAfter = secondsUntil(nextAllowed);
+        throw otpError(`Please wait ${retryAfter} second(s) before requesting another OTP`, 429, retryAfter);
+      }
+    }
+
+    const otp = user.generateOTP(purpose, target);
+    await user.save();
+    return otp;
+  }
+
+  /**
+   * Check an OTP and consume it on success. Wrong codes count towards the lockout.
+   * The counter and the code live in the database and are only changed with atomic
+   * updates, so parallel guesses cannot get past MAX_ATTEMPTS or reuse a code.
+   * @param {Object} options - { target } must match the number a phone-change OTP was sent to
+   */
+  async verify(user, otp, purpose, { target = null } = {}) {
+    this.assertNotLocked(user);
+
+    const targetMatches = purpose !== 'phone-change' || (user.otp && user.otp.target === target);
+    if (targetMatches && user.verifyOTP(otp, purpose)) {
+      // Only one request can consume the code, and not once a parallel guess has locked the account
+      const consumed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          'otp.code': user.otp.code,
+          $or: [{ otpLockedUntil: null }, { otpLockedUntil: { $lte: new Date() } }]
+        },
+        { $unset: { otp: 1 }, $set: { otpFailedAttempts: 0, otpLockedUntil: null } },
+        { new: true, projection: { _id: 1 } }
+      );
+      if (!consumed) {
+        throw otpError('Invalid or expired OTP');
+      }
+      user.otp = undefined;
+      user.otpFailedAttempts = 0;
+      user.otpLockedUntil = null;
+      return true;
+    }
+
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { otpFailedAttempts: 1 } },
+      { new: true, projection: { otpFailedAttempts: 1 } }
+    );
+    const attempts = counted ? counted.otpFailedAttempts : MAX_ATTEMPTS;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      // Lock out and throw the code away; a new one can be requested once the lock expires
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $unset: { otp: 1 },
+          $set: { otpFailedAttempts: 0, otpLockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) }
+        }
+      );
+      throw otpError(
+        `Too many incorrect OTPs. Try again in ${LOCKOUT_MINUTES} minute(s).`,
+        429,
+        LOCKOUT_MINUTES * 60
+      );
+    }
+
+    const remaining = MAX_ATTEMPTS - attempts;
+    throw otpError(`Invalid or expired OTP. ${remaining} attempt(s) left.`);
+  }
+}
+
+module.exports = new OtpService();
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
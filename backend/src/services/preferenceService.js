@@ -0,0 +1,187 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Quiet hours are entered and checked in India time, like the rest of the scheduling
+const TIMEZONE = 'Asia/Kolkata';
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Shown on the preferences screens
+const TYPE_LABELS = {
+  issue_created: 'New issues reported (admins)',
+  issue_assigned: 'Issues assigned to me',
+  issue_status_changed: 'Status changes',
+  issue_resolved: 'Issues resolved',
+  comment_added: 'New comments',
+  upvote_received: 'Upvotes on my reports',
+  admin_message: 'Messages from administrators',
+  system_announcement: 'Announcements',
+  sla_warning: 'Deadline warnings',
+  sla_digest: 'Daily list of issues due soon',
+  issue_merged: 'Duplicate reports merged'
+};
+
+// Emails of these priorities wait for the digest when the user chose one
+const DIGEST_PRIORITIES = ['low'];
+
+const DEFAULTS = {
+  email: true,
+  sms: false,
+  push: true,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  digest: 'off'
+};
+
+const preferenceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const minutesOf = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const localTime = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Preference Service
+ * Notification preferences: which channels a user wants per notification type, quiet hours and digests
+ */
+class PreferenceService {
+  /**
+   * Stored preferences (preferences.notifications) as a plain object with defaults filled in
+   */
+  normalize(stored) {
+    const source = stored && typeof stored.toObject === 'function' ? stored.toObject() : (stored || {});
+    const types = source.types instanceof Map ? Object.fromEntries(source.types) : (source.types || {});
+
+    return {
+      email: source.email !== undefined ? source.email : DEFAULTS.email,
+      sms: source.sms !== undefined ? source.sms : DEFAULTS.sms,
+      push: source.push !== undefined ? source.push : DEFAULTS.push,
+      types,
+      quietHours: { ...DEFAULTS.quietHours, ...(source.quietHours || {}) },
+      digest: source.digest || DEFAULTS.digest,
+      digestSentAt: source.digestSentAt || null
+    };
+  }
+
+  async get(userId) {
+    const user = await User.findById(userId).select('preferences.notifications');
+    if (!user) {
+      throw preferenceError('User not found', 404);
+    }
+    return this.normalize(user.preferences?.notifications);
+  }
+
+  // Notification types with their labels, for the preferences screens
+  listTypes() {
+    return NOTIFICATION_TYPES.map(key => ({ key, label: TYPE_LABELS[key] || key }));
+  }
+
+  /**
+   * Change some preferences; fields left out keep their value
+   * @param {Object} changes - { email, sms, push, types: { [type]: { email, sms, push } | null }, quietHours, digest }
+   *   A type set to null, or a channel set to null within it, follows the channel switches again
+   */
+  async update(userId, changes) {
+    const user = await User.findById(userId).select('preferences');
+    if (!user) {
+      throw preferenceError('User not found', 404);
+    }
+    const current = this.normalize(user.preferences?.notifications);
+
+    CHANNELS.forEach(channel => {
+      if (changes[channel] !== undefined) {
+        user.set(`preferences.notifications.${channel}`, Boolean(changes[channel]));
+      }
+    });
+
+    if (changes.types !== undefined) {
+      const types = { ...current.types };
+      Object.entries(changes.types || {}).forEach(([type, override]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw preferenceError(`Unknown notification type: ${type}`);
+        }
+        const merged = override === null ? {} : { ...(types[type] || {}), ...override };
+        const kept = {};
+        CHANNELS.forEach(channel => {
+          if (merged[channel] !== undefined && merged[channel] !== null) kept[channel] = Boolean(merged[channel]);
+        });
+        if (Object.keys(kept).length > 0) {
+          types[type] = kept;
+        } else {
+          delete types[type];
+        }
+      });
+      user.set('preferences.notifications.types', types);
+    }
+
+    if (changes.quietHours !== undefined) {
+      const quietHours = { ...current.quietHours, ...changes.quietHours };
+      user.set('preferences.notifications.quietHours', {
+        enabled: Boolean(quietHours.enabled),
+        start: quietHours.start,
+        end: quietHours.end
+      });
+    }
+
+    if (changes.digest !== undefined) {
+      user.set('preferences.notifications.digest', changes.digest);
+    }
+
+    await user.save();
+    return this.normalize(user.preferences.notifications);
+  }
+
+  // Whether `now` falls in the user's quiet hours; the window may cross midnight
+  inQuietHours(prefs, now = new Date()) {
+    const { enabled, start, end } = prefs.quietHours;
+    if (!enabled || start === end) return false;
+
+    const [hours, minutes] = localTime.format(now).split(':').map(Number);
+    const current = hours * 60 + minutes;
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    return from < to ? current >= from && current < to : current >= from || current < to;
+  }
+
+  /**
+   * How a notification reaches a user with these preferences
+   * @param {Object} prefs - From normalize()
+   * @param {Object} notification - { type, priority }
+   * @returns {Object} { email: 'now' | 'digest' | null, sms, push, quiet }
+   */
+  channelsFor(prefs, notification, now = new Date()) {
+    const override = prefs.types[notification.type] || {};
+    const enabled = (channel) => (override[channel] !== undefined ? override[channel] : prefs[channel]);
+    // Urgent notifications are not held back by quiet hours
+    const quiet = notification.priority !== 'urgent' && this.inQuietHours(prefs, now);
+
+    let email = null;
+    if (enabled('email')) {
+      email = prefs.digest !== 'off' && DIGEST_PRIORITIES.includes(notification.priority) ? 'digest' : 'now';
+    }
+
+    return {
+      email,
+      sms: enabled('sms') && !quiet,
+      push: enabled('push') && !quiet,
+      quiet
+    };
+  }
+}
+
+module.exports = new PreferenceService();
+module.exports.CHANNELS = CHANNELS;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.DIGEST_PRIORITIES = DIGEST_PRIORITIES;
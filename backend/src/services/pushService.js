@@ -0,0 +1,302 @@
+const webpush = require('web-push');
+const PushDevice = require('../models/PushDevice');
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@civicconnect.app';
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN || '';
+// When set, every push is posted here instead of to the push services (see routes/pushMock.js)
+const PUSH_MOCK_URL = process.env.PUSH_MOCK_URL || '';
+
+// A delivery is tried this many times when the push service is unavailable or rate limits us
+const MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 3;
+// Wait before the second attempt; doubles for each further one
+const RETRY_DELAY_MS = parseInt(process.env.PUSH_RETRY_DELAY_MS, 10) || 1000;
+// Devices failing this many deliveries in a row are removed
+const MAX_DEVICE_FAILURES = 10;
+// How long the push service keeps a message for a device that is offline
+const TTL_SECONDS = 24 * 60 * 60;
+
+const pushError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Result for an HTTP status from a push service: 404/410 mean the device is gone, 429/5xx are worth retrying
+const resultFromStatus = (status, error) => {
+  if (status >= 200 && status < 300) return { success: true };
+  return {
+    success: false,
+    error: error || `Push service responded ${status}`,
+    invalid: status === 404 || status === 410,
+    retryable: status === 429 || status >= 500
+  };
+};
+
+// Network failures (no response at all) are retried
+const networkFailure = (error) => ({ success: false, error: error.message, retryable: true });
+
+/**
+ * Providers deliver one message to one device and resolve to { success, error, invalid, retryable };
+ * they should not throw. `invalid` means the token or subscription will never work again.
+ */
+const PROVIDERS = {
+  webpush: {
+    description: 'Web Push (VAPID) to browsers that subscribed in the web app',
+    send: async (device, message) => {
+      if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+        return { success: false, error: 'Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)' };
+      }
+      try {
+        await webpush.sendNotification(
+          { endpoint: device.endpoint, keys: { p256dh: device.keys.p256dh, auth: device.keys.auth } },
+          JSON.stringify(message),
+          {
+            TTL: TTL_SECONDS,
+            urgency: message.priority === 'urgent' || message.priority === 'high' ? 'high' : 'normal',
+            vapidDetails: { subject: VAPID_SUBJECT, publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY }
+          }
+        );
+        return { success: true };
+      } catch (error) {
+        return error.statusCode ? resultFromStatus(error.statusCode, error.body || error.message) : networkFailure(error);
+      }
+    }
+  },
+  expo: {
+    description: 'Expo push service, which forwards to FCM and APNs for the mobile app',
+    send: async (device, message) => {
+      try {
+        const response = await fetch(EXPO_PUSH_URL, {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            ...(EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${EXPO_ACCESS_TOKEN}` })
+          },
+          body: JSON.stringify({
+            to: device.endpoint,
+            title: message.title,
+            body: message.body,
+            data: message.data,
+            sound: 'default',
+            priority: message.priority === 'urgent' || message.priority === 'high' ? 'high' : 'default',
+            ttl: TTL_SECONDS
+          })
+        });
+        if (!response.ok) {
+          return resultFromStatus(response.status, await response.text());
+        }
+
+        // The ticket for our one message; errors for a single device come back with HTTP 200
+        const { data: ticket } = await response.json();
+        if (ticket && ticket.status === 'error') {
+          const reason = ticket.details && ticket.details.error;
+          return {
+            success: false,
+            error: ticket.message || reason,
+            invalid: reason === 'DeviceNotRegistered',
+            retryable: reason === 'MessageRateExceeded'
+          };
+        }
+        return { success: true };
+      } catch (error) {
+        return networkFailure(error);
+      }
+    }
+  },
+  mock: {
+    description: 'Posts every push to PUSH_MOCK_URL (local testing)',
+    send: async (device, message, attempt) => {
+      try {
+        const response = await fetch(PUSH_MOCK_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ provider: device.provider, endpoint: device.endpoint, attempt, message })
+        });
+        const body = response.ok ? null : await response.json().catch(() => ({}));
+        return resultFromStatus(response.status, body && body.message);
+      } catch (error) {
+        return networkFailure(error);
+      }
+    }
+  }
+};
+
+/**
+ * Push Service
+ * Registers browsers (Web Push) and mobile devices (Expo) and sends them push notifications,
+ * retrying when the push service is unavailable and removing subscriptions it rejects
+ */
+class PushService {
+  constructor() {
+    if (PUSH_MOCK_URL) {
+      console.warn(`Push notifications go to the mock endpoint ${PUSH_MOCK_URL} - none will reach devices`);
+    } else if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+      console.warn('VAPID keys not set - browsers cannot subscribe to push notifications');
+    }
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {string} name - PushDevice.provider it delivers to
+   * @param {Object} provider - { description, send(device, message, attempt) }
+   */
+  registerProvider(name, provider) {
+    PROVIDERS[name] = provider;
+  }
+
+  getProvider(device) {
+    return PUSH_MOCK_URL ? PROVIDERS.mock : PROVIDERS[device.provider] || null;
+  }
+
+  // What clients need to subscribe
+  getConfig() {
+    return {
+      webPush: {
+        enabled: Boolean(PUSH_MOCK_URL || (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY)),
+        publicKey: VAPID_PUBLIC_KEY || null
+      },
+      expo: { enabled: true },
+      mock: Boolean(PUSH_MOCK_URL)
+    };
+  }
+
+  // Add or move a device to this user and session; a browser or phone registers the same endpoint again after each login
+  async register(userId, sessionId, device) {
+    return PushDevice.findOneAndUpdate(
+      { endpoint: device.endpoint },
+      {
+        ...device,
+        user: userId,
+        session: sessionId || null,
+        failures: 0,
+        lastError: null
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Register a browser's Web Push subscription
+   * @param {Object} subscription - PushSubscription JSON from the browser ({ endpoint, keys: { p256dh, auth } })
+   */
+  async registerWebSubscription(userId, sessionId, subscription, userAgent = '') {
+    if (!this.getConfig().webPush.enabled) {
+      throw pushError('Web Push is not configured on this server', 503);
+    }
+    return this.register(userId, sessionId, {
+      provider: 'webpush',
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      platform: 'web',
+      userAgent: (userAgent || '').slice(0, 500)
+    });
+  }
+
+  /**
+   * Register the mobile app's Expo push token
+   * @param {string} platform - ios or android
+   */
+  async registerExpoToken(userId, sessionId, token, platform = 'android', userAgent = '') {
+    return this.register(userId, sessionId, {
+      provider: 'expo',
+      endpoint: token,
+      platform,
+      userAgent: (userAgent || '').slice(0, 500)
+    });
+  }
+
+  // Stop pushing to a device (web subscription endpoint or Expo token) of this user
+  async unregister(userId, endpoint) {
+    const result = await PushDevice.deleteOne({ user: userId, endpoint });
+    if (result.deletedCount === 0) {
+      throw pushError('Push device not found', 404);
+    }
+  }
+
+  async listDevices(userId) {
+    return PushDevice.find({ user: userId })
+      .select('provider platform userAgent lastSuccessAt failures lastError createdAt')
+      .sort({ createdAt: -1 });
+  }
+
+  // A signed-out device should not get the user's notifications
+  async removeSessionDevices(sessionId) {
+    await PushDevice.deleteMany({ session: sessionId });
+  }
+
+  /**
+   * Remove a user's devices, e.g. after all their sessions were revoked
+   * @param {Object} options - { except } session whose devices stay registered
+   */
+  async removeUserDevices(userId, { except = null } = {}) {
+    const filter = { user: userId };
+    if (except) filter.session = { $ne: except };
+    await PushDevice.deleteMany(filter);
+  }
+
+  /**
+   * Send a message to one device, retrying transient failures, and record the outcome on it
+   * @returns {Promise<Object>} { success, error, pruned }
+   */
+  async deliver(device, message) {
+    const provider = this.getProvider(device);
+    if (!provider) {
+      return { success: false, error: `No push provider for "${device.provider}"`, pruned: false };
+    }
+
+    let result;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        result = await provider.send(device, message, attempt);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (result.success || !result.retryable || attempt === MAX_ATTEMPTS) break;
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+
+    if (result.success) {
+      await PushDevice.updateOne({ _id: device._id }, { lastSuccessAt: new Date(), failures: 0, lastError: null });
+      return { success: true, pruned: false };
+    }
+
+    // Expired subscriptions and uninstalled apps, or devices that keep failing, are dropped
+    const failures = (device.failures || 0) + 1;
+    const pruned = Boolean(result.invalid) || failures >= MAX_DEVICE_FAILURES;
+    if (pruned) {
+      await PushDevice.deleteOne({ _id: device._id });
+      console.log(`Removed push device ${device._id} (${device.provider}): ${result.error}`);
+    } else {
+      await PushDevice.updateOne({ _id: device._id }, { failures, lastError: String(result.error).slice(0, 500) });
+    }
+    return { success: false, error: result.error, pruned };
+  }
+
+  /**
+   * Send a message to every registered device of a user
+   * @param {Object} message - { title, body, priority, data }
+   * @returns {Promise<Object>} { devices, sent, failed, pruned, error } - error is the first failure
+   */
+  async sendToUser(userId, message) {
+    const devices = await PushDevice.find({ user: userId });
+    const results = await Promise.all(devices.map(device => this.deliver(device, message)));
+    const failures = results.filter(result => !result.success);
+
+    return {
+      devices: devices.length,
+      sent: results.length - failures.length,
+      failed: failures.length,
+      pruned: results.filter(result => result.pruned).length,
+      error: failures.length > 0 ? failures[0].error : null
+    };
+  }
+}
+
+module.exports = new PushService();
+module.exports.PUSH_MOCK_URL = PUSH_MOCK_URL;
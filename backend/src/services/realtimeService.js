@@ -0,0 +1,221 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const socketIo = require('socket.io');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const { findActiveSession } = require('../middleware/auth');
+const roleService = require('./roleService');
+
+// Sockets of users who can manage every issue; they get new-issue, status and comment events for all issues
+const ADMINS_ROOM = 'admins';
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const issueRoom = (issueId) => `issue:${issueId}`;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Access token from the handshake: `auth: { token }`, `?token=` or an Authorization header
+const handshakeToken = (handshake) => {
+  const header = handshake.headers && handshake.headers.authorization;
+  return (handshake.auth && handshake.auth.token)
+    || (handshake.query && handshake.query.token)
+    || (header ? header.replace('Bearer ', '') : null);
+};
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.data = { code: 'UNAUTHORIZED' };
+  return error;
+};
+
+/**
+ * Realtime Service
+ * Socket.IO channel: authenticates connections with the same access tokens and sessions as the API,
+ * puts each socket in its user's room and pushes notifications, issue status changes and comments
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server
+   * @param {http.Server} server
+   * @param {Object} options - Socket.IO server options (cors, ...)
+   */
+  attach(server, options = {}) {
+    this.io = socketIo(server, options);
+    this.io.use((socket, next) => {
+      this.authenticate(socket).then(() => next(), error => next(error));
+    });
+    this.io.on('connection', socket => this.onConnection(socket));
+    return this.io;
+  }
+
+  // Runs once per connection; a revoked session or expired token is refused like on the API
+  async authenticate(socket) {
+    const token = handshakeToken(socket.handshake);
+    if (!token) {
+      throw authError('Access denied. No token provided.');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    } catch (error) {
+      throw authError(error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.');
+    }
+
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      throw authError('Session has ended. Please log in again.');
+    }
+
+    const user = await User.findById(decoded.id).select('name role isActive');
+    if (!user || !user.isActive) {
+      throw authError('Account is deactivated.');
+    }
+    user.permissions = await roleService.getPermissions(user.role);
+
+    socket.data.user = { _id: user._id.toString(), name: user.name, role: user.role };
+    socket.data.sessionId = session._id.toString();
+    socket.data.isAdmin = roleService.can(user, 'issue.manage');
+    socket.data.expiresAt = decoded.exp * 1000;
+  }
+
+  onConnection(socket) {
+    const { user, sessionId } = socket.data;
+    socket.join([userRoom(user._id), sessionRoom(sessionId)]);
+    if (socket.data.isAdmin) {
+      socket.join(ADMINS_ROOM);
+    }
+
+    // The token the socket connected with stops being valid; the client reconnects with a fresh one
+    const expiresIn = Math.min(socket.data.expiresAt - Date.now(), 2 ** 31 - 1);
+    const expiryTimer = setTimeout(() => {
+      socket.emit('session:expired');
+      socket.disconnect(true);
+    }, Math.max(expiresIn, 0));
+
+    // Watch an issue for status changes and comments: public issues, and private ones the user
+    // reported or is assigned to (issue managers may watch any)
+    socket.on('issue:subscribe', async (issueId, ack) => {
+      let ok = false;
+      try {
+        ok = await this.canWatchIssue(socket.data, issueId);
+      } catch (error) {
+        console.error('Issue subscribe error:', error.message);
+      }
+      if (ok) socket.join(issueRoom(issueId));
+      if (typeof ack === 'function') ack({ success: ok });
+    });
+
+    socket.on('issue:unsubscribe', (issueId) => {
+      if (mongoose.isValidObjectId(issueId)) socket.leave(issueRoom(issueId));
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+    });
+  }
+
+  async canWatchIssue({ user, isAdmin }, issueId) {
+    if (!mongoose.isValidObjectId(issueId)) return false;
+    if (isAdmin) return Boolean(await Issue.exists({ _id: issueId }));
+
+    const issue = await Issue.findById(issueId).select('isPublic reportedBy assignedTo acceptedBy').lean();
+    if (!issue) return false;
+    return issue.isPublic !== false
+      || [issue.reportedBy, issue.assignedTo, issue.acceptedBy].some(id => idOf(id) === user._id);
+  }
+
+  // Emit to the given rooms; does nothing until attached (scripts, jobs run outside the server)
+  emit(rooms, event, payload) {
+    const targets = [...new Set(rooms.filter(Boolean))];
+    if (!this.io || targets.length === 0) return;
+    this.io.to(targets).emit(event, payload);
+  }
+
+  // Send an event to every connected device of a user
+  toUser(userId, event, payload) {
+    this.emit([userRoom(idOf(userId))], event, payload);
+  }
+
+  /**
+   * A new in-app notification for its recipient
+   * @param {Object} notification - Notification document
+   * @param {number} unreadCount - Recipient's unread notifications, including this one
+   * @param {boolean} alert - Whether clients should alert (toast) or only update the bell
+   */
+  notificationCreated(notification, unreadCount, alert = true) {
+    this.toUser(notification.user, 'notification:new', { notification, unreadCount, alert });
+  }
+
+  // After notifications were read, so every device of the user updates its badge
+  unreadCountChanged(userId, unreadCount) {
+    this.toUser(userId, 'notification:unread-count', { unreadCount });
+  }
+
+  // Rooms interested in an issue: its watchers, reporter, assignee and admins
+  issueRooms(issue) {
+    return [
+      issueRoom(idOf(issue)),
+      issue.reportedBy ? userRoom(idOf(issue.reportedBy)) : null,
+      issue.assignedTo ? userRoom(idOf(issue.assignedTo)) : null,
+      ADMINS_ROOM
+    ];
+  }
+
+  issueStatusChanged(issue, fromStatus, toStatus, actor) {
+    this.emit(this.issueRooms(issue), 'issue:status', {
+      issueId: idOf(issue),
+      title: issue.title,
+      fromStatus,
+      toStatus,
+      changedBy: actor ? { _id: idOf(actor), name: actor.name } : null,
+      changedAt: new Date()
+    });
+  }
+
+  commentAdded(issue, comment, author) {
+    this.emit(this.issueRooms(issue), 'comment:new', {
+      issueId: idOf(issue),
+      title: issue.title,
+      comment: {
+        _id: idOf(comment),
+        content: comment.content,
+        author: { _id: idOf(author), name: author.name },
+        createdAt: comment.createdAt
+      }
+    });
+  }
+
+  issueCreated(issue) {
+    this.emit([ADMINS_ROOM], 'issue:new', {
+      issueId: idOf(issue),
+      title: issue.title,
+      category: issue.category,
+      priority: issue.priority,
+      createdAt: issue.createdAt
+    });
+  }
+
+  // Close the sockets of a revoked session
+  disconnectSession(sessionId) {
+    if (!this.io) return;
+    this.io.in(sessionRoom(idOf(sessionId))).disconnectSockets(true);
+  }
+
+  /**
+   * Close every socket of a user, e.g. after all their sessions were revoked
+   * @param {Object} options - { except } session whose sockets stay connected
+   */
+  disconnectUser(userId, { except = null } = {}) {
+    if (!this.io) return;
+    const target = this.io.in(userRoom(idOf(userId)));
+    (except ? target.except(sessionRoom(idOf(except))) : target).disconnectSockets(true);
+  }
+}
+
+module.exports = new RealtimeService();
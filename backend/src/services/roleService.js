@@ -0,0 +1,301 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// How long role permissions are cached before being re-read (other instances pick up edits within this time)
+const CACHE_TTL_MS = 60 * 1000;
+
+const PERMISSIONS = {
+  'analytics.view': 'View the admin dashboard, analytics and issue reports',
+  'issue.view': 'See any issue\'s deadline, timeline and assignment details',
+  'issue.assign': 'Assign issues and use the assignment engine',
+  'issue.manage': 'Change any issue\'s status, edit or delete any issue, and act outside own level and departments',
+  'issue.escalate': 'Escalate issues and send them back to a lower level',
+  'issue.merge': 'Merge duplicate reports into one issue',
+  'issue.work': 'Work on assigned issues (list, accept, resolve) and manage own duty and leave',
+  'team.view': 'See the workload of own team',
+  'employee.manage': 'Create, edit and deactivate employees and manage their schedules and teams',
+  'user.manage': 'List users and change their status or role',
+  'settings.manage': 'Manage SLA policies, working calendars, holidays and zones',
+  'archive.manage': 'Search and restore archived issues, run the archive and set retention policies',
+  'notification.send': 'Send announcements and see system notifications',
+  'role.manage': 'Define roles and their permissions',
+  'admin.manage': 'Create, disable and reset admin accounts and read the audit log'
+};
+
+// Only super-admins manage admins and roles, so an admin cannot raise their own access
+const SUPER_ADMIN_PERMISSIONS = ['admin.manage', 'role.manage'];
+
+// Built-in workflow levels; 'employee' is the legacy name for field staff
+const EMPLOYEE_LEVELS = ['field-staff', 'supervisor', 'commissioner', 'employee'];
+
+// Built-in roles; created on startup when missing. The workflow (escalation levels, assignment)
+// is tied to these names, so they cannot be deleted.
+const SYSTEM_ROLES = {
+  'super-admin': {
+    label: 'Super administrator',
+    permissions: ['*']
+  },
+  admin: {
+    label: 'Administrator',
+    permissions: Object.keys(PERMISSIONS).filter(permission => !SUPER_ADMIN_PERMISSIONS.includes(permission))
+  },
+  commissioner: {
+    label: 'Commissioner',
+    permissions: ['issue.work', 'issue.escalate', 'issue.merge', 'team.view']
+  },
+  supervisor: {
+    label: 'Supervisor',
+    permissions: ['issue.work', 'issue.escalate', 'issue.merge', 'team.view']
+  },
+  'field-staff': {
+    label: 'Field staff',
+    permissions: ['issue.work', 'issue.escalate']
+  },
+  employee: {
+    label: 'Employee (legacy name for field staff)',
+    permissions: ['issue.work', 'issue.escalate']
+  },
+  citizen: {
+    label: 'Citizen',
+    permissions: []
+  },
+  guest: {
+    label: 'Guest',
+    permissions: []
+  }
+};
+
+const roleError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Role Service
+ * Maps roles to permissions (stored in the Role collection) and answers "may this user do X"
+ */
+class RoleService {
+  constructor() {
+    this.permissionsByRole = null;
+    this.twoFactorRoles = new Set();
+    this.loadedAt = 0;
+  }
+
+  // Create missing system roles and load the cache; called once the database is connected
+  async init() {
+    await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, role]) =>
+      Role.updateOne(
+        { name },
+        { $setOnInsert: { name, label: role.label, permissions: role.permissions, isSystem: true } },
+        { upsert: true }
+      )
+    ));
+    // Before super-admins existed the admin role had every permission
+    await Role.updateOne(
+      { name: 'admin', permissions: '*' },
+      { $set: { permissions: SYSTEM_ROLES.admin.permissions } }
+    );
+    await this.load();
+  }
+
+  async load() {
+    const roles = await Role.find().select('name permissions requireTwoFactor').lean();
+    this.permissionsByRole = new Map(roles.map(role => [role.name, role.permissions]));
+    this.twoFactorRoles = new Set(roles.filter(role => role.requireTwoFactor).map(role => role.name));
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Permissions of a role, from the cache (or the built-in defaults before it is loaded)
+   */
+  permissionsFor(roleName) {
+    if (this.permissionsByRole && this.permissionsByRole.has(roleName)) {
+      return this.permissionsByRole.get(roleName);
+    }
+    return SYSTEM_ROLES[roleName] ? SYSTEM_ROLES[roleName].permissions : [];
+  }
+
+  /**
+   * Permissions of a role, re-reading the roles first when the cache is stale
+   */
+  async getPermissions(roleName) {
+    if (Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      try {
+        await this.load();
+      } catch (error) {
+        console.error('Error loading roles (using cached permissions):', error.message);
+      }
+    }
+    return this.permissionsFor(roleName);
+  }
+
+  // Whether users with this role must use two-factor sign-in (from the cache)
+  requiresTwoFactor(roleName) {
+    return this.twoFactorRoles.has(roleName);
+  }
+
+  /**
+   * Whether a user has a permission. Uses the permissions `authenticate` resolved for the
+   * request when present; `null` (the escalation job) has none.
+   */
+  can(user, permission) {
+    if (!user) return false;
+    const permissions = user.permissions || this.permissionsFor(user.role);
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  // Permissions of a user: those `authenticate` resolved for the request, otherwise their role's
+  permissionsOf(user) {
+    return (user && (user.permissions || this.permissionsFor(user.role))) || [];
+  }
+
+  /**
+   * Throw 403 unless the actor has every one of `permissions`, so nobody can create a role
+   * or hand out a role with more access than their own
+   */
+  assertWithinActor(actor, permissions) {
+    const own = this.permissionsOf(actor);
+    if (own.includes('*')) return;
+
+    const beyond = permissions.filter(permission => permission === '*' || !own.includes(permission));
+    if (beyond.length > 0) {
+      throw roleError(`You cannot grant permission(s) you do not have: ${beyond.join(', ')}`, 403);
+    }
+  }
+
+  // Throw 403 unless the actor may give users this role (see assertWithinActor)
+  async assertCanAssign(actor, roleName) {
+    this.assertWithinActor(actor, await this.getPermissions(roleName));
+  }
+
+  /**
+   * Whether users with this role work on issues as employees: the built-in levels, and custom
+   * roles with issue.work (from the cache)
+   */
+  isEmployeeRole(roleName) {
+    if (EMPLOYEE_LEVELS.includes(roleName)) return true;
+    if (SYSTEM_ROLES[roleName]) return false;
+    return this.permissionsFor(roleName).includes('issue.work');
+  }
+
+  // Every employee role, for user queries
+  employeeRoles() {
+    const custom = this.permissionsByRole
+      ? [...this.permissionsByRole.keys()].filter(name => !SYSTEM_ROLES[name] && this.isEmployeeRole(name))
+      : [];
+    return [...EMPLOYEE_LEVELS, ...custom];
+  }
+
+  // Escalation level an employee role works at; custom employee roles work at field level
+  levelOf(roleName) {
+    return roleName === 'supervisor' || roleName === 'commissioner' ? roleName : 'field-staff';
+  }
+
+  // Whether users can be given this role
+  async roleExists(roleName) {
+    return Boolean(SYSTEM_ROLES[roleName]) || Boolean(await Role.exists({ name: roleName }));
+  }
+
+  // Whether a role is one defined by admins rather than built in
+  async isCustomRole(roleName) {
+    return !SYSTEM_ROLES[roleName] && Boolean(await Role.exists({ name: roleName }));
+  }
+
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  }
+
+  // Every role with how many users have it
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const countByRole = new Map(counts.map(row => [row._id, row.count]));
+    return roles.map(role => ({ ...role, userCount: countByRole.get(role.name) || 0 }));
+  }
+
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw roleError('Permissions must be a list');
+    }
+    // Every permission, now and in future, is reserved for the built-in super-admin role
+    if (permissions.includes('*')) {
+      throw roleError('"*" (every permission) is reserved for the super-admin role');
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw roleError(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+  }
+
+  async createRole({ name, label, description, permissions = [], requireTwoFactor = false }, actor) {
+    if (SYSTEM_ROLES[name] || await Role.exists({ name })) {
+      throw roleError(`Role "${name}" already exists`, 409);
+    }
+    const validated = this.validatePermissions(permissions);
+    this.assertWithinActor(actor, validated);
+
+    const role = await Role.create({
+      name,
+      label: label || name,
+      description,
+      permissions: validated,
+      requireTwoFactor: Boolean(requireTwoFactor),
+      createdBy: actor ? actor._id : undefined,
+      updatedBy: actor ? actor._id : undefined
+    });
+    await this.load();
+    return role;
+  }
+
+  async updateRole(name, { label, description, permissions, requireTwoFactor }, actor) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw roleError('Role not found', 404);
+    }
+
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = Boolean(requireTwoFactor);
+    if (permissions !== undefined) {
+      // Keeps at least one role able to manage everything, roles included
+      if (name === 'super-admin') {
+        throw roleError('The super-admin role always has every permission');
+      }
+      const validated = this.validatePermissions(permissions);
+      this.assertWithinActor(actor, validated);
+      role.permissions = validated;
+    }
+    role.updatedBy = actor ? actor._id : undefined;
+
+    await role.save();
+    await this.load();
+    return role;
+  }
+
+  async deleteRole(name) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw roleError('Role not found', 404);
+    }
+    if (role.isSystem) {
+      throw roleError('Built-in roles cannot be deleted');
+    }
+
+    const users = await User.countDocuments({ role: name });
+    if (users > 0) {
+      throw roleError(`${users} user(s) still have this role; give them another role first`, 409);
+    }
+
+    await role.deleteOne();
+    await this.load();
+  }
+}
+
+module.exports = new RoleService();
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.SYSTEM_ROLES = SYSTEM_ROLES;
+module.exports.EMPLOYEE_LEVELS = EMPLOYEE_LEVELS;
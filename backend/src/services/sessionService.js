@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const realtimeService = require('./realtimeService');
+const pushService = require('./pushService');
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req && req.get && req.get('user-agent') || '').slice(0, 500),
+  ip: (req && req.ip) || ''
+});
+
+/**
+ * Session Service
+ * Signed-in devices: issues token pairs, rotates refresh tokens (revoking the session when an old one
+ * is replayed) and revokes sessions on logout, password change and deactivation
+ */
+class SessionService {
+  // New refresh token for a session; its expiry becomes the session's
+  signPair(userId, session) {
+    session.refreshJti = crypto.randomUUID();
+    const refreshToken = generateRefreshToken(userId, session._id, session.refreshJti);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    return {
+      token: generateToken(userId, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Start a session for a user who has just signed in
+   * @param {ObjectId} userId
+   * @param {Object} req - Request, for the device's user agent and IP
+   * @returns {Promise<Object>} { token, refreshToken, session }
+   */
+  async startSession(userId, req) {
+    const session = new Session({ user: userId, ...clientInfo(req) });
+    const tokens = this.signPair(userId, session);
+    await session.save();
+    return { ...tokens, session };
+  }
+
+  // An old refresh token came back: it was copied, so the whole session ends
+  async revokeReused(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { revokedAt: new Date(), revokedReason: 'reuse-detected' });
+    realtimeService.disconnectSession(sessionId);
+    await pushService.removeSessionDevices(sessionId);
+    console.warn(`Refresh token reuse detected for session ${sessionId}; session revoked`);
+    return sessionError('Refresh token has already been used. Please log in again.');
+  }
+
+  /**
+   * Swap a refresh token for a new pair. The old refresh token stops working; presenting it
+   * again means it was copied, so the whole session is revoked.
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw sessionError('Invalid refresh token');
+    }
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id.toString()) {
+      throw sessionError('Session has ended. Please log in again.');
+    }
+
+    if (decoded.jti !== session.refreshJti) {
+      throw await this.revokeReused(session._id);
+    }
+
+    const user = await User.findById(decoded.id).select('isActive');
+    if (!user || !user.isActive) {
+      await this.revokeAll(decoded.id, 'deactivated');
+      throw sessionError('Invalid refresh token');
+    }
+
+    // Swap the jti only if it is still the one presented; when two requests race with the same
+    // token, the loser finds it already replaced and is treated as reuse
+    const tokens = this.signPair(user._id, session);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshJti: decoded.jti, revokedAt: null },
+      {
+        refreshJti: session.refreshJti,
+        expiresAt: session.expiresAt,
+        lastUsedAt: new Date(),
+        ...clientInfo(req)
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      throw await this.revokeReused(session._id);
+    }
+    return tokens;
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {ObjectId} currentSessionId - Flagged as `current` in the result
+   */
+  async listActive(userId, currentSessionId = null) {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   */
+  async revoke(userId, sessionId, reason = 'revoked-by-user') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+    if (!session) {
+      throw sessionError('Session not found', 404);
+    }
+    realtimeService.disconnectSession(session._id);
+    await pushService.removeSessionDevices(session._id);
+    return session;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {Object} options - { except } session id to keep (the caller's own)
+   * @returns {Promise<number>} How many sessions were revoked
+   */
+  async revokeAll(userId, reason, { except = null } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    realtimeService.disconnectUser(userId, { except });
+    await pushService.removeUserDevices(userId, { except });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,146 @@
+const Issue = require('../models/Issue');
+const { OPEN_STATUSES } = require('./workflowService');
+
+// Search radius for similar issues around a draft report
+const DEFAULT_RADIUS_METERS = parseInt(process.env.SIMILAR_ISSUES_RADIUS_METERS) || 300;
+// Matches scoring below this are not shown
+const MIN_SCORE = parseFloat(process.env.SIMILAR_ISSUES_MIN_SCORE) || 0.35;
+
+// How much each signal counts towards the score (sums to 1)
+const WEIGHTS = {
+  distance: 0.45,
+  category: 0.2,
+  text: 0.35
+};
+
+// Most recent candidates considered per request
+const MAX_CANDIDATES = 200;
+
+const METERS_PER_DEGREE = 111320;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'was', 'were',
+  'this', 'that', 'with', 'from', 'there', 'their', 'they', 'them', 'been', 'near', 'very', 'since',
+  'into', 'our', 'its', 'also', 'please', 'issue', 'problem', 'road', 'area', 'here', 'days', 'still'
+]);
+
+// Great-circle distance in meters
+const haversineMeters = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000;
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Lower-cased words of 3+ letters (any script), without stopwords
+const tokenize = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+);
+
+// Share of words the two texts have in common (Jaccard index, 0-1)
+const textSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared += 1;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Similarity Service
+ * Finds open issues that probably describe the same problem as a draft report
+ */
+class SimilarityService {
+  /**
+   * Open issues near a draft report, best match first
+   * @param {Object} draft - { title, description, category, latitude, longitude, radius }
+   * @param {Object} options - { limit, userId } (userId marks issues the user already upvoted)
+   * @returns {Promise<Array>} [{ issue, distance, score, signals }]
+   */
+  async findSimilar(draft, { limit = 5, userId = null } = {}) {
+    const latitude = parseFloat(draft.latitude);
+    const longitude = parseFloat(draft.longitude);
+    const radius = parseInt(draft.radius) || DEFAULT_RADIUS_METERS;
+
+    // Bounding box on the indexed coordinates, refined with the exact distance below
+    const latDelta = radius / METERS_PER_DEGREE;
+    const lngDelta = radius / (METERS_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+    const candidates = await Issue.find({
+      status: { $in: OPEN_STATUSES },
+      mergedInto: null,
+      isPublic: true,
+      'location.coordinates.latitude': { $gte: latitude - latDelta, $lte: latitude + latDelta },
+      'location.coordinates.longitude': { $gte: longitude - lngDelta, $lte: longitude + lngDelta }
+    })
+      .select('title description category status priority location upvotes upvotedBy images createdAt reportedBy')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES);
+
+    const draftText = `${draft.title || ''} ${draft.description || ''}`;
+    const userKey = userId ? userId.toString() : null;
+
+    return candidates
+      .map(issue => {
+        const distance = haversineMeters(
+          latitude,
+          longitude,
+          issue.location.coordinates.latitude,
+          issue.location.coordinates.longitude
+        );
+        const signals = {
+          distance: Math.max(0, 1 - distance / radius),
+          category: draft.category && issue.category === draft.category ? 1 : 0,
+          text: textSimilarity(draftText, `${issue.title} ${issue.description}`)
+        };
+        // Without a category on the draft the other two signals share its weight
+        const weightTotal = draft.category ? 1 : 1 - WEIGHTS.category;
+        const score = (
+          WEIGHTS.distance * signals.distance +
+          WEIGHTS.category * signals.category +
+          WEIGHTS.text * signals.text
+        ) / weightTotal;
+
+        return { issue, distance, score, signals };
+      })
+      .filter(match => match.distance <= radius && match.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ issue, distance, score, signals }) => ({
+        issue: {
+          _id: issue._id,
+          title: issue.title,
+          description: issue.description,
+          category: issue.category,
+          status: issue.status,
+          priority: issue.priority,
+          location: issue.location,
+          upvotes: issue.upvotes,
+          image: issue.images[0]?.url || null,
+          createdAt: issue.createdAt,
+          isReporter: Boolean(userKey) && issue.reportedBy?.toString() === userKey,
+          hasUpvoted: Boolean(userKey) && issue.upvotedBy.some(id => id.toString() === userKey)
+        },
+        distance: Math.round(distance),
+        score: Math.round(score * 100) / 100,
+        signals: {
+          distance: Math.round(signals.distance * 100) / 100,
+          category: signals.category,
+          text: Math.round(signals.text * 100) / 100
+        }
+      }));
+  }
+}
+
+module.exports = new SimilarityService();
+module.exports.DEFAULT_RADIUS_METERS = DEFAULT_RADIUS_METERS;
@@ -0,0 +1,113 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const calendarService = require('./calendarService');
+
+// Fallback response times (hours) used when no SlaPolicy matches
+const DEFAULT_SLA_HOURS = {
+  urgent: { 'field-staff': 2, supervisor: 2 },
+  high: { 'field-staff': 2, supervisor: 2 },
+  medium: { 'field-staff': 12, supervisor: 12 },
+  low: { 'field-staff': 24, supervisor: 24 }
+};
+
+// Share of the SLA window after which assignees get a pre-breach warning
+const DEFAULT_WARNING_PERCENT = parseFloat(process.env.SLA_WARNING_PERCENT) || 75;
+
+/**
+ * SLA Service
+ * Resolves escalation response times from SlaPolicy documents
+ */
+class SlaService {
+  /**
+   * Resolve the response time for a role on an issue scope
+   * @returns {Promise<Object>} { hours, warningPercent, policyId, version, source }
+   */
+  async resolveHours({ category, priority = 'medium', role, ward = null }) {
+    if (!role || role === 'commissioner') {
+      return { hours: null, warningPercent: null, policyId: null, version: null, source: 'none' };
+    }
+
+    const policy = await SlaPolicy.findApplicable({ category, priority, role, ward });
+    if (policy) {
+      return {
+        hours: policy.hours,
+        warningPercent: policy.warningPercent || DEFAULT_WARNING_PERCENT,
+        policyId: policy._id,
+        version: policy.version,
+        source: 'policy'
+      };
+    }
+
+    const defaults = DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.medium;
+    return {
+      hours: defaults[role] || null,
+      warningPercent: DEFAULT_WARNING_PERCENT,
+      policyId: null,
+      version: null,
+      source: 'default'
+    };
+  }
+
+  /**
+   * Compute the escalation deadline for a role, counting business time from startAt
+   * @returns {Promise<Object>} { deadline, warningAt, hours, policyId, version, source, mode }
+   */
+  async computeDeadline(scope, startAt = new Date()) {
+    const resolved = await this.resolveHours(scope);
+    if (!resolved.hours) {
+      return { ...resolved, deadline: null, warningAt: null, mode: null };
+    }
+
+    const calendarOptions = { department: scope.category, priority: scope.priority };
+    const { deadline, mode } = await calendarService.explain(startAt, resolved.hours, calendarOptions);
+    const warningAt = await calendarService.addBusinessHours(
+      startAt,
+      resolved.hours * resolved.warningPercent / 100,
+      calendarOptions
+    );
+
+    return { ...resolved, deadline, warningAt, mode };
+  }
+
+  /**
+   * Explain how an issue's current escalation deadline was computed
+   */
+  async explainDeadline(issue) {
+    const role = issue.sla?.role || issue.assignedRole;
+    const startAt = issue.sla?.startedAt || issue.assignedAt || issue.createdAt;
+    const scope = {
+      category: issue.category,
+      priority: issue.priority,
+      role,
+      ward: issue.ward
+    };
+
+    const resolved = await this.resolveHours(scope);
+    const calendar = resolved.hours && startAt
+      ? await calendarService.explain(startAt, resolved.hours, {
+        department: issue.category,
+        priority: issue.priority
+      })
+      : null;
+
+    return {
+      issueId: issue._id,
+      role,
+      priority: issue.priority,
+      category: issue.category,
+      ward: issue.ward,
+      startedAt: startAt,
+      storedDeadline: issue.escalationDeadline,
+      appliedPolicy: {
+        policy: issue.sla?.policy || null,
+        version: issue.sla?.version || null,
+        hours: issue.sla?.hours || null
+      },
+      currentPolicy: resolved,
+      calendar
+    };
+  }
+}
+
+module.exports = new SlaService();
+module.exports.DEFAULT_SLA_HOURS = DEFAULT_SLA_HOURS;
+module.exports.DEFAULT_WARNING_PERCENT = DEFAULT_WARNING_PERCENT;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const templateService = require('./templateService');
+
+// Provider used for every message; the stubs below never leave the machine
+const DEFAULT_PROVIDER = process.env.SMS_PROVIDER || 'console';
+// Where the file stub appends messages, one JSON object per line
+const OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'logs', 'sms-outbox.log');
+// Numbers without a country code are taken to be Indian
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '91';
+
+// Only the last four digits appear in logs
+const maskNumber = (number) => (number ? `${'*'.repeat(Math.max(number.length - 4, 0))}${number.slice(-4)}` : '');
+
+const messageId = () => `sms_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Providers deliver one message and resolve to { success, messageId, error }; they should not throw.
+ * A gateway adapter (MSG91, Twilio, ...) is an object with the same `send` registered under its name.
+ */
+const PROVIDERS = {
+  console: {
+    description: 'Prints messages to the server console (local development); OTP codes are redacted',
+    send: async ({ to, body, type }) => {
+      // Logs are no place for OTPs: use the file provider or OTP_DEV_ECHO to see them locally
+      const text = type === 'otp' ? body.replace(/\d{4,}/g, '******') : body;
+      console.log(`[sms:console] To ${maskNumber(to)}: ${text}`);
+      return { success: true, messageId: messageId() };
+    }
+  },
+  file: {
+    description: 'Appends messages to a local outbox file (local development and demos)',
+    send: async ({ to, body, type }) => {
+      const entry = { id: messageId(), to, type, body, sentAt: new Date().toISOString() };
+      try {
+        await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+        await fs.promises.appendFile(OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+        return { success: true, messageId: entry.id };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  }
+};
+
+/**
+ * SMS Service
+ * Sends OTPs and transactional notifications through the configured SMS provider
+ */
+class SmsService {
+  constructor() {
+    if (!PROVIDERS[DEFAULT_PROVIDER]) {
+      console.warn(`Unknown SMS_PROVIDER "${DEFAULT_PROVIDER}" - SMS will fail until it is registered`);
+    } else if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(DEFAULT_PROVIDER)) {
+      console.warn(`SMS provider "${DEFAULT_PROVIDER}" is a local stub - no SMS will reach users`);
+    }
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {string} name - Value of SMS_PROVIDER that selects it
+   * @param {Object} provider - { description, send({ to, body, type }) }
+   */
+  registerProvider(name, provider) {
+    PROVIDERS[name] = provider;
+  }
+
+  getProvider() {
+    return PROVIDERS[DEFAULT_PROVIDER] || null;
+  }
+
+  // E.164 without the plus: digits only, country code added to bare 10-digit numbers
+  normalizeNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (digits.length === 10) return `${DEFAULT_COUNTRY_CODE}${digits}`;
+    if (digits.length === 11 && digits.startsWith('0')) return `${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+    return digits;
+  }
+
+  /**
+   * Send one message
+   * @param {string} to - Mobile number
+   * @param {string} body - Message text
+   * @param {string} type - What the message is for (otp, issue_status_changed, ...)
+   * @returns {Promise<Object>} { success, messageId, error }
+   */
+  async send(to, body, type = 'transactional') {
+    const provider = this.getProvider();
+    if (!provider) {
+      return { success: false, error: `SMS provider "${DEFAULT_PROVIDER}" is not available` };
+    }
+
+    const number = this.normalizeNumber(to);
+    if (number.length < 11) {
+      return { success: false, error: 'Invalid mobile number' };
+    }
+
+    try {
+      const result = await provider.send({ to: number, body, type });
+      if (!result.success) {
+        console.warn(`SMS (${type}) to ${maskNumber(number)} failed:`, result.error);
+      }
+      return result;
+    } catch (error) {
+      console.error(`SMS (${type}) to ${maskNumber(number)} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send a login/verification OTP in the user's language
+  async sendOTP(to, otp, language = 'en') {
+    return this.send(to, templateService.t('sms.otp', language, { otp }), 'otp');
+  }
+}
+
+module.exports = new SmsService();
+module.exports.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
@@ -0,0 +1,236 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const availabilityService = require('./availabilityService');
+const { OPEN_STATUSES } = require('./workflowService');
+
+// Someone can only report to a higher level than their own
+const ROLE_RANK = {
+  employee: 1,
+  'field-staff': 1,
+  supervisor: 2,
+  commissioner: 3
+};
+
+// Guards against a corrupted chain looping forever
+const MAX_DEPTH = 10;
+
+const teamError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Team Service
+ * The reportsTo hierarchy: who manages whom, team workload, and whose supervisor an issue escalates to
+ */
+class TeamService {
+  /**
+   * Make `userId` report to `managerId` (null removes the manager)
+   * @param {ObjectId|string} userId
+   * @param {string|null} managerRef - Manager's user id or Employee ID
+   */
+  async setReportsTo(userId, managerRef) {
+    const user = await User.findById(userId);
+    if (!user || !ROLE_RANK[user.role]) {
+      throw teamError('Employee not found', 404);
+    }
+
+    if (!managerRef) {
+      user.reportsTo = null;
+      await user.save();
+      return user;
+    }
+
+    const isMongoId = /^[0-9a-fA-F]{24}$/.test(managerRef);
+    const manager = await User.findOne({
+      ...(isMongoId ? { $or: [{ _id: managerRef }, { employeeId: managerRef }] } : { employeeId: managerRef }),
+      isActive: true
+    });
+    if (!manager || !ROLE_RANK[manager.role]) {
+      throw teamError(`Employee "${managerRef}" not found`, 404);
+    }
+    if (ROLE_RANK[manager.role] <= ROLE_RANK[user.role]) {
+      throw teamError(`A ${user.role} can only report to someone above their level`);
+    }
+
+    user.reportsTo = manager._id;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * After a role change, drop reporting lines that no longer go upwards
+   * @param {Object} user - Saved user document with the new role
+   */
+  async releaseInvalidLinks(user) {
+    const rank = ROLE_RANK[user.role] || 0;
+
+    if (user.reportsTo) {
+      const manager = await User.findById(user.reportsTo).select('role');
+      if (!manager || (ROLE_RANK[manager.role] || 0) <= rank) {
+        user.reportsTo = null;
+        await user.save();
+      }
+    }
+
+    const outranked = Object.keys(ROLE_RANK).filter(role => ROLE_RANK[role] >= rank);
+    await User.updateMany({ reportsTo: user._id, role: { $in: outranked } }, { $set: { reportsTo: null } });
+  }
+
+  /**
+   * First active manager up the assignee's reportsTo chain with `role`, covered by their backup when off duty
+   * @returns {Promise<Object|null>} The manager, or null when the chain has nobody with that role
+   */
+  async findManager(assigneeId, role) {
+    let current = assigneeId ? await User.findById(assigneeId).select('reportsTo') : null;
+
+    for (let depth = 0; current && current.reportsTo && depth < MAX_DEPTH; depth++) {
+      const manager = await User.findById(current.reportsTo);
+      if (!manager) return null;
+
+      if (manager.role === role && manager.isActive) {
+        const [status] = (await availabilityService.getStatuses([manager._id])).values();
+        if (status.onDuty) return manager;
+        // Off duty: the backup, or the manager anyway rather than the whole department
+        return (await availabilityService.findBackup(manager._id)) || manager;
+      }
+      current = manager;
+    }
+
+    return null;
+  }
+
+  /**
+   * Everyone who reports to a manager, directly or through others
+   * @returns {Promise<Array>} Active users, direct reports first
+   */
+  async getTeamMembers(managerId) {
+    const members = [];
+    const seen = new Set([idOf(managerId)]);
+    let level = [managerId];
+
+    for (let depth = 0; level.length > 0 && depth < MAX_DEPTH; depth++) {
+      const reports = await User.find({ reportsTo: { $in: level }, isActive: true })
+        .select('name employeeId role departments reportsTo zones');
+      const fresh = reports.filter(report => !seen.has(idOf(report)));
+      fresh.forEach(report => seen.add(idOf(report)));
+      members.push(...fresh);
+      level = fresh.map(report => report._id);
+    }
+
+    return members;
+  }
+
+  /**
+   * Workload of a manager's team: open, overdue and in-progress issues per person
+   */
+  async getTeamOverview(managerId) {
+    const members = await this.getTeamMembers(managerId);
+    const ids = members.map(member => member._id);
+    const now = new Date();
+
+    const [loads, statuses] = await Promise.all([
+      Issue.aggregate([
+        { $match: { assignedTo: { $in: ids }, status: { $in: OPEN_STATUSES }, mergedInto: null } },
+        {
+          $group: {
+            _id: '$assignedTo',
+            open: { $sum: 1 },
+            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
+            overdue: {
+              $sum: {
+                $cond: [{ $and: [{ $ne: ['$escalationDeadline', null] }, { $lt: ['$escalationDeadline', now] }] }, 1, 0]
+              }
+            }
+          }
+        }
+      ]),
+      availabilityService.getStatuses(ids, now)
+    ]);
+    const loadById = new Map(loads.map(row => [row._id.toString(), row]));
+
+    const rows = members.map(member => {
+      const load = loadById.get(idOf(member)) || {};
+      const { onDuty, reason } = statuses.get(idOf(member));
+      return {
+        member,
+        direct: idOf(member.reportsTo) === idOf(managerId),
+        open: load.open || 0,
+        inProgress: load.inProgress || 0,
+        overdue: load.overdue || 0,
+        onDuty,
+        offDutyReason: reason
+      };
+    });
+
+    return {
+      members: rows,
+      totals: rows.reduce((totals, row) => ({
+        members: totals.members + 1,
+        open: totals.open + row.open,
+        overdue: totals.overdue + row.overdue
+      }), { members: 0, open: 0, overdue: 0 })
+    };
+  }
+
+  /**
+   * Open issues assigned to a manager's team, most urgent deadline first
+   * @param {Object} options - { overdueOnly, memberId, page, limit }
+   */
+  async getTeamIssues(managerId, { overdueOnly = false, memberId = null, page = 1, limit = 20 } = {}) {
+    const members = await this.getTeamMembers(managerId);
+    let ids = members.map(member => member._id);
+    if (memberId) {
+      ids = ids.filter(id => idOf(id) === idOf(memberId));
+    }
+
+    const filter = { assignedTo: { $in: ids }, status: { $in: OPEN_STATUSES }, mergedInto: null };
+    if (overdueOnly) {
+      filter.escalationDeadline = { $ne: null, $lt: new Date() };
+    }
+
+    const [issues, total] = await Promise.all([
+      Issue.find(filter)
+        .select('title category status priority assignedTo assignedRole escalationDeadline createdAt location.name')
+        .populate('assignedTo', 'name employeeId role')
+        .sort({ escalationDeadline: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Issue.countDocuments(filter)
+    ]);
+
+    return { issues, total };
+  }
+
+  /**
+   * Org chart: commissioners and supervisors with their direct reports, plus staff without a manager
+   */
+  async getHierarchy() {
+    const employees = await User.find({ role: { $in: Object.keys(ROLE_RANK) }, isActive: true })
+      .select('name employeeId role departments reportsTo')
+      .sort({ name: 1 })
+      .lean();
+
+    const byId = new Map(employees.map(employee => [idOf(employee), { ...employee, reports: [] }]));
+    const roots = [];
+    for (const employee of byId.values()) {
+      const manager = byId.get(idOf(employee.reportsTo));
+      if (manager) {
+        manager.reports.push(employee);
+      } else {
+        roots.push(employee);
+      }
+    }
+
+    return {
+      // Managers without a manager of their own head the tree
+      teams: roots.filter(employee => ROLE_RANK[employee.role] > 1),
+      unassigned: roots.filter(employee => ROLE_RANK[employee.role] === 1)
+    };
+  }
+}
+
+module.exports = new TeamService();
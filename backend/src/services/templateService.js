@@ -0,0 +1,197 @@
+const User = require('../models/User');
+
+const CATALOGUES = {
+  en: require('../locales/en'),
+  hi: require('../locales/hi'),
+  sat: require('../locales/sat'),
+  nag: require('../locales/nag')
+};
+
+// The languages users can choose (preferences.language)
+const LANGUAGES = User.schema.path('preferences.language').enumValues;
+const DEFAULT_LANGUAGE = 'en';
+
+// Where a missing text is looked up next; English, the complete catalogue, always comes last.
+// Santali and Nagpuri readers in Jharkhand generally read Hindi.
+const FALLBACKS = {
+  en: [],
+  hi: ['en'],
+  sat: ['hi', 'en'],
+  nag: ['hi', 'en']
+};
+
+// Dates and times are shown in India time in the reader's locale
+const TIMEZONE = 'Asia/Kolkata';
+const LOCALES = { en: 'en-IN', hi: 'hi-IN', sat: 'en-IN', nag: 'hi-IN' };
+
+// {{name}}, or {{name|filter}}: datetime formats a date, any other filter looks the value up in that
+// section of the catalogue ({{status|status}} -> status['in-progress'])
+const PLACEHOLDER = /\{\{\s*(\w+)(?:\|(\w+))?\s*\}\}/g;
+
+// Used by the admin preview for variables it was not given
+const SAMPLE_VARIABLES = {
+  name: 'Asha Kumari',
+  issueTitle: 'Streetlight not working near Ranchi bus stand',
+  duplicateTitle: 'Dark street near the bus stand',
+  issueId: '665f1c2e8b3a4d0012a3b4c5',
+  status: 'in-progress',
+  commenterName: 'Ravi Munda',
+  commentAuthor: 'Ravi Munda',
+  commentContent: 'The light was repaired this morning.',
+  reporterName: 'Asha Kumari',
+  upvoterName: 'Sunita Oraon',
+  count: 3,
+  deadline: '2024-06-05T12:30:00.000Z',
+  otp: '482913',
+  title: 'Issue Status Updated',
+  message: 'Your issue "Streetlight not working near Ranchi bus stand" status has been changed to in progress',
+  frequency: 'daily',
+  issues: [
+    { title: 'Overflowing drain on Main Road', priority: 'high', assignedRole: 'field-staff', escalationDeadline: '2024-06-05T12:30:00.000Z' },
+    { title: 'Pothole outside the school', priority: 'medium', assignedRole: 'supervisor', escalationDeadline: '2024-06-06T04:30:00.000Z' }
+  ],
+  notifications: [
+    { title: 'Your Issue Received Support', message: 'Sunita Oraon upvoted your issue "Pothole outside the school"', createdAt: '2024-06-04T09:15:00.000Z' }
+  ]
+};
+
+const templateError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const valueAt = (catalogue, path) => path.split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+
+// Paths of every text under a node: 'subject', 'messages.resolved', ...
+const textPaths = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return value && typeof value === 'object' && !Array.isArray(value) ? textPaths(value, path) : [path];
+});
+
+/**
+ * Template Service
+ * Notification, email and SMS texts in the user's language (en, hi, sat, nag), with variables
+ * and a fallback to Hindi and then English for texts a language does not have yet
+ */
+class TemplateService {
+  // Language to write to a user in
+  languageOf(user) {
+    const language = user && user.preferences && user.preferences.language;
+    return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  // The language itself, then its fallbacks
+  chain(language) {
+    const own = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    return [own, ...FALLBACKS[own]];
+  }
+
+  // A text (or list of texts) in the first language of the chain that has it
+  lookup(path, language) {
+    for (const candidate of this.chain(language)) {
+      const value = valueAt(CATALOGUES[candidate], path);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Fill in a text's {{variables}}; missing variables become empty
+   * @param {Object} options - { html } escapes the values for use in HTML
+   */
+  interpolate(text, variables = {}, language = DEFAULT_LANGUAGE, { html = false } = {}) {
+    return text.replace(PLACEHOLDER, (placeholder, name, filter) => {
+      let value = variables[name];
+      if (value === undefined || value === null) return '';
+
+      if (filter === 'datetime') {
+        value = new Date(value).toLocaleString(LOCALES[language] || LOCALES.en, { timeZone: TIMEZONE });
+      } else if (filter) {
+        const translated = this.lookup(`${filter}.${value}`, language);
+        if (typeof translated === 'string') value = translated;
+      }
+      return html ? escapeHtml(value) : String(value);
+    });
+  }
+
+  /**
+   * A text from the catalogues, e.g. t('email.otp.subject', 'hi', { name })
+   * @returns {string|string[]} The key itself when no language has it
+   */
+  t(path, language, variables = {}, options = {}) {
+    const value = this.lookup(path, language);
+    if (typeof value === 'string') return this.interpolate(value, variables, language, options);
+    if (Array.isArray(value)) return value.map(text => this.interpolate(text, variables, language, options));
+
+    console.warn(`Missing template text: ${path}`);
+    return path;
+  }
+
+  /**
+   * Title and message of an in-app notification
+   * @param {string} template - Notification type, with the variant if it has several (issue_resolved.follower)
+   */
+  renderNotification(template, language, variables = {}) {
+    if (!this.exists(`notification.${template}`)) {
+      throw templateError(`Unknown notification template: ${template}`);
+    }
+    return {
+      title: this.t(`notification.${template}.title`, language, variables),
+      message: this.t(`notification.${template}.message`, language, variables)
+    };
+  }
+
+  // Whether a template (notification.issue_assigned, email.otp, sms.otp) is in the English catalogue
+  exists(key) {
+    return valueAt(CATALOGUES.en, key) !== undefined;
+  }
+
+  // Template keys: each notification variant, each email (and the texts all emails share) and each SMS
+  keys() {
+    const notificationKeys = (node, prefix) => Object.entries(node).flatMap(([key, value]) => (
+      typeof value.title === 'string' ? [`${prefix}.${key}`] : notificationKeys(value, `${prefix}.${key}`)
+    ));
+    return [
+      ...notificationKeys(CATALOGUES.en.notification, 'notification'),
+      ...Object.keys(CATALOGUES.en.email).map(name => `email.${name}`),
+      ...Object.keys(CATALOGUES.en.sms).map(name => `sms.${name}`)
+    ];
+  }
+
+  // Texts of a template a language has no translation of (they fall back)
+  missingTexts(key, language) {
+    const paths = textPaths({ [key]: valueAt(CATALOGUES.en, key) });
+    return paths.filter(path => valueAt(CATALOGUES[language], path) === undefined);
+  }
+
+  /**
+   * Every template with the languages it is fully translated into, for the admin screens
+   * @returns {Object[]} [{ key, kind, texts, translations: { hi: { complete, missing } } }]
+   */
+  listTemplates() {
+    return this.keys().map(key => ({
+      key,
+      kind: key.split('.')[0],
+      texts: textPaths({ [key]: valueAt(CATALOGUES.en, key) }).length,
+      translations: Object.fromEntries(LANGUAGES.map(language => {
+        const missing = this.missingTexts(key, language);
+        return [language, { complete: missing.length === 0, missing }];
+      }))
+    }));
+  }
+
+  // Sample values merged under the ones given, so any template can be previewed without variables
+  sampleVariables(variables = {}) {
+    return { ...SAMPLE_VARIABLES, ...variables };
+  }
+}
+
+module.exports = new TemplateService();
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+module.exports.escapeHtml = escapeHtml;
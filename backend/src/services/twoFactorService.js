@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CivicConnect';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+// How long the password step of a login stays valid waiting for the code
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text.toUpperCase().replace(/[\s=-]/g, '').split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value < 0) throw twoFactorError('Invalid two-factor secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for one counter
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Secrets are encrypted at rest (AES-256-GCM) with a key derived from TWO_FACTOR_KEY
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHmac('sha256', encryptionKey())
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const challengeSecret = () => `${process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production'}:2fa`;
+
+// Select clause for everything twoFactorService reads and writes
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes ' +
+  '+twoFactor.lastUsedStep +twoFactor.failedAttempts +twoFactor.lockedUntil';
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) second factor: enrolment with a QR code, recovery codes, and the code step
+ * of the admin and employee logins
+ */
+class TwoFactorService {
+  /**
+   * Time step a code matches (within the drift window), or null
+   * @param {string} secret - Base32 secret
+   * @param {number} lastUsedStep - Steps up to this one are refused (replayed codes)
+   */
+  matchStep(secret, code, lastUsedStep = 0) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const key = base32Decode(secret);
+    const now = currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step += 1) {
+      if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // Code for the current step, as the authenticator app shows it
+  generateCode(secret) {
+    return hotp(base32Decode(secret), currentStep());
+  }
+
+  async loadUser(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      throw twoFactorError('User not found', 404);
+    }
+    return user;
+  }
+
+  status(user, required) {
+    return {
+      enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      enabledAt: (user.twoFactor && user.twoFactor.enabledAt) || null,
+      recoveryCodesLeft: user.twoFactor && user.twoFactor.recoveryCodes ? user.twoFactor.recoveryCodes.length : undefined,
+      required
+    };
+  }
+
+  /**
+   * Start enrolment: a new secret to scan. Two-factor stays as it is until `enable` confirms a code.
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+   */
+  async setup(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor.enabled) {
+      throw twoFactorError('Two-factor authentication is already on; turn it off first to change the device', 409);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const label = encodeURIComponent(`${ISSUER}:${user.username || user.employeeId || user.email || user.mobile || user._id}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Confirm enrolment with a code from the app
+   * @returns {Promise<string[]>} Recovery codes; only shown now
+   */
+  async enable(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor.enabled) {
+      throw twoFactorError('Two-factor authentication is already on', 409);
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw twoFactorError('Start the setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = this.matchStep(secret, code);
+    if (step === null) {
+      throw twoFactorError('Invalid code. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = this.newRecoveryCodes();
+    Object.assign(user.twoFactor, {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      failedAttempts: 0,
+      lockedUntil: null
+    });
+    await user.save();
+    return recoveryCodes;
+  }
+
+  newRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Check a TOTP or recovery code for a user with two-factor on. Recovery codes are used up;
+   * repeated failures lock the second step for a while. Codes are consumed and failures counted
+   * with atomic updates, so parallel attempts cannot reuse a code or get past MAX_ATTEMPTS.
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (!user.twoFactor.enabled) {
+      throw twoFactorError('Two-factor authentication is not on');
+    }
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      throw twoFactorError('Too many wrong codes. Try again later.', 429);
+    }
+
+    const notLocked = { $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: new Date() } }] };
+    const reset = { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null };
+
+    let consumed = null;
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (user.twoFactor.recoveryCodes.includes(hash)) {
+        consumed = await User.findOneAndUpdate(
+          { _id: user._id, 'twoFactor.recoveryCodes': hash, ...notLocked },
+          { $pull: { 'twoFactor.recoveryCodes': hash }, $set: reset },
+          { new: true, projection: { 'twoFactor.recoveryCodes': 1 } }
+        );
+        if (consumed) user.twoFactor.recoveryCodes = consumed.twoFactor.recoveryCodes;
+      }
+    } else {
+      const step = this.matchStep(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+      if (step !== null) {
+        consumed = await User.findOneAndUpdate(
+          {
+            _id: user._id,
+            // Not yet used by a parallel request with the same code
+            $and: [notLocked, { $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] }]
+          },
+          { $set: { ...reset, 'twoFactor.lastUsedStep': step } },
+          { new: true, projection: { _id: 1 } }
+        );
+        if (consumed) user.twoFactor.lastUsedStep = step;
+      }
+    }
+
+    if (!consumed) {
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+      );
+      const attempts = counted ? counted.twoFactor.failedAttempts : MAX_ATTEMPTS;
+      if (attempts >= MAX_ATTEMPTS) {
+        await User.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              'twoFactor.failedAttempts': 0,
+              'twoFactor.lockedUntil': new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+            }
+          }
+        );
+      }
+      throw twoFactorError('Invalid two-factor code', 401);
+    }
+
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = null;
+  }
+
+  // Turn two-factor off after checking a current code (or recovery code)
+  async disable(userId, codes) {
+    const user = await this.loadUser(userId);
+    await this.verify(user, codes);
+    this.clear(user);
+    await user.save();
+  }
+
+  // Replace the recovery codes after checking a current code
+  async regenerateRecoveryCodes(userId, codes) {
+    const user = await this.loadUser(userId);
+    await this.verify(user, codes);
+    const recoveryCodes = this.newRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    return recoveryCodes;
+  }
+
+  // Remove two-factor from an account (also used by admins for someone who lost their device)
+  clear(user) {
+    user.twoFactor = { enabled: false, enabledAt: null };
+  }
+
+  /**
+   * Short-lived token proving the password step of a login passed
+   * @param {string} kind - Which login it belongs to ('admin', 'employee' or 'user' for the general and OTP logins)
+   */
+  createChallenge(user, kind) {
+    return jwt.sign({ id: user._id, kind }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+  }
+
+  // The user and login kind of a challenge token
+  async resolveChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, challengeSecret());
+    } catch (error) {
+      throw twoFactorError('Your sign-in has expired. Please enter your password again.', 401);
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive) {
+      throw twoFactorError('Account is deactivated', 401);
+    }
+    return { user, kind: decoded.kind };
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.TOTP_STEP_SECONDS = TOTP_STEP_SECONDS;
@@ -0,0 +1,425 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const roleService = require('./roleService');
+
+const EMPLOYEE_ROLES = ['field-staff', 'supervisor', 'commissioner', 'employee'];
+const OPEN_STATUSES = ['reported', 'assigned', 'accepted', 'in-progress', 'escalated'];
+
+// Points a reporter earns when their issue is resolved
+const RESOLUTION_POINTS = 10;
+
+// How long after resolution the reporter may reopen an issue
+const REOPEN_WINDOW_DAYS = parseFloat(process.env.REOPEN_WINDOW_DAYS) || 7;
+
+const isSameUser = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Allowed status transitions, keyed by action.
+ * - roles:   who may perform it ('system' is the escalation job, i.e. no actor); 'admin' stands for
+ *            anyone with the issue.manage permission
+ * - permission: also allowed to anyone with this permission, whatever their role
+ * - guard:   extra check; returns an error message (403) or { message, statusCode }, or null when allowed
+ * - onApply: field changes that go with the new status
+ * - manual:  reachable through "set status" endpoints (admin status update, issue update)
+ * - notify:  send the generic status-change notification (escalation sends its own)
+ */
+const TRANSITIONS = {
+  accept: {
+    from: ['reported', 'assigned', 'escalated'],
+    to: 'in-progress',
+    roles: EMPLOYEE_ROLES,
+    label: 'Accepted',
+    guard: (issue, actor) => {
+      if (issue.acceptedBy && !isSameUser(issue.acceptedBy, actor)) {
+        return { message: 'This issue has already been accepted by another employee.', statusCode: 400 };
+      }
+      if (issue.assignedTo && !isSameUser(issue.assignedTo, actor)) {
+        return 'This issue is assigned to another employee. Only the assigned employee can accept it.';
+      }
+      return null;
+    }
+  },
+  resolve: {
+    from: ['in-progress'],
+    to: 'resolved',
+    roles: [...EMPLOYEE_ROLES, 'admin'],
+    label: 'Resolved',
+    guard: (issue, actor) => {
+      if (!issue.acceptedBy) {
+        return { message: 'Issue must be accepted before it can be resolved.', statusCode: 400 };
+      }
+      if (!roleService.can(actor, 'issue.manage') && !isSameUser(issue.acceptedBy, actor)) {
+        return 'Only the employee who accepted this issue can resolve it.';
+      }
+      return null;
+    },
+    onApply: (issue, actor) => {
+      issue.resolvedAt = new Date();
+      issue.resolved = issue.resolved || {};
+      issue.resolved.resolvedBy = actor._id;
+      if (issue.createdAt) {
+        issue.actualResolutionTime = Math.floor((issue.resolvedAt - issue.createdAt) / (1000 * 60 * 60 * 24));
+      }
+    }
+  },
+  close: {
+    from: ['resolved'],
+    to: 'closed',
+    roles: ['citizen', 'guest', 'admin'],
+    manual: true,
+    label: 'Closed',
+    guard: (issue, actor) => (
+      !roleService.can(actor, 'issue.manage') && !isSameUser(issue.reportedBy, actor)
+        ? 'Only the reporter can close this issue'
+        : null
+    ),
+    onApply: (issue) => {
+      issue.closedAt = new Date();
+    }
+  },
+  // Reporter says the resolution did not fix the problem; goes back to the employee who accepted it
+  reopen: {
+    from: ['resolved'],
+    to: 'in-progress',
+    roles: ['citizen', 'guest'],
+    requiresReason: true,
+    label: 'Reopened by reporter',
+    guard: (issue, actor) => {
+      if (!isSameUser(issue.reportedBy, actor)) {
+        return 'Only the reporter can reopen this issue';
+      }
+      const windowEnds = issue.resolvedAt
+        ? issue.resolvedAt.getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+        : Infinity;
+      if (Date.now() > windowEnds) {
+        return {
+          message: `Issues can only be reopened within ${REOPEN_WINDOW_DAYS} days of being resolved`,
+          statusCode: 400
+        };
+      }
+      return null;
+    },
+    onApply: (issue, actor, context) => {
+      issue.reopenHistory.push({
+        reopenedBy: actor._id,
+        reopenedAt: new Date(),
+        reason: context.reason,
+        photo: context.photo || undefined,
+        resolvedBy: issue.resolved?.resolvedBy || issue.acceptedBy,
+        resolvedAt: issue.resolvedAt,
+        resolvedPhoto: issue.resolved?.photo?.url ? issue.resolved.photo : undefined
+      });
+      issue.reopenCount = (issue.reopenCount || 0) + 1;
+      issue.resolvedAt = null;
+      issue.actualResolutionTime = null;
+      issue.resolved = {};
+    }
+  },
+  dismiss: {
+    from: OPEN_STATUSES,
+    to: 'closed',
+    roles: ['admin'],
+    manual: true,
+    requiresReason: true,
+    label: 'Closed without resolution',
+    onApply: (issue) => {
+      issue.closedAt = new Date();
+    }
+  },
+  // Duplicate report folded into a canonical issue; it stays as a read-only link
+  merge: {
+    from: [...OPEN_STATUSES, 'resolved'],
+    to: 'closed',
+    roles: ['supervisor', 'commissioner', 'admin'],
+    permission: 'issue.merge',
+    notify: false,
+    label: 'Merged as duplicate',
+    guard: (issue, actor, context) => (
+      !context.canonical || isSameUser(context.canonical, issue)
+        ? { message: 'An issue cannot be merged into itself', statusCode: 400 }
+        : null
+    ),
+    onApply: (issue, actor, context) => {
+      issue.closedAt = new Date();
+      issue.mergedInto = context.canonical._id;
+      issue.mergedAt = new Date();
+      issue.mergedBy = actor._id;
+    }
+  },
+  markAssigned: {
+    from: ['reported'],
+    to: 'assigned',
+    roles: ['admin'],
+    manual: true,
+    label: 'Marked as assigned'
+  },
+  reset: {
+    from: ['assigned', 'accepted', 'in-progress', 'escalated'],
+    to: 'reported',
+    roles: ['admin'],
+    manual: true,
+    requiresReason: true,
+    label: 'Reset to reported',
+    onApply: (issue) => {
+      issue.acceptedBy = null;
+      issue.acceptedAt = null;
+    }
+  },
+  escalate: {
+    from: OPEN_STATUSES,
+    to: 'escalated',
+    roles: ['system', ...EMPLOYEE_ROLES, 'admin'],
+    notify: false,
+    label: 'Escalated',
+    // The next level has to accept the issue itself
+    onApply: (issue) => {
+      issue.acceptedBy = null;
+      issue.acceptedAt = null;
+    }
+  },
+  deEscalate: {
+    from: OPEN_STATUSES,
+    to: 'reported',
+    roles: [...EMPLOYEE_ROLES, 'admin'],
+    notify: false,
+    requiresReason: true,
+    label: 'Sent back to a lower level',
+    onApply: (issue) => {
+      issue.acceptedBy = null;
+      issue.acceptedAt = null;
+    }
+  }
+};
+
+const workflowError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Workflow Service
+ * Single place for issue status transitions: who may move an issue where, and what happens when they do
+ */
+class WorkflowService {
+  // Custom employee roles take part in the workflow at field-staff level
+  roleOf(actor) {
+    if (!actor) return 'system';
+    return !EMPLOYEE_ROLES.includes(actor.role) && roleService.isEmployeeRole(actor.role)
+      ? roleService.levelOf(actor.role)
+      : actor.role;
+  }
+
+  // Whether `actor` may perform a transition at all, by role or permission
+  isAllowed(transition, actor) {
+    if (transition.roles.includes(this.roleOf(actor))) return true;
+    if (transition.permission && roleService.can(actor, transition.permission)) return true;
+    return transition.roles.includes('admin') && roleService.can(actor, 'issue.manage');
+  }
+
+  // Issue managers (admins) can act on any issue; employees only on issues in their departments
+  canAccessIssue(user, issue) {
+    if (roleService.can(user, 'issue.manage')) return true;
+
+    const departments = user.departments && user.departments.length > 0
+      ? user.departments
+      : (user.department ? [user.department] : []);
+    return departments.includes('All') || departments.includes(issue.category);
+  }
+
+  getTransition(action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      throw new Error(`Unknown workflow action: ${action}`);
+    }
+    return transition;
+  }
+
+  /**
+   * Throw a workflow error (with statusCode) if `actor` may not perform `action` on the issue
+   */
+  check(issue, action, actor, context = {}) {
+    const transition = this.getTransition(action);
+    const role = this.roleOf(actor);
+
+    if (issue.mergedInto) {
+      throw workflowError('This issue was merged into another issue and is read-only', 409);
+    }
+
+    if (!this.isAllowed(transition, actor)) {
+      throw workflowError(`A ${role} cannot ${transition.label.toLowerCase()} an issue`, 403);
+    }
+
+    if (!transition.from.includes(issue.status)) {
+      throw workflowError(`Cannot change status from '${issue.status}' to '${transition.to}'`, 400);
+    }
+
+    if (transition.requiresReason && !(context.reason && context.reason.trim())) {
+      throw workflowError('A reason is required for this status change', 400);
+    }
+
+    const failure = transition.guard ? transition.guard(issue, actor, context) : null;
+    if (failure) {
+      const { message, statusCode = 403 } = typeof failure === 'string' ? { message: failure } : failure;
+      throw workflowError(message, statusCode);
+    }
+
+    return transition;
+  }
+
+  // Status history entry attributed to the real actor (null = system)
+  historyEntry(transition, actor, context = {}, at = new Date()) {
+    return {
+      status: transition.to,
+      changedBy: actor ? actor._id : null,
+      changedAt: at,
+      reason: context.reason || transition.label,
+      comment: context.comment
+    };
+  }
+
+  /**
+   * Validate and apply a transition to an in-memory issue without saving.
+   * The pre-save hook writes the status history entry from issue.$locals.statusChange.
+   */
+  apply(issue, action, actor, context = {}) {
+    const transition = this.check(issue, action, actor, context);
+    const fromStatus = issue.status;
+
+    // Same-status moves (e.g. a second escalation) are recorded in escalationHistory only
+    if (fromStatus !== transition.to) {
+      issue.status = transition.to;
+      issue.$locals.statusChange = this.historyEntry(transition, actor, context);
+    }
+    if (transition.onApply) {
+      transition.onApply(issue, actor, context);
+    }
+
+    return { action, fromStatus, transition };
+  }
+
+  /**
+   * Side effects once the transition is saved: notifications and points
+   */
+  async afterTransition(issue, action, actor, fromStatus) {
+    const transition = this.getTransition(action);
+
+    if (fromStatus !== transition.to) {
+      realtimeService.issueStatusChanged(issue, fromStatus, transition.to, actor);
+    }
+
+    if (action === 'resolve') {
+      await this.awardResolutionPoints(issue);
+      await notificationService.notifyIssueResolved(issue, actor);
+      return;
+    }
+
+    if (transition.notify !== false && fromStatus !== transition.to) {
+      await notificationService.notifyIssueStatusChange(issue, fromStatus, transition.to, actor);
+    }
+  }
+
+  /**
+   * Apply, save and run side effects
+   */
+  async transition(issue, action, actor, context = {}) {
+    const { fromStatus } = this.apply(issue, action, actor, context);
+    await issue.save();
+    await this.afterTransition(issue, action, actor, fromStatus);
+    return issue;
+  }
+
+  /**
+   * Find the manual transition that takes the issue to `status` for this actor
+   */
+  findManualAction(issue, status, actor) {
+    const candidates = Object.entries(TRANSITIONS).filter(([, transition]) =>
+      transition.manual && transition.to === status && this.isAllowed(transition, actor)
+    );
+    const match = candidates.find(([, transition]) => transition.from.includes(issue.status));
+
+    if (!match) {
+      throw workflowError(`Cannot change status from '${issue.status}' to '${status}'`, candidates.length ? 400 : 403);
+    }
+    return match[0];
+  }
+
+  // Apply a "set status" request (admin status update, issue update) without saving
+  applyStatus(issue, status, actor, context = {}) {
+    const action = this.findManualAction(issue, status, actor);
+    return this.apply(issue, action, actor, context);
+  }
+
+  async transitionToStatus(issue, status, actor, context = {}) {
+    const action = this.findManualAction(issue, status, actor);
+    return this.transition(issue, action, actor, context);
+  }
+
+  /**
+   * Accept an issue atomically so only one employee can win the race
+   */
+  async accept(issue, actor) {
+    const transition = this.check(issue, 'accept', actor);
+    const now = new Date();
+
+    const result = await Issue.updateOne(
+      {
+        _id: issue._id,
+        status: { $in: transition.from },
+        acceptedBy: null,
+        $or: [
+          { assignedTo: null }, // Department-assigned (assignedRole exists but assignedTo is null)
+          { assignedTo: actor._id } // Specifically assigned to this user
+        ]
+      },
+      {
+        $set: {
+          status: transition.to,
+          acceptedBy: actor._id,
+          acceptedAt: now,
+          assignedTo: actor._id,
+          assignedBy: issue.assignedBy || actor._id,
+          assignedAt: issue.assignedAt || now
+        },
+        $push: { statusHistory: this.historyEntry(transition, actor, {}, now) }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw workflowError('This issue was just updated by someone else. Please refresh and try again.', 409);
+    }
+
+    const updatedIssue = await Issue.findById(issue._id);
+    await this.afterTransition(updatedIssue, 'accept', actor, issue.status);
+    return updatedIssue;
+  }
+
+  // Give the reporter points for a resolved issue (once per issue)
+  async awardResolutionPoints(issue) {
+    if (!issue.reportedBy || issue.pointsAwarded) return;
+
+    try {
+      const claimed = await Issue.updateOne(
+        { _id: issue._id, pointsAwarded: { $ne: true } },
+        { $set: { pointsAwarded: true } }
+      );
+      if (claimed.modifiedCount === 0) return;
+
+      issue.pointsAwarded = true;
+      await User.updateOne(
+        { _id: issue.reportedBy._id || issue.reportedBy },
+        { $inc: { points: RESOLUTION_POINTS } }
+      );
+      console.log(`Awarded +${RESOLUTION_POINTS} points to user ${issue.reportedBy._id || issue.reportedBy} for resolved issue ${issue._id}`);
+    } catch (error) {
+      console.error('Error awarding points:', error);
+    }
+  }
+}
+
+module.exports = new WorkflowService();
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
+module.exports.REOPEN_WINDOW_DAYS = REOPEN_WINDOW_DAYS;
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Zone = require('../models/Zone');
+const Issue = require('../models/Issue');
+const { OPEN_STATUSES } = require('./workflowService');
+
+// Most specific first: an issue's ward comes before the circle containing it
+const TYPE_ORDER = ['ward', 'circle'];
+
+const zoneError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isPosition = (position) => Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+// Check a ring of positions and close it if the source data left it open
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    throw zoneError('Polygon rings must be arrays of [longitude, latitude] positions');
+  }
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  const closed = first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+  if (closed.length < 4) {
+    throw zoneError('Polygon rings need at least three distinct positions');
+  }
+  return closed.map(([longitude, latitude]) => [longitude, latitude]);
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    throw zoneError('Polygon must have at least one ring');
+  }
+  return rings.map(normalizeRing);
+};
+
+// Ray casting: whether a [longitude, latitude] point is inside a closed ring
+const ringContains = (ring, [x, y]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and not in any of the holes
+const polygonContains = ([outer, ...holes], point) => ringContains(outer, point) &&
+  !holes.some(hole => ringContains(hole, point));
+
+/**
+ * Zone Service
+ * Maps locations to city zones and scopes employees to the zones they cover
+ */
+class ZoneService {
+  /**
+   * Validate a GeoJSON Polygon/MultiPolygon and return it with closed rings
+   */
+  normalizeGeometry(geometry) {
+    if (!geometry || typeof geometry !== 'object') {
+      throw zoneError('Geometry is required');
+    }
+    if (geometry.type === 'Polygon') {
+      return { type: 'Polygon', coordinates: normalizePolygon(geometry.coordinates) };
+    }
+    if (geometry.type === 'MultiPolygon') {
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        throw zoneError('MultiPolygon must have at least one polygon');
+      }
+      return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(normalizePolygon) };
+    }
+    throw zoneError('Geometry must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  /**
+   * Active zones containing a point, most specific first
+   */
+  async findZonesForPoint(latitude, longitude) {
+    const zones = await Zone.find({
+      isActive: true,
+      geometry: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] }
+        }
+      }
+    }).select('name code type');
+
+    return zones.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+  }
+
+  /**
+   * Whether a point lies in a zone's boundary, without a database query (for checking many points)
+   */
+  containsPoint(zone, latitude, longitude) {
+    const geometry = zone && zone.geometry;
+    if (!geometry || latitude == null || longitude == null) return false;
+
+    const point = [Number(longitude), Number(latitude)];
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(polygon => polygonContains(polygon, point));
+  }
+
+  /**
+   * Set an issue's zones (and ward name) from its location. Does not save the issue.
+   * @returns {Promise<Array>} The matching zones
+   */
+  async tagIssue(issue) {
+    const coordinates = issue.location && issue.location.coordinates;
+    if (!coordinates || coordinates.latitude == null || coordinates.longitude == null) {
+      return [];
+    }
+
+    const zones = await this.findZonesForPoint(coordinates.latitude, coordinates.longitude);
+    issue.zones = zones.map(zone => zone._id);
+
+    const ward = zones.find(zone => zone.type === 'ward');
+    if (ward) {
+      issue.ward = ward.name;
+    }
+    return zones;
+  }
+
+  /**
+   * Re-tag open issues, e.g. after zones were drawn or imported
+   * @returns {Promise<Object>} { checked, updated }
+   */
+  async retagOpenIssues() {
+    const issues = await Issue.find({ status: { $in: OPEN_STATUSES } }).select('location zones ward');
+    let updated = 0;
+
+    for (const issue of issues) {
+      const before = `${issue.zones.join(',')}|${issue.ward}`;
+      await this.tagIssue(issue);
+      if (`${issue.zones.join(',')}|${issue.ward}` !== before) {
+        await Issue.updateOne({ _id: issue._id }, { $set: { zones: issue.zones, ward: issue.ward } });
+        updated += 1;
+      }
+    }
+
+    return { checked: issues.length, updated };
+  }
+
+  /**
+   * Condition limiting department-pool issues to the zones an employee covers.
+   * Empty for employees without zones (they cover the whole city).
+   */
+  coverageFilter(user) {
+    if (!user || !user.zones || user.zones.length === 0) {
+      return {};
+    }
+    return { zones: { $in: user.zones } };
+  }
+
+  /**
+   * Check that zone ids exist and are active
+   * @returns {Promise<Array>} The ids, de-duplicated
+   */
+  async resolveZoneIds(ids) {
+    const unique = [...new Set((Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String))];
+    if (unique.length === 0) return [];
+    if (!unique.every(id => mongoose.isValidObjectId(id))) {
+      throw zoneError('Invalid zone id');
+    }
+
+    const found = await Zone.countDocuments({ _id: { $in: unique }, isActive: true });
+    if (found !== unique.length) {
+      throw zoneError('Some of the selected zones do not exist or are inactive');
+    }
+    return unique;
+  }
+
+  /**
+   * Create or update zones from a GeoJSON FeatureCollection. Features are matched to
+   * existing zones by code, so importing the same file again updates in place.
+   * @param {Object} collection - FeatureCollection of Polygon/MultiPolygon features
+   * @param {Object} options - { type, nameProperty, codeProperty, actor }
+   * @returns {Promise<Object>} { created, updated, skipped: [{ index, reason }] }
+   */
+  async importGeoJson(collection, { type = 'ward', nameProperty = 'name', codeProperty = 'code', actor = null } = {}) {
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw zoneError('Upload a GeoJSON FeatureCollection');
+    }
+
+    const result = { created: 0, updated: 0, skipped: [] };
+
+    for (const [index, feature] of collection.features.entries()) {
+      const properties = (feature && feature.properties) || {};
+      const name = properties[nameProperty] != null ? String(properties[nameProperty]).trim() : '';
+      const code = properties[codeProperty] != null ? String(properties[codeProperty]).trim() : name;
+
+      if (!name) {
+        result.skipped.push({ index, reason: `Missing "${nameProperty}" property` });
+        continue;
+      }
+
+      try {
+        const geometry = this.normalizeGeometry(feature.geometry);
+        const existing = await Zone.findOne({ code });
+
+        if (existing) {
+          existing.set({ name, type, geometry, isActive: true, updatedBy: actor ? actor._id : undefined });
+          await existing.save();
+          result.updated += 1;
+        } else {
+          await Zone.create({
+            name,
+            code,
+            type,
+            geometry,
+            createdBy: actor ? actor._id : undefined,
+            updatedBy: actor ? actor._id : undefined
+          });
+          result.created += 1;
+        }
+      } catch (error) {
+        // Invalid shapes (self-intersecting etc.) are rejected by the 2dsphere index
+        result.skipped.push({ index, name, reason: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ZoneService();
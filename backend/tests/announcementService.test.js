@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Announcement = require('../src/models/Announcement');
+const Notification = require('../src/models/Notification');
+const User = require('../src/models/User');
+const Issue = require('../src/models/Issue');
+const Zone = require('../src/models/Zone');
+const notificationService = require('../src/services/notificationService');
+const roleService = require('../src/services/roleService');
+const zoneService = require('../src/services/zoneService');
+const announcementService = require('../src/services/announcementService');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+// Query chains (find().select().lean()) resolving to `value`
+const chain = (value) => ({ select: () => chain(value), lean: async () => value, then: (resolve) => resolve(value) });
+
+// User.distinct over a set of active users; inactive ids are dropped by the final active filter
+const mockUsers = ({ active, covering = [] }) => jest.spyOn(User, 'distinct').mockImplementation(async (field, filter) => {
+  if (filter.zones) return covering;
+  if (filter._id && filter._id.$in) return filter._id.$in.filter(userId => active.includes(String(userId)));
+  return active;
+});
+
+describe('announcementService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('normalizeTarget', () => {
+    it('rejects unknown target types', async () => {
+      await expect(announcementService.normalizeTarget({ type: 'everyone' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('checks roles and departments exist', async () => {
+      jest.spyOn(roleService, 'roleExists').mockImplementation(async (role) => role === 'supervisor');
+
+      await expect(announcementService.normalizeTarget({ type: 'role', roles: ['supervisor', 'supervisor'] }))
+        .resolves.toEqual({ type: 'role', roles: ['supervisor'] });
+      await expect(announcementService.normalizeTarget({ type: 'role', roles: ['wizard'] }))
+        .rejects.toThrow('Unknown role: wizard');
+      await expect(announcementService.normalizeTarget({ type: 'department', departments: ['Space'] }))
+        .rejects.toThrow('Unknown department: Space');
+    });
+
+    it('caps the radius and checks the center', async () => {
+      await expect(announcementService.normalizeTarget({ type: 'radius', center: { latitude: 23.3, longitude: 85.3 }, radiusKm: '5' }))
+        .resolves.toEqual({ type: 'radius', center: { latitude: 23.3, longitude: 85.3 }, radiusKm: 5 });
+      await expect(announcementService.normalizeTarget({ type: 'radius', center: { latitude: 23.3, longitude: 85.3 }, radiusKm: 51 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(announcementService.normalizeTarget({ type: 'radius', center: { latitude: 95, longitude: 85.3 }, radiusKm: 5 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('only takes valid user ids', async () => {
+      await expect(announcementService.normalizeTarget({ type: 'users', users: ['not-an-id'] }))
+        .rejects.toThrow('Invalid user id');
+    });
+  });
+
+  describe('resolveRecipients', () => {
+    it('reaches active users with one of the roles', async () => {
+      const distinct = mockUsers({ active: ['a', 'b'] });
+
+      await expect(announcementService.resolveRecipients({ type: 'role', roles: ['supervisor'] })).resolves.toEqual(['a', 'b']);
+      expect(distinct).toHaveBeenCalledWith('_id', { role: { $in: ['supervisor'] }, isActive: true });
+    });
+
+    it('matches a department on either department field', async () => {
+      const distinct = mockUsers({ active: [] });
+
+      await announcementService.resolveRecipients({ type: 'department', departments: ['Electricity'] });
+
+      expect(distinct.mock.calls[0][1]).toEqual({
+        $or: [{ department: { $in: ['Electricity'] } }, { departments: { $in: ['Electricity'] } }],
+        isActive: true
+      });
+    });
+
+    it('reaches zone staff, reporters and residents of a zone, active only', async () => {
+      const [staff, reporter, resident, outsider, inactive] = [id(), id(), id(), id(), id()];
+      const zone = { _id: id(), geometry: {} };
+      mockUsers({ active: [staff, reporter, resident, outsider], covering: [staff, inactive] });
+      jest.spyOn(Zone, 'find').mockReturnValue(chain([zone]));
+      jest.spyOn(Issue, 'distinct').mockResolvedValue([reporter, reporter]);
+      jest.spyOn(User, 'find').mockReturnValue(chain([
+        { _id: resident, address: { coordinates: { latitude: 1, longitude: 1 } } },
+        { _id: outsider, baseLocation: { latitude: 9, longitude: 9 } }
+      ]));
+      jest.spyOn(zoneService, 'containsPoint').mockImplementation((z, latitude) => latitude === 1);
+
+      const recipients = await announcementService.resolveRecipients({ type: 'zone', zones: [zone._id] });
+
+      expect(recipients.sort()).toEqual([staff, reporter, resident].sort());
+    });
+
+    it('reaches users and issue reporters within the radius', async () => {
+      const [near, far, reporter] = [id(), id(), id()];
+      const center = { latitude: 23.3441, longitude: 85.3096 };
+      mockUsers({ active: [near, far, reporter] });
+      jest.spyOn(Issue, 'find').mockReturnValue(chain([
+        { reportedBy: reporter, location: { coordinates: { latitude: 23.35, longitude: 85.31 } } }
+      ]));
+      jest.spyOn(User, 'find').mockReturnValue(chain([
+        { _id: near, baseLocation: { latitude: 23.36, longitude: 85.32 } },
+        { _id: far, address: { coordinates: { latitude: 23.8, longitude: 86.4 } } }
+      ]));
+
+      const recipients = await announcementService.resolveRecipients({ type: 'radius', center, radiusKm: 5 });
+
+      expect(recipients.sort()).toEqual([reporter, near].sort());
+    });
+  });
+
+  describe('deliver', () => {
+    it('skips recipients that already have the notification', async () => {
+      const [done, pending] = [id(), id()];
+      const announcement = { _id: id(), title: 'Water cut', message: 'Tomorrow', channels: { email: false, sms: false, push: true } };
+      jest.spyOn(Notification, 'distinct').mockResolvedValue([done]);
+      const create = jest.spyOn(notificationService, 'createNotification').mockResolvedValue({});
+      const update = jest.spyOn(Announcement, 'updateOne').mockResolvedValue({});
+
+      const result = await announcementService.deliver(announcement, [done, pending]);
+
+      expect(result).toEqual({ recipients: 2, delivered: 1, failed: 0, takenOver: false });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ user: pending, sendPush: true }));
+      expect(update.mock.calls[0][1].$set.status).toBe('sent');
+    });
+
+    it('stops when another server claims the announcement partway through', async () => {
+      const recipients = Array.from({ length: 150 }, () => id());
+      const claimedAt = new Date('2026-03-02T10:00:00Z');
+      const announcement = { _id: id(), title: 'Water cut', message: 'Tomorrow', claimedAt, channels: {} };
+      jest.spyOn(Notification, 'distinct').mockResolvedValue([]);
+      const create = jest.spyOn(notificationService, 'createNotification').mockResolvedValue({});
+      // The renewal finds the claim changed: the job took the announcement as interrupted
+      const update = jest.spyOn(Announcement, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+      const result = await announcementService.deliver(announcement, recipients);
+
+      expect(result).toEqual({ recipients: 150, delivered: 100, failed: 0, takenOver: true });
+      expect(create).toHaveBeenCalledTimes(100);
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0]).toEqual({ _id: announcement._id, status: 'sending', claimedAt });
+    });
+
+    it('renews the claim between batches while it still holds it', async () => {
+      const recipients = Array.from({ length: 250 }, () => id());
+      const announcement = { _id: id(), claimedAt: new Date(), channels: {} };
+      jest.spyOn(Notification, 'distinct').mockResolvedValue([]);
+      jest.spyOn(notificationService, 'createNotification').mockResolvedValue({});
+      const update = jest.spyOn(Announcement, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+      const result = await announcementService.deliver(announcement, recipients);
+
+      expect(result).toMatchObject({ delivered: 250, takenOver: false });
+      // Two renewals, then the final status
+      expect(update).toHaveBeenCalledTimes(3);
+      expect(update.mock.calls[1][0].claimedAt).toBe(update.mock.calls[0][1].$set.claimedAt);
+    });
+
+    it('skips recipients a second sender reached first', async () => {
+      const [first, second] = [id(), id()];
+      jest.spyOn(Notification, 'distinct').mockResolvedValue([]);
+      jest.spyOn(notificationService, 'createNotification')
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+        .mockResolvedValueOnce({});
+      const update = jest.spyOn(Announcement, 'updateOne').mockResolvedValue({});
+
+      const result = await announcementService.deliver({ _id: id(), channels: {} }, [first, second]);
+
+      expect(result).toMatchObject({ delivered: 1, failed: 0 });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'sent', error: null });
+    });
+  });
+
+  describe('runDue', () => {
+    it('claims due and stalled announcements atomically before sending them', async () => {
+      const now = new Date('2026-03-02T10:00:00Z');
+      const announcement = { _id: id(), expiresAt: null };
+      jest.spyOn(Announcement, 'find')
+        .mockReturnValueOnce(chain([{ _id: announcement._id }]))
+        .mockReturnValueOnce(chain([]));
+      const claim = jest.spyOn(Announcement, 'findOneAndUpdate').mockResolvedValue(announcement);
+      const deliver = jest.spyOn(announcementService, 'deliver').mockResolvedValue({});
+
+      await expect(announcementService.runDue(now)).resolves.toEqual({ sent: 1, expired: 0 });
+
+      const [filter, change] = claim.mock.calls[0];
+      const stale = filter.$or.find(condition => condition.status === 'sending');
+      expect(stale.$or[0]).toEqual({ claimedAt: { $lte: new Date('2026-03-02T09:45:00Z') } });
+      expect(change).toEqual({ $set: { status: 'sending', claimedAt: now } });
+      expect(deliver).toHaveBeenCalledWith(announcement);
+    });
+
+    it('leaves announcements another server claimed', async () => {
+      jest.spyOn(Announcement, 'find')
+        .mockReturnValueOnce(chain([{ _id: id() }]))
+        .mockReturnValueOnce(chain([]));
+      jest.spyOn(Announcement, 'findOneAndUpdate').mockResolvedValue(null);
+      const deliver = jest.spyOn(announcementService, 'deliver');
+
+      await expect(announcementService.runDue()).resolves.toEqual({ sent: 0, expired: 0 });
+      expect(deliver).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    const admin = { _id: id(), role: 'admin' };
+
+    it('cancels a scheduled announcement only while it is still scheduled', async () => {
+      const cancelled = { _id: id(), status: 'cancelled' };
+      const update = jest.spyOn(Announcement, 'findOneAndUpdate').mockResolvedValueOnce(cancelled);
+
+      await expect(announcementService.cancel(cancelled._id, admin)).resolves.toBe(cancelled);
+      expect(update.mock.calls[0][0]).toEqual({ _id: cancelled._id, status: 'scheduled' });
+      expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'cancelled', cancelledBy: admin._id });
+    });
+
+    it('withdraws a sent announcement and hides its notifications', async () => {
+      const withdrawn = { _id: id(), status: 'withdrawn' };
+      jest.spyOn(Announcement, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce(withdrawn);
+      const hide = jest.spyOn(announcementService, 'deactivateNotifications').mockResolvedValue();
+
+      await expect(announcementService.cancel(withdrawn._id, admin)).resolves.toBe(withdrawn);
+      expect(hide).toHaveBeenCalledWith(withdrawn._id);
+    });
+
+    it('returns 409 while sending and 404 when missing', async () => {
+      jest.spyOn(Announcement, 'findOneAndUpdate').mockResolvedValue(null);
+      const find = jest.spyOn(Announcement, 'findById')
+        .mockReturnValueOnce(chain({ status: 'sending' }))
+        .mockReturnValueOnce(chain(null));
+
+      await expect(announcementService.cancel(id(), admin)).rejects.toMatchObject({ statusCode: 409 });
+      await expect(announcementService.cancel(id(), admin)).rejects.toMatchObject({ statusCode: 404 });
+      expect(find).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const User = require('../src/models/User');
+const notificationService = require('../src/services/notificationService');
+const roleService = require('../src/services/roleService');
+const assignmentService = require('../src/services/assignmentService');
+
+const employee = (n, fields = {}) => ({ _id: `64b0000000000000000000${n}`, name: `Employee ${n}`, isActive: true, ...fields });
+
+const candidate = (user, fields = {}) => ({
+  user,
+  openIssues: 0,
+  lastAssignedAt: null,
+  distanceKm: null,
+  offDuty: null,
+  backupFor: [],
+  ...fields
+});
+
+const issue = { _id: '64b000000000000000000099', category: 'Electricity' };
+
+describe('assignmentService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('picks one employee by default, so broadcasting is opt-in', () => {
+    expect(assignmentService.DEFAULT_STRATEGY).toBe('least-loaded');
+    expect(assignmentService.listStrategies().find(strategy => strategy.isDefault).name).toBe('least-loaded');
+  });
+
+  describe('getCandidates', () => {
+    afterEach(() => {
+      roleService.permissionsByRole = null;
+    });
+
+    it('considers custom roles working at field level', async () => {
+      roleService.permissionsByRole = new Map([
+        ['electrician', ['issue.work']],
+        ['report-viewer', ['analytics.view']]
+      ]);
+      const find = jest.spyOn(User, 'find').mockReturnValue({ select: async () => [] });
+
+      await assignmentService.getCandidates(issue);
+
+      expect(find.mock.calls[0][0].role.$in.sort()).toEqual(['electrician', 'employee', 'field-staff']);
+    });
+  });
+
+  describe('decide', () => {
+    it('offers the issue to every available employee when broadcasting', async () => {
+      const a = employee(10);
+      const b = employee(11);
+      const away = employee(12);
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([
+        candidate(a),
+        candidate(b),
+        candidate(away, { offDuty: { reason: 'On leave', backup: null } })
+      ]);
+
+      const decision = await assignmentService.decide(issue, 'broadcast');
+
+      expect(decision.strategy).toBe('broadcast');
+      expect(decision.chosen).toBeNull();
+      expect(decision.broadcastTo).toEqual([a, b]);
+      expect(decision.candidates[2]).toMatchObject({ available: false, unavailableReason: 'On leave' });
+    });
+
+    it('picks the employee with the fewest open issues', async () => {
+      const busy = employee(10);
+      const free = employee(11);
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([
+        candidate(busy, { openIssues: 4 }),
+        candidate(free, { openIssues: 1 })
+      ]);
+
+      const decision = await assignmentService.decide(issue, 'least-loaded');
+
+      expect(decision.chosen).toBe(free);
+      expect(decision.reason).toBe('Fewest open issues (1) among 2 available employee(s)');
+    });
+
+    it('picks the nearest employee and puts those without a location last', async () => {
+      const unknown = employee(10);
+      const far = employee(11);
+      const near = employee(12);
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([
+        candidate(unknown),
+        candidate(far, { distanceKm: 8.04 }),
+        candidate(near, { distanceKm: 1.26 })
+      ]);
+
+      const decision = await assignmentService.decide(issue, 'nearest');
+
+      expect(decision.chosen).toBe(near);
+      expect(decision.reason).toBe('Closest base location, 1.3 km from the issue');
+      expect(decision.candidates.map(c => c.rank)).toEqual([3, 2, 1]);
+    });
+
+    it('falls back to the whole department when nobody is available', async () => {
+      const inactive = employee(10, { isActive: false });
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([candidate(inactive)]);
+
+      const decision = await assignmentService.decide(issue, 'round-robin');
+
+      expect(decision.chosen).toBeNull();
+      expect(decision.broadcastTo).toEqual([inactive]);
+    });
+
+    it('rejects unknown strategies with a 400', async () => {
+      await expect(assignmentService.decide(issue, 'lottery')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('assignIssue', () => {
+    const makeIssue = () => ({
+      ...issue,
+      priority: 'medium',
+      assign: jest.fn().mockResolvedValue(),
+      setEscalationDeadline: jest.fn().mockResolvedValue(),
+      save: jest.fn().mockResolvedValue()
+    });
+
+    it('leaves a broadcast issue unassigned at field level and notifies everyone', async () => {
+      const a = employee(10);
+      const b = employee(11);
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([candidate(a), candidate(b)]);
+      const notify = jest.spyOn(notificationService, 'notifyIssueAssignment').mockResolvedValue();
+      const doc = makeIssue();
+
+      await assignmentService.assignIssue(doc, { strategy: 'broadcast' });
+
+      expect(doc.assign).not.toHaveBeenCalled();
+      expect(doc.assignedTo).toBeNull();
+      expect(doc.assignedRole).toBe('field-staff');
+      expect(doc.setEscalationDeadline).toHaveBeenCalledWith('field-staff');
+      expect(doc.save).toHaveBeenCalled();
+      expect(notify).toHaveBeenCalledTimes(2);
+    });
+
+    it('assigns the least loaded employee by default', async () => {
+      const chosen = employee(10);
+      jest.spyOn(assignmentService, 'getCandidates').mockResolvedValue([
+        candidate(employee(11), { openIssues: 3 }),
+        candidate(chosen, { openIssues: 1 })
+      ]);
+      const notify = jest.spyOn(notificationService, 'notifyIssueAssignment').mockResolvedValue();
+      const doc = makeIssue();
+
+      const decision = await assignmentService.assignIssue(doc);
+
+      expect(decision.chosen).toBe(chosen);
+      expect(doc.assign).toHaveBeenCalledWith(chosen._id, null, 'field-staff');
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify).toHaveBeenCalledWith(doc, chosen, chosen);
+      expect(doc.assignmentDecision).toMatchObject({ strategy: 'least-loaded', chosen: chosen._id });
+    });
+  });
+});
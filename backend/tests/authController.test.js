@@ -0,0 +1,54 @@
+const User = require('../src/models/User');
+const sessionService = require('../src/services/sessionService');
+const authController = require('../src/controllers/authController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const register = (body) => {
+  const res = response();
+  return authController.register({ body }, res).then(() => res);
+};
+
+describe('authController.register with existing details', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const existing = (fields) => {
+    const user = new User({ name: 'Existing', email: 'taken@example.com', mobile: '9876543210', ...fields });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockImplementation(async (query) => (query.$or ? user : null));
+    return user;
+  };
+
+  it.each([
+    ['an admin', { role: 'admin', isVerified: true }],
+    ['an employee', { role: 'field-staff', isVerified: true }],
+    ['an unverified employee', { role: 'supervisor', isVerified: false }],
+    ['a verified citizen', { role: 'citizen', isVerified: true }]
+  ])('does not take over %s account', async (label, fields) => {
+    const user = existing(fields);
+    const startSession = jest.spyOn(sessionService, 'startSession');
+
+    const res = await register({ name: 'Attacker', email: 'taken@example.com', password: 'Hijack123' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.save).not.toHaveBeenCalled();
+    expect(user.role).toBe(fields.role);
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  it('completes an unverified citizen account', async () => {
+    const user = existing({ role: 'citizen', isVerified: false });
+    jest.spyOn(sessionService, 'startSession').mockResolvedValue({ token: 't', refreshToken: 'r' });
+
+    const res = await register({ name: 'Asha', mobile: '9876543210', password: 'Secret123' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(user.save).toHaveBeenCalled();
+    expect(user.name).toBe('Asha');
+  });
+});
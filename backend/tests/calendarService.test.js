@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const WorkingCalendar = require('../src/models/WorkingCalendar');
+const Holiday = require('../src/models/Holiday');
+const calendarService = require('../src/services/calendarService');
+const calendarController = require('../src/controllers/calendarController');
+const { validateHoliday } = require('../src/middleware/validation');
+
+// Friday 6 March 2026, 17:00 in Asia/Kolkata
+const FRIDAY_5PM = new Date('2026-03-06T11:30:00Z');
+
+const useCalendar = (holidays = []) => {
+  jest.spyOn(WorkingCalendar, 'find').mockResolvedValue([]);
+  jest.spyOn(Holiday, 'find').mockResolvedValue(holidays.map(holiday => new Holiday(holiday)));
+};
+
+describe('calendarService', () => {
+  beforeEach(() => calendarService.clearCache());
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts only office hours for low and medium priority issues', async () => {
+    useCalendar();
+
+    const result = await calendarService.explain(FRIDAY_5PM, 3, { department: 'Electricity', priority: 'medium' });
+
+    // One hour on Friday, two on Saturday morning
+    expect(result.mode).toBe('business-hours');
+    expect(result.deadline).toEqual(new Date('2026-03-07T06:30:00Z'));
+  });
+
+  it('skips holidays and closed days', async () => {
+    useCalendar([{ name: 'Local holiday', date: '2026-03-07' }]);
+
+    const result = await calendarService.explain(FRIDAY_5PM, 3, { department: 'Electricity', priority: 'medium' });
+
+    expect(result.deadline).toEqual(new Date('2026-03-09T06:30:00Z'));
+    expect(result.skipped).toEqual([
+      { date: '2026-03-07', reason: 'holiday', name: 'Local holiday' },
+      { date: '2026-03-08', reason: 'closed' }
+    ]);
+  });
+
+  it('ignores holidays of other departments', async () => {
+    useCalendar([{ name: 'Depot day', date: '2026-03-07', departments: ['Water & Drainage'] }]);
+
+    const result = await calendarService.explain(FRIDAY_5PM, 3, { department: 'Electricity', priority: 'medium' });
+
+    expect(result.deadline).toEqual(new Date('2026-03-07T06:30:00Z'));
+  });
+
+  it('matches recurring holidays in any year', async () => {
+    useCalendar([{ name: 'Yearly', date: '2020-03-07', recurring: true }]);
+
+    const result = await calendarService.explain(FRIDAY_5PM, 3, { department: 'Electricity', priority: 'medium' });
+
+    expect(result.deadline).toEqual(new Date('2026-03-09T06:30:00Z'));
+  });
+
+  it('uses wall-clock hours for urgent issues', async () => {
+    useCalendar();
+
+    const result = await calendarService.explain(FRIDAY_5PM, 3, { department: 'Electricity', priority: 'urgent' });
+
+    expect(result.mode).toBe('wall-clock');
+    expect(result.deadline).toEqual(new Date('2026-03-06T14:30:00Z'));
+  });
+
+  it('measures elapsed business hours', async () => {
+    useCalendar();
+
+    const hours = await calendarService.businessHoursBetween(FRIDAY_5PM, new Date('2026-03-07T06:30:00Z'), {
+      department: 'Electricity',
+      priority: 'medium'
+    });
+
+    expect(hours).toBe(3);
+  });
+});
+
+describe('validateHoliday', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/holidays', validateHoliday, (req, res) => res.status(201).json({ success: true }));
+  app.post('/holidays/save', (req, res, next) => {
+    req.user = { _id: '64b000000000000000000001' };
+    next();
+  }, validateHoliday, calendarController.createHoliday);
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts a valid date', async () => {
+    await request(app).post('/holidays').send({ name: 'Holi', date: '2026-03-04' }).expect(201);
+  });
+
+  it.each(['2026-02-30', '2026-13-01', '04-03-2026'])('rejects %s with a 400', async (date) => {
+    const res = await request(app).post('/holidays').send({ name: 'Holi', date }).expect(400);
+
+    expect(res.body.success).toBe(false);
+  });
+
+  it('returns 400 when the holiday fails model validation', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/holidays/save')
+      .send({ name: 'Holi', date: '2026-03-04', departments: ['Not a department'] })
+      .expect(400);
+
+    expect(res.body.message).toMatch(/^Validation error/);
+  });
+});
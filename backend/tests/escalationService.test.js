@@ -0,0 +1,52 @@
+const Issue = require('../src/models/Issue');
+const notificationService = require('../src/services/notificationService');
+const escalationService = require('../src/services/escalationService');
+
+const issue = { _id: '64b000000000000000000050', assignedTo: '64b000000000000000000002', assignedRole: 'field-staff' };
+
+describe('escalationService.sendPreBreachWarnings', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Issue, 'find').mockResolvedValue([issue]);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the warning before sending it', async () => {
+    const update = jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const notify = jest.spyOn(notificationService, 'notifySlaWarning').mockResolvedValue();
+
+    await expect(escalationService.sendPreBreachWarnings()).resolves.toEqual({ checked: 1, warned: 1 });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith(issue, [issue.assignedTo]);
+  });
+
+  it('skips warnings another run claimed', async () => {
+    jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const notify = jest.spyOn(notificationService, 'notifySlaWarning');
+
+    await expect(escalationService.sendPreBreachWarnings()).resolves.toEqual({ checked: 1, warned: 0 });
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('gives the claim back when the warning cannot be sent', async () => {
+    const update = jest.spyOn(Issue, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(notificationService, 'notifySlaWarning').mockRejectedValue(new Error('SMTP down'));
+
+    await expect(escalationService.sendPreBreachWarnings()).resolves.toEqual({ checked: 1, warned: 0 });
+
+    const [claimFilter, claim] = update.mock.calls[0];
+    const [releaseFilter, release] = update.mock.calls[1];
+    expect(releaseFilter).toEqual({ _id: issue._id, 'sla.warningSentAt': claim.$set['sla.warningSentAt'] });
+    expect(release).toEqual({ $set: { 'sla.warningSentAt': null } });
+    expect(claimFilter['sla.warningSentAt']).toBeNull();
+  });
+
+  it('passes notification failures on to the job', async () => {
+    jest.spyOn(notificationService, 'createNotification').mockRejectedValue(new Error('SMTP down'));
+
+    await expect(notificationService.notifySlaWarning({ _id: issue._id, title: 'Pothole' }, [issue.assignedTo]))
+      .rejects.toThrow('SMTP down');
+  });
+});
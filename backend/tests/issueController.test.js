@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Issue = require('../src/models/Issue');
+const issueController = require('../src/controllers/issueController');
+
+const reporter = { _id: new mongoose.Types.ObjectId(), role: 'citizen' };
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('issueController.updateIssue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('changes only the editable fields', async () => {
+    const employee = new mongoose.Types.ObjectId();
+    const issue = new Issue({ title: 'Pothole', description: 'Deep pothole on the main road', category: 'Road & Traffic', reportedBy: reporter._id });
+    jest.spyOn(issue, 'save').mockResolvedValue(issue);
+    jest.spyOn(Issue, 'findById').mockResolvedValue(issue);
+    const res = response();
+
+    await issueController.updateIssue({
+      params: { id: issue._id.toString() },
+      user: reporter,
+      body: {
+        title: 'Large pothole',
+        acceptedBy: employee,
+        assignedTo: employee,
+        reopenCount: 3,
+        reopenHistory: [{ reopenedBy: reporter._id, resolvedBy: employee, reason: 'Made up' }],
+        pointsAwarded: true,
+        sla: { hours: 1000 }
+      }
+    }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(issue.title).toBe('Large pothole');
+    expect(issue.acceptedBy).toBeFalsy();
+    expect(issue.assignedTo).toBeFalsy();
+    expect(issue.reopenCount || 0).toBe(0);
+    expect(issue.reopenHistory).toHaveLength(0);
+    expect(issue.pointsAwarded).toBeFalsy();
+    expect(issue.sla?.hours).toBeFalsy();
+  });
+
+  it('refuses users other than the reporter', async () => {
+    const issue = new Issue({ title: 'Pothole', description: 'Deep pothole on the main road', category: 'Road & Traffic', reportedBy: reporter._id });
+    jest.spyOn(Issue, 'findById').mockResolvedValue(issue);
+    const res = response();
+
+    await issueController.updateIssue({
+      params: { id: issue._id.toString() },
+      user: { _id: new mongoose.Types.ObjectId(), role: 'citizen' },
+      body: { title: 'Mine now' }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(issue.title).toBe('Pothole');
+  });
+});
@@ -0,0 +1,25 @@
+const en = require('../src/locales/en');
+
+// Every text of a catalogue as [path, value]
+const flatten = (catalogue, prefix = '') => Object.entries(catalogue).flatMap(([key, value]) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? flatten(value, `${prefix}${key}.`)
+    : [[`${prefix}${key}`, value]]
+));
+
+const variables = (text) => (String(text).match(/{{[^}]+}}/g) || []).sort();
+
+describe.each(['hi', 'sat', 'nag'])('%s catalogue', (language) => {
+  const texts = new Map(flatten(require(`../src/locales/${language}`)));
+
+  it('has every English text', () => {
+    expect(flatten(en).map(([key]) => key).filter(key => !texts.has(key))).toEqual([]);
+  });
+
+  it('uses the same variables as English', () => {
+    const mismatched = flatten(en)
+      .filter(([key, text]) => JSON.stringify(variables(text)) !== JSON.stringify(variables(texts.get(key))))
+      .map(([key]) => key);
+    expect(mismatched).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const otpService = require('../src/services/otpService');
+
+jest.mock('../src/config/database', () => () => new Promise(() => {}));
+
+const makeUser = (fields = {}) => {
+  const user = new User({ name: 'Asha', mobile: '9876543210', role: 'citizen', ...fields });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+describe('otpService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('issue', () => {
+    it('stores only a hash of the code', async () => {
+      const user = makeUser();
+
+      const otp = await otpService.issue(user, 'login');
+
+      expect(otp).toMatch(/^\d{6}$/);
+      expect(user.otp.code).not.toContain(otp);
+      expect(user.otp.purpose).toBe('login');
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('enforces the resend cooldown', async () => {
+      const user = makeUser();
+      await otpService.issue(user, 'login');
+
+      await expect(otpService.issue(user, 'login')).rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('refuses new codes while the account is locked', async () => {
+      const user = makeUser({ otpLockedUntil: new Date(Date.now() + 10 * 60 * 1000) });
+
+      await expect(otpService.issue(user, 'login')).rejects.toMatchObject({ statusCode: 429, retryAfter: 600 });
+    });
+  });
+
+  describe('verify', () => {
+    it('consumes a correct code with a conditional update', async () => {
+      const user = makeUser();
+      const otp = await otpService.issue(user, 'login');
+      const code = user.otp.code;
+      const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ _id: user._id });
+
+      await expect(otpService.verify(user, otp, 'login')).resolves.toBe(true);
+
+      const [filter, change] = update.mock.calls[0];
+      expect(filter).toMatchObject({ _id: user._id, 'otp.code': code });
+      expect(filter.$or).toBeDefined();
+      expect(change).toMatchObject({ $unset: { otp: 1 }, $set: { otpFailedAttempts: 0, otpLockedUntil: null } });
+      expect(user.otp?.code).toBeUndefined();
+    });
+
+    it('rejects a code that a parallel request already used', async () => {
+      const user = makeUser();
+      const otp = await otpService.issue(user, 'login');
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(otpService.verify(user, otp, 'login')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invalid or expired OTP'
+      });
+    });
+
+    it('does not accept a code issued for another purpose', async () => {
+      const user = makeUser();
+      const otp = await otpService.issue(user, 'registration');
+      const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpFailedAttempts: 1 });
+
+      await expect(otpService.verify(user, otp, 'login')).rejects.toMatchObject({ statusCode: 400 });
+      expect(update).toHaveBeenCalledWith({ _id: user._id }, { $inc: { otpFailedAttempts: 1 } }, expect.anything());
+    });
+
+    it('does not accept a phone-change code for another number', async () => {
+      const user = makeUser();
+      const otp = await otpService.issue(user, 'phone-change', { target: '9000000001' });
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpFailedAttempts: 1 });
+
+      await expect(otpService.verify(user, otp, 'phone-change', { target: '9000000002' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('counts wrong codes in the database', async () => {
+      const user = makeUser();
+      await otpService.issue(user, 'login');
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpFailedAttempts: 2 });
+
+      await expect(otpService.verify(user, '000000', 'login')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invalid or expired OTP. 3 attempt(s) left.'
+      });
+    });
+
+    it('locks the account once the failures reach the limit', async () => {
+      const user = makeUser();
+      await otpService.issue(user, 'login');
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ otpFailedAttempts: 5 });
+      const lock = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(otpService.verify(user, '000000', 'login')).rejects.toMatchObject({ statusCode: 429, retryAfter: 900 });
+
+      const [, change] = lock.mock.calls[0];
+      expect(change.$unset).toEqual({ otp: 1 });
+      expect(change.$set.otpLockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    });
+
+    it('refuses even a correct code while locked', async () => {
+      const user = makeUser();
+      const otp = await otpService.issue(user, 'login');
+      user.otpLockedUntil = new Date(Date.now() + 60 * 1000);
+      const update = jest.spyOn(User, 'findOneAndUpdate');
+
+      await expect(otpService.verify(user, otp, 'login')).rejects.toMatchObject({ statusCode: 429 });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('POST /api/auth/verify-otp rate limit', () => {
+  const app = require('../src/app');
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('limits guesses per account rather than per IP', async () => {
+    const guess = (aadhaarNumber) => request(app)
+      .post('/api/auth/verify-otp')
+      .send({ aadhaarNumber, otp: '123456' });
+
+    for (let i = 0; i < 10; i++) {
+      expect((await guess('123456789012')).status).not.toBe(429);
+    }
+    expect((await guess('123456789012')).status).toBe(429);
+    expect((await guess('210987654321')).status).not.toBe(429);
+  });
+});
@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const Role = require('../src/models/Role');
+const roleService = require('../src/services/roleService');
+const { requirePermission } = require('../src/middleware/auth');
+
+const superAdmin = { _id: '64b000000000000000000001', role: 'super-admin' };
+const admin = { _id: '64b000000000000000000002', role: 'admin' };
+
+// Roles as the cache would hold them after load()
+const useRoles = (custom = {}) => {
+  roleService.permissionsByRole = new Map([
+    ...Object.entries(roleService.SYSTEM_ROLES).map(([name, role]) => [name, role.permissions]),
+    ...Object.entries(custom)
+  ]);
+  roleService.twoFactorRoles = new Set();
+  roleService.loadedAt = Date.now();
+};
+
+describe('roleService', () => {
+  beforeEach(() => useRoles({
+    electrician: ['issue.work', 'issue.escalate'],
+    'report-viewer': ['analytics.view'],
+    'user-manager': ['user.manage', 'analytics.view']
+  }));
+
+  afterEach(() => {
+    roleService.permissionsByRole = null;
+    roleService.loadedAt = 0;
+    jest.restoreAllMocks();
+  });
+
+  describe('can', () => {
+    it('gives custom roles exactly their permissions', () => {
+      expect(roleService.can({ role: 'report-viewer' }, 'analytics.view')).toBe(true);
+      expect(roleService.can({ role: 'report-viewer' }, 'issue.manage')).toBe(false);
+      expect(roleService.can({ role: 'unknown-role' }, 'analytics.view')).toBe(false);
+      expect(roleService.can(null, 'analytics.view')).toBe(false);
+    });
+
+    it('gives super-admins every permission and keeps role and admin management from admins', () => {
+      expect(roleService.can(superAdmin, 'role.manage')).toBe(true);
+      expect(roleService.can(admin, 'user.manage')).toBe(true);
+      expect(roleService.can(admin, 'role.manage')).toBe(false);
+      expect(roleService.can(admin, 'admin.manage')).toBe(false);
+    });
+  });
+
+  describe('escalation guards', () => {
+    it('rejects "*" in custom roles', () => {
+      expect(() => roleService.validatePermissions(['*'])).toThrow('reserved for the super-admin role');
+      expect(() => roleService.validatePermissions(['issue.fly'])).toThrow('Unknown permission(s): issue.fly');
+    });
+
+    it('stops an actor granting permissions they do not have', () => {
+      const manager = { role: 'user-manager' };
+
+      expect(() => roleService.assertWithinActor(manager, ['analytics.view'])).not.toThrow();
+      expect(() => roleService.assertWithinActor(manager, ['analytics.view', 'role.manage']))
+        .toThrow(expect.objectContaining({ statusCode: 403, message: expect.stringContaining('role.manage') }));
+      expect(() => roleService.assertWithinActor(superAdmin, ['role.manage', 'admin.manage'])).not.toThrow();
+    });
+
+    it('stops an actor handing out a role with more access than their own', async () => {
+      await expect(roleService.assertCanAssign({ role: 'user-manager' }, 'admin')).rejects.toMatchObject({ statusCode: 403 });
+      await expect(roleService.assertCanAssign(admin, 'super-admin')).rejects.toMatchObject({ statusCode: 403 });
+      await expect(roleService.assertCanAssign(admin, 'electrician')).resolves.toBeUndefined();
+    });
+
+    it('refuses to create a role beyond the actor before saving it', async () => {
+      jest.spyOn(Role, 'exists').mockResolvedValue(null);
+      const create = jest.spyOn(Role, 'create');
+
+      await expect(roleService.createRole({ name: 'role-admin', permissions: ['role.manage'] }, admin))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('employee roles', () => {
+    it('counts custom roles with issue.work as employees at field level', () => {
+      expect(roleService.isEmployeeRole('supervisor')).toBe(true);
+      expect(roleService.isEmployeeRole('electrician')).toBe(true);
+      expect(roleService.isEmployeeRole('report-viewer')).toBe(false);
+      expect(roleService.isEmployeeRole('admin')).toBe(false);
+      expect(roleService.employeeRoles()).toEqual([...roleService.EMPLOYEE_LEVELS, 'electrician']);
+      expect(roleService.levelOf('electrician')).toBe('field-staff');
+      expect(roleService.levelOf('commissioner')).toBe('commissioner');
+    });
+  });
+
+  describe('requirePermission', () => {
+    const appFor = (user) => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+      app.get('/reports', requirePermission('analytics.view'), (req, res) => res.json({ success: true }));
+      return app;
+    };
+
+    it('lets a custom role through on the permissions it has', async () => {
+      await request(appFor({ role: 'report-viewer' })).get('/reports').expect(200);
+    });
+
+    it('turns away roles without the permission', async () => {
+      const res = await request(appFor({ role: 'electrician' })).get('/reports').expect(403);
+
+      expect(res.body.message).toBe('Access denied. Requires the analytics.view permission.');
+    });
+
+    it('asks for two-factor set-up when the role requires it', async () => {
+      roleService.twoFactorRoles = new Set(['report-viewer']);
+
+      const res = await request(appFor({ role: 'report-viewer', twoFactor: { enabled: false } })).get('/reports').expect(403);
+
+      expect(res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const pushService = require('../src/services/pushService');
+const realtimeService = require('../src/services/realtimeService');
+const sessionService = require('../src/services/sessionService');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Sessions kept in memory in place of the collection
+let store;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key] ?? null) === String(value));
+
+beforeEach(() => {
+  store = new Map();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    store.set(this._id.toString(), this.toObject());
+    return this;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => {
+    const doc = store.get(String(id));
+    return doc ? Session.hydrate({ ...doc }) : null;
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = store.get(String(filter._id));
+    if (!doc || !matches(doc, { ...filter, _id: doc._id })) return null;
+    Object.assign(doc, update);
+    return Session.hydrate({ ...doc });
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = store.get(String(filter._id));
+    if (doc) Object.assign(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: userId, isActive: true }) });
+  jest.spyOn(realtimeService, 'disconnectSession').mockImplementation(() => {});
+  jest.spyOn(pushService, 'removeSessionDevices').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('sessionService', () => {
+  it('swaps a refresh token for a new pair', async () => {
+    const { refreshToken, session } = await sessionService.startSession(userId);
+
+    const tokens = await sessionService.rotate(refreshToken);
+
+    expect(tokens.refreshToken).not.toBe(refreshToken);
+    expect(store.get(session._id.toString()).refreshJti).not.toBe(session.refreshJti);
+    expect(store.get(session._id.toString()).revokedAt).toBeFalsy();
+  });
+
+  it('revokes the session when an old refresh token is replayed', async () => {
+    const { refreshToken, session } = await sessionService.startSession(userId);
+    const rotated = await sessionService.rotate(refreshToken);
+
+    await expect(sessionService.rotate(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(store.get(session._id.toString())).toMatchObject({ revokedReason: 'reuse-detected' });
+    expect(realtimeService.disconnectSession).toHaveBeenCalledWith(session._id);
+    expect(pushService.removeSessionDevices).toHaveBeenCalledWith(session._id);
+    // The newest token belongs to the revoked session too
+    await expect(sessionService.rotate(rotated.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('lets only one of two parallel rotations with the same token win', async () => {
+    const { refreshToken, session } = await sessionService.startSession(userId);
+
+    const results = await Promise.allSettled([
+      sessionService.rotate(refreshToken),
+      sessionService.rotate(refreshToken)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(store.get(session._id.toString()).revokedReason).toBe('reuse-detected');
+  });
+
+  it('rejects tokens that are not refresh tokens', async () => {
+    const { token } = await sessionService.startSession(userId);
+
+    await expect(sessionService.rotate(token)).rejects.toMatchObject({ statusCode: 401, message: 'Invalid refresh token' });
+    await expect(sessionService.rotate('garbage')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('ends every session of a deactivated user', async () => {
+    const { refreshToken } = await sessionService.startSession(userId);
+    User.findById.mockReturnValue({ select: async () => ({ _id: userId, isActive: false }) });
+    const revokeAll = jest.spyOn(sessionService, 'revokeAll').mockResolvedValue(1);
+
+    await expect(sessionService.rotate(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    expect(revokeAll).toHaveBeenCalledWith(userId.toString(), 'deactivated');
+  });
+});
@@ -0,0 +1,66 @@
+const SlaPolicy = require('../src/models/SlaPolicy');
+const calendarService = require('../src/services/calendarService');
+const slaService = require('../src/services/slaService');
+
+describe('slaService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('resolveHours', () => {
+    it('uses the most specific active policy', async () => {
+      jest.spyOn(SlaPolicy, 'find').mockResolvedValue([
+        { _id: 'any', hours: 12, version: 1, category: null, ward: null },
+        { _id: 'ward', hours: 4, version: 3, category: 'roads', ward: 'Ward 5', warningPercent: 50 },
+        { _id: 'category', hours: 8, version: 2, category: 'roads', ward: null }
+      ]);
+
+      const resolved = await slaService.resolveHours({ category: 'roads', priority: 'high', role: 'field-staff', ward: 'Ward 5' });
+
+      expect(resolved).toEqual({ hours: 4, warningPercent: 50, policyId: 'ward', version: 3, source: 'policy' });
+    });
+
+    it('falls back to the default hours when no policy matches', async () => {
+      jest.spyOn(SlaPolicy, 'find').mockResolvedValue([]);
+
+      const resolved = await slaService.resolveHours({ category: 'roads', priority: 'low', role: 'supervisor' });
+
+      expect(resolved.source).toBe('default');
+      expect(resolved.hours).toBe(slaService.DEFAULT_SLA_HOURS.low.supervisor);
+      expect(resolved.warningPercent).toBe(slaService.DEFAULT_WARNING_PERCENT);
+    });
+
+    it('has no deadline for commissioners', async () => {
+      const find = jest.spyOn(SlaPolicy, 'find');
+
+      const resolved = await slaService.resolveHours({ category: 'roads', priority: 'urgent', role: 'commissioner' });
+
+      expect(resolved).toMatchObject({ hours: null, source: 'none' });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('computeDeadline', () => {
+    it('counts the deadline and the warning in business hours', async () => {
+      jest.spyOn(SlaPolicy, 'find').mockResolvedValue([{ _id: 'p', hours: 8, version: 1, warningPercent: 75 }]);
+      const deadline = new Date('2026-03-03T12:00:00Z');
+      const warningAt = new Date('2026-03-03T10:00:00Z');
+      const explain = jest.spyOn(calendarService, 'explain').mockResolvedValue({ deadline, mode: 'business' });
+      const addBusinessHours = jest.spyOn(calendarService, 'addBusinessHours').mockResolvedValue(warningAt);
+      const startAt = new Date('2026-03-02T09:00:00Z');
+
+      const result = await slaService.computeDeadline({ category: 'roads', priority: 'medium', role: 'field-staff' }, startAt);
+
+      expect(explain).toHaveBeenCalledWith(startAt, 8, { department: 'roads', priority: 'medium' });
+      expect(addBusinessHours).toHaveBeenCalledWith(startAt, 6, { department: 'roads', priority: 'medium' });
+      expect(result).toMatchObject({ deadline, warningAt, hours: 8, policyId: 'p', mode: 'business' });
+    });
+
+    it('returns no deadline when the role has no SLA', async () => {
+      const explain = jest.spyOn(calendarService, 'explain');
+
+      const result = await slaService.computeDeadline({ category: 'roads', priority: 'medium', role: 'commissioner' });
+
+      expect(result).toMatchObject({ deadline: null, warningAt: null, mode: null });
+      expect(explain).not.toHaveBeenCalled();
+    });
+  });
+});
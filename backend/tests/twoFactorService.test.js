@@ -0,0 +1,133 @@
+const request = require('supertest');
+const User = require('../src/models/User');
+const twoFactorService = require('../src/services/twoFactorService');
+
+jest.mock('../src/config/database', () => () => new Promise(() => {}));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / twoFactorService.TOTP_STEP_SECONDS);
+
+// A user with two-factor on, enrolled through setup and enable
+const enrolledUser = async () => {
+  const user = new User({ name: 'Ravi', email: 'ravi@example.com', role: 'field-staff' });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+
+  const { secret } = await twoFactorService.setup(user._id);
+  const recoveryCodes = await twoFactorService.enable(user._id, twoFactorService.generateCode(secret));
+  return { user, secret, recoveryCodes };
+};
+
+describe('twoFactorService', () => {
+  // One clock for the whole test, so a code cannot move to the next step half-way through
+  beforeEach(() => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('enrols with a code from the app and hands out recovery codes once', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  it('consumes a TOTP step with a conditional update', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactor.lastUsedStep = currentStep() - 2;
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ _id: user._id });
+
+    await twoFactorService.verify(user, { code: twoFactorService.generateCode(secret) });
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter.$and[1]).toEqual({
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: currentStep() } }]
+    });
+    expect(change.$set['twoFactor.lastUsedStep']).toBe(currentStep());
+    expect(user.twoFactor.lastUsedStep).toBe(currentStep());
+  });
+
+  it('refuses a replayed code', async () => {
+    const { user, secret } = await enrolledUser();
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ twoFactor: { failedAttempts: 1 } });
+
+    // enable already used the current step
+    await expect(twoFactorService.verify(user, { code: twoFactorService.generateCode(secret) }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(update).toHaveBeenCalledWith({ _id: user._id }, { $inc: { 'twoFactor.failedAttempts': 1 } }, expect.anything());
+  });
+
+  it('refuses a code a parallel request used first', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactor.lastUsedStep = currentStep() - 2;
+    jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ twoFactor: { failedAttempts: 1 } });
+
+    await expect(twoFactorService.verify(user, { code: twoFactorService.generateCode(secret) }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('uses up a recovery code', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const remaining = user.twoFactor.recoveryCodes.slice(1);
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ twoFactor: { recoveryCodes: remaining } });
+
+    await twoFactorService.verify(user, { recoveryCode: recoveryCodes[0].toUpperCase() });
+
+    expect(update.mock.calls[0][1].$pull).toBeDefined();
+    expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+  });
+
+  it('locks the second step after too many wrong codes', async () => {
+    const { user } = await enrolledUser();
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ twoFactor: { failedAttempts: 5 } });
+    const lock = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(twoFactorService.verify(user, { code: '000000' })).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(lock.mock.calls[0][1].$set['twoFactor.lockedUntil'].getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('refuses every code while locked', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactor.lockedUntil = new Date(Date.now() + 60 * 1000);
+    const update = jest.spyOn(User, 'findOneAndUpdate');
+
+    await expect(twoFactorService.verify(user, { code: twoFactorService.generateCode(secret) }))
+      .rejects.toMatchObject({ statusCode: 429 });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/login with two-factor', () => {
+  const app = require('../src/app');
+
+  const signIn = (user) => {
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => user });
+    return request(app).post('/api/auth/login').send({ email: user.email, password: 'Secret123' });
+  };
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('asks for the second factor instead of issuing tokens', async () => {
+    const user = new User({ name: 'Ravi', email: 'ravi@example.com', role: 'citizen', twoFactor: { enabled: true } });
+
+    const res = await signIn(user).expect(200);
+
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.challengeToken).toBeDefined();
+    expect(res.body.data.token).toBeUndefined();
+  });
+
+  it('sends admins to the admin login', async () => {
+    const user = new User({ name: 'Root', email: 'root@example.com', role: 'admin' });
+
+    const res = await signIn(user).expect(403);
+
+    expect(res.body.data).toBeUndefined();
+  });
+});
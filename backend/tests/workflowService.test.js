@@ -0,0 +1,123 @@
+const Issue = require('../src/models/Issue');
+const roleService = require('../src/services/roleService');
+const workflowService = require('../src/services/workflowService');
+
+const id = (n) => `64b0000000000000000000${String(n).padStart(2, '0')}`;
+
+const citizen = { _id: id(1), role: 'citizen' };
+const fieldStaff = { _id: id(2), role: 'field-staff' };
+const otherStaff = { _id: id(3), role: 'field-staff' };
+const admin = { _id: id(4), role: 'admin' };
+
+const makeIssue = (fields = {}) => ({
+  _id: id(50),
+  status: 'reported',
+  category: 'Electricity',
+  reportedBy: citizen._id,
+  acceptedBy: null,
+  assignedTo: null,
+  reopenHistory: [],
+  $locals: {},
+  ...fields
+});
+
+const expectStatusCode = (fn, statusCode) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error.statusCode).toBe(statusCode);
+    return error;
+  }
+  throw new Error('Expected a workflow error');
+};
+
+describe('workflowService', () => {
+  afterEach(() => {
+    roleService.permissionsByRole = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('check', () => {
+    it('refuses moves that are not in the transition table', () => {
+      const error = expectStatusCode(() => workflowService.check(makeIssue({ status: 'closed' }), 'accept', fieldStaff), 400);
+
+      expect(error.message).toBe("Cannot change status from 'closed' to 'in-progress'");
+    });
+
+    it('refuses actions the role may not perform', () => {
+      expectStatusCode(() => workflowService.check(makeIssue(), 'dismiss', citizen, { reason: 'spam' }), 403);
+      expectStatusCode(() => workflowService.check(makeIssue(), 'accept', citizen), 403);
+    });
+
+    it('requires a reason where the transition asks for one', () => {
+      expectStatusCode(() => workflowService.check(makeIssue(), 'dismiss', admin, { reason: '  ' }), 400);
+      expect(workflowService.check(makeIssue(), 'dismiss', admin, { reason: 'Duplicate' }).to).toBe('closed');
+    });
+
+    it('keeps issues assigned to someone else for them', () => {
+      expectStatusCode(() => workflowService.check(makeIssue({ assignedTo: otherStaff._id }), 'accept', fieldStaff), 403);
+      expectStatusCode(() => workflowService.check(makeIssue({ acceptedBy: otherStaff._id }), 'accept', fieldStaff), 400);
+    });
+
+    it('lets only the accepting employee or an issue manager resolve', () => {
+      const issue = makeIssue({ status: 'in-progress', acceptedBy: otherStaff._id });
+
+      expectStatusCode(() => workflowService.check(issue, 'resolve', fieldStaff), 403);
+      expect(workflowService.check(issue, 'resolve', otherStaff).to).toBe('resolved');
+      expect(workflowService.check(issue, 'resolve', admin).to).toBe('resolved');
+    });
+
+    it('treats merged issues as read-only', () => {
+      expectStatusCode(() => workflowService.check(makeIssue({ mergedInto: id(51) }), 'accept', fieldStaff), 409);
+    });
+
+    it('lets only the reporter reopen, within the reopen window', () => {
+      const recent = makeIssue({ status: 'resolved', resolvedAt: new Date() });
+      const old = makeIssue({ status: 'resolved', resolvedAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) });
+      const stranger = { _id: id(9), role: 'citizen' };
+
+      expect(workflowService.check(recent, 'reopen', citizen, { reason: 'Still broken' }).to).toBe('in-progress');
+      expectStatusCode(() => workflowService.check(recent, 'reopen', stranger, { reason: 'Still broken' }), 403);
+      expectStatusCode(() => workflowService.check(old, 'reopen', citizen, { reason: 'Still broken' }), 400);
+    });
+
+    it('runs custom employee roles at field-staff level', () => {
+      roleService.permissionsByRole = new Map([['electrician', ['issue.work']], ['auditor', ['issue.view']]]);
+
+      expect(workflowService.roleOf({ role: 'electrician' })).toBe('field-staff');
+      expect(workflowService.check(makeIssue(), 'accept', { _id: id(5), role: 'electrician' }).to).toBe('in-progress');
+      expectStatusCode(() => workflowService.check(makeIssue(), 'accept', { _id: id(6), role: 'auditor' }), 403);
+    });
+  });
+
+  describe('apply', () => {
+    it('changes the status and records who made the change', () => {
+      const issue = makeIssue({ status: 'in-progress' });
+
+      const { fromStatus } = workflowService.apply(issue, 'dismiss', admin, { reason: 'Duplicate' });
+
+      expect(fromStatus).toBe('in-progress');
+      expect(issue.status).toBe('closed');
+      expect(issue.closedAt).toBeInstanceOf(Date);
+      expect(issue.$locals.statusChange).toMatchObject({ status: 'closed', changedBy: admin._id, reason: 'Duplicate' });
+    });
+
+    it('finds the manual action for a requested status', () => {
+      const issue = makeIssue({ status: 'assigned', acceptedBy: fieldStaff._id });
+
+      workflowService.applyStatus(issue, 'reported', admin, { reason: 'Wrong department' });
+
+      expect(issue.status).toBe('reported');
+      expect(issue.acceptedBy).toBeNull();
+      expectStatusCode(() => workflowService.applyStatus(makeIssue(), 'closed', citizen), 400);
+    });
+  });
+
+  describe('accept', () => {
+    it('returns 409 when another employee accepted the issue first', async () => {
+      jest.spyOn(Issue, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+      await expect(workflowService.accept(makeIssue(), fieldStaff)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/* Service worker for CivicConnect push notifications (registered by src/services/push.js) */
+
+// Payload sent by the backend: { title, body, priority, data: { notificationId, type, issueId } }
+self.addEventListener('push', (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (error) {
+    message = { body: event.data.text() };
+  }
+
+  const data = message.data || {};
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'CivicConnect', {
+      body: message.body || '',
+      icon: '/images/logo.png',
+      tag: data.notificationId,
+      requireInteraction: message.priority === 'urgent',
+      data
+    })
+  );
+});
+
+// Focus an open CivicConnect tab, or open one, on the issue the notification is about
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { issueId } = event.notification.data || {};
+  const url = issueId ? `/issue/${issueId}` : '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.navigate(url).then((client) => (client || open).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -17,11 +17,15 @@ import {
   Edit,
   Trash2,
   X,
-  Save
+  Save,
+  Shield,
+  KeyRound
 } from 'lucide-react';
 import IssueMap from './IssueMap';
 import ResolutionCharts from './analytics/ResolutionCharts';
 import apiService from '../services/api';
+import TwoFactorSettings from './TwoFactorSettings';
+import NotificationBell from './NotificationBell';
 
 const AdminDashboard = ({ user }) => {
   const navigate = useNavigate();
@@ -33,7 +37,10 @@ const AdminDashboard = ({ user }) => {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  const canManageAdmins = (user.permissions || []).some(p => p === '*' || p === 'admin.manage');
+
   const handleLogout = () => {
+    apiService.logout().catch(() => {});
     localStorage.removeItem('civicconnect_admin');
     navigate('/');
   };
@@ -129,8 +136,8 @@ const AdminDashboard = ({ user }) => {
   const handleAssignIssue = async (issueId, e) => {
     e.stopPropagation();
     try {
-      await apiService.assignIssue(issueId, {});
-      toast.success('Issue assigned');
+      const result = await apiService.assignIssue(issueId, {});
+      toast.success(result.message || 'Issue assigned');
       const fresh = await apiService.getAdminDashboard();
       setStats(fresh.data || fresh);
     } catch (err) {
@@ -161,6 +168,7 @@ const AdminDashboard = ({ user }) => {
             <span style={{ color: '#64748b', fontSize: '0.9rem' }}>
               Welcome, {user.name}
             </span>
+            <NotificationBell />
             <button 
               onClick={() => setSelectedView(selectedView === 'settings' ? 'overview' : 'settings')}
               style={{ 
@@ -203,7 +211,8 @@ const AdminDashboard = ({ user }) => {
             { key: 'issues', label: 'Issues Management', icon: AlertTriangle },
             { key: 'employees', label: 'Employees', icon: Users },
             { key: 'map', label: 'Map View', icon: MapPin },
-            { key: 'analytics', label: 'Analytics', icon: TrendingUp }
+            { key: 'analytics', label: 'Analytics', icon: TrendingUp },
+            ...(canManageAdmins ? [{ key: 'admins', label: 'Admins', icon: Shield }] : [])
           ].map(tab => (
             <button
               key={tab.key}
@@ -545,8 +554,9 @@ const AdminDashboard = ({ user }) => {
                                   try {
                                     // Handle empty string as null for auto-assignment
                                     const assignData = trimmedId === '' ? { assignedTo: null } : { assignedTo: trimmedId };
-                                    await apiService.assignIssue(issue._id || issue.id, assignData);
-                                    toast.success('Issue assigned successfully');
+                                    const result = await apiService.assignIssue(issue._id || issue.id, assignData);
+                                    // Auto-assignment explains who was picked and why
+                                    toast.success(result.message || 'Issue assigned successfully');
                                     const fresh = await apiService.getAdminDashboard();
                                     setStats(fresh.data || fresh);
                                   } catch (err) {
@@ -610,6 +620,12 @@ const AdminDashboard = ({ user }) => {
         {/* Employees Management */}
         {selectedView === 'employees' && <EmployeeManagement />}
 
+        {/* Account settings */}
+        {selectedView === 'settings' && <TwoFactorSettings />}
+
+        {/* Admin accounts (super-admins) */}
+        {selectedView === 'admins' && <AdminAccounts currentUserId={user.id} />}
+
         {/* Analytics */}
         {selectedView === 'analytics' && (
           <div>
@@ -985,4 +1001,267 @@ const EmployeeManagement = () => {
   );
 };
 
+// Admin Accounts Component: create, disable and reset admins, and the audit log
+const AdminAccounts = ({ currentUserId }) => {
+  const [admins, setAdmins] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const emptyForm = { username: '', name: '', email: '', password: '', role: 'admin' };
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true);
+      const [adminsResp, auditResp] = await Promise.all([
+        apiService.getAdmins(),
+        apiService.getAuditLog({ limit: 25 })
+      ]);
+      setAdmins(adminsResp.data?.admins || []);
+      setAuditEntries(auditResp.data?.entries || []);
+    } catch (error) {
+      toast.error(`Failed to load admin accounts: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await apiService.createAdmin(formData);
+      toast.success('Admin created. They must change the password at first sign-in.');
+      setShowCreateForm(false);
+      setFormData(emptyForm);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(`Failed to create admin: ${error.message}`);
+    }
+  };
+
+  const handleToggleActive = async (admin) => {
+    const action = admin.isActive ? 'disable' : 'enable';
+    if (!window.confirm(`Are you sure you want to ${action} ${admin.username}?`)) return;
+    try {
+      await apiService.setAdminStatus(admin._id, !admin.isActive);
+      toast.success(`Admin ${action}d`);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(`Failed to ${action} admin: ${error.message}`);
+    }
+  };
+
+  const handleResetPassword = async (admin) => {
+    if (!window.confirm(`Reset the password of ${admin.username}? They will be signed out everywhere.`)) return;
+    try {
+      const resp = await apiService.resetAdminPassword(admin._id);
+      // Shown once; the server keeps only the hash
+      window.prompt(`Temporary password for ${admin.username} (copy it now):`, resp.data?.password || '');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(`Failed to reset password: ${error.message}`);
+    }
+  };
+
+  const handleResetTwoFactor = async (admin) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${admin.username}? They will be signed out everywhere.`)) return;
+    try {
+      await apiService.resetAdminTwoFactor(admin._id);
+      toast.success('Two-factor authentication reset');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(`Failed to reset two-factor: ${error.message}`);
+    }
+  };
+
+  const describeEntry = (entry) => (
+    entry.action === 'request' ? `${entry.method} ${entry.path} (${entry.statusCode})` : entry.action
+  );
+
+  if (loading) {
+    return (
+      <div style={{ textAlign: 'center', padding: '3rem' }}>
+        <div className="w-12 h-12 border-4 border-gray-300 border-t-blue-600 rounded-full animate-spin mx-auto"></div>
+        <p style={{ marginTop: '1rem', color: '#64748b' }}>Loading admin accounts...</p>
+      </div>
+    );
+  }
+
+  const cellStyle = { padding: '1rem', fontSize: '0.875rem', color: '#1e293b' };
+  const headStyle = { padding: '1rem', textAlign: 'left', fontSize: '0.875rem', fontWeight: '600', color: '#1e293b' };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <h3 style={{ fontSize: '1.2rem', fontWeight: '600', color: '#1e293b' }}>
+          Admin Accounts
+        </h3>
+        <button
+          onClick={() => setShowCreateForm(!showCreateForm)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors flex items-center gap-2"
+        >
+          <UserPlus size={16} />
+          {showCreateForm ? 'Cancel' : 'Create Admin'}
+        </button>
+      </div>
+
+      {showCreateForm && (
+        <div style={{
+          background: 'white',
+          padding: '2rem',
+          borderRadius: '12px',
+          marginBottom: '2rem',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+        }}>
+          <form onSubmit={handleCreate}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '1rem', marginBottom: '1rem' }}>
+              {[
+                { key: 'username', label: 'Username *', type: 'text', required: true },
+                { key: 'name', label: 'Name *', type: 'text', required: true },
+                { key: 'email', label: 'Email', type: 'email', required: false },
+                { key: 'password', label: 'Initial Password * (min 8)', type: 'password', required: true }
+              ].map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                  <input
+                    type={field.type}
+                    required={field.required}
+                    minLength={field.key === 'password' ? 8 : undefined}
+                    value={formData[field.key]}
+                    onChange={(e) => setFormData({ ...formData, [field.key]: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Role *</label>
+                <select
+                  value={formData.role}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="admin">Admin</option>
+                  <option value="super-admin">Super Admin</option>
+                </select>
+              </div>
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors flex items-center gap-2"
+            >
+              <Save size={16} />
+              Create Admin
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div style={{ background: 'white', borderRadius: '12px', overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '2rem' }}>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                <th style={headStyle}>Username</th>
+                <th style={headStyle}>Name</th>
+                <th style={headStyle}>Role</th>
+                <th style={headStyle}>Status</th>
+                <th style={headStyle}>Last Login</th>
+                <th style={headStyle}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {admins.map((admin) => (
+                <tr key={admin._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                  <td style={cellStyle}>{admin.username}</td>
+                  <td style={cellStyle}>{admin.name}</td>
+                  <td style={cellStyle}>{admin.role === 'super-admin' ? 'Super Admin' : 'Admin'}</td>
+                  <td style={{ padding: '1rem' }}>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      admin.isActive ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+                    }`}>
+                      {admin.isActive ? (admin.mustChangePassword ? 'Password change pending' : 'Active') : 'Disabled'}
+                    </span>
+                  </td>
+                  <td style={{ ...cellStyle, color: '#64748b' }}>
+                    {admin.lastLoginAt ? new Date(admin.lastLoginAt).toLocaleString() : 'Never'}
+                  </td>
+                  <td style={{ padding: '1rem' }}>
+                    {admin._id !== currentUserId && (
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button
+                          onClick={() => handleResetPassword(admin)}
+                          className="p-1.5 text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                          title="Reset password"
+                        >
+                          <KeyRound size={16} />
+                        </button>
+                        {admin.twoFactor?.enabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(admin)}
+                            className="px-2 py-1 rounded text-xs font-medium text-gray-600 hover:bg-gray-50 transition-colors"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleToggleActive(admin)}
+                          className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                            admin.isActive ? 'text-red-600 hover:bg-red-50' : 'text-green-600 hover:bg-green-50'
+                          }`}
+                        >
+                          {admin.isActive ? 'Disable' : 'Enable'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <h3 style={{ fontSize: '1.1rem', fontWeight: '600', color: '#1e293b', marginBottom: '1rem' }}>
+        Recent Admin Activity
+      </h3>
+      <div style={{ background: 'white', borderRadius: '12px', overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+                <th style={headStyle}>When</th>
+                <th style={headStyle}>Admin</th>
+                <th style={headStyle}>Action</th>
+                <th style={headStyle}>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditEntries.length === 0 ? (
+                <tr>
+                  <td colSpan="4" style={{ padding: '2rem', textAlign: 'center', color: '#64748b' }}>
+                    No admin activity recorded yet.
+                  </td>
+                </tr>
+              ) : (
+                auditEntries.map((entry) => (
+                  <tr key={entry._id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                    <td style={{ ...cellStyle, color: '#64748b' }}>{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td style={cellStyle}>{entry.actor?.username || entry.actorName || 'system'}</td>
+                    <td style={cellStyle}>{describeEntry(entry)}</td>
+                    <td style={{ ...cellStyle, color: '#64748b' }}>{entry.ip || '-'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default AdminDashboard;
\ No newline at end of file
@@ -12,6 +12,43 @@ const AdminLogin = ({ setUser, setIsAdmin }) => {
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  // Signed-in admin who still has to replace a password someone else set
+  const [pendingAdmin, setPendingAdmin] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  // Set when the account has two-factor on and the password step passed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const finishLogin = (adminUser) => {
+    localStorage.setItem('civicconnect_admin', JSON.stringify(adminUser));
+    setUser(adminUser);
+    setIsAdmin(true);
+    navigate('/admin');
+    toast.success('Admin login successful');
+  };
+
+  // Tokens issued by the password step, or by the two-factor step after it
+  const handleSignedIn = (data) => {
+    if (!data?.token || !data?.user) {
+      throw new Error('Invalid admin login response');
+    }
+    const adminUser = {
+      id: data.user._id || data.user.id || 'admin',
+      name: data.user.name || 'Admin User',
+      username: data.user.username || username,
+      role: data.user.role || 'admin',
+      permissions: data.permissions || []
+    };
+    // Persist token for auth headers; the admin session itself once the password is settled
+    localStorage.setItem('civicconnect_token', data.token);
+    if (data.user.mustChangePassword) {
+      setPendingAdmin(adminUser);
+      toast.info('Please choose a new password to continue');
+      return;
+    }
+    finishLogin(adminUser);
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -19,22 +56,11 @@ const AdminLogin = ({ setUser, setIsAdmin }) => {
     try {
       const resp = await apiService.adminLogin(username, password);
       const data = resp.data || resp;
-      if (!data?.token || !data?.user) {
-        throw new Error('Invalid admin login response');
+      if (data?.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
       }
-      const adminUser = {
-        id: data.user._id || data.user.id || 'admin',
-        name: data.user.name || 'Admin User',
-        username: data.user.username || username,
-        role: data.user.role || 'admin'
-      };
-      // Persist admin session and token for auth headers
-      localStorage.setItem('civicconnect_admin', JSON.stringify(adminUser));
-      localStorage.setItem('civicconnect_token', data.token);
-      setUser(adminUser);
-      setIsAdmin(true);
-      navigate('/admin');
-      toast.success('Admin login successful');
+      handleSignedIn(data);
     } catch (err) {
       toast.error(err.message || 'Admin login failed');
     } finally {
@@ -42,6 +68,43 @@ const AdminLogin = ({ setUser, setIsAdmin }) => {
     }
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const value = twoFactorCode.trim();
+      const codes = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+      const resp = await apiService.verifyTwoFactorLogin(challengeToken, codes);
+      setChallengeToken(null);
+      handleSignedIn(resp.data || resp);
+    } catch (err) {
+      toast.error(err.message || 'Invalid code');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword.length < 8) {
+      toast.error('Password must be at least 8 characters');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      await apiService.changePassword(password, newPassword);
+      finishLogin(pendingAdmin);
+    } catch (err) {
+      toast.error(err.message || 'Failed to change password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -75,70 +138,132 @@ const AdminLogin = ({ setUser, setIsAdmin }) => {
           <p className="login-subtitle">Access admin dashboard</p>
         </div>
 
-        <form onSubmit={handleLogin} className="login-form">
-          <div className="form-group">
-            <label className="form-label">
-              <User size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
-              Username
-            </label>
-            <input
-              type="text"
-              className="form-input"
-              placeholder="Enter username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">
-              <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
-              Password
-            </label>
-            <div style={{ position: 'relative', width: '100%' }}>
+        {challengeToken ? (
+          <form onSubmit={handleTwoFactor} className="login-form">
+            <p style={{ color: '#64748b', fontSize: '0.9rem', marginBottom: '1rem' }}>
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <div className="form-group">
+              <label className="form-label">
+                <Shield size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Authentication code
+              </label>
               <input
-                type={showPassword ? 'text' : 'password'}
+                type="text"
                 className="form-input"
-                placeholder="Enter password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
                 required
-                style={{ width: '100%', paddingRight: '45px', boxSizing: 'border-box' }}
               />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                style={{
-                  position: 'absolute',
-                  right: '12px',
-                  top: '50%',
-                  transform: 'translateY(-50%)',
-                  background: 'none',
-                  border: 'none',
-                  cursor: 'pointer',
-                  color: '#64748b',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  padding: '4px',
-                  zIndex: 1
-                }}
-                tabIndex={-1}
-              >
-                {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-              </button>
             </div>
-          </div>
+            <button type="submit" className="btn-primary" disabled={isLoading}>
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+        ) : pendingAdmin ? (
+          <form onSubmit={handleChangePassword} className="login-form">
+            <p style={{ color: '#64748b', fontSize: '0.9rem', marginBottom: '1rem' }}>
+              Your password was set by another admin. Choose a new one to continue.
+            </p>
+            <div className="form-group">
+              <label className="form-label">
+                <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                New password
+              </label>
+              <input
+                type="password"
+                className="form-input"
+                placeholder="At least 8 characters"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">
+                <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Confirm new password
+              </label>
+              <input
+                type="password"
+                className="form-input"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+              />
+            </div>
+            <button type="submit" className="btn-primary" disabled={isLoading}>
+              {isLoading ? 'Saving...' : 'Change Password'}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleLogin} className="login-form">
+            <div className="form-group">
+              <label className="form-label">
+                <User size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Username
+              </label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Enter username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">
+                <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Password
+              </label>
+              <div style={{ position: 'relative', width: '100%' }}>
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  className="form-input"
+                  placeholder="Enter password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  style={{ width: '100%', paddingRight: '45px', boxSizing: 'border-box' }}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  style={{
+                    position: 'absolute',
+                    right: '12px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    background: 'none',
+                    border: 'none',
+                    cursor: 'pointer',
+                    color: '#64748b',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    padding: '4px',
+                    zIndex: 1
+                  }}
+                  tabIndex={-1}
+                >
+                  {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                </button>
+              </div>
+            </div>
 
-          <button 
-            type="submit" 
-            className="btn-primary" 
-            disabled={isLoading}
-          >
-            {isLoading ? 'Signing in...' : 'Sign In'}
-          </button>
-        </form>
+            <button 
+              type="submit" 
+              className="btn-primary" 
+              disabled={isLoading}
+            >
+              {isLoading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { LanguageContext } from '../App';
 import { Camera, FileText, MapPin, Home, Bell, User, LogOut, Trophy } from 'lucide-react';
 import IssueMap from './IssueMap';
+import NotificationBell from './NotificationBell';
 import apiService from '../services/api';
 
 const CitizenDashboard = ({ user, setUser }) => {
@@ -183,6 +184,7 @@ const CitizenDashboard = ({ user, setUser }) => {
   }, [radiusKm, allIssues, userCenter]);
 
   const handleLogout = () => {
+    apiService.logout().catch(() => {});
     localStorage.removeItem('civicconnect_user');
     localStorage.removeItem('civicconnect_token');
     setUser(null);
@@ -197,19 +199,22 @@ const CitizenDashboard = ({ user, setUser }) => {
             <h1 className="dashboard-greeting">Hello, {user.name}!</h1>
             <p className="dashboard-subtitle">Welcome back to CivicConnect</p>
           </div>
-          <button 
-            onClick={handleLogout}
-            style={{ 
-              background: 'rgba(255,255,255,0.2)', 
-              border: 'none', 
-              color: 'white', 
-              padding: '0.5rem',
-              borderRadius: '8px',
-              cursor: 'pointer'
-            }}
-          >
-            <LogOut size={20} />
-          </button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <NotificationBell color="white" issuePath={issueId => `/issue/${issueId}`} />
+            <button 
+              onClick={handleLogout}
+              style={{ 
+                background: 'rgba(255,255,255,0.2)', 
+                border: 'none', 
+                color: 'white', 
+                padding: '0.5rem',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              <LogOut size={20} />
+            </button>
+          </div>
         </div>
       </div>
 
@@ -2,8 +2,9 @@ import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'sonner';
 import apiService from '../services/api';
-import { ArrowLeft, Map, List, MapPin, CheckCircle, User, LogOut, RefreshCw, ExternalLink } from 'lucide-react';
+import { ArrowLeft, Map, List, MapPin, CheckCircle, User, LogOut, RefreshCw, ExternalLink, Power, Users } from 'lucide-react';
 import IssueMap from './IssueMap';
+import NotificationBell from './NotificationBell';
 
 const EmployeeDashboard = ({ user, setUser }) => {
   const navigate = useNavigate();
@@ -14,6 +15,14 @@ const EmployeeDashboard = ({ user, setUser }) => {
   const [userCenter, setUserCenter] = useState(null);
   const [geoStatus, setGeoStatus] = useState('idle');
   const [geoError, setGeoError] = useState('');
+  // null until the schedule has loaded
+  const [dutyStatus, setDutyStatus] = useState(null);
+  const [dutyUpdating, setDutyUpdating] = useState(false);
+  const [team, setTeam] = useState(null);
+  const [teamIssues, setTeamIssues] = useState([]);
+  const [teamOverdueOnly, setTeamOverdueOnly] = useState(false);
+
+  const isManager = user?.role === 'supervisor' || user?.role === 'commissioner';
 
   const fetchIssues = async () => {
     try {
@@ -38,6 +47,55 @@ const EmployeeDashboard = ({ user, setUser }) => {
     requestLocation();
   }, []);
 
+  useEffect(() => {
+    fetchDutyStatus();
+  }, []);
+
+  const fetchDutyStatus = async () => {
+    try {
+      const resp = await apiService.getMySchedule();
+      const data = resp.data || resp;
+      setDutyStatus({ onDuty: data.schedule?.onDuty !== false, reason: data.status?.reason || null });
+    } catch (e) {
+      // The toggle stays hidden if the schedule cannot be loaded
+      console.error('Failed to load duty status:', e);
+    }
+  };
+
+  // Off duty: new issues go to the designated backup instead
+  const handleToggleDuty = async () => {
+    if (!dutyStatus) return;
+    try {
+      setDutyUpdating(true);
+      const resp = await apiService.setDuty(!dutyStatus.onDuty);
+      const data = resp.data || resp;
+      setDutyStatus({ onDuty: data.schedule?.onDuty !== false, reason: data.status?.reason || null });
+      toast.success(resp.message || 'Duty status updated');
+    } catch (e) {
+      toast.error(`Failed to update duty status: ${e.message}`);
+    } finally {
+      setDutyUpdating(false);
+    }
+  };
+
+  useEffect(() => {
+    if (viewMode === 'team') fetchTeam();
+  }, [viewMode, teamOverdueOnly]);
+
+  // Workload of everyone reporting to this supervisor/commissioner
+  const fetchTeam = async () => {
+    try {
+      const [overviewResp, issuesResp] = await Promise.all([
+        apiService.getTeamOverview(),
+        apiService.getTeamIssues({ page: 1, limit: 50, ...(teamOverdueOnly ? { overdue: 'true' } : {}) })
+      ]);
+      setTeam(overviewResp.data || overviewResp);
+      setTeamIssues((issuesResp.data || issuesResp).issues || []);
+    } catch (e) {
+      toast.error(`Failed to load team: ${e.message}`);
+    }
+  };
+
   const requestLocation = async () => {
     try {
       setGeoError('');
@@ -261,6 +319,23 @@ const EmployeeDashboard = ({ user, setUser }) => {
               <h1 className="text-xl font-bold text-gray-900">Employee Dashboard</h1>
             </div>
             <div className="flex items-center gap-3">
+              {dutyStatus && (
+                <button
+                  onClick={handleToggleDuty}
+                  disabled={dutyUpdating}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium flex items-center gap-1.5 disabled:opacity-50 ${
+                    dutyStatus.onDuty
+                      ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                      : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                  }`}
+                  title={dutyStatus.onDuty && dutyStatus.reason
+                    ? `${dutyStatus.reason} - click to go off duty`
+                    : (dutyStatus.onDuty ? 'Click to go off duty' : 'Click to go on duty')}
+                >
+                  <Power size={14} />
+                  {dutyStatus.onDuty ? 'On duty' : 'Off duty'}
+                </button>
+              )}
               <button
                 onClick={fetchIssues}
                 disabled={loading}
@@ -292,10 +367,24 @@ const EmployeeDashboard = ({ user, setUser }) => {
                   <Map size={16} />
                   Map
                 </button>
+                {isManager && (
+                  <button
+                    onClick={() => setViewMode('team')}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium flex items-center gap-1.5 transition-all ${
+                      viewMode === 'team' 
+                        ? 'bg-white text-blue-700 shadow-sm' 
+                        : 'text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    <Users size={16} />
+                    Team
+                  </button>
+                )}
               </div>
               <span className="text-sm font-medium text-gray-600 ml-1">
                 {filteredIssues.length} tasks
               </span>
+              <NotificationBell issuePath={issueId => `/employee/resolve/${issueId}`} />
               <button
                 onClick={() => navigate('/employee/profile')}
                 className="p-2 text-gray-500 hover:text-gray-700"
@@ -305,6 +394,7 @@ const EmployeeDashboard = ({ user, setUser }) => {
               </button>
               <button
                 onClick={() => {
+                  apiService.logout().catch(() => {});
                   localStorage.removeItem('civicconnect_token');
                   localStorage.removeItem('civicconnect_user');
                   setUser && setUser(null);
@@ -391,6 +481,95 @@ const EmployeeDashboard = ({ user, setUser }) => {
             showCenterMarker={true}
           />
         </div>
+      ) : viewMode === 'team' ? (
+        <div className="px-6 py-4 bg-gray-50 min-h-[calc(100vh-200px)]">
+          {!team ? (
+            <div className="text-center py-12 text-gray-500">Loading team…</div>
+          ) : team.members.length === 0 ? (
+            <div className="text-center py-12">
+              <h3 className="text-gray-500 mb-2 font-medium">No Team Members</h3>
+              <p className="text-gray-400">Nobody reports to you yet. An admin can set this from the employee list.</p>
+            </div>
+          ) : (
+            <div className="flex flex-col gap-4">
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600 text-left">
+                    <tr>
+                      <th className="px-4 py-2 font-medium">Member</th>
+                      <th className="px-4 py-2 font-medium">Role</th>
+                      <th className="px-4 py-2 font-medium">Open</th>
+                      <th className="px-4 py-2 font-medium">In progress</th>
+                      <th className="px-4 py-2 font-medium">Overdue</th>
+                      <th className="px-4 py-2 font-medium">Duty</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {team.members.map(row => (
+                      <tr key={row.member._id} className="border-t border-gray-100">
+                        <td className="px-4 py-2 text-gray-900">
+                          {row.member.name}
+                          <span className="text-gray-400 ml-1">({row.member.employeeId})</span>
+                          {!row.direct && <span className="text-xs text-gray-400 ml-1">indirect</span>}
+                        </td>
+                        <td className="px-4 py-2 text-gray-600">{row.member.role}</td>
+                        <td className="px-4 py-2">{row.open}</td>
+                        <td className="px-4 py-2">{row.inProgress}</td>
+                        <td className={`px-4 py-2 ${row.overdue > 0 ? 'text-red-600 font-semibold' : ''}`}>{row.overdue}</td>
+                        <td className="px-4 py-2" title={row.offDutyReason || ''}>
+                          {row.onDuty ? 'On duty' : 'Off duty'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <h3 className="font-semibold text-gray-900">
+                  Team issues ({team.totals.open} open, {team.totals.overdue} overdue)
+                </h3>
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={teamOverdueOnly}
+                    onChange={(e) => setTeamOverdueOnly(e.target.checked)}
+                  />
+                  Overdue only
+                </label>
+              </div>
+
+              {teamIssues.length === 0 ? (
+                <p className="text-gray-400 text-sm">No issues match.</p>
+              ) : (
+                teamIssues.map(issue => {
+                  const overdue = issue.escalationDeadline && new Date(issue.escalationDeadline) < new Date();
+                  return (
+                    <div
+                      key={issue._id}
+                      className="bg-white rounded-xl p-4 shadow-sm border border-gray-200 flex justify-between items-center gap-3"
+                    >
+                      <div className="flex-1">
+                        <div className="font-medium text-gray-900">{issue.title}</div>
+                        <div className="text-sm text-gray-500">
+                          {issue.assignedTo?.name || 'Unassigned'} • {issue.category} • {formatDate(issue.createdAt)}
+                          {overdue && <span className="text-red-600 font-medium"> • Overdue</span>}
+                        </div>
+                      </div>
+                      {getStatusBadge(issue.status)}
+                      <button
+                        className="px-3.5 py-2 bg-gray-100 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+                        onClick={() => navigate(`/issue/${issue._id}`)}
+                      >
+                        View Details
+                      </button>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          )}
+        </div>
       ) : (
         <div className="px-6 py-4 bg-gray-50 min-h-[calc(100vh-200px)]">
           <div className="flex flex-col gap-4 max-w-full">
@@ -10,6 +10,19 @@ const EmployeeLogin = ({ setUser, setIsAdmin }) => {
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Set when the account has two-factor on and the password step passed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const handleSignedIn = (data) => {
+    const { token, user } = data;
+    localStorage.setItem('civicconnect_token', token);
+    localStorage.setItem('civicconnect_user', JSON.stringify(user));
+    setUser && setUser(user);
+    setIsAdmin && setIsAdmin(false);
+    toast.success('Logged in successfully');
+    navigate('/employee');
+  };
 
   const onSubmit = async (e) => {
     e.preventDefault();
@@ -17,13 +30,11 @@ const EmployeeLogin = ({ setUser, setIsAdmin }) => {
     try {
       const resp = await apiService.employeeLogin({ employeeId, password });
       const data = resp.data || resp;
-      const { token, user } = data;
-      localStorage.setItem('civicconnect_token', token);
-      localStorage.setItem('civicconnect_user', JSON.stringify(user));
-      setUser && setUser(user);
-      setIsAdmin && setIsAdmin(false);
-      toast.success('Logged in successfully');
-      navigate('/employee');
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
+      handleSignedIn(data);
     } catch (e) {
       toast.error(e.message || 'Login failed');
     } finally {
@@ -31,6 +42,22 @@ const EmployeeLogin = ({ setUser, setIsAdmin }) => {
     }
   };
 
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const value = twoFactorCode.trim();
+      const codes = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+      const resp = await apiService.verifyTwoFactorLogin(challengeToken, codes);
+      setChallengeToken(null);
+      handleSignedIn(resp.data || resp);
+    } catch (e) {
+      toast.error(e.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -64,64 +91,88 @@ const EmployeeLogin = ({ setUser, setIsAdmin }) => {
           <p className="login-subtitle">Access your assigned issues</p>
         </div>
 
-        <form onSubmit={onSubmit} className="login-form">
-          <div className="form-group">
-            <label className="form-label">
-              <User size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
-              Employee ID
-            </label>
-            <input
-              type="text"
-              className="form-input"
-              placeholder="Enter employee ID"
-              value={employeeId}
-              onChange={(e) => setEmployeeId(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">
-              <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
-              Password
-            </label>
-            <div style={{ position: 'relative', width: '100%' }}>
+        {challengeToken ? (
+          <form onSubmit={onSubmitCode} className="login-form">
+            <p style={{ color: '#64748b', fontSize: '0.9rem', marginBottom: '1rem' }}>
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <div className="form-group">
+              <label className="form-label">
+                <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Authentication code
+              </label>
               <input
-                type={showPassword ? 'text' : 'password'}
+                type="text"
                 className="form-input"
-                placeholder="Enter password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
                 required
-                style={{ width: '100%', paddingRight: '45px', boxSizing: 'border-box' }}
               />
-              <button
-                type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                style={{
-                  position: 'absolute',
-                  right: '12px',
-                  top: '50%',
-                  transform: 'translateY(-50%)',
-                  background: 'none',
-                  border: 'none',
-                  cursor: 'pointer',
-                  color: '#64748b',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  padding: '4px',
-                  zIndex: 1
-                }}
-                tabIndex={-1}
-              >
-                {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-              </button>
             </div>
-          </div>
+            <button className="btn-primary" type="submit" disabled={loading}>{loading ? 'Verifying...' : 'Verify'}</button>
+          </form>
+        ) : (
+          <form onSubmit={onSubmit} className="login-form">
+            <div className="form-group">
+              <label className="form-label">
+                <User size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Employee ID
+              </label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Enter employee ID"
+                value={employeeId}
+                onChange={(e) => setEmployeeId(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">
+                <Lock size={16} style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Password
+              </label>
+              <div style={{ position: 'relative', width: '100%' }}>
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  className="form-input"
+                  placeholder="Enter password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  style={{ width: '100%', paddingRight: '45px', boxSizing: 'border-box' }}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  style={{
+                    position: 'absolute',
+                    right: '12px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    background: 'none',
+                    border: 'none',
+                    cursor: 'pointer',
+                    color: '#64748b',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    padding: '4px',
+                    zIndex: 1
+                  }}
+                  tabIndex={-1}
+                >
+                  {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                </button>
+              </div>
+            </div>
 
-          <button className="btn-primary" type="submit" disabled={loading}>{loading ? 'Signing in...' : 'Sign In'}</button>
-        </form>
+            <button className="btn-primary" type="submit" disabled={loading}>{loading ? 'Signing in...' : 'Sign In'}</button>
+          </form>
+        )}
 
       </div>
     </div>
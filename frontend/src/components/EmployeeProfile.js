@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'sonner';
 import apiService from '../services/api';
+import TwoFactorSettings from './TwoFactorSettings';
+import NotificationPreferences from './NotificationPreferences';
 import { ArrowLeft, User, Mail, Phone, Briefcase, Shield, LogOut } from 'lucide-react';
 
 const EmployeeProfile = ({ user, setUser }) => {
@@ -27,6 +29,7 @@ const EmployeeProfile = ({ user, setUser }) => {
   };
 
   const handleLogout = () => {
+    apiService.logout().catch(() => {});
     localStorage.removeItem('civicconnect_token');
     localStorage.removeItem('civicconnect_user');
     setUser && setUser(null);
@@ -193,6 +196,9 @@ const EmployeeProfile = ({ user, setUser }) => {
             </div>
           </div>
         </div>
+
+        <TwoFactorSettings />
+        <NotificationPreferences />
       </div>
     </div>
   );
@@ -12,10 +12,17 @@ import {
   CheckCircle,
   Clock,
   AlertTriangle,
-  Settings
+  Settings,
+  ArrowUpCircle,
+  ArrowDownCircle,
+  History,
+  GitMerge,
+  Bell,
+  BellOff
 } from 'lucide-react';
 import IssueMap from './IssueMap';
 import apiService from '../services/api';
+import realtime from '../services/realtime';
 
 const IssueDetail = ({ user, isAdmin }) => {
   const navigate = useNavigate();
@@ -23,14 +30,116 @@ const IssueDetail = ({ user, isAdmin }) => {
   const { t } = useContext(LanguageContext);
   const [issue, setIssue] = useState(null);
   const [isUpvoted, setIsUpvoted] = useState(false);
+  const [isFollowing, setIsFollowing] = useState(false);
   const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [isLoading, setIsLoading] = useState(true);
+  const [timeline, setTimeline] = useState(null);
+  const [escalationReason, setEscalationReason] = useState('');
+  const [isEscalating, setIsEscalating] = useState(false);
+  const [showReopen, setShowReopen] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+  const [reopenPhoto, setReopenPhoto] = useState(null);
+  const [isReopening, setIsReopening] = useState(false);
+  const [mergeIds, setMergeIds] = useState('');
+  const [mergeReason, setMergeReason] = useState('');
+  const [isMerging, setIsMerging] = useState(false);
+
+  const isEmployee = ['field-staff', 'supervisor', 'commissioner', 'employee'].includes(user?.role);
+  const canManageEscalation = isAdmin || isEmployee;
+  const escalationScope = isAdmin ? 'admin' : 'employee';
+  const canMerge = isAdmin || ['supervisor', 'commissioner'].includes(user?.role);
 
   useEffect(() => {
     fetchIssueData();
   }, [id]);
 
+  // Live status changes and comments from others while the issue is open
+  useEffect(() => {
+    const currentUserId = String(user?.id || user?._id || '');
+    const stopWatching = realtime.watchIssue(id);
+    const stopStatus = realtime.on('issue:status', (event) => {
+      if (event.issueId !== id) return;
+      setIssue(prev => (prev ? { ...prev, status: event.toStatus } : prev));
+      fetchTimeline();
+    });
+    const stopComments = realtime.on('comment:new', ({ issueId, comment }) => {
+      if (issueId !== id || comment.author._id === currentUserId) return;
+      setComments(prev => [...prev, {
+        id: comment._id,
+        author: comment.author.name,
+        content: comment.content,
+        timestamp: comment.createdAt
+      }]);
+    });
+
+    return () => {
+      stopWatching();
+      stopStatus();
+      stopComments();
+    };
+  }, [id]);
+
+  const fetchTimeline = async () => {
+    if (!canManageEscalation) return;
+    try {
+      const response = await apiService.getIssueTimeline(id, escalationScope);
+      setTimeline(response.data?.timeline || null);
+    } catch (error) {
+      console.warn('Timeline fetch failed:', error);
+      setTimeline(null);
+    }
+  };
+
+  const handleEscalation = async (direction) => {
+    if (escalationReason.trim().length < 5) {
+      toast.error('Please enter a reason (at least 5 characters)');
+      return;
+    }
+
+    setIsEscalating(true);
+    try {
+      const body = { reason: escalationReason.trim() };
+      const response = direction === 'up'
+        ? await apiService.escalateIssue(id, body, escalationScope)
+        : await apiService.deEscalateIssue(id, body, escalationScope);
+      toast.success(response.message || 'Issue updated');
+      setEscalationReason('');
+      await fetchIssueData();
+    } catch (error) {
+      console.error('Error changing escalation level:', error);
+      toast.error(error.message || 'Failed to update escalation level');
+    } finally {
+      setIsEscalating(false);
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    const duplicateIds = mergeIds.split(/[\s,]+/).map(value => value.trim()).filter(Boolean);
+    if (duplicateIds.length === 0) {
+      toast.error('Enter the IDs of the duplicate issues');
+      return;
+    }
+
+    setIsMerging(true);
+    try {
+      const response = await apiService.mergeIssues(id, {
+        duplicateIds,
+        reason: mergeReason.trim() || undefined
+      }, escalationScope);
+      toast.success(response.message || 'Issues merged');
+      setMergeIds('');
+      setMergeReason('');
+      await fetchIssueData();
+    } catch (error) {
+      console.error('Error merging issues:', error);
+      toast.error(error.message || 'Failed to merge issues');
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
   const fetchIssueData = async () => {
     setIsLoading(true);
     try {
@@ -67,10 +176,18 @@ const IssueDetail = ({ user, isAdmin }) => {
         assignedTo: getStringValue(rawIssue.assignedTo) || 'Unassigned',
         reportedBy: getStringValue(rawIssue.reportedBy) || 'Citizen',
         timestamp: rawIssue.createdAt || rawIssue.timestamp,
-        image: imageUrl
+        image: imageUrl,
+        mergedInto: rawIssue.mergedInto
+          ? { id: rawIssue.mergedInto._id || rawIssue.mergedInto, title: rawIssue.mergedInto.title }
+          : null,
+        duplicates: Array.isArray(rawIssue.duplicates) ? rawIssue.duplicates : [],
+        reporterId: String(rawIssue.reportedBy?._id || rawIssue.reportedBy || '')
       };
 
+      const currentUserId = String(user?.id || user?._id || '');
+      setIsFollowing((rawIssue.followers || []).some(follower => String(follower?._id || follower) === currentUserId));
       setIssue(mappedIssue);
+      fetchTimeline();
 
       try {
         const commentsResponse = await apiService.getComments(id);
@@ -167,6 +284,10 @@ const IssueDetail = ({ user, isAdmin }) => {
 
       if (togglingToUpvoted) {
         await apiService.upvoteIssue(id);
+        // Upvoting follows the issue on the server
+        if (issue.reporterId !== String(user?.id || user?._id || '')) {
+          setIsFollowing(true);
+        }
       } else {
         await apiService.removeUpvote(id);
       }
@@ -178,6 +299,23 @@ const IssueDetail = ({ user, isAdmin }) => {
     }
   };
 
+  const handleFollow = async () => {
+    try {
+      if (isFollowing) {
+        await apiService.unfollowIssue(id);
+        setIsFollowing(false);
+        toast.success('You will no longer get updates on this issue');
+      } else {
+        await apiService.followIssue(id);
+        setIsFollowing(true);
+        toast.success('You will get updates on this issue');
+      }
+    } catch (error) {
+      console.error('Error toggling follow:', error);
+      toast.error(error.message || 'Failed to update follow. Please try again.');
+    }
+  };
+
   const handleAddComment = async (e) => {
     e.preventDefault();
     if (!newComment.trim()) return;
@@ -193,6 +331,10 @@ const IssueDetail = ({ user, isAdmin }) => {
       const response = await apiService.addComment(id, commentData);
       setComments(prev => [...prev, response]);
       setNewComment('');
+      // Commenting follows the issue on the server
+      if (issue.reporterId !== String(user?.id || user?._id || '')) {
+        setIsFollowing(true);
+      }
       toast.success('Comment added successfully');
     } catch (error) {
       console.error('Error adding comment:', error);
@@ -200,6 +342,32 @@ const IssueDetail = ({ user, isAdmin }) => {
     }
   };
 
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (reopenReason.trim().length < 10) {
+      toast.error('Please describe what is still wrong (at least 10 characters)');
+      return;
+    }
+
+    setIsReopening(true);
+    try {
+      const response = await apiService.reopenIssue(issue.id, {
+        reason: reopenReason.trim(),
+        imageFile: reopenPhoto
+      });
+      toast.success(response.message || 'Issue reopened');
+      setShowReopen(false);
+      setReopenReason('');
+      setReopenPhoto(null);
+      await fetchIssueData();
+    } catch (error) {
+      console.error('Error reopening issue:', error);
+      toast.error(error.message || 'Failed to reopen issue. Please try again.');
+    } finally {
+      setIsReopening(false);
+    }
+  };
+
   const handleStatusUpdate = (newStatus) => {
     setIssue(prev => ({ ...prev, status: newStatus }));
     toast.success(`Issue status updated to ${newStatus}`);
@@ -402,7 +570,29 @@ const IssueDetail = ({ user, isAdmin }) => {
             </div>
           )}
 
-          {!isAdmin && (
+          {issue.mergedInto && (
+            <div className="flex items-center gap-3 p-4 mb-4 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+              <GitMerge size={18} />
+              <span>
+                This report was merged into{' '}
+                <button
+                  onClick={() => navigate(`/issue/${issue.mergedInto.id}`)}
+                  className="font-semibold underline hover:text-purple-900"
+                >
+                  {issue.mergedInto.title || 'another issue'}
+                </button>
+                . Updates are posted there.
+              </span>
+            </div>
+          )}
+
+          {issue.duplicates?.length > 0 && (
+            <div className="p-4 mb-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600">
+              {issue.duplicates.length} duplicate report(s) merged into this issue
+            </div>
+          )}
+
+          {!isAdmin && !issue.mergedInto && (
             <div className="flex gap-3 pt-4 border-t border-gray-200">
               {issue.status === 'resolved' && user && (
                 <button
@@ -424,6 +614,15 @@ const IssueDetail = ({ user, isAdmin }) => {
                   Acknowledge & Close Issue
                 </button>
               )}
+              {issue.status === 'resolved' && user && (
+                <button
+                  onClick={() => setShowReopen(prev => !prev)}
+                  className="px-4 py-2 bg-gray-100 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors flex items-center gap-2"
+                >
+                  <AlertTriangle size={16} />
+                  Not Fixed? Reopen
+                </button>
+              )}
               {issue.status !== 'resolved' && (
                 <>
                   <button
@@ -443,10 +642,47 @@ const IssueDetail = ({ user, isAdmin }) => {
                   </button>
                 </>
               )}
+              {user && issue.reporterId !== String(user.id || user._id || '') && (
+                <button
+                  onClick={handleFollow}
+                  className="px-4 py-2 bg-gray-100 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors flex items-center gap-2"
+                >
+                  {isFollowing ? <BellOff size={16} /> : <Bell size={16} />}
+                  {isFollowing ? 'Unfollow' : 'Follow'}
+                </button>
+              )}
             </div>
           )}
         </div>
 
+        {showReopen && issue.status === 'resolved' && (
+          <form onSubmit={handleReopen} className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Reopen Issue</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Tell us what is still wrong. The issue goes back to the employee who resolved it.
+            </p>
+            <textarea
+              value={reopenReason}
+              onChange={(e) => setReopenReason(e.target.value)}
+              placeholder="What is still not fixed? (required)"
+              className="w-full p-4 border border-gray-300 rounded-lg text-sm min-h-[100px] resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+            />
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setReopenPhoto(e.target.files?.[0] || null)}
+              className="block text-sm text-gray-600 mb-4"
+            />
+            <button
+              type="submit"
+              disabled={isReopening || !reopenReason.trim()}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isReopening ? 'Reopening...' : 'Reopen Issue'}
+            </button>
+          </form>
+        )}
+
         <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Location</h3>
           <div className="h-64 rounded-lg overflow-hidden">
@@ -509,24 +745,140 @@ const IssueDetail = ({ user, isAdmin }) => {
           </div>
         </div>
 
-        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Comments & Updates</h3>
+        {canManageEscalation && timeline && (
+          <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <History size={18} className="text-gray-500" />
+                Escalation Timeline
+              </h3>
+              <div className="text-xs text-gray-500 text-right">
+                <div>Level: <span className="font-medium text-gray-700">{timeline.currentRole || 'Unassigned'}</span></div>
+                {timeline.currentDeadline && (
+                  <div>Escalates: {formatDate(timeline.currentDeadline)}</div>
+                )}
+              </div>
+            </div>
 
-          <form onSubmit={handleAddComment} className="mb-6">
-            <textarea
-              value={newComment}
-              onChange={(e) => setNewComment(e.target.value)}
-              placeholder="Add a comment or update..."
-              className="w-full p-4 border border-gray-300 rounded-lg text-sm min-h-[100px] resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+            <div className="flex flex-col gap-3 mb-6">
+              {timeline.events.map((event, index) => (
+                <div key={index} className="flex gap-3 p-3 bg-gray-50 rounded-lg">
+                  <div className="pt-0.5">
+                    {event.type === 'escalation' && <ArrowUpCircle size={18} className="text-orange-500" />}
+                    {event.type === 'de-escalation' && <ArrowDownCircle size={18} className="text-blue-500" />}
+                    {event.type === 'status' && <Clock size={18} className="text-gray-400" />}
+                  </div>
+                  <div className="flex-1 text-sm">
+                    <div className="flex justify-between gap-2">
+                      <span className="font-medium text-gray-900">
+                        {event.type === 'status'
+                          ? `Status: ${event.status}`
+                          : `${event.type === 'escalation' ? 'Escalated' : 'Sent back'}: ${event.fromRole || 'unassigned'} → ${event.toRole}`}
+                      </span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{formatDate(event.at)}</span>
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {event.actor?.name ? `by ${event.actor.name}` : (event.trigger === 'auto' ? 'Automatic (time limit)' : '')}
+                    </div>
+                    {event.reason && event.reason !== 'Status updated' && (
+                      <p className="text-gray-600 mt-1">{event.reason}</p>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {timeline.events.length === 0 && (
+                <div className="text-center py-4 text-gray-500 text-sm">No history yet</div>
+              )}
+            </div>
+
+            {['reported', 'assigned', 'accepted', 'in-progress', 'escalated'].includes(timeline.status) && (
+              <div className="border-t border-gray-200 pt-4">
+                <textarea
+                  value={escalationReason}
+                  onChange={(e) => setEscalationReason(e.target.value)}
+                  placeholder="Reason for escalating or sending back (required)"
+                  className="w-full p-3 border border-gray-300 rounded-lg text-sm min-h-[70px] resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+                />
+                <div className="flex gap-2">
+                  {timeline.currentRole !== 'commissioner' && (
+                    <button
+                      onClick={() => handleEscalation('up')}
+                      disabled={isEscalating || !escalationReason.trim()}
+                      className="px-4 py-2 bg-orange-600 text-white rounded-lg text-sm font-medium hover:bg-orange-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <ArrowUpCircle size={16} />
+                      Escalate
+                    </button>
+                  )}
+                  {timeline.currentRole && timeline.currentRole !== 'field-staff' && (
+                    <button
+                      onClick={() => handleEscalation('down')}
+                      disabled={isEscalating || !escalationReason.trim()}
+                      className="px-4 py-2 bg-gray-100 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <ArrowDownCircle size={16} />
+                      Send Back
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {canMerge && !issue.mergedInto && (
+          <form onSubmit={handleMerge} className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2 flex items-center gap-2">
+              <GitMerge size={18} className="text-gray-500" />
+              Merge Duplicates
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Upvotes, photos and comments of the duplicates move to this issue. Their reporters are notified and follow this issue.
+            </p>
+            <input
+              type="text"
+              value={mergeIds}
+              onChange={(e) => setMergeIds(e.target.value)}
+              placeholder="Duplicate issue IDs, separated by commas"
+              className="w-full p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+            />
+            <input
+              type="text"
+              value={mergeReason}
+              onChange={(e) => setMergeReason(e.target.value)}
+              placeholder="Reason (optional)"
+              className="w-full p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
             />
             <button
               type="submit"
-              disabled={!newComment.trim()}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={isMerging || !mergeIds.trim()}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Add Comment
+              {isMerging ? 'Merging...' : 'Merge into this issue'}
             </button>
           </form>
+        )}
+
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Comments & Updates</h3>
+
+          {!issue.mergedInto && (
+            <form onSubmit={handleAddComment} className="mb-6">
+              <textarea
+                value={newComment}
+                onChange={(e) => setNewComment(e.target.value)}
+                placeholder="Add a comment or update..."
+                className="w-full p-4 border border-gray-300 rounded-lg text-sm min-h-[100px] resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
+              />
+              <button
+                type="submit"
+                disabled={!newComment.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add Comment
+              </button>
+            </form>
+          )}
 
           <div className="flex flex-col gap-3">
             {comments.map((comment) => (
@@ -93,6 +93,11 @@ const Login = ({ setUser, setIsAdmin }) => {
     setIsLoading(true);
     try {
       const response = await apiService.verifyOtp(mobile, otp);
+      // Staff accounts with two-factor on finish signing in on the employee login
+      if (response.data.twoFactorRequired) {
+        toast.info('This account uses two-factor sign-in. Please sign in through Employee Login.');
+        return;
+      }
       const user = {
         id: response.data.user._id,
         name: response.data.user.name,
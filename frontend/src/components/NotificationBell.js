@@ -0,0 +1,189 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Bell } from 'lucide-react';
+import apiService from '../services/api';
+import realtime from '../services/realtime';
+import pushService from '../services/push';
+
+const issueIdOf = (notification) => {
+  const issue = notification.data?.issueId;
+  return issue ? (issue._id || issue) : null;
+};
+
+const timeSince = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// Bell with the unread count and a list of recent notifications, kept current over the real-time channel.
+// `issuePath(issueId)` is where clicking an issue notification goes (none when omitted).
+const NotificationBell = ({ color = '#64748b', issuePath }) => {
+  const navigate = useNavigate();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState(null);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    apiService.getUnreadNotificationCount()
+      .then(resp => setUnreadCount(resp.data.unreadCount))
+      .catch(() => {});
+    pushService.resume().catch(() => {});
+
+    // `alert` is false during quiet hours and for types the user turned push off for
+    const stopNew = realtime.on('notification:new', ({ notification, unreadCount: count, alert }) => {
+      setUnreadCount(count);
+      setNotifications(prev => (prev ? [notification, ...prev] : prev));
+      if (alert) toast(notification.title, { description: notification.message });
+    });
+    const stopCount = realtime.on('notification:unread-count', ({ unreadCount: count }) => {
+      setUnreadCount(count);
+      if (count === 0) {
+        setNotifications(prev => (prev ? prev.map(item => ({ ...item, isRead: true })) : prev));
+      }
+    });
+
+    return () => {
+      stopNew();
+      stopCount();
+    };
+  }, []);
+
+  // Close the list on a click outside it
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const toggle = async () => {
+    const next = !open;
+    setOpen(next);
+    if (next && notifications === null) {
+      try {
+        const resp = await apiService.getNotifications({ limit: 20 });
+        setNotifications(resp.data.notifications);
+      } catch (error) {
+        toast.error(`Failed to load notifications: ${error.message}`);
+      }
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.isRead) {
+      setNotifications(prev => prev.map(item => (item._id === notification._id ? { ...item, isRead: true } : item)));
+      setUnreadCount(count => Math.max(count - 1, 0));
+      apiService.markNotificationRead(notification._id).catch(() => {});
+    }
+    const issueId = issueIdOf(notification);
+    if (issueId && issuePath) {
+      setOpen(false);
+      navigate(issuePath(issueId));
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await apiService.markAllNotificationsRead();
+      setUnreadCount(0);
+      setNotifications(prev => (prev ? prev.map(item => ({ ...item, isRead: true })) : prev));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        onClick={toggle}
+        title="Notifications"
+        style={{ background: 'none', border: 'none', color, cursor: 'pointer', padding: '0.5rem', position: 'relative' }}
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span style={{
+            position: 'absolute',
+            top: 0,
+            right: 0,
+            minWidth: '18px',
+            height: '18px',
+            padding: '0 4px',
+            borderRadius: '9px',
+            background: '#dc2626',
+            color: 'white',
+            fontSize: '0.7rem',
+            fontWeight: 600,
+            lineHeight: '18px',
+            textAlign: 'center'
+          }}>
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '2.75rem',
+          width: 'min(340px, 90vw)',
+          maxHeight: '420px',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: '12px',
+          boxShadow: '0 10px 30px rgba(15, 23, 42, 0.2)',
+          zIndex: 1000,
+          color: '#1e293b',
+          textAlign: 'left'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.75rem 1rem', borderBottom: '1px solid #e2e8f0' }}>
+            <strong style={{ fontSize: '0.95rem' }}>Notifications</strong>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                style={{ background: 'none', border: 'none', color: '#2563eb', cursor: 'pointer', fontSize: '0.8rem' }}
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications === null && (
+            <p style={{ padding: '1rem', color: '#64748b', fontSize: '0.85rem' }}>Loading...</p>
+          )}
+          {notifications && notifications.length === 0 && (
+            <p style={{ padding: '1rem', color: '#64748b', fontSize: '0.85rem' }}>No notifications yet</p>
+          )}
+          {notifications && notifications.map(notification => (
+            <div
+              key={notification._id}
+              onClick={() => openNotification(notification)}
+              style={{
+                padding: '0.75rem 1rem',
+                borderBottom: '1px solid #f1f5f9',
+                background: notification.isRead ? 'white' : '#eff6ff',
+                cursor: 'pointer'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                <span style={{ fontSize: '0.85rem', fontWeight: notification.isRead ? 500 : 700 }}>{notification.title}</span>
+                <span style={{ fontSize: '0.7rem', color: '#94a3b8', whiteSpace: 'nowrap' }}>{timeSince(notification.createdAt)}</span>
+              </div>
+              <p style={{ fontSize: '0.8rem', color: '#475569', marginTop: '0.25rem' }}>{notification.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
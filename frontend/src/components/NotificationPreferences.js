@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { BellRing } from 'lucide-react';
+import apiService from '../services/api';
+import pushService from '../services/push';
+
+const CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'push', label: 'Push' }
+];
+
+// Which notifications arrive by email, SMS and push, quiet hours and the digest email
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [browserPush, setBrowserPush] = useState(false);
+  const [switchingPush, setSwitchingPush] = useState(false);
+
+  useEffect(() => {
+    pushService.isEnabled().then(setBrowserPush).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    apiService.getNotificationPreferences()
+      .then(resp => {
+        setPreferences(resp.data.preferences);
+        setTypes(resp.data.types);
+      })
+      .catch(error => toast.error(`Failed to load notification preferences: ${error.message}`));
+  }, []);
+
+  if (!preferences) return null;
+
+  // A type follows the channel switch unless it has its own setting
+  const isOn = (type, channel) => {
+    const override = preferences.types[type]?.[channel];
+    return override !== undefined ? override : preferences[channel];
+  };
+
+  const setChannel = (channel, value) => setPreferences(prev => ({ ...prev, [channel]: value }));
+
+  const setTypeChannel = (type, channel, value) => setPreferences(prev => ({
+    ...prev,
+    types: { ...prev.types, [type]: { ...(prev.types[type] || {}), [channel]: value } }
+  }));
+
+  const setQuietHours = (changes) => setPreferences(prev => ({
+    ...prev,
+    quietHours: { ...prev.quietHours, ...changes }
+  }));
+
+  // Push needs this browser subscribed as well as the push channel switched on
+  const toggleBrowserPush = async () => {
+    setSwitchingPush(true);
+    try {
+      if (browserPush) {
+        await pushService.disable();
+        setBrowserPush(false);
+        toast.success('Push notifications turned off for this browser');
+      } else {
+        await pushService.enable();
+        setBrowserPush(true);
+        toast.success('Push notifications turned on for this browser');
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSwitchingPush(false);
+    }
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      // Types without their own settings are sent as null so stale ones are cleared
+      const typeSettings = Object.fromEntries(types.map(({ key }) => [key, preferences.types[key] || null]));
+      const resp = await apiService.updateNotificationPreferences({
+        email: preferences.email,
+        sms: preferences.sms,
+        push: preferences.push,
+        types: typeSettings,
+        quietHours: preferences.quietHours,
+        digest: preferences.digest
+      });
+      setPreferences(resp.data.preferences);
+      toast.success('Notification preferences saved');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={save} className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6 text-left">
+      <div className="flex items-center gap-2 mb-2">
+        <BellRing size={20} className="text-blue-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Notifications</h3>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Everything always appears under the bell. Choose what also reaches you by email, SMS and push.
+      </p>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        {CHANNELS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={preferences[key]} onChange={(e) => setChannel(key, e.target.checked)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {pushService.isSupported() && (
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <button
+            type="button"
+            onClick={toggleBrowserPush}
+            disabled={switchingPush}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            {browserPush ? 'Turn off push in this browser' : 'Turn on push in this browser'}
+          </button>
+          <span className="text-xs text-gray-500">Push notifications show even when CivicConnect is closed.</span>
+        </div>
+      )}
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2 pr-2 font-medium">Notification</th>
+              {CHANNELS.map(({ key, label }) => (
+                <th key={key} className="py-2 px-2 font-medium text-center">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {types.map(({ key, label }) => (
+              <tr key={key} className="border-t border-gray-100">
+                <td className="py-2 pr-2 text-gray-700">{label}</td>
+                {CHANNELS.map(channel => (
+                  <td key={channel.key} className="py-2 px-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={isOn(key, channel.key)}
+                      onChange={(e) => setTypeChannel(key, channel.key, e.target.checked)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={preferences.quietHours.enabled}
+            onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+          />
+          Quiet hours from
+        </label>
+        <input
+          type="time"
+          value={preferences.quietHours.start}
+          disabled={!preferences.quietHours.enabled}
+          onChange={(e) => setQuietHours({ start: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        />
+        <span className="text-sm text-gray-700">to</span>
+        <input
+          type="time"
+          value={preferences.quietHours.end}
+          disabled={!preferences.quietHours.enabled}
+          onChange={(e) => setQuietHours({ end: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">No SMS or push during quiet hours (India time), except for urgent notifications.</p>
+
+      <label className="flex flex-wrap items-center gap-2 text-sm text-gray-700 mb-1">
+        Digest email
+        <select
+          value={preferences.digest}
+          onChange={(e) => setPreferences(prev => ({ ...prev, digest: e.target.value }))}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="off">Off</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+        </select>
+      </label>
+      <p className="text-xs text-gray-500 mb-4">Low-priority emails, such as upvotes on your reports, are collected into one email.</p>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+      >
+        {saving ? 'Saving...' : 'Save Preferences'}
+      </button>
+    </form>
+  );
+};
+
+export default NotificationPreferences;
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
+import NotificationPreferences from './NotificationPreferences';
 
 const Profile = () => {
   const navigate = useNavigate();
@@ -64,6 +65,9 @@ const Profile = () => {
             </div>
           </div>
         </div>
+        <div style={{ marginTop: '1.5rem' }}>
+          <NotificationPreferences />
+        </div>
         <button className="btn-secondary" style={{ marginTop: '1rem' }} onClick={() => navigate('/citizen')}>
           Back to Dashboard
         </button>
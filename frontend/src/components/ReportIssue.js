@@ -2,7 +2,7 @@ import React, { useState, useContext, useRef, useEffect } from 'react';
 import { toast } from 'sonner';
 import { useNavigate } from 'react-router-dom';
 import { LanguageContext } from '../App';
-import { ArrowLeft, Camera, Mic, Type, MapPin, Upload } from 'lucide-react';
+import { ArrowLeft, Camera, Mic, Type, MapPin, Upload, ThumbsUp, Users } from 'lucide-react';
 import apiService from '../services/api';
 
 const ReportIssue = ({ user }) => {
@@ -23,6 +23,35 @@ const ReportIssue = ({ user }) => {
   const targetRef = useRef('description');
   const lastTranscriptTitleRef = useRef('');
   const lastTranscriptDescRef = useRef('');
+  const [similarIssues, setSimilarIssues] = useState([]);
+  const [joiningIssueId, setJoiningIssueId] = useState(null);
+
+  // Look for open issues nearby that may be the same problem while the citizen types
+  useEffect(() => {
+    const [latitude, longitude] = reportData.coordinates || [];
+    const text = `${reportData.title} ${reportData.description}`.trim();
+    if (!latitude || !longitude || text.length < 10) {
+      setSimilarIssues([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.getSimilarIssues({
+          title: reportData.title,
+          description: reportData.description,
+          latitude,
+          longitude
+        });
+        setSimilarIssues(response.data?.matches || []);
+      } catch (error) {
+        console.warn('Similar issues lookup failed:', error);
+        setSimilarIssues([]);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [reportData.coordinates, reportData.title, reportData.description]);
 
   // Check if speech recognition is available on mount
   useEffect(() => {
@@ -278,6 +307,33 @@ const ReportIssue = ({ user }) => {
     }, 20000);
   };
 
+  const handleUpvoteSimilar = async (issueId) => {
+    try {
+      await apiService.upvoteIssue(issueId);
+      setSimilarIssues(prev => prev.map(match => (
+        match.issue._id === issueId
+          ? { ...match, issue: { ...match.issue, hasUpvoted: true, upvotes: match.issue.upvotes + 1 } }
+          : match
+      )));
+      toast.success('Thanks! Your upvote helps prioritise this issue.');
+    } catch (error) {
+      toast.error(error.message || 'Failed to upvote');
+    }
+  };
+
+  const handleJoinSimilar = async (issueId) => {
+    setJoiningIssueId(issueId);
+    try {
+      await apiService.joinIssue(issueId);
+      toast.success('You joined this issue and will get its updates.');
+      navigate(`/issue/${issueId}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to join issue');
+    } finally {
+      setJoiningIssueId(null);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
@@ -611,6 +667,70 @@ const ReportIssue = ({ user }) => {
             </div>
           </div>
 
+          {similarIssues.length > 0 && (
+            <div style={{
+              marginBottom: '1.5rem',
+              padding: '1rem',
+              background: '#fffbeb',
+              border: '1px solid #fcd34d',
+              borderRadius: '8px'
+            }}>
+              <h3 style={{ fontSize: '1rem', fontWeight: '600', color: '#92400e', marginBottom: '0.25rem' }}>
+                Similar issues nearby
+              </h3>
+              <p style={{ fontSize: '0.85rem', color: '#92400e', marginBottom: '1rem' }}>
+                Is your problem already reported? Upvote or join it instead of filing a new report.
+              </p>
+              {similarIssues.map(({ issue, distance }) => (
+                <div
+                  key={issue._id}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '1rem',
+                    padding: '0.75rem',
+                    marginBottom: '0.5rem',
+                    background: 'white',
+                    borderRadius: '6px',
+                    border: '1px solid #e2e8f0'
+                  }}
+                >
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: '600', color: '#1e293b' }}>{issue.title}</div>
+                    <div style={{ fontSize: '0.8rem', color: '#64748b' }}>
+                      {issue.category} · {issue.status} · {distance} m away · {issue.upvotes} upvotes
+                    </div>
+                  </div>
+                  {!issue.isReporter && (
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => handleUpvoteSimilar(issue._id)}
+                        disabled={issue.hasUpvoted}
+                        style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', padding: '0.5rem 0.75rem', minWidth: 'auto' }}
+                      >
+                        <ThumbsUp size={14} />
+                        {issue.hasUpvoted ? 'Upvoted' : 'Upvote'}
+                      </button>
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => handleJoinSimilar(issue._id)}
+                        disabled={joiningIssueId === issue._id}
+                        style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', padding: '0.5rem 0.75rem', minWidth: 'auto' }}
+                      >
+                        <Users size={14} />
+                        {joiningIssueId === issue._id ? 'Joining...' : 'Join'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
           <button 
             type="submit" 
             className="btn-primary" 
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import apiService from '../services/api';
+
+// Code (or recovery code) input used to confirm disabling and regenerating
+const codesFromInput = (value) => {
+  const trimmed = value.trim();
+  return /^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed };
+};
+
+// Two-factor (authenticator app) enrolment and management for admins and employees
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const resp = await apiService.getTwoFactorStatus();
+      setStatus(resp.data);
+    } catch (error) {
+      toast.error(`Failed to load two-factor status: ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const resp = await apiService.setupTwoFactor();
+    setEnrolment(resp.data);
+    setRecoveryCodes(null);
+    setCode('');
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const resp = await apiService.enableTwoFactor(code.trim());
+      setRecoveryCodes(resp.data.recoveryCodes);
+      setEnrolment(null);
+      setCode('');
+      toast.success('Two-factor authentication is on');
+      fetchStatus();
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await apiService.disableTwoFactor(codesFromInput(code));
+      setCode('');
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication is off');
+      fetchStatus();
+    });
+  };
+
+  const regenerate = () => {
+    if (!code.trim()) {
+      toast.error('Enter a current code first');
+      return;
+    }
+    run(async () => {
+      const resp = await apiService.regenerateRecoveryCodes(codesFromInput(code));
+      setRecoveryCodes(resp.data.recoveryCodes);
+      setCode('');
+      fetchStatus();
+    });
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        {status.enabled ? <ShieldCheck size={20} className="text-green-600" /> : <ShieldOff size={20} className="text-gray-400" />}
+        <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {status.enabled
+          ? `On since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesLeft} recovery codes left.`
+          : 'Sign in with a code from an authenticator app (Google Authenticator, Authy, 1Password...) as well as your password.'}
+        {status.required && !status.enabled && ' Your role requires it.'}
+      </p>
+
+      {recoveryCodes && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm font-medium text-yellow-800 mb-2">
+            Save these recovery codes. Each works once if you lose your device; they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+            {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !enrolment && (
+        <button
+          onClick={startSetup}
+          disabled={busy}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+        >
+          Set Up Two-Factor
+        </button>
+      )}
+
+      {enrolment && (
+        <form onSubmit={confirmSetup} className="space-y-3">
+          <img src={enrolment.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+          <p className="text-xs text-gray-500">
+            Can't scan? Enter this key: <span className="font-mono">{enrolment.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={6}
+            required
+            placeholder="6-digit code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div>
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors"
+            >
+              Confirm
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form onSubmit={disable} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            required
+            placeholder="Code or recovery code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-48 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="button"
+            onClick={regenerate}
+            disabled={busy}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors flex items-center gap-2"
+          >
+            <KeyRound size={16} />
+            New Recovery Codes
+          </button>
+          {!status.required && (
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-red-50 text-red-700 rounded-lg text-sm font-medium hover:bg-red-100 transition-colors"
+            >
+              Turn Off
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
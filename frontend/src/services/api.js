@@ -263,6 +263,16 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Second step of the admin and employee logins: { code } or { recoveryCode }
+  async verifyTwoFactorLogin(challengeToken, codes) {
+    const response = await fetch(`${this.baseURL}/auth/2fa/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken, ...codes })
+    });
+    return this.handleResponse(response);
+  }
+
   async employeeLogin({ employeeId, password, department }) {
     const response = await fetch(`${this.baseURL}/auth/employee-login`, {
       method: 'POST',
@@ -282,6 +292,28 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Open issues near a draft report that may be the same problem
+  async getSimilarIssues({ title, description, category, latitude, longitude }) {
+    const params = { latitude, longitude };
+    if (title) params.title = title;
+    if (description) params.description = description;
+    if (category) params.category = category;
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(`${this.baseURL}/issues/similar?${queryString}`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  // Upvote an existing issue and follow its progress instead of reporting it again
+  async joinIssue(id) {
+    const response = await fetch(`${this.baseURL}/issues/${id}/join`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
   async getIssueById(id) {
     const response = await fetch(`${this.baseURL}/issues/${id}`, {
       headers: this.getAuthHeaders()
@@ -323,6 +355,28 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  async reopenIssue(id, { reason, imageFile }) {
+    // Multipart so an optional photo can be attached
+    const formData = new FormData();
+    formData.append('reason', reason);
+    if (imageFile) {
+      formData.append('image', imageFile);
+    }
+
+    const token = localStorage.getItem('civicconnect_token');
+    const headers = {};
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${this.baseURL}/issues/${id}/reopen`, {
+      method: 'POST',
+      headers: headers,
+      body: formData
+    });
+    return this.handleResponse(response);
+  }
+
   async getLeaderboard() {
     const response = await fetch(`${this.baseURL}/issues/leaderboard`, {
       headers: this.getAuthHeaders()
@@ -355,6 +409,38 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  async getMySchedule() {
+    const response = await fetch(`${this.baseURL}/employee/schedule`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async setDuty(onDuty) {
+    const response = await fetch(`${this.baseURL}/employee/duty`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ onDuty })
+    });
+    return this.handleResponse(response);
+  }
+
+  async getTeamOverview() {
+    const response = await fetch(`${this.baseURL}/employee/team`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getTeamIssues(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(
+      `${this.baseURL}/employee/team/issues${queryString ? `?${queryString}` : ''}`,
+      { headers: this.getAuthHeaders() }
+    );
+    return this.handleResponse(response);
+  }
+
   async resolveIssue(issueId, { imageFile, latitude, longitude }) {
     // Prepare multipart/form-data
     const formData = new FormData();
@@ -386,6 +472,42 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // scope is 'employee' or 'admin' - both expose the same escalation routes
+  async getIssueTimeline(issueId, scope = 'employee') {
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/timeline`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async escalateIssue(issueId, { toRole, reason }, scope = 'employee') {
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/escalate`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ toRole, reason })
+    });
+    return this.handleResponse(response);
+  }
+
+  async deEscalateIssue(issueId, { toRole, reason }, scope = 'employee') {
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/de-escalate`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ toRole, reason })
+    });
+    return this.handleResponse(response);
+  }
+
+  // Merge duplicate reports into issueId (admins, supervisors and commissioners)
+  async mergeIssues(issueId, { duplicateIds, reason }, scope = 'employee') {
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/merge`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ duplicateIds, reason })
+    });
+    return this.handleResponse(response);
+  }
+
   async upvoteIssue(id) {
     const response = await fetch(`${this.baseURL}/issues/${id}/upvote`, {
       method: 'POST',
@@ -394,6 +516,22 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  async followIssue(id) {
+    const response = await fetch(`${this.baseURL}/issues/${id}/follow`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async unfollowIssue(id) {
+    const response = await fetch(`${this.baseURL}/issues/${id}/follow`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
   async removeUpvote(id) {
     const response = await fetch(`${this.baseURL}/issues/${id}/upvote`, {
       method: 'DELETE',
@@ -487,6 +625,80 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // ================= NOTIFICATIONS =================
+  async getNotifications(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(
+      `${this.baseURL}/notifications${queryString ? `?${queryString}` : ''}`,
+      { headers: this.getAuthHeaders() }
+    );
+    return this.handleResponse(response);
+  }
+
+  async getUnreadNotificationCount() {
+    const response = await fetch(`${this.baseURL}/notifications/unread-count`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async markNotificationRead(notificationId) {
+    const response = await fetch(`${this.baseURL}/notifications/${notificationId}/read`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async markAllNotificationsRead() {
+    const response = await fetch(`${this.baseURL}/notifications/read-all`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getNotificationPreferences() {
+    const response = await fetch(`${this.baseURL}/notifications/preferences`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateNotificationPreferences(preferences) {
+    const response = await fetch(`${this.baseURL}/notifications/preferences`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(preferences)
+    });
+    return this.handleResponse(response);
+  }
+
+  async getPushConfig() {
+    const response = await fetch(`${this.baseURL}/notifications/push/config`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async registerPushSubscription(subscription) {
+    const response = await fetch(`${this.baseURL}/notifications/push/subscriptions`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ subscription })
+    });
+    return this.handleResponse(response);
+  }
+
+  async unregisterPushDevice(endpoint) {
+    const response = await fetch(`${this.baseURL}/notifications/push/devices`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ endpoint })
+    });
+    return this.handleResponse(response);
+  }
+
   // ================= PROFILE =================
   async getMyProfile() {
     const response = await fetch(`${this.baseURL}/auth/profile`, {
@@ -494,6 +706,142 @@ class ApiService {
     });
     return this.handleResponse(response);
   }
+
+  // ================= SESSIONS =================
+  async logout() {
+    const response = await fetch(`${this.baseURL}/auth/logout`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getSessions() {
+    const response = await fetch(`${this.baseURL}/auth/sessions`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async revokeSession(sessionId) {
+    const response = await fetch(`${this.baseURL}/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async revokeOtherSessions() {
+    const response = await fetch(`${this.baseURL}/auth/sessions`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    const response = await fetch(`${this.baseURL}/auth/password`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return this.handleResponse(response);
+  }
+
+  // Two-factor authentication
+  async getTwoFactorStatus() {
+    const response = await fetch(`${this.baseURL}/auth/2fa`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async setupTwoFactor() {
+    const response = await fetch(`${this.baseURL}/auth/2fa/setup`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async enableTwoFactor(code) {
+    const response = await fetch(`${this.baseURL}/auth/2fa/enable`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ code })
+    });
+    return this.handleResponse(response);
+  }
+
+  async disableTwoFactor(codes) {
+    const response = await fetch(`${this.baseURL}/auth/2fa/disable`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(codes)
+    });
+    return this.handleResponse(response);
+  }
+
+  async regenerateRecoveryCodes(codes) {
+    const response = await fetch(`${this.baseURL}/auth/2fa/recovery-codes`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(codes)
+    });
+    return this.handleResponse(response);
+  }
+
+  // Admin accounts (super-admins)
+  async getAdmins() {
+    const response = await fetch(`${this.baseURL}/admin/admins`, {
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async createAdmin(adminData) {
+    const response = await fetch(`${this.baseURL}/admin/admins`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(adminData)
+    });
+    return this.handleResponse(response);
+  }
+
+  async setAdminStatus(adminId, isActive) {
+    const response = await fetch(`${this.baseURL}/admin/admins/${adminId}/status`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ isActive })
+    });
+    return this.handleResponse(response);
+  }
+
+  async resetAdminPassword(adminId, password) {
+    const response = await fetch(`${this.baseURL}/admin/admins/${adminId}/reset-password`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(password ? { password } : {})
+    });
+    return this.handleResponse(response);
+  }
+
+  async resetAdminTwoFactor(adminId) {
+    const response = await fetch(`${this.baseURL}/admin/admins/${adminId}/reset-2fa`, {
+      method: 'POST',
+      headers: this.getAuthHeaders()
+    });
+    return this.handleResponse(response);
+  }
+
+  async getAuditLog(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(
+      `${this.baseURL}/admin/audit-log${queryString ? `?${queryString}` : ''}`,
+      { headers: this.getAuthHeaders() }
+    );
+    return this.handleResponse(response);
+  }
 }
 
 export default new ApiService();
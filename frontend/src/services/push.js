@@ -0,0 +1,70 @@
+import apiService from './api';
+
+const SERVICE_WORKER_URL = '/push-sw.js';
+
+// The VAPID public key comes base64url-encoded; PushManager wants the raw bytes
+const keyToBytes = (base64url) => {
+  const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+// Browser push notifications: subscribes this browser with the backend's VAPID key and registers
+// the subscription, so notifications arrive even when no CivicConnect tab is open.
+class PushService {
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
+
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    return registration ? registration.pushManager.getSubscription() : null;
+  }
+
+  // Whether this browser currently gets push notifications
+  async isEnabled() {
+    return Notification.permission === 'granted' && Boolean(await this.getSubscription());
+  }
+
+  async enable() {
+    if (!this.isSupported()) {
+      throw new Error('This browser does not support push notifications');
+    }
+    const { data: config } = await apiService.getPushConfig();
+    if (!config.webPush.enabled || !config.webPush.publicKey) {
+      throw new Error('Push notifications are not available on this server');
+    }
+    if ((await Notification.requestPermission()) !== 'granted') {
+      throw new Error('Notifications are blocked for this site in the browser settings');
+    }
+
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    await navigator.serviceWorker.ready;
+    const subscription = (await registration.pushManager.getSubscription()) ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: keyToBytes(config.webPush.publicKey)
+      });
+
+    // The backend ties the subscription to the current session; resume() registers it again after the next login
+    await apiService.registerPushSubscription(subscription.toJSON());
+  }
+
+  // Re-register a subscription the browser still has (the backend drops it when the user signs out)
+  async resume() {
+    if (!this.isSupported() || Notification.permission !== 'granted') return;
+    const subscription = await this.getSubscription();
+    if (subscription) {
+      await apiService.registerPushSubscription(subscription.toJSON());
+    }
+  }
+
+  async disable() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+    await apiService.unregisterPushDevice(subscription.endpoint).catch(() => {});
+    await subscription.unsubscribe();
+  }
+}
+
+export default new PushService();
@@ -0,0 +1,74 @@
+import { io } from 'socket.io-client';
+
+// The Socket.IO server runs on the API host, without the /api prefix
+const SOCKET_URL =
+  process.env.REACT_APP_SOCKET_URL ||
+  (process.env.REACT_APP_API_BASE || 'http://localhost:5001/api').replace(/\/api\/?$/, '');
+
+// One shared connection per signed-in user. Events: notification:new, notification:unread-count,
+// issue:status, comment:new and (admins) issue:new.
+class RealtimeService {
+  constructor() {
+    this.socket = null;
+    this.token = null;
+    this.issues = new Set();
+  }
+
+  // Connect with the current access token; reconnects when the user signed in again
+  connect() {
+    const token = localStorage.getItem('civicconnect_token');
+    if (!token) {
+      this.disconnect();
+      return null;
+    }
+    if (this.socket && this.token === token) {
+      if (this.socket.disconnected) this.socket.connect();
+      return this.socket;
+    }
+
+    this.disconnect();
+    this.token = token;
+    this.socket = io(SOCKET_URL, { auth: { token } });
+
+    // Rooms belong to the server-side socket, so watched issues are joined again after every reconnect
+    this.socket.on('connect', () => {
+      this.issues.forEach(issueId => this.socket.emit('issue:subscribe', issueId));
+    });
+    this.socket.on('connect_error', (error) => {
+      if (error.data?.code === 'UNAUTHORIZED') {
+        console.warn('Real-time connection refused:', error.message);
+      }
+    });
+    return this.socket;
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.token = null;
+  }
+
+  // Listen for an event; returns the function that stops listening
+  on(event, handler) {
+    const socket = this.connect();
+    if (!socket) return () => {};
+    socket.on(event, handler);
+    return () => socket.off(event, handler);
+  }
+
+  // Receive issue:status and comment:new for an issue while it is open; returns the unsubscribe function
+  watchIssue(issueId) {
+    const socket = this.connect();
+    if (!socket || !issueId) return () => {};
+    this.issues.add(issueId);
+    if (socket.connected) socket.emit('issue:subscribe', issueId);
+    return () => {
+      this.issues.delete(issueId);
+      if (this.socket) this.socket.emit('issue:unsubscribe', issueId);
+    };
+  }
+}
+
+export default new RealtimeService();
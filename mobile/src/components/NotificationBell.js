@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import apiService from '../services/api';
+import realtime from '../services/realtime';
+import push from '../services/push';
+
+const issueIdOf = (notification) => {
+  const issue = notification.data?.issueId;
+  return issue ? issue._id || issue : null;
+};
+
+const timeSince = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// Bell with the unread count and a list of recent notifications, kept current over the real-time channel.
+// Issue notifications open the IssueDetail screen of the current stack.
+const NotificationBell = ({ color = '#1e4359' }) => {
+  const navigation = useNavigation();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    apiService
+      .getUnreadNotificationCount()
+      .then((resp) => setUnreadCount(resp.data.unreadCount))
+      .catch(() => {});
+    push.register().catch((error) => console.error('Error registering for push notifications:', error));
+
+    const stopNew = realtime.on('notification:new', ({ notification, unreadCount: count }) => {
+      setUnreadCount(count);
+      setNotifications((prev) => (prev ? [notification, ...prev] : prev));
+    });
+    const stopCount = realtime.on('notification:unread-count', ({ unreadCount: count }) => {
+      setUnreadCount(count);
+      if (count === 0) {
+        setNotifications((prev) => (prev ? prev.map((item) => ({ ...item, isRead: true })) : prev));
+      }
+    });
+
+    // A tapped push notification opens its issue
+    const stopOpen = push.onOpen(({ issueId }) => {
+      if (issueId) navigation.navigate('IssueDetail', { issueId });
+    });
+
+    return () => {
+      stopNew();
+      stopCount();
+      stopOpen();
+    };
+  }, []);
+
+  const show = async () => {
+    setOpen(true);
+    try {
+      const resp = await apiService.getNotifications({ limit: 20 });
+      setNotifications(resp.data.notifications);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      setNotifications((prev) => prev || []);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.isRead) {
+      setNotifications((prev) =>
+        prev.map((item) => (item._id === notification._id ? { ...item, isRead: true } : item))
+      );
+      setUnreadCount((count) => Math.max(count - 1, 0));
+      apiService.markNotificationRead(notification._id).catch(() => {});
+    }
+    const issueId = issueIdOf(notification);
+    if (issueId) {
+      setOpen(false);
+      navigation.navigate('IssueDetail', { issueId });
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await apiService.markAllNotificationsRead();
+      setUnreadCount(0);
+      setNotifications((prev) => (prev ? prev.map((item) => ({ ...item, isRead: true })) : prev));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <>
+      <TouchableOpacity onPress={show} style={styles.bellButton}>
+        <Ionicons name="notifications-outline" size={24} color={color} />
+        {unreadCount > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+
+      <Modal visible={open} animationType="slide" transparent onRequestClose={() => setOpen(false)}>
+        <View style={styles.overlay}>
+          <View style={styles.sheet}>
+            <View style={styles.sheetHeader}>
+              <Text style={styles.sheetTitle}>Notifications</Text>
+              <View style={styles.sheetActions}>
+                {unreadCount > 0 && (
+                  <TouchableOpacity onPress={markAllRead}>
+                    <Text style={styles.markAll}>Mark all as read</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity onPress={() => setOpen(false)}>
+                  <Ionicons name="close" size={24} color="#64748b" />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {notifications === null ? (
+              <ActivityIndicator style={styles.loading} color="#1e4359" />
+            ) : (
+              <FlatList
+                data={notifications}
+                keyExtractor={(item) => item._id}
+                ListEmptyComponent={<Text style={styles.empty}>No notifications yet</Text>}
+                renderItem={({ item }) => (
+                  <TouchableOpacity
+                    style={[styles.item, !item.isRead && styles.itemUnread]}
+                    onPress={() => openNotification(item)}
+                  >
+                    <View style={styles.itemHeader}>
+                      <Text style={[styles.itemTitle, !item.isRead && styles.itemTitleUnread]}>{item.title}</Text>
+                      <Text style={styles.itemTime}>{timeSince(item.createdAt)}</Text>
+                    </View>
+                    <Text style={styles.itemMessage}>{item.message}</Text>
+                  </TouchableOpacity>
+                )}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  bellButton: {
+    padding: 5,
+  },
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    borderRadius: 9,
+    backgroundColor: '#dc2626',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(15, 23, 42, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '75%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: 20,
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  sheetActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  markAll: {
+    color: '#2563eb',
+    fontSize: 14,
+  },
+  loading: {
+    padding: 30,
+  },
+  empty: {
+    padding: 20,
+    color: '#64748b',
+    textAlign: 'center',
+  },
+  item: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  itemUnread: {
+    backgroundColor: '#eff6ff',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  itemTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1e293b',
+    marginRight: 8,
+  },
+  itemTitleUnread: {
+    fontWeight: '700',
+  },
+  itemTime: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  itemMessage: {
+    fontSize: 14,
+    color: '#475569',
+    marginTop: 4,
+  },
+});
+
+export default NotificationBell;
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Switch,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import apiService from '../services/api';
+
+const CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'push', label: 'Push' },
+];
+
+const DIGESTS = [
+  { key: 'off', label: 'Off' },
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekly', label: 'Weekly' },
+];
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Which notifications arrive by email, SMS and push, quiet hours and the digest email
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    apiService
+      .getNotificationPreferences()
+      .then((resp) => {
+        setPreferences(resp.data.preferences);
+        setTypes(resp.data.types);
+      })
+      .catch((error) => console.error('Error fetching notification preferences:', error));
+  }, []);
+
+  if (!preferences) {
+    return <ActivityIndicator style={styles.loading} color="#1e4359" />;
+  }
+
+  // A type follows the channel switch unless it has its own setting
+  const isOn = (type, channel) => {
+    const override = preferences.types[type]?.[channel];
+    return override !== undefined ? override : preferences[channel];
+  };
+
+  const setTypeChannel = (type, channel, value) =>
+    setPreferences((prev) => ({
+      ...prev,
+      types: { ...prev.types, [type]: { ...(prev.types[type] || {}), [channel]: value } },
+    }));
+
+  const setQuietHours = (changes) =>
+    setPreferences((prev) => ({ ...prev, quietHours: { ...prev.quietHours, ...changes } }));
+
+  const save = async () => {
+    const { start, end } = preferences.quietHours;
+    if (!HH_MM.test(start) || !HH_MM.test(end)) {
+      Alert.alert('Quiet hours', 'Enter times as HH:mm, for example 22:00');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Types without their own settings are sent as null so stale ones are cleared
+      const typeSettings = Object.fromEntries(types.map(({ key }) => [key, preferences.types[key] || null]));
+      const resp = await apiService.updateNotificationPreferences({
+        email: preferences.email,
+        sms: preferences.sms,
+        push: preferences.push,
+        types: typeSettings,
+        quietHours: preferences.quietHours,
+        digest: preferences.digest,
+      });
+      setPreferences(resp.data.preferences);
+      Alert.alert('Saved', 'Notification preferences saved');
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Notifications</Text>
+      <Text style={styles.hint}>
+        Everything always appears under the bell. Choose what also reaches you by email, SMS and push.
+      </Text>
+
+      {CHANNELS.map(({ key, label }) => (
+        <View key={key} style={styles.row}>
+          <Text style={styles.rowLabel}>{label}</Text>
+          <Switch
+            value={preferences[key]}
+            onValueChange={(value) => setPreferences((prev) => ({ ...prev, [key]: value }))}
+          />
+        </View>
+      ))}
+
+      <Text style={styles.sectionTitle}>By notification</Text>
+      <View style={styles.typeHeader}>
+        <Text style={styles.typeLabel} />
+        {CHANNELS.map(({ key, label }) => (
+          <Text key={key} style={styles.typeColumn}>{label}</Text>
+        ))}
+      </View>
+      {types.map(({ key, label }) => (
+        <View key={key} style={styles.typeRow}>
+          <Text style={styles.typeLabel}>{label}</Text>
+          {CHANNELS.map((channel) => (
+            <View key={channel.key} style={styles.typeColumn}>
+              <Switch
+                value={isOn(key, channel.key)}
+                onValueChange={(value) => setTypeChannel(key, channel.key, value)}
+              />
+            </View>
+          ))}
+        </View>
+      ))}
+
+      <View style={styles.row}>
+        <Text style={styles.rowLabel}>Quiet hours</Text>
+        <Switch
+          value={preferences.quietHours.enabled}
+          onValueChange={(value) => setQuietHours({ enabled: value })}
+        />
+      </View>
+      {preferences.quietHours.enabled && (
+        <View style={styles.quietHours}>
+          <TextInput
+            style={styles.timeInput}
+            value={preferences.quietHours.start}
+            onChangeText={(start) => setQuietHours({ start })}
+            placeholder="22:00"
+            maxLength={5}
+          />
+          <Text style={styles.hint}>to</Text>
+          <TextInput
+            style={styles.timeInput}
+            value={preferences.quietHours.end}
+            onChangeText={(end) => setQuietHours({ end })}
+            placeholder="07:00"
+            maxLength={5}
+          />
+        </View>
+      )}
+      <Text style={styles.hint}>No SMS or push during quiet hours (India time), except for urgent notifications.</Text>
+
+      <Text style={styles.sectionTitle}>Digest email</Text>
+      <View style={styles.digestOptions}>
+        {DIGESTS.map(({ key, label }) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.digestOption, preferences.digest === key && styles.digestOptionActive]}
+            onPress={() => setPreferences((prev) => ({ ...prev, digest: key }))}
+          >
+            <Text style={[styles.digestText, preferences.digest === key && styles.digestTextActive]}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.hint}>Low-priority emails, such as upvotes on your reports, are collected into one email.</Text>
+
+      <TouchableOpacity style={styles.saveButton} onPress={save} disabled={saving}>
+        <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save Preferences'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  loading: {
+    padding: 20,
+  },
+  card: {
+    padding: 20,
+    backgroundColor: '#fff',
+    marginHorizontal: 15,
+    borderRadius: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginBottom: 5,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#64748b',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+    marginVertical: 5,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  rowLabel: {
+    fontSize: 16,
+    color: '#1e293b',
+  },
+  typeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  typeLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1e293b',
+  },
+  typeColumn: {
+    width: 56,
+    alignItems: 'center',
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#64748b',
+  },
+  quietHours: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  timeInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    width: 80,
+    fontSize: 16,
+  },
+  digestOptions: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  digestOption: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f1f5f9',
+  },
+  digestOptionActive: {
+    backgroundColor: '#1e4359',
+  },
+  digestText: {
+    color: '#334155',
+  },
+  digestTextActive: {
+    color: '#fff',
+  },
+  saveButton: {
+    backgroundColor: '#1e4359',
+    padding: 15,
+    borderRadius: 12,
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default NotificationPreferences;
@@ -1,5 +1,7 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from '../services/api';
+import realtime from '../services/realtime';
 
 const AuthContext = createContext();
 
@@ -53,6 +55,9 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // End the session on the server while the token is still stored
+      await apiService.logout().catch(() => {});
+      realtime.disconnect();
       await AsyncStorage.multiRemove([
         'civicconnect_user',
         'civicconnect_admin',
@@ -14,6 +14,7 @@ import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../../context/AuthContext';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../../services/api';
+import NotificationBell from '../../components/NotificationBell';
 
 const AdminDashboardScreen = () => {
   const navigation = useNavigation();
@@ -105,9 +106,12 @@ const AdminDashboardScreen = () => {
           <Text style={styles.headerTitle}>Admin Dashboard</Text>
           <Text style={styles.headerSubtitle}>Welcome, {user?.name || 'Admin'}</Text>
         </View>
-        <TouchableOpacity onPress={logout} style={styles.logoutButton}>
-          <Ionicons name="log-out-outline" size={24} color="#ef4444" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <NotificationBell color="#fff" />
+          <TouchableOpacity onPress={logout} style={styles.logoutButton}>
+            <Ionicons name="log-out-outline" size={24} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* Tabs */}
@@ -371,6 +375,10 @@ const styles = StyleSheet.create({
   logoutButton: {
     padding: 5,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   tabs: {
     flexDirection: 'row',
     backgroundColor: '#fff',
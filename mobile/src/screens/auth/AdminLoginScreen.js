@@ -16,20 +16,39 @@ import apiService from '../../services/api';
 const AdminLoginScreen = () => {
   const navigation = useNavigation();
   const { login } = useAuth();
-  const [email, setEmail] = useState('');
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the account has two-factor on and the password step passed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const handleSignedIn = async (data) => {
+    const { user, token, permissions } = data;
+    if (user.mustChangePassword) {
+      Alert.alert(
+        'Password Change Required',
+        'Your password was set by another admin. Sign in on the web dashboard to choose a new one.'
+      );
+      return;
+    }
+    await login({ ...user, token, permissions }, true);
+  };
 
   const handleLogin = async () => {
-    if (!email || !password) {
+    if (!username || !password) {
       Alert.alert('Error', 'Please fill in all fields');
       return;
     }
 
     setLoading(true);
     try {
-      const response = await apiService.adminLogin(email, password);
-      await login(response.user, true);
+      const response = await apiService.adminLogin(username.trim(), password);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+      await handleSignedIn(response.data);
     } catch (error) {
       Alert.alert('Login Failed', error.message || 'Invalid credentials');
     } finally {
@@ -37,6 +56,25 @@ const AdminLoginScreen = () => {
     }
   };
 
+  const handleVerifyCode = async () => {
+    const value = twoFactorCode.trim();
+    if (!value) {
+      Alert.alert('Error', 'Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const codes = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+      const response = await apiService.verifyTwoFactorLogin(challengeToken, codes);
+      await handleSignedIn(response.data);
+    } catch (error) {
+      Alert.alert('Verification Failed', error.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -49,33 +87,50 @@ const AdminLoginScreen = () => {
         </View>
 
         <View style={styles.form}>
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Email</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter admin email"
-              value={email}
-              onChangeText={setEmail}
-              keyboardType="email-address"
-              autoCapitalize="none"
-            />
-          </View>
+          {challengeToken ? (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Authentication Code</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="6-digit code or recovery code"
+                value={twoFactorCode}
+                onChangeText={setTwoFactorCode}
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="oneTimeCode"
+              />
+            </View>
+          ) : (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Username</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter admin username"
+                  value={username}
+                  onChangeText={setUsername}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </View>
 
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter password"
-              value={password}
-              onChangeText={setPassword}
-              secureTextEntry
-              autoCapitalize="none"
-            />
-          </View>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Password</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter password"
+                  value={password}
+                  onChangeText={setPassword}
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+              </View>
+            </>
+          )}
 
           <TouchableOpacity
             style={[styles.button, loading && styles.buttonDisabled]}
-            onPress={handleLogin}
+            onPress={challengeToken ? handleVerifyCode : handleLogin}
             disabled={loading}
           >
             <Text style={styles.buttonText}>
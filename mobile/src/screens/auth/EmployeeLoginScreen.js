@@ -19,6 +19,13 @@ const EmployeeLoginScreen = () => {
   const [employeeId, setEmployeeId] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the account has two-factor on and the password step passed
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
+  const handleSignedIn = async (data) => {
+    await login({ ...data.user, token: data.token }, false);
+  };
 
   const handleLogin = async () => {
     if (!employeeId || !password) {
@@ -29,7 +36,11 @@ const EmployeeLoginScreen = () => {
     setLoading(true);
     try {
       const response = await apiService.employeeLogin(employeeId, password);
-      await login(response.user, false);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+      await handleSignedIn(response.data);
     } catch (error) {
       Alert.alert('Login Failed', error.message || 'Invalid credentials');
     } finally {
@@ -37,6 +48,25 @@ const EmployeeLoginScreen = () => {
     }
   };
 
+  const handleVerifyCode = async () => {
+    const value = twoFactorCode.trim();
+    if (!value) {
+      Alert.alert('Error', 'Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const codes = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+      const response = await apiService.verifyTwoFactorLogin(challengeToken, codes);
+      await handleSignedIn(response.data);
+    } catch (error) {
+      Alert.alert('Verification Failed', error.message || 'Invalid code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -49,32 +79,49 @@ const EmployeeLoginScreen = () => {
         </View>
 
         <View style={styles.form}>
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Employee ID</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter employee ID"
-              value={employeeId}
-              onChangeText={setEmployeeId}
-              autoCapitalize="none"
-            />
-          </View>
+          {challengeToken ? (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Authentication Code</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="6-digit code or recovery code"
+                value={twoFactorCode}
+                onChangeText={setTwoFactorCode}
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="oneTimeCode"
+              />
+            </View>
+          ) : (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Employee ID</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter employee ID"
+                  value={employeeId}
+                  onChangeText={setEmployeeId}
+                  autoCapitalize="none"
+                />
+              </View>
 
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="Enter password"
-              value={password}
-              onChangeText={setPassword}
-              secureTextEntry
-              autoCapitalize="none"
-            />
-          </View>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Password</Text>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Enter password"
+                  value={password}
+                  onChangeText={setPassword}
+                  secureTextEntry
+                  autoCapitalize="none"
+                />
+              </View>
+            </>
+          )}
 
           <TouchableOpacity
             style={[styles.button, loading && styles.buttonDisabled]}
-            onPress={handleLogin}
+            onPress={challengeToken ? handleVerifyCode : handleLogin}
             disabled={loading}
           >
             <Text style={styles.buttonText}>
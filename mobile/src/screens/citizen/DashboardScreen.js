@@ -11,6 +11,7 @@ import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../../context/AuthContext';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../../services/api';
+import NotificationBell from '../../components/NotificationBell';
 
 const CitizenDashboardScreen = () => {
   const navigation = useNavigation();
@@ -36,8 +37,11 @@ const CitizenDashboardScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.greeting}>Hello, {user?.name || 'User'}!</Text>
-        <Text style={styles.subtitle}>Report your issue today</Text>
+        <View>
+          <Text style={styles.greeting}>Hello, {user?.name || 'User'}!</Text>
+          <Text style={styles.subtitle}>Report your issue today</Text>
+        </View>
+        <NotificationBell />
       </View>
 
       <TouchableOpacity
@@ -121,6 +125,9 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     borderBottomWidth: 1,
     borderBottomColor: '#e2e8f0',
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
   },
   greeting: {
     fontSize: 24,
@@ -1,6 +1,7 @@
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
+import NotificationPreferences from '../../components/NotificationPreferences';
 
 const ProfileScreen = () => {
   const { user, logout } = useAuth();
@@ -10,7 +11,7 @@ const ProfileScreen = () => {
   };
 
   return (
-    <View style={styles.container}>
+    <ScrollView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Profile</Text>
       </View>
@@ -22,10 +23,11 @@ const ProfileScreen = () => {
         <Text style={styles.label}>Phone:</Text>
         <Text style={styles.value}>{user?.phone || 'N/A'}</Text>
       </View>
+      <NotificationPreferences />
       <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
         <Text style={styles.logoutButtonText}>Logout</Text>
       </TouchableOpacity>
-    </View>
+    </ScrollView>
   );
 };
 
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -34,6 +34,36 @@ const ReportIssueScreen = () => {
   const [image, setImage] = useState(null);
   const [loading, setLoading] = useState(false);
   const [locationLoading, setLocationLoading] = useState(false);
+  const [similarIssues, setSimilarIssues] = useState([]);
+  const [joiningIssueId, setJoiningIssueId] = useState(null);
+
+  // Look for open issues nearby that may be the same problem while the citizen types
+  useEffect(() => {
+    const coordinates = formData.location.coordinates;
+    const text = `${formData.title} ${formData.description}`.trim();
+    if (!coordinates || text.length < 10) {
+      setSimilarIssues([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.getSimilarIssues({
+          title: formData.title,
+          description: formData.description,
+          category: formData.category,
+          latitude: coordinates.latitude,
+          longitude: coordinates.longitude,
+        });
+        setSimilarIssues(response.data?.matches || []);
+      } catch (error) {
+        console.warn('Similar issues lookup failed:', error);
+        setSimilarIssues([]);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [formData.location.coordinates, formData.title, formData.description, formData.category]);
 
   const categories = [
     'Road & Traffic',
@@ -127,6 +157,35 @@ const ReportIssueScreen = () => {
     }
   };
 
+  const handleUpvoteSimilar = async (issueId) => {
+    try {
+      await apiService.upvoteIssue(issueId);
+      setSimilarIssues((prev) =>
+        prev.map((match) =>
+          match.issue._id === issueId
+            ? { ...match, issue: { ...match.issue, hasUpvoted: true, upvotes: match.issue.upvotes + 1 } }
+            : match
+        )
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to upvote');
+    }
+  };
+
+  const handleJoinSimilar = async (issueId) => {
+    setJoiningIssueId(issueId);
+    try {
+      await apiService.joinIssue(issueId);
+      Alert.alert('Joined', 'You will get updates on this issue.', [
+        { text: 'OK', onPress: () => navigation.replace('IssueDetail', { issueId }) },
+      ]);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to join issue');
+    } finally {
+      setJoiningIssueId(null);
+    }
+  };
+
   const handleSubmit = async () => {
     if (!formData.title || !formData.description) {
       Alert.alert('Error', 'Please fill in title and description');
@@ -329,6 +388,47 @@ const ReportIssueScreen = () => {
             </View>
           </View>
 
+          {similarIssues.length > 0 && (
+            <View style={styles.similarContainer}>
+              <Text style={styles.similarTitle}>Similar issues nearby</Text>
+              <Text style={styles.similarSubtitle}>
+                Is your problem already reported? Upvote or join it instead of filing a new report.
+              </Text>
+              {similarIssues.map(({ issue, distance }) => (
+                <View key={issue._id} style={styles.similarItem}>
+                  <Text style={styles.similarItemTitle}>{issue.title}</Text>
+                  <Text style={styles.similarItemMeta}>
+                    {issue.category} · {issue.status} · {distance} m away · {issue.upvotes} upvotes
+                  </Text>
+                  {!issue.isReporter && (
+                    <View style={styles.similarActions}>
+                      <TouchableOpacity
+                        style={[styles.similarButton, issue.hasUpvoted && styles.submitButtonDisabled]}
+                        onPress={() => handleUpvoteSimilar(issue._id)}
+                        disabled={issue.hasUpvoted}
+                      >
+                        <Ionicons name="thumbs-up" size={16} color="#1e4359" />
+                        <Text style={styles.similarButtonText}>
+                          {issue.hasUpvoted ? 'Upvoted' : 'Upvote'}
+                        </Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.similarButton}
+                        onPress={() => handleJoinSimilar(issue._id)}
+                        disabled={joiningIssueId === issue._id}
+                      >
+                        <Ionicons name="people" size={16} color="#1e4359" />
+                        <Text style={styles.similarButtonText}>
+                          {joiningIssueId === issue._id ? 'Joining...' : 'Join'}
+                        </Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
           <TouchableOpacity
             style={[styles.submitButton, loading && styles.submitButtonDisabled]}
             onPress={handleSubmit}
@@ -515,6 +615,63 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     borderRadius: 20,
   },
+  similarContainer: {
+    backgroundColor: '#fffbeb',
+    borderColor: '#fcd34d',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 20,
+  },
+  similarTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#92400e',
+  },
+  similarSubtitle: {
+    fontSize: 13,
+    color: '#92400e',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  similarItem: {
+    backgroundColor: '#fff',
+    borderColor: '#e2e8f0',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  similarItemTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  similarItemMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  similarActions: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  similarButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderColor: '#1e4359',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  similarButtonText: {
+    color: '#1e4359',
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
   submitButton: {
     backgroundColor: '#1e4359',
     padding: 18,
@@ -8,11 +8,13 @@ import {
   TouchableOpacity,
   Alert,
   ActivityIndicator,
+  TextInput,
 } from 'react-native';
 import { useRoute } from '@react-navigation/native';
 import { useAuth } from '../../context/AuthContext';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../../services/api';
+import realtime from '../../services/realtime';
 
 const IssueDetailScreen = () => {
   const route = useRoute();
@@ -20,6 +22,15 @@ const IssueDetailScreen = () => {
   const { user, isAdmin } = useAuth();
   const [issue, setIssue] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [timeline, setTimeline] = useState(null);
+  const [escalationReason, setEscalationReason] = useState('');
+  const [escalating, setEscalating] = useState(false);
+  const [following, setFollowing] = useState(false);
+
+  const isEmployee = ['field-staff', 'supervisor', 'commissioner', 'employee'].includes(user?.role);
+  const canManageEscalation = isAdmin || isEmployee;
+  const escalationScope = isAdmin ? 'admin' : 'employee';
+  const currentUserId = String(user?._id || user?.id || '');
 
   useEffect(() => {
     if (issueId) {
@@ -27,10 +38,29 @@ const IssueDetailScreen = () => {
     }
   }, [issueId]);
 
+  // Live status changes while the issue is open
+  useEffect(() => {
+    if (!issueId) return undefined;
+    const stopWatching = realtime.watchIssue(issueId);
+    const stopStatus = realtime.on('issue:status', (event) => {
+      if (event.issueId !== issueId) return;
+      setIssue((prev) => (prev ? { ...prev, status: event.toStatus } : prev));
+      fetchTimeline();
+    });
+
+    return () => {
+      stopWatching();
+      stopStatus();
+    };
+  }, [issueId]);
+
   const fetchIssueDetail = async () => {
     try {
       const response = await apiService.getIssue(issueId);
-      setIssue(response.issue || response);
+      const issueData = response.issue || response.data?.issue || response;
+      setIssue(issueData);
+      setFollowing((issueData.followers || []).some((follower) => String(follower?._id || follower) === currentUserId));
+      fetchTimeline();
     } catch (error) {
       console.error('Error fetching issue:', error);
       Alert.alert('Error', 'Failed to load issue details');
@@ -39,6 +69,61 @@ const IssueDetailScreen = () => {
     }
   };
 
+  const fetchTimeline = async () => {
+    if (!canManageEscalation) return;
+    try {
+      const response = await apiService.getIssueTimeline(issueId, escalationScope);
+      setTimeline(response.data?.timeline || null);
+    } catch (error) {
+      console.warn('Timeline fetch failed:', error);
+      setTimeline(null);
+    }
+  };
+
+  const handleEscalation = async (direction) => {
+    if (escalationReason.trim().length < 5) {
+      Alert.alert('Reason required', 'Please enter a reason (at least 5 characters)');
+      return;
+    }
+
+    setEscalating(true);
+    try {
+      const body = { reason: escalationReason.trim() };
+      const response = direction === 'up'
+        ? await apiService.escalateIssue(issueId, body, escalationScope)
+        : await apiService.deEscalateIssue(issueId, body, escalationScope);
+      Alert.alert('Success', response.message || 'Issue updated');
+      setEscalationReason('');
+      await fetchIssueDetail();
+    } catch (error) {
+      console.error('Error changing escalation level:', error);
+      Alert.alert('Error', error.message || 'Failed to update escalation level');
+    } finally {
+      setEscalating(false);
+    }
+  };
+
+  const handleFollow = async () => {
+    try {
+      if (following) {
+        await apiService.unfollowIssue(issueId);
+        setFollowing(false);
+      } else {
+        await apiService.followIssue(issueId);
+        setFollowing(true);
+      }
+    } catch (error) {
+      console.error('Error toggling follow:', error);
+      Alert.alert('Error', error.message || 'Failed to update follow');
+    }
+  };
+
+  const getEventLabel = (event) => {
+    if (event.type === 'status') return `Status: ${event.status}`;
+    const verb = event.type === 'escalation' ? 'Escalated' : 'Sent back';
+    return `${verb}: ${event.fromRole || 'unassigned'} → ${event.toRole}`;
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'resolved':
@@ -107,6 +192,15 @@ const IssueDetailScreen = () => {
           </View>
         </View>
 
+        {issue.mergedInto && (
+          <View style={styles.mergedBanner}>
+            <Ionicons name="git-merge" size={20} color="#7c3aed" />
+            <Text style={styles.mergedText}>
+              This report was merged into "{issue.mergedInto.title || 'another issue'}". Updates are posted there.
+            </Text>
+          </View>
+        )}
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Description</Text>
           <Text style={styles.description}>{issue.description}</Text>
@@ -161,6 +255,86 @@ const IssueDetailScreen = () => {
             </View>
           )}
         </View>
+
+        {!isAdmin && !isEmployee && !issue.mergedInto &&
+          String(issue.reportedBy?._id || issue.reportedBy || '') !== currentUserId && (
+          <TouchableOpacity style={[styles.sendBackButton, styles.followButton]} onPress={handleFollow}>
+            <Ionicons name={following ? 'notifications-off' : 'notifications'} size={18} color="#1e293b" />
+            <Text style={styles.sendBackButtonText}>
+              {following ? 'Unfollow' : 'Follow for updates'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {canManageEscalation && timeline && (
+          <View style={styles.timelineCard}>
+            <Text style={styles.sectionTitle}>Escalation Timeline</Text>
+            <Text style={styles.timelineMeta}>
+              Level: {timeline.currentRole || 'Unassigned'}
+              {timeline.currentDeadline ? `  •  Escalates: ${formatDate(timeline.currentDeadline)}` : ''}
+            </Text>
+
+            {timeline.events.map((event, index) => (
+              <View key={index} style={styles.timelineRow}>
+                <Ionicons
+                  name={
+                    event.type === 'escalation'
+                      ? 'arrow-up-circle'
+                      : event.type === 'de-escalation'
+                        ? 'arrow-down-circle'
+                        : 'time-outline'
+                  }
+                  size={20}
+                  color={event.type === 'escalation' ? '#f59e0b' : event.type === 'de-escalation' ? '#3b82f6' : '#94a3b8'}
+                />
+                <View style={styles.timelineBody}>
+                  <Text style={styles.timelineLabel}>{getEventLabel(event)}</Text>
+                  <Text style={styles.timelineMeta}>
+                    {formatDate(event.at)}
+                    {event.actor?.name ? `  •  ${event.actor.name}` : event.trigger === 'auto' ? '  •  Automatic' : ''}
+                  </Text>
+                  {event.reason && event.reason !== 'Status updated' && (
+                    <Text style={styles.timelineReason}>{event.reason}</Text>
+                  )}
+                </View>
+              </View>
+            ))}
+
+            {['reported', 'assigned', 'accepted', 'in-progress', 'escalated'].includes(timeline.status) && (
+              <View style={styles.escalationForm}>
+                <TextInput
+                  style={styles.reasonInput}
+                  value={escalationReason}
+                  onChangeText={setEscalationReason}
+                  placeholder="Reason for escalating or sending back (required)"
+                  multiline
+                />
+                <View style={styles.escalationButtons}>
+                  {timeline.currentRole !== 'commissioner' && (
+                    <TouchableOpacity
+                      style={[styles.escalateButton, escalating && styles.buttonDisabled]}
+                      onPress={() => handleEscalation('up')}
+                      disabled={escalating}
+                    >
+                      <Ionicons name="arrow-up-circle" size={18} color="#fff" />
+                      <Text style={styles.escalateButtonText}>Escalate</Text>
+                    </TouchableOpacity>
+                  )}
+                  {timeline.currentRole && timeline.currentRole !== 'field-staff' && (
+                    <TouchableOpacity
+                      style={[styles.sendBackButton, escalating && styles.buttonDisabled]}
+                      onPress={() => handleEscalation('down')}
+                      disabled={escalating}
+                    >
+                      <Ionicons name="arrow-down-circle" size={18} color="#1e293b" />
+                      <Text style={styles.sendBackButtonText}>Send Back</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              </View>
+            )}
+          </View>
+        )}
       </View>
     </ScrollView>
   );
@@ -206,6 +380,22 @@ const styles = StyleSheet.create({
   header: {
     marginBottom: 20,
   },
+  mergedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f5f3ff',
+    borderColor: '#ddd6fe',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 20,
+  },
+  mergedText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#5b21b6',
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -259,6 +449,91 @@ const styles = StyleSheet.create({
     color: '#1e293b',
     flex: 1,
   },
+  timelineCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginTop: 20,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 12,
+  },
+  timelineBody: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  timelineLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  timelineMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  timelineReason: {
+    fontSize: 13,
+    color: '#475569',
+    marginTop: 4,
+  },
+  escalationForm: {
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    marginTop: 15,
+    paddingTop: 15,
+  },
+  reasonInput: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 70,
+    fontSize: 14,
+    textAlignVertical: 'top',
+    marginBottom: 10,
+  },
+  escalationButtons: {
+    flexDirection: 'row',
+  },
+  escalateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ea580c',
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  escalateButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  sendBackButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f1f5f9',
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  sendBackButtonText: {
+    color: '#1e293b',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  followButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 20,
+  },
 });
 
 export default IssueDetailScreen;
@@ -13,6 +13,7 @@ import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../../context/AuthContext';
 import { Ionicons } from '@expo/vector-icons';
 import apiService from '../../services/api';
+import NotificationBell from '../../components/NotificationBell';
 
 const EmployeeDashboardScreen = () => {
   const navigation = useNavigation();
@@ -21,6 +22,9 @@ const EmployeeDashboardScreen = () => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedStatus, setSelectedStatus] = useState('all');
+  // null until the schedule has loaded
+  const [onDuty, setOnDuty] = useState(null);
+  const [dutyUpdating, setDutyUpdating] = useState(false);
 
   useEffect(() => {
     fetchIssues();
@@ -42,6 +46,34 @@ const EmployeeDashboardScreen = () => {
     }
   };
 
+  useEffect(() => {
+    fetchDutyStatus();
+  }, []);
+
+  const fetchDutyStatus = async () => {
+    try {
+      const response = await apiService.getMySchedule();
+      const schedule = response.data?.schedule || response.schedule;
+      setOnDuty(schedule?.onDuty !== false);
+    } catch (error) {
+      console.error('Error fetching duty status:', error);
+    }
+  };
+
+  // Off duty: new issues go to the designated backup instead
+  const handleToggleDuty = async () => {
+    try {
+      setDutyUpdating(true);
+      const response = await apiService.setDuty(!onDuty);
+      const schedule = response.data?.schedule || response.schedule;
+      setOnDuty(schedule?.onDuty !== false);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update duty status');
+    } finally {
+      setDutyUpdating(false);
+    }
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     fetchIssues();
@@ -107,9 +139,24 @@ const EmployeeDashboardScreen = () => {
           <Text style={styles.headerTitle}>Employee Dashboard</Text>
           <Text style={styles.headerSubtitle}>Welcome, {user?.name || user?.employeeId || 'Employee'}</Text>
         </View>
-        <TouchableOpacity onPress={logout} style={styles.logoutButton}>
-          <Ionicons name="log-out-outline" size={24} color="#ef4444" />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          {onDuty !== null && (
+            <TouchableOpacity
+              onPress={handleToggleDuty}
+              disabled={dutyUpdating}
+              style={[styles.dutyToggle, !onDuty && styles.dutyToggleOff]}
+            >
+              <Ionicons name="power" size={14} color={onDuty ? '#065f46' : '#334155'} />
+              <Text style={[styles.dutyToggleText, !onDuty && styles.dutyToggleTextOff]}>
+                {onDuty ? 'On duty' : 'Off duty'}
+              </Text>
+            </TouchableOpacity>
+          )}
+          <NotificationBell color="#fff" />
+          <TouchableOpacity onPress={logout} style={styles.logoutButton}>
+            <Ionicons name="log-out-outline" size={24} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* Status Filters */}
@@ -281,6 +328,31 @@ const styles = StyleSheet.create({
   logoutButton: {
     padding: 5,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dutyToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#d1fae5',
+    marginRight: 10,
+  },
+  dutyToggleOff: {
+    backgroundColor: '#e2e8f0',
+  },
+  dutyToggleText: {
+    marginLeft: 4,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#065f46',
+  },
+  dutyToggleTextOff: {
+    color: '#334155',
+  },
   statusFilters: {
     backgroundColor: '#fff',
     borderBottomWidth: 1,
@@ -76,17 +76,17 @@ class ApiService {
     return this.handleResponse(response);
   }
 
-  async adminLogin(email, password) {
-    const response = await fetch(`${this.baseURL}/auth/admin/login`, {
+  async adminLogin(username, password) {
+    const response = await fetch(`${this.baseURL}/auth/admin-login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ username, password }),
     });
     return this.handleResponse(response);
   }
 
   async employeeLogin(employeeId, password) {
-    const response = await fetch(`${this.baseURL}/auth/employee/login`, {
+    const response = await fetch(`${this.baseURL}/auth/employee-login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ employeeId, password }),
@@ -94,6 +94,25 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Second step of the admin and employee logins: { code } or { recoveryCode }
+  async verifyTwoFactorLogin(challengeToken, codes) {
+    const response = await fetch(`${this.baseURL}/auth/2fa/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken, ...codes }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async logout() {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/auth/logout`, {
+      method: 'POST',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
   // ================= ISSUES =================
   async createIssue(issueData) {
     const headers = await this.getAuthHeaders();
@@ -122,6 +141,57 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // Open issues near a draft report that may be the same problem
+  async getSimilarIssues({ title, description, category, latitude, longitude }) {
+    const headers = await this.getAuthHeaders();
+    const params = { latitude, longitude };
+    if (title) params.title = title;
+    if (description) params.description = description;
+    if (category) params.category = category;
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(`${this.baseURL}/issues/similar?${queryString}`, {
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async upvoteIssue(id) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/issues/${id}/upvote`, {
+      method: 'POST',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async followIssue(id) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/issues/${id}/follow`, {
+      method: 'POST',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async unfollowIssue(id) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/issues/${id}/follow`, {
+      method: 'DELETE',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  // Upvote an existing issue and follow its progress instead of reporting it again
+  async joinIssue(id) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/issues/${id}/join`, {
+      method: 'POST',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
   async updateIssue(id, updates) {
     const headers = await this.getAuthHeaders();
     const response = await fetch(`${this.baseURL}/issues/${id}`, {
@@ -186,6 +256,24 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  async getMySchedule() {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/employee/schedule`, {
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async setDuty(onDuty) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/employee/duty`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify({ onDuty }),
+    });
+    return this.handleResponse(response);
+  }
+
   async resolveIssue(issueId, resolutionData) {
     const headers = await this.getAuthHeaders();
     const response = await fetch(`${this.baseURL}/employee/issues/${issueId}/resolve`, {
@@ -196,6 +284,35 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // scope is 'employee' or 'admin' - both expose the same escalation routes
+  async getIssueTimeline(issueId, scope = 'employee') {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/timeline`, {
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async escalateIssue(issueId, { toRole, reason }, scope = 'employee') {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/escalate`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ toRole, reason }),
+    });
+    return this.handleResponse(response);
+  }
+
+  async deEscalateIssue(issueId, { toRole, reason }, scope = 'employee') {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/${scope}/issues/${issueId}/de-escalate`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ toRole, reason }),
+    });
+    return this.handleResponse(response);
+  }
+
   // ================= LEADERBOARD =================
   async getLeaderboard() {
     const headers = await this.getAuthHeaders();
@@ -205,6 +322,71 @@ class ApiService {
     return this.handleResponse(response);
   }
 
+  // ================= NOTIFICATIONS =================
+  async getNotifications(params = {}) {
+    const headers = await this.getAuthHeaders();
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(
+      `${this.baseURL}/notifications${queryString ? `?${queryString}` : ''}`,
+      { headers }
+    );
+    return this.handleResponse(response);
+  }
+
+  async getUnreadNotificationCount() {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/unread-count`, {
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async markNotificationRead(notificationId) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/${notificationId}/read`, {
+      method: 'PUT',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async markAllNotificationsRead() {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/read-all`, {
+      method: 'PUT',
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async getNotificationPreferences() {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/preferences`, {
+      headers,
+    });
+    return this.handleResponse(response);
+  }
+
+  async updateNotificationPreferences(preferences) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/preferences`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(preferences),
+    });
+    return this.handleResponse(response);
+  }
+
+  async registerExpoPushToken(token, platform) {
+    const headers = await this.getAuthHeaders();
+    const response = await fetch(`${this.baseURL}/notifications/push/expo-tokens`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ token, platform }),
+    });
+    return this.handleResponse(response);
+  }
+
   // ================= ML BACKEND =================
   async submitToMLBackend(reportData) {
     const response = await fetch(`${this.mlBaseURL}/submit`, {
@@ -0,0 +1,54 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import apiService from './api';
+
+// Pushes that arrive while the app is open are shown too; the bell updates over the real-time channel
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+// Expo push notifications: asks for permission, gets this device's Expo push token and registers it
+// with the backend, which ties it to the current session (it is dropped again on logout).
+class PushService {
+  async register() {
+    // Simulators and emulators cannot receive push notifications
+    if (!Device.isDevice) return null;
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Notifications',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    let { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') return null;
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+    await apiService.registerExpoPushToken(token, Platform.OS);
+    return token;
+  }
+
+  /**
+   * Call `handler(data)` when the user taps a push notification
+   * @returns {Function} Stops listening
+   */
+  onOpen(handler) {
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      handler(response.notification.request.content.data || {});
+    });
+    return () => subscription.remove();
+  }
+}
+
+export default new PushService();